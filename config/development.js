@@ -11,6 +11,11 @@ module.exports = {
     nodeEnv: 'development'
   },
 
+  // Site Configuration (canonical address used in sitemaps and in links sent by email)
+  site: {
+    url: 'http://localhost:3000'
+  },
+
   // Database Configuration
   database: {
     type: 'sqlite',
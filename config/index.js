@@ -29,6 +29,11 @@ const mergedConfig = {
     host: process.env.HOST || config.server.host
   },
 
+  site: {
+    ...config.site,
+    url: (process.env.SITE_URL || config.site.url || 'http://localhost:3000').replace(/\/+$/, '')
+  },
+
   database: {
     ...config.database,
     filename: process.env.DATABASE_PATH || config.database.filename
@@ -77,6 +82,10 @@ function validateConfig() {
     if (!mergedConfig.email.auth || !mergedConfig.email.auth.user) {
       errors.push('EMAIL_USER must be set in production');
     }
+    
+    if (!process.env.SITE_URL && !config.site.url) {
+      console.warn('SITE_URL is not set: the sitemap and links in emails will point at http://localhost:3000');
+    }
   }
 
   // Validate database configuration
@@ -11,6 +11,12 @@ module.exports = {
     nodeEnv: 'production'
   },
 
+  // Site Configuration (canonical address used in sitemaps and in links sent by email)
+  site: {
+    // Public address of the site, without a trailing slash (set SITE_URL)
+    url: process.env.SITE_URL
+  },
+
   // Database Configuration
   database: {
     type: 'sqlite',
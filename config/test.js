@@ -11,6 +11,11 @@ module.exports = {
     nodeEnv: 'test'
   },
 
+  // Site Configuration (canonical address used in sitemaps and in links sent by email)
+  site: {
+    url: 'http://localhost:3000'
+  },
+
   // Database Configuration (in-memory for tests)
   database: {
     type: 'sqlite',
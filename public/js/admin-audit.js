@@ -0,0 +1,292 @@
+/**
+ * Admin Audit Log JavaScript
+ * Shows the audit log with filters and paging, and links the CSV export to the same filters
+ */
+
+class AuditLogViewer {
+    constructor() {
+        this.page = 1;
+        this.limit = 50;
+        this.totalPages = 1;
+        this.filtersLoaded = false;
+        this.searchTimeout = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            if (authStatus.user.role !== 'owner') {
+                window.location.href = '/admin/dashboard';
+                return;
+            }
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+
+            await this.loadEntries();
+
+        } catch (error) {
+            console.error('Audit log initialization error:', error);
+            window.adminUtils.showError('Failed to initialize the audit log');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        const filters = document.getElementById('auditFilters');
+        filters.addEventListener('change', () => {
+            this.applyFilters();
+        });
+
+        filters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyFilters();
+        });
+
+        document.getElementById('filterSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.applyFilters(), 400);
+        });
+
+        document.getElementById('previousPageButton').addEventListener('click', () => {
+            if (this.page > 1) {
+                this.page--;
+                this.loadEntries();
+            }
+        });
+
+        document.getElementById('nextPageButton').addEventListener('click', () => {
+            if (this.page < this.totalPages) {
+                this.page++;
+                this.loadEntries();
+            }
+        });
+    }
+
+    applyFilters() {
+        this.page = 1;
+        this.loadEntries();
+    }
+
+    // Filters as query parameters; dates are whole days in the browser's time zone
+    getFilterParams() {
+        const params = new URLSearchParams();
+        const value = (id) => document.getElementById(id).value.trim();
+
+        if (value('filterAction')) params.set('action', value('filterAction'));
+        if (value('filterUser')) params.set('username', value('filterUser'));
+        if (value('filterEntityType')) params.set('entityType', value('filterEntityType'));
+        if (value('filterSearch')) params.set('search', value('filterSearch'));
+        if (value('filterFrom')) params.set('from', new Date(`${value('filterFrom')}T00:00:00`).toISOString());
+        if (value('filterTo')) params.set('to', new Date(`${value('filterTo')}T23:59:59.999`).toISOString());
+
+        return params;
+    }
+
+    async loadEntries() {
+        const params = this.getFilterParams();
+        document.getElementById('exportButton').href = `/admin/api/audit/export?${params}`;
+
+        params.set('page', this.page);
+        params.set('limit', this.limit);
+
+        try {
+            const result = await this.request('GET', `/admin/api/audit?${params}`);
+
+            if (!this.filtersLoaded) {
+                this.fillFilterOptions(result.filters);
+                this.filtersLoaded = true;
+            }
+
+            this.totalPages = Math.max(result.pagination.totalPages, 1);
+            this.renderEntries(result.entries);
+            this.renderPagination(result.pagination);
+
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            window.adminUtils.showError('Failed to load the audit log: ' + error.message);
+        } finally {
+            document.getElementById('loadingState').style.display = 'none';
+        }
+    }
+
+    fillFilterOptions(filters) {
+        const fill = (id, values) => {
+            const select = document.getElementById(id);
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+        };
+
+        fill('filterAction', filters.actions);
+        fill('filterUser', filters.usernames);
+        fill('filterEntityType', filters.entityTypes);
+    }
+
+    renderEntries(entries) {
+        const tbody = document.getElementById('auditEntries');
+
+        document.getElementById('auditTableWrapper').hidden = entries.length === 0;
+        document.getElementById('auditEmpty').hidden = entries.length > 0;
+
+        tbody.innerHTML = entries.map(entry => `
+            <tr class="${entry.action.startsWith('login.failed') ? 'is-failed' : ''}">
+                <td class="audit-time">${this.escapeHtml(new Date(entry.created_at).toLocaleString())}</td>
+                <td>${this.escapeHtml(entry.username || '—')}</td>
+                <td><code>${this.escapeHtml(entry.action)}</code></td>
+                <td>${this.escapeHtml([entry.entity_type, entry.entity_id].filter(Boolean).join(' ') || '—')}</td>
+                <td class="audit-origin">
+                    ${this.escapeHtml(entry.ip || '—')}
+                    ${entry.request_id ? `<br><span>${this.escapeHtml(entry.request_id)}</span>` : ''}
+                </td>
+                <td class="audit-summary">
+                    ${entry.before_summary ? `<div><strong>Before:</strong> ${this.escapeHtml(entry.before_summary)}</div>` : ''}
+                    ${entry.after_summary ? `<div><strong>After:</strong> ${this.escapeHtml(entry.after_summary)}</div>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderPagination(pagination) {
+        document.getElementById('auditPagination').hidden = pagination.totalPages <= 1;
+        document.getElementById('pageInfo').textContent =
+            `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} entries)`;
+        document.getElementById('previousPageButton').disabled = pagination.page <= 1;
+        document.getElementById('nextPageButton').disabled = pagination.page >= pagination.totalPages;
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the audit log viewer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AuditLogViewer();
+});
@@ -0,0 +1,402 @@
+/**
+ * Admin Books Management JavaScript
+ * Handles the book list, the add/edit form and showcase ordering
+ */
+
+class AdminBooksManager {
+    constructor() {
+        this.books = [];
+        this.editingBookId = null;
+        this.isSaving = false;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+
+            await Promise.all([this.loadBooks(), this.loadImageOptions()]);
+
+        } catch (error) {
+            console.error('Books manager initialization error:', error);
+            window.adminUtils.showError('Failed to initialize books management interface');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('addBookButton').addEventListener('click', () => {
+            this.openBookForm();
+        });
+
+        document.getElementById('cancelBookButton').addEventListener('click', () => {
+            this.closeBookForm();
+        });
+
+        document.getElementById('bookForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveBook();
+        });
+
+        // Book row buttons (delegated event handling)
+        document.getElementById('booksList').addEventListener('click', (e) => {
+            this.handleListClick(e);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeUserMenu();
+                this.closeBookForm();
+            }
+        });
+    }
+
+    async loadBooks() {
+        try {
+            const response = await window.adminUtils.authenticatedFetch('/admin/api/books', {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            this.books = result.books || [];
+            this.renderBooks();
+
+        } catch (error) {
+            console.error('Error loading books:', error);
+            window.adminUtils.showError('Failed to load books: ' + error.message);
+        }
+    }
+
+    /**
+     * Offer existing images as suggestions for the image fields
+     */
+    async loadImageOptions() {
+        try {
+            const response = await window.adminUtils.authenticatedFetch('/admin/images', {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) return;
+
+            const result = await response.json();
+            const datalist = document.getElementById('bookImageOptions');
+            datalist.innerHTML = (result.images || [])
+                .map(image => `<option value="${this.escapeHtml(image.path)}"></option>`)
+                .join('');
+
+        } catch (error) {
+            console.warn('Could not load image suggestions:', error);
+        }
+    }
+
+    renderBooks() {
+        const list = document.getElementById('booksList');
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('emptyState').style.display = this.books.length ? 'none' : 'flex';
+        list.style.display = this.books.length ? 'flex' : 'none';
+
+        list.innerHTML = this.books.map((book, index) => `
+            <li class="book-row" data-book-id="${book.id}">
+                <div class="book-row-cover">
+                    ${book.cover_image
+                        ? `<img src="${this.escapeHtml(book.cover_image)}" alt="" width="60" height="75">`
+                        : '<span class="book-row-cover-placeholder" aria-hidden="true">📖</span>'}
+                </div>
+                <div class="book-row-info">
+                    <h3 class="book-row-title">${this.escapeHtml(book.title)}</h3>
+                    <p class="book-row-meta">${this.escapeHtml(this.formatMeta(book))}</p>
+                </div>
+                <div class="book-row-actions">
+                    <button class="button-secondary button-small" data-action="up" ${index === 0 ? 'disabled' : ''}
+                        aria-label="Move ${this.escapeHtml(book.title)} up">↑</button>
+                    <button class="button-secondary button-small" data-action="down" ${index === this.books.length - 1 ? 'disabled' : ''}
+                        aria-label="Move ${this.escapeHtml(book.title)} down">↓</button>
+                    <button class="button-secondary button-small" data-action="edit">Edit</button>
+                    <button class="button-secondary button-small book-delete-button" data-action="delete">Delete</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    formatMeta(book) {
+        const parts = [book.publisher, book.publication_year, book.isbn ? `ISBN ${book.isbn}` : null].filter(Boolean);
+        return parts.length ? parts.join(' · ') : 'No publication details';
+    }
+
+    handleListClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const bookId = parseInt(button.closest('.book-row').dataset.bookId, 10);
+        const book = this.books.find(b => b.id === bookId);
+        if (!book) return;
+
+        switch (button.dataset.action) {
+            case 'up':
+                this.moveBook(bookId, -1);
+                break;
+            case 'down':
+                this.moveBook(bookId, 1);
+                break;
+            case 'edit':
+                this.openBookForm(book);
+                break;
+            case 'delete':
+                this.deleteBook(book);
+                break;
+        }
+    }
+
+    openBookForm(book = null) {
+        const form = document.getElementById('bookForm');
+        const fields = this.getFormFields();
+        form.reset();
+        this.editingBookId = book ? book.id : null;
+
+        document.getElementById('bookModalTitle').textContent = book ? 'Edit Book' : 'Add Book';
+
+        if (book) {
+            fields.title.value = book.title;
+            fields.description.value = book.description || '';
+            fields.cover_image.value = book.cover_image || '';
+            fields.decoration_image.value = book.decoration_image || '';
+            fields.publication_year.value = book.publication_year || '';
+            fields.isbn.value = book.isbn || '';
+            fields.publisher.value = book.publisher || '';
+        }
+
+        document.getElementById('bookModal').classList.add('show');
+        fields.title.focus();
+    }
+
+    getFormFields() {
+        return {
+            title: document.getElementById('bookTitle'),
+            description: document.getElementById('bookDescription'),
+            cover_image: document.getElementById('bookCoverImage'),
+            decoration_image: document.getElementById('bookDecorationImage'),
+            publication_year: document.getElementById('bookYear'),
+            isbn: document.getElementById('bookIsbn'),
+            publisher: document.getElementById('bookPublisher')
+        };
+    }
+
+    closeBookForm() {
+        document.getElementById('bookModal').classList.remove('show');
+        this.editingBookId = null;
+    }
+
+    async saveBook() {
+        if (this.isSaving) return;
+
+        const fields = this.getFormFields();
+        const data = {
+            title: fields.title.value.trim(),
+            description: fields.description.value.trim(),
+            cover_image: fields.cover_image.value.trim(),
+            decoration_image: fields.decoration_image.value.trim(),
+            publication_year: fields.publication_year.value ? parseInt(fields.publication_year.value, 10) : null,
+            isbn: fields.isbn.value.trim(),
+            publisher: fields.publisher.value.trim()
+        };
+
+        if (!data.title) {
+            window.adminUtils.showError('Title is required');
+            fields.title.focus();
+            return;
+        }
+
+        const isEdit = this.editingBookId !== null;
+        const url = isEdit ? `/admin/api/books/${this.editingBookId}` : '/admin/api/books';
+
+        try {
+            this.isSaving = true;
+            document.getElementById('saveBookButton').disabled = true;
+
+            const result = await this.request(isEdit ? 'PUT' : 'POST', url, data);
+
+            window.adminUtils.showSuccess(result.message);
+            this.closeBookForm();
+            await this.loadBooks();
+
+        } catch (error) {
+            console.error('Error saving book:', error);
+            window.adminUtils.showError('Failed to save book: ' + error.message);
+        } finally {
+            this.isSaving = false;
+            document.getElementById('saveBookButton').disabled = false;
+        }
+    }
+
+    async deleteBook(book) {
+        if (!confirm(`Delete "${book.title}"? It will be removed from the website.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.request('DELETE', `/admin/api/books/${book.id}`);
+            window.adminUtils.showSuccess(result.message);
+            await this.loadBooks();
+
+        } catch (error) {
+            console.error('Error deleting book:', error);
+            window.adminUtils.showError('Failed to delete book: ' + error.message);
+        }
+    }
+
+    async moveBook(bookId, direction) {
+        const index = this.books.findIndex(b => b.id === bookId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.books.length) return;
+
+        const bookIds = this.books.map(b => b.id);
+        [bookIds[index], bookIds[target]] = [bookIds[target], bookIds[index]];
+
+        try {
+            const result = await this.request('PUT', '/admin/api/books/order', { bookIds });
+            this.books = result.books;
+            this.renderBooks();
+
+        } catch (error) {
+            console.error('Error reordering books:', error);
+            window.adminUtils.showError('Failed to reorder books: ' + error.message);
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the books manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminBooksManager();
+});
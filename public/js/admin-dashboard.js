@@ -64,6 +64,27 @@ class AdminDashboard {
             });
         }
         
+        // Change password
+        const changePasswordButton = document.getElementById('changePasswordButton');
+        if (changePasswordButton) {
+            changePasswordButton.addEventListener('click', () => {
+                this.closeUserMenu();
+                this.openChangePasswordModal();
+            });
+        }
+        
+        const changePasswordForm = document.getElementById('changePasswordForm');
+        if (changePasswordForm) {
+            changePasswordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleChangePassword();
+            });
+            
+            document.getElementById('cancelChangePasswordButton').addEventListener('click', () => {
+                this.closeChangePasswordModal();
+            });
+        }
+        
         // Logout button
         const logoutButton = document.getElementById('logoutButton');
         if (logoutButton) {
@@ -117,6 +138,7 @@ class AdminDashboard {
             // Escape key closes modals
             if (e.key === 'Escape') {
                 this.closeSessionWarningModal();
+                this.closeChangePasswordModal();
                 this.closeUserMenu();
             }
             
@@ -137,6 +159,61 @@ class AdminDashboard {
         if (usernameElement && user) {
             usernameElement.textContent = user.username;
         }
+        
+        // Only owners can manage admin users and read the audit log
+        ['usersCard', 'auditCard'].forEach(id => {
+            const card = document.getElementById(id);
+            if (card && user) {
+                card.hidden = user.role !== 'owner';
+            }
+        });
+    }
+    
+    openChangePasswordModal() {
+        document.getElementById('changePasswordForm').reset();
+        document.getElementById('changePasswordModal').classList.add('show');
+        document.getElementById('currentPassword').focus();
+    }
+    
+    closeChangePasswordModal() {
+        const modal = document.getElementById('changePasswordModal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+    
+    async handleChangePassword() {
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        
+        if (!currentPassword || newPassword.length < 10) {
+            this.showError('Enter your current password and a new password of at least 10 characters');
+            return;
+        }
+        
+        try {
+            const response = await window.adminUtils.authenticatedFetch('/admin/api/account/password', {
+                method: 'PUT',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+            
+            const result = await response.json();
+            if (!response.ok) {
+                const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+                throw new Error(details || result.error || `HTTP ${response.status}`);
+            }
+            
+            this.closeChangePasswordModal();
+            this.showSuccess(result.message);
+            
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showError('Failed to change password: ' + error.message);
+        }
     }
     
     startSessionMonitoring() {
@@ -415,6 +492,20 @@ class AdminDashboard {
         // Navigate to appropriate interface for the specific section
         if (section === 'people') {
             window.location.href = '/admin/people';
+        } else if (section === 'books') {
+            window.location.href = '/admin/books';
+        } else if (section === 'gallery') {
+            window.location.href = '/admin/gallery';
+        } else if (section === 'messages') {
+            window.location.href = '/admin/messages';
+        } else if (section === 'newsletter') {
+            window.location.href = '/admin/newsletter';
+        } else if (section === 'email-templates') {
+            window.location.href = '/admin/email-templates';
+        } else if (section === 'users') {
+            window.location.href = '/admin/users';
+        } else if (section === 'audit') {
+            window.location.href = '/admin/audit';
         } else {
             window.location.href = `/admin/editor?section=${section}`;
         }
@@ -12,8 +12,16 @@ class ContentEditor {
         this.autosaveInterval = null;
         this.imageManagerVisible = false;
         this.availableImages = [];
+        this.imageQuery = { search: '', tag: '', type: 'all', page: 1 };
+        this.imagePagination = null;
+        this.imagePageSize = 24;
         this.selectedImage = null;
         this.currentImageBlock = null;
+        this.snapshots = [];
+        this.snapshotPageSize = 20;
+        this.hasMoreSnapshots = false;
+        this.selectedSnapshot = null;
+        this.publishControls = null;
         
         this.init();
     }
@@ -55,6 +63,13 @@ class ContentEditor {
     }
     
     setupEventListeners() {
+        // Publish panel
+        this.publishControls = new PublishControls({
+            container: document.getElementById('publishPanel'),
+            baseUrl: `/admin/content/${this.section}`,
+            canPublish: () => !this.isDirty
+        });
+        
         // Back button
         const backButton = document.getElementById('backButton');
         if (backButton) {
@@ -111,6 +126,22 @@ class ContentEditor {
             });
         }
         
+        // Section history button
+        const historyButton = document.getElementById('historyButton');
+        if (historyButton) {
+            historyButton.addEventListener('click', () => {
+                this.openSnapshotHistory();
+            });
+        }
+        
+        // Translations button
+        const translationsButton = document.getElementById('translationsButton');
+        if (translationsButton) {
+            translationsButton.addEventListener('click', () => {
+                this.openTranslations();
+            });
+        }
+        
         // Debug button
         const debugButton = document.getElementById('debugButton');
         if (debugButton) {
@@ -247,6 +278,7 @@ class ContentEditor {
             const data = await response.json();
             this.content = data.content || [];
             this.renderContent();
+            this.publishControls.setStatus(data.publication);
             this.isDirty = false;
             
         } catch (error) {
@@ -719,8 +751,8 @@ class ContentEditor {
         try {
             this.showLoading();
             
-            // Load available images
-            await this.loadAvailableImages();
+            // Load available images and tags
+            await Promise.all([this.loadAvailableImages(), this.loadImageTags()]);
             
             // Setup image manager modal
             this.setupImageManagerModal();
@@ -742,7 +774,15 @@ class ContentEditor {
     
     async loadAvailableImages() {
         try {
-            const response = await fetch('/admin/images', {
+            const params = new URLSearchParams({
+                page: this.imageQuery.page,
+                limit: this.imagePageSize
+            });
+            if (this.imageQuery.search) params.set('search', this.imageQuery.search);
+            if (this.imageQuery.tag) params.set('tag', this.imageQuery.tag);
+            if (this.imageQuery.type !== 'all') params.set('type', this.imageQuery.type);
+            
+            const response = await fetch(`/admin/api/media?${params}`, {
                 method: 'GET',
                 credentials: 'same-origin',
                 headers: {
@@ -755,7 +795,8 @@ class ContentEditor {
             }
             
             const data = await response.json();
-            this.availableImages = data.images || [];
+            this.availableImages = data.media || [];
+            this.imagePagination = data.pagination || null;
             
         } catch (error) {
             console.error('Error loading images:', error);
@@ -763,6 +804,40 @@ class ContentEditor {
         }
     }
     
+    async loadImageTags() {
+        const tagSelect = document.getElementById('imageTagFilter');
+        if (!tagSelect) return;
+        
+        try {
+            const response = await fetch('/admin/api/media/tags', {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            tagSelect.innerHTML = '<option value="">All Tags</option>' + (data.tags || [])
+                .map(({ tag, count }) => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)} (${count})</option>`)
+                .join('');
+            
+            // Keep the current filter if the tag still exists
+            tagSelect.value = this.imageQuery.tag;
+            if (tagSelect.value !== this.imageQuery.tag) {
+                this.imageQuery.tag = '';
+            }
+            
+        } catch (error) {
+            // The tag filter is optional, the manager works without it
+            console.error('Error loading image tags:', error);
+        }
+    }
+    
     setupImageManagerModal() {
         // Setup close button
         const closeBtn = document.getElementById('closeImageManager');
@@ -779,10 +854,52 @@ class ContentEditor {
             uploadInput.onchange = (e) => this.handleImageUpload(e);
         }
         
-        // Setup filter
+        // Setup search and filters
+        const searchInput = document.getElementById('imageSearchInput');
+        if (searchInput) {
+            searchInput.value = this.imageQuery.search;
+            searchInput.oninput = window.adminUtils.debounce(() => {
+                this.imageQuery.search = searchInput.value.trim();
+                this.filterImages();
+            }, 300);
+        }
+        
+        const tagSelect = document.getElementById('imageTagFilter');
+        if (tagSelect) {
+            tagSelect.onchange = () => {
+                this.imageQuery.tag = tagSelect.value;
+                this.filterImages();
+            };
+        }
+        
         const filterSelect = document.getElementById('imageTypeFilter');
         if (filterSelect) {
-            filterSelect.onchange = () => this.filterImages();
+            filterSelect.value = this.imageQuery.type;
+            filterSelect.onchange = () => {
+                this.imageQuery.type = filterSelect.value;
+                this.filterImages();
+            };
+        }
+        
+        // Setup pagination
+        const prevBtn = document.getElementById('imagePrevPage');
+        const nextBtn = document.getElementById('imageNextPage');
+        
+        if (prevBtn) {
+            prevBtn.onclick = () => this.changeImagePage(-1);
+        }
+        
+        if (nextBtn) {
+            nextBtn.onclick = () => this.changeImagePage(1);
+        }
+        
+        // Setup image details form
+        const detailsForm = document.getElementById('imageDetailsForm');
+        if (detailsForm) {
+            detailsForm.onsubmit = (e) => {
+                e.preventDefault();
+                this.saveImageDetails();
+            };
         }
         
         // Setup modal buttons
@@ -807,8 +924,10 @@ class ContentEditor {
         
         // Clear loading state
         gallery.innerHTML = '';
+        this.renderImagePagination();
         
         if (this.availableImages.length === 0) {
+            const filtered = this.imageQuery.search || this.imageQuery.tag || this.imageQuery.type !== 'all';
             gallery.innerHTML = `
                 <div class="gallery-empty">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -816,8 +935,12 @@ class ContentEditor {
                         <circle cx="8.5" cy="8.5" r="1.5"></circle>
                         <polyline points="21,15 16,10 5,21"></polyline>
                     </svg>
-                    <p>No images available</p>
-                    <p>Upload some images to get started</p>
+                    ${filtered ? `
+                        <p>No images match the filters</p>
+                    ` : `
+                        <p>No images available</p>
+                        <p>Upload some images to get started</p>
+                    `}
                 </div>
             `;
             return;
@@ -827,39 +950,78 @@ class ContentEditor {
         const grid = document.createElement('div');
         grid.className = 'gallery-grid';
         
-        // Filter images based on current filter
-        const filter = document.getElementById('imageTypeFilter')?.value || 'all';
-        const filteredImages = filter === 'all' ? 
-            this.availableImages : 
-            this.availableImages.filter(img => img.type === filter);
-        
-        filteredImages.forEach(image => {
+        this.availableImages.forEach(image => {
             const item = this.createGalleryItem(image);
             grid.appendChild(item);
         });
         
         gallery.appendChild(grid);
+        
+        // Keep the selection when the same image is still listed
+        if (this.selectedImage) {
+            const selected = grid.querySelector(`.gallery-item[data-id="${this.selectedImage.id}"]`);
+            if (selected) {
+                selected.classList.add('selected');
+            }
+        }
+    }
+    
+    renderImagePagination() {
+        const pagination = this.imagePagination;
+        const pageInfo = document.getElementById('imagePageInfo');
+        const prevBtn = document.getElementById('imagePrevPage');
+        const nextBtn = document.getElementById('imageNextPage');
+        const totalPages = pagination ? Math.max(pagination.totalPages, 1) : 1;
+        
+        if (pageInfo) {
+            pageInfo.textContent = pagination
+                ? `Page ${pagination.page} of ${totalPages} (${pagination.total} images)`
+                : '';
+        }
+        if (prevBtn) {
+            prevBtn.disabled = !pagination || pagination.page <= 1;
+        }
+        if (nextBtn) {
+            nextBtn.disabled = !pagination || pagination.page >= totalPages;
+        }
+    }
+    
+    async changeImagePage(delta) {
+        this.imageQuery.page = Math.max(1, this.imageQuery.page + delta);
+        await this.refreshImageGallery();
+    }
+    
+    async refreshImageGallery() {
+        try {
+            await this.loadAvailableImages();
+            this.renderImageGallery();
+        } catch (error) {
+            this.showError('Failed to load images: ' + error.message);
+        }
     }
     
     createGalleryItem(image) {
         const item = document.createElement('div');
         item.className = 'gallery-item';
+        item.dataset.id = image.id;
         item.dataset.filename = image.filename;
         item.dataset.path = image.path;
         item.dataset.type = image.type;
         
         item.innerHTML = `
-            <img src="${image.path}" alt="${image.filename}" class="gallery-item-image" />
+            <img src="${this.escapeHtml(image.path)}" alt="${this.escapeHtml(image.alt_text || image.filename)}" class="gallery-item-image" loading="lazy" />
             <div class="gallery-item-info">
-                <p class="gallery-item-name">${image.filename}</p>
+                <p class="gallery-item-name">${this.escapeHtml(image.filename)}</p>
+                <p class="gallery-item-alt ${image.alt_text ? '' : 'missing'}">${image.alt_text ? this.escapeHtml(image.alt_text) : 'No alt text'}</p>
                 <div class="gallery-item-meta">
                     <span class="gallery-item-type ${image.type}">${image.type}</span>
                     <span>${this.formatFileSize(image.size)}</span>
+                    <span class="gallery-item-usage ${image.usage_count ? '' : 'unused'}">${image.usage_count ? `Used ${image.usage_count}×` : 'Unused'}</span>
                 </div>
             </div>
             <div class="gallery-item-actions">
                 ${image.type === 'uploaded' ? `
-                    <button class="gallery-action-button delete" title="Delete Image" onclick="window.contentEditor.deleteImage('${image.filename}')">
+                    <button class="gallery-action-button delete" title="Delete Image">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3,6 5,6 21,6"></polyline>
                             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -869,6 +1031,14 @@ class ContentEditor {
             </div>
         `;
         
+        const deleteButton = item.querySelector('.gallery-action-button.delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteImage(image.filename);
+            });
+        }
+        
         // Add click handler for selection
         item.addEventListener('click', () => {
             this.selectGalleryItem(item);
@@ -886,12 +1056,14 @@ class ContentEditor {
         
         // Select current item
         item.classList.add('selected');
-        this.selectedImage = {
+        this.selectedImage = this.availableImages.find(image => String(image.id) === item.dataset.id) || {
             filename: item.dataset.filename,
             path: item.dataset.path,
             type: item.dataset.type
         };
         
+        this.showImageDetails(this.selectedImage);
+        
         // Enable select button
         const selectBtn = document.getElementById('selectImageBtn');
         if (selectBtn) {
@@ -899,6 +1071,110 @@ class ContentEditor {
         }
     }
     
+    showImageDetails(image) {
+        const detailsForm = document.getElementById('imageDetailsForm');
+        if (!detailsForm) return;
+        
+        if (!image || !image.id) {
+            detailsForm.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('imageDetailsTitle').textContent = image.filename;
+        document.getElementById('imageAltText').value = image.alt_text || '';
+        document.getElementById('imageCaption').value = image.caption || '';
+        document.getElementById('imageCredit').value = image.credit || '';
+        document.getElementById('imageTags').value = (image.tags || []).join(', ');
+        detailsForm.style.display = 'block';
+        
+        this.loadImageUsage(image);
+    }
+    
+    async loadImageUsage(image) {
+        const usageList = document.getElementById('imageUsageList');
+        if (!usageList) return;
+        
+        usageList.innerHTML = '<li>Loading...</li>';
+        
+        try {
+            const response = await fetch(`/admin/api/media/${image.id}/usage`, {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            
+            // Ignore responses for an image that is no longer selected
+            if (!this.selectedImage || this.selectedImage.id !== image.id) return;
+            
+            usageList.innerHTML = data.usages.length > 0
+                ? data.usages.map(usage => `<li>${this.escapeHtml(usage.label)}</li>`).join('')
+                : '<li>Not used anywhere</li>';
+            
+        } catch (error) {
+            console.error('Error loading image usage:', error);
+            usageList.innerHTML = '<li>Could not load usage</li>';
+        }
+    }
+    
+    async saveImageDetails() {
+        if (!this.selectedImage || !this.selectedImage.id) {
+            return;
+        }
+        
+        const saveBtn = document.getElementById('saveImageDetailsBtn');
+        
+        try {
+            if (saveBtn) saveBtn.disabled = true;
+            
+            const response = await window.adminUtils.authenticatedFetch(`/admin/api/media/${this.selectedImage.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    alt_text: document.getElementById('imageAltText').value.trim(),
+                    caption: document.getElementById('imageCaption').value.trim(),
+                    credit: document.getElementById('imageCredit').value.trim(),
+                    tags: document.getElementById('imageTags').value
+                        .split(',')
+                        .map(tag => tag.trim())
+                        .filter(Boolean)
+                })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                const details = errorData.details ? errorData.details.map(d => d.message).join(', ') : '';
+                throw new Error(details || errorData.error || `HTTP ${response.status}`);
+            }
+            
+            const result = await response.json();
+            this.selectedImage = result.media;
+            
+            // Refresh the listing and tags so the new details show up
+            await this.loadImageTags();
+            await this.refreshImageGallery();
+            this.showImageDetails(this.selectedImage);
+            
+            this.showSuccess('Image details saved');
+            
+        } catch (error) {
+            console.error('Error saving image details:', error);
+            this.showError('Failed to save image details: ' + error.message);
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+    
     async handleImageUpload(event) {
         const files = event.target.files;
         if (!files || files.length === 0) return;
@@ -938,7 +1214,8 @@ class ContentEditor {
                 progressEl.style.display = 'none';
             }
             
-            // Reload images and refresh gallery
+            // Show the new uploads on the first page
+            this.imageQuery.page = 1;
             await this.loadAvailableImages();
             this.renderImageGallery();
             
@@ -975,9 +1252,18 @@ class ContentEditor {
             
             if (!response.ok) {
                 const errorData = await response.json();
+                if (response.status === 409 && errorData.usages) {
+                    throw new Error(`it is used in ${errorData.usages.map(usage => usage.label).join(', ')}`);
+                }
                 throw new Error(errorData.error || `HTTP ${response.status}`);
             }
             
+            // Clear the selection if the selected image was deleted
+            if (this.selectedImage && this.selectedImage.filename === filename) {
+                this.selectedImage = null;
+                this.showImageDetails(null);
+            }
+            
             // Reload images and refresh gallery
             await this.loadAvailableImages();
             this.renderImageGallery();
@@ -999,6 +1285,11 @@ class ContentEditor {
         const imagePreview = this.currentImageBlock.querySelector('.image-preview');
         const altTextInput = this.currentImageBlock.querySelector('.image-alt-text');
         
+        // Use the library alt text of the image when it has one
+        if (altTextInput && this.selectedImage.alt_text) {
+            altTextInput.value = this.selectedImage.alt_text;
+        }
+        
         if (imagePreview) {
             this.updateImagePreview(imagePreview, this.selectedImage.path, altTextInput?.value || '');
         }
@@ -1020,6 +1311,7 @@ class ContentEditor {
         // Reset selection
         this.selectedImage = null;
         this.currentImageBlock = null;
+        this.showImageDetails(null);
         
         // Disable select button
         const selectBtn = document.getElementById('selectImageBtn');
@@ -1029,7 +1321,8 @@ class ContentEditor {
     }
     
     filterImages() {
-        this.renderImageGallery();
+        this.imageQuery.page = 1;
+        this.refreshImageGallery();
     }
     
     formatFileSize(bytes) {
@@ -1544,6 +1837,389 @@ class ContentEditor {
         }
     }
     
+    async openSnapshotHistory() {
+        const modal = document.getElementById('snapshotHistoryModal');
+        if (!modal) return;
+        
+        // Setup modal buttons
+        const closeBtn = document.getElementById('closeSnapshotHistory');
+        const cancelBtn = document.getElementById('cancelSnapshotHistory');
+        const restoreBtn = document.getElementById('restoreSnapshotButton');
+        const loadMoreBtn = document.getElementById('loadMoreSnapshotsButton');
+        const list = document.getElementById('snapshotList');
+        const preview = document.getElementById('snapshotPreview');
+        
+        if (closeBtn) {
+            closeBtn.onclick = () => this.closeSnapshotHistory();
+        }
+        
+        if (cancelBtn) {
+            cancelBtn.onclick = () => this.closeSnapshotHistory();
+        }
+        
+        if (restoreBtn) {
+            restoreBtn.onclick = () => this.restoreSnapshot();
+        }
+        
+        if (loadMoreBtn) {
+            loadMoreBtn.onclick = () => this.loadSnapshots(false);
+        }
+        
+        if (list) {
+            list.onclick = (e) => {
+                const item = e.target.closest('.revision-item');
+                if (item) {
+                    this.previewSnapshot(parseInt(item.dataset.id));
+                }
+            };
+        }
+        
+        if (preview) {
+            preview.onclick = (e) => {
+                const button = e.target.closest('.restore-block-btn');
+                if (button) {
+                    this.restoreSnapshot(parseInt(button.dataset.index));
+                }
+            };
+        }
+        
+        this.selectedSnapshot = null;
+        this.renderSnapshotPreview();
+        modal.classList.add('show');
+        
+        await this.loadSnapshots(true);
+    }
+    
+    async loadSnapshots(reset = true) {
+        const offset = reset ? 0 : this.snapshots.length;
+        
+        try {
+            const response = await fetch(`/admin/content/${this.section}/snapshots?limit=${this.snapshotPageSize}&offset=${offset}`, {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to load history: HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.snapshots = reset ? data.snapshots : this.snapshots.concat(data.snapshots);
+            this.hasMoreSnapshots = data.pagination.hasMore;
+            this.renderSnapshots();
+            
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            this.showError('Failed to load section history: ' + error.message);
+        }
+    }
+    
+    renderSnapshots() {
+        const list = document.getElementById('snapshotList');
+        const loadMoreBtn = document.getElementById('loadMoreSnapshotsButton');
+        if (!list) return;
+        
+        if (this.snapshots.length === 0) {
+            list.innerHTML = '<li class="revision-list-empty">No saved snapshots yet. One is stored every time the section is saved.</li>';
+        } else {
+            list.innerHTML = this.snapshots.map(snapshot => `
+                <li class="revision-item${this.selectedSnapshot && this.selectedSnapshot.id === snapshot.id ? ' selected' : ''}" data-id="${snapshot.id}">
+                    <div class="revision-item-info">
+                        <div class="revision-item-title">#${snapshot.id} &middot; ${new Date(snapshot.created_at).toLocaleString()}</div>
+                        <div class="revision-item-meta">${this.escapeHtml(snapshot.created_by || 'unknown')} &middot; ${snapshot.block_count} blocks (${snapshot.text_blocks} text, ${snapshot.image_blocks} images)</div>
+                        ${snapshot.change_note ? `<div class="revision-item-note">${this.escapeHtml(snapshot.change_note)}</div>` : ''}
+                    </div>
+                </li>
+            `).join('');
+        }
+        
+        if (loadMoreBtn) {
+            loadMoreBtn.style.display = this.hasMoreSnapshots ? 'block' : 'none';
+        }
+    }
+    
+    async previewSnapshot(snapshotId) {
+        try {
+            const response = await fetch(`/admin/content/${this.section}/snapshots/${snapshotId}`, {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.selectedSnapshot = data.snapshot;
+            this.renderSnapshots();
+            this.renderSnapshotPreview();
+            
+        } catch (error) {
+            console.error('Error loading snapshot:', error);
+            this.showError('Failed to load snapshot: ' + error.message);
+        }
+    }
+    
+    renderSnapshotPreview() {
+        const preview = document.getElementById('snapshotPreview');
+        const restoreBtn = document.getElementById('restoreSnapshotButton');
+        if (!preview) return;
+        
+        if (restoreBtn) {
+            restoreBtn.disabled = !this.selectedSnapshot;
+        }
+        
+        if (!this.selectedSnapshot) {
+            preview.innerHTML = '<p class="revision-list-empty">Select a snapshot to preview it</p>';
+            return;
+        }
+        
+        if (this.selectedSnapshot.blocks.length === 0) {
+            preview.innerHTML = '<p class="revision-list-empty">The section was empty in this snapshot</p>';
+            return;
+        }
+        
+        preview.innerHTML = this.selectedSnapshot.blocks.map((block, index) => {
+            let body = '';
+            if (block.content_type === 'text') {
+                body = `<div class="text-content">${block.content}</div>`;
+            } else {
+                const imageData = this.parseImageContent(block.content);
+                body = `<div class="image-content"><img src="${this.escapeHtml(imageData.src)}" alt="${this.escapeHtml(imageData.alt)}"></div>`;
+            }
+            
+            return `
+                <div class="snapshot-block">
+                    <div class="snapshot-block-header">
+                        <span>Block ${index + 1} &middot; ${block.content_type === 'text' ? 'Text' : 'Image'}</span>
+                        <button class="button-secondary button-small restore-block-btn" data-index="${index}">Restore this block</button>
+                    </div>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async restoreSnapshot(blockIndex = null) {
+        if (!this.selectedSnapshot) return;
+        
+        const snapshotId = this.selectedSnapshot.id;
+        let message = blockIndex === null
+            ? `Replace the whole section with snapshot #${snapshotId}?`
+            : `Restore block ${blockIndex + 1} from snapshot #${snapshotId}?`;
+        
+        if (this.isDirty) {
+            message += '\n\nYour unsaved changes will be lost.';
+        }
+        
+        if (!confirm(message)) {
+            return;
+        }
+        
+        const url = blockIndex === null
+            ? `/admin/content/${this.section}/snapshots/${snapshotId}/restore`
+            : `/admin/content/${this.section}/snapshots/${snapshotId}/blocks/${blockIndex}/restore`;
+        
+        try {
+            this.showLoading();
+            
+            const response = await window.adminUtils.authenticatedFetch(url, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            
+            const result = await response.json();
+            this.isDirty = false;
+            
+            await this.loadContent();
+            await this.loadSnapshots(true);
+            this.updatePreview();
+            
+            this.showSuccess(result.message || 'Snapshot restored successfully!');
+            
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showError('Failed to restore snapshot: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    closeSnapshotHistory() {
+        const modal = document.getElementById('snapshotHistoryModal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+        
+        this.selectedSnapshot = null;
+    }
+    
+    async openTranslations() {
+        const modal = document.getElementById('translationsModal');
+        if (!modal) return;
+        
+        const closeBtn = document.getElementById('closeTranslations');
+        const cancelBtn = document.getElementById('cancelTranslations');
+        const saveBtn = document.getElementById('saveTranslationsButton');
+        const localeSelect = document.getElementById('translationLocale');
+        
+        if (closeBtn) {
+            closeBtn.onclick = () => this.closeTranslations();
+        }
+        
+        if (cancelBtn) {
+            cancelBtn.onclick = () => this.closeTranslations();
+        }
+        
+        if (saveBtn) {
+            saveBtn.onclick = () => this.saveTranslations();
+        }
+        
+        if (localeSelect) {
+            localeSelect.onchange = () => this.loadTranslations();
+        }
+        
+        modal.classList.add('show');
+        await this.loadTranslations();
+    }
+    
+    async loadTranslations() {
+        const list = document.getElementById('translationList');
+        const saveBtn = document.getElementById('saveTranslationsButton');
+        const locale = document.getElementById('translationLocale').value;
+        if (!list) return;
+        
+        list.innerHTML = '<p class="revision-list-empty">Loading translations...</p>';
+        if (saveBtn) saveBtn.disabled = true;
+        
+        try {
+            const response = await fetch(`/admin/content/${this.section}/translations/${locale}`, {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.renderTranslations(data.blocks);
+            
+        } catch (error) {
+            console.error('Error loading translations:', error);
+            list.innerHTML = '';
+            this.showError('Failed to load translations: ' + error.message);
+        }
+    }
+    
+    renderTranslations(blocks) {
+        const list = document.getElementById('translationList');
+        const saveBtn = document.getElementById('saveTranslationsButton');
+        if (!list) return;
+        
+        // Blocks are translated by ID, so new blocks can only be translated once the section is saved
+        const unsavedNote = this.isDirty
+            ? '<p class="translation-hint">You have unsaved changes. Save the section first to translate new or changed blocks.</p>'
+            : '';
+        
+        if (blocks.length === 0) {
+            list.innerHTML = `${unsavedNote}<p class="revision-list-empty">This section has no saved text blocks to translate</p>`;
+            return;
+        }
+        
+        list.innerHTML = unsavedNote + blocks.map((block, index) => `
+            <div class="translation-block" data-id="${block.id}">
+                <div class="snapshot-block-header">
+                    <span>Block ${index + 1}${block.updated_at ? ` &middot; translated ${new Date(block.updated_at).toLocaleString()} by ${this.escapeHtml(block.updated_by || 'unknown')}` : ' &middot; not translated'}</span>
+                </div>
+                <div class="translation-columns">
+                    <div class="text-content translation-source" lang="lv">${block.source}</div>
+                    <div class="text-content translation-editor" contenteditable="true">${block.translation}</div>
+                </div>
+            </div>
+        `).join('');
+        
+        if (saveBtn) saveBtn.disabled = false;
+    }
+    
+    async saveTranslations() {
+        const locale = document.getElementById('translationLocale').value;
+        const translations = Array.from(document.querySelectorAll('#translationList .translation-block')).map(block => ({
+            id: parseInt(block.dataset.id),
+            content: block.querySelector('.translation-editor').innerHTML.trim()
+        }));
+        
+        try {
+            this.showLoading();
+            
+            const response = await window.adminUtils.authenticatedFetch(`/admin/content/${this.section}/translations/${locale}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ translations })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || errorData.error || `HTTP ${response.status}`);
+            }
+            
+            const result = await response.json();
+            this.renderTranslations(result.blocks);
+            this.showSuccess(result.message || 'Translations saved successfully!');
+            
+        } catch (error) {
+            console.error('Error saving translations:', error);
+            this.showError('Failed to save translations: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    closeTranslations() {
+        const modal = document.getElementById('translationsModal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+    
+    parseImageContent(content) {
+        try {
+            if (content && content.startsWith('{')) {
+                const imageData = JSON.parse(content);
+                return { src: imageData.src || '', alt: imageData.alt || '' };
+            }
+        } catch (error) {
+            console.error('Error parsing image data:', error);
+        }
+        
+        return { src: content || '', alt: '' };
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
     openDebugPanel() {
         const modal = document.getElementById('debugModal');
         if (modal) {
@@ -0,0 +1,255 @@
+/**
+ * Admin Email Templates JavaScript
+ * Shows each email the site sends, rendered with sample data, as HTML and plain text
+ */
+
+class EmailTemplatePreview {
+    constructor() {
+        this.templates = [];
+        this.currentTemplate = null;
+        this.locale = null;
+        this.variant = 'html';
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+
+            await this.loadTemplates();
+
+        } catch (error) {
+            console.error('Email templates initialization error:', error);
+            window.adminUtils.showError('Failed to initialize the email templates');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('templateList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-name]');
+            if (item) {
+                this.selectTemplate(this.templates.find(t => t.name === item.dataset.name));
+            }
+        });
+
+        document.getElementById('previewLocales').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-locale]');
+            if (button) {
+                this.locale = button.dataset.locale;
+                this.loadPreview();
+            }
+        });
+
+        document.getElementById('previewVariants').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-variant]');
+            if (button) {
+                this.variant = button.dataset.variant;
+                this.renderVariant();
+            }
+        });
+    }
+
+    async loadTemplates() {
+        try {
+            const result = await this.request('/admin/api/email-templates');
+            this.templates = result.templates;
+
+            document.getElementById('templateList').innerHTML = this.templates.map(template => `
+                <li class="message-item" data-name="${this.escapeHtml(template.name)}">
+                    <div class="message-summary">
+                        <div class="message-sender">
+                            <strong>${this.escapeHtml(template.name)}</strong>
+                        </div>
+                        <p class="message-preview">${this.escapeHtml(template.description)}</p>
+                    </div>
+                </li>
+            `).join('');
+
+            if (this.templates.length) {
+                this.selectTemplate(this.templates[0]);
+            }
+
+        } catch (error) {
+            console.error('Error loading email templates:', error);
+            window.adminUtils.showError('Failed to load the email templates: ' + error.message);
+        }
+    }
+
+    selectTemplate(template) {
+        this.currentTemplate = template;
+        this.locale = template.locales[0];
+
+        document.querySelectorAll('#templateList [data-name]').forEach(item => {
+            item.classList.toggle('active', item.dataset.name === template.name);
+        });
+
+        this.loadPreview();
+    }
+
+    async loadPreview() {
+        const template = this.currentTemplate;
+
+        document.getElementById('previewLocales').innerHTML = template.locales.length > 1
+            ? template.locales.map(locale => `
+                <button class="messages-folder ${locale === this.locale ? 'active' : ''}" data-locale="${locale}" role="tab">
+                    ${locale.toUpperCase()}
+                </button>
+            `).join('')
+            : '';
+
+        try {
+            const result = await this.request(
+                `/admin/api/email-templates/${encodeURIComponent(template.name)}/preview?locale=${this.locale}`
+            );
+            if (this.currentTemplate !== template) {
+                return;
+            }
+
+            document.getElementById('previewSubject').textContent = result.preview.subject;
+            document.getElementById('previewFrame').srcdoc = result.preview.html;
+            document.getElementById('previewText').textContent = result.preview.text;
+            document.getElementById('templatePreview').hidden = false;
+            this.renderVariant();
+
+        } catch (error) {
+            console.error('Error previewing email template:', error);
+            window.adminUtils.showError('Failed to preview the template: ' + error.message);
+        }
+    }
+
+    // Show the HTML or the plain-text version
+    renderVariant() {
+        document.querySelectorAll('#previewVariants [data-variant]').forEach(button => {
+            button.classList.toggle('active', button.dataset.variant === this.variant);
+        });
+
+        document.getElementById('previewFrame').hidden = this.variant !== 'html';
+        document.getElementById('previewText').hidden = this.variant !== 'text';
+    }
+
+    async request(url) {
+        const response = await window.adminUtils.authenticatedFetch(url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the email template preview when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new EmailTemplatePreview();
+});
@@ -0,0 +1,381 @@
+/**
+ * Admin Fragmenti Gallery JavaScript
+ * Handles the gallery image list, the add/edit form and ordering
+ */
+
+class AdminGalleryManager {
+    constructor() {
+        this.images = [];
+        this.books = [];
+        this.editingImageId = null;
+        this.isSaving = false;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+
+            await Promise.all([this.loadImages(), this.loadBooks(), this.loadImageOptions()]);
+
+        } catch (error) {
+            console.error('Gallery manager initialization error:', error);
+            window.adminUtils.showError('Failed to initialize gallery management interface');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('addImageButton').addEventListener('click', () => {
+            this.openImageForm();
+        });
+
+        document.getElementById('cancelImageButton').addEventListener('click', () => {
+            this.closeImageForm();
+        });
+
+        document.getElementById('imageForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveImage();
+        });
+
+        document.getElementById('imagePath').addEventListener('change', () => {
+            this.updatePreview();
+        });
+
+        // Gallery row buttons (delegated event handling)
+        document.getElementById('galleryList').addEventListener('click', (e) => {
+            this.handleListClick(e);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeUserMenu();
+                this.closeImageForm();
+            }
+        });
+    }
+
+    async loadImages() {
+        try {
+            const result = await this.request('GET', '/admin/api/gallery');
+            this.images = result.images || [];
+            this.renderImages();
+
+        } catch (error) {
+            console.error('Error loading gallery images:', error);
+            window.adminUtils.showError('Failed to load gallery: ' + error.message);
+        }
+    }
+
+    /**
+     * Load books for the "linked book" select
+     */
+    async loadBooks() {
+        try {
+            const result = await this.request('GET', '/admin/api/books');
+            this.books = result.books || [];
+
+            const select = document.getElementById('imageBook');
+            select.innerHTML = '<option value="">Not linked to a book</option>' + this.books
+                .map(book => `<option value="${book.id}">${this.escapeHtml(book.title)}</option>`)
+                .join('');
+
+        } catch (error) {
+            console.warn('Could not load books:', error);
+        }
+    }
+
+    /**
+     * Offer existing images as suggestions for the image field
+     */
+    async loadImageOptions() {
+        try {
+            const result = await this.request('GET', '/admin/images');
+            document.getElementById('galleryImageOptions').innerHTML = (result.images || [])
+                .map(image => `<option value="${this.escapeHtml(image.path)}"></option>`)
+                .join('');
+
+        } catch (error) {
+            console.warn('Could not load image suggestions:', error);
+        }
+    }
+
+    renderImages() {
+        const list = document.getElementById('galleryList');
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById('emptyState').style.display = this.images.length ? 'none' : 'flex';
+        list.style.display = this.images.length ? 'flex' : 'none';
+
+        list.innerHTML = this.images.map((image, index) => `
+            <li class="gallery-admin-row" data-image-id="${image.id}">
+                <img class="gallery-admin-thumb" src="${this.escapeHtml(image.image_path)}" alt="" width="80" height="80">
+                <div class="gallery-admin-info">
+                    <h3 class="gallery-admin-title">${this.escapeHtml(image.alt_text)}</h3>
+                    <p class="gallery-admin-meta">
+                        ${image.book_title ? `📖 ${this.escapeHtml(image.book_title)}` : 'Not linked to a book'}
+                        · ${this.escapeHtml(image.image_path)}
+                    </p>
+                    ${image.caption ? `<p class="gallery-admin-caption">${this.escapeHtml(image.caption)}</p>` : ''}
+                </div>
+                <div class="gallery-admin-actions">
+                    <button class="button-secondary button-small" data-action="up" ${index === 0 ? 'disabled' : ''}
+                        aria-label="Move image up">↑</button>
+                    <button class="button-secondary button-small" data-action="down" ${index === this.images.length - 1 ? 'disabled' : ''}
+                        aria-label="Move image down">↓</button>
+                    <button class="button-secondary button-small" data-action="edit">Edit</button>
+                    <button class="button-secondary button-small gallery-admin-remove" data-action="delete">Remove</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    handleListClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const imageId = parseInt(button.closest('.gallery-admin-row').dataset.imageId, 10);
+        const image = this.images.find(i => i.id === imageId);
+        if (!image) return;
+
+        switch (button.dataset.action) {
+            case 'up':
+                this.moveImage(imageId, -1);
+                break;
+            case 'down':
+                this.moveImage(imageId, 1);
+                break;
+            case 'edit':
+                this.openImageForm(image);
+                break;
+            case 'delete':
+                this.removeImage(image);
+                break;
+        }
+    }
+
+    openImageForm(image = null) {
+        document.getElementById('imageForm').reset();
+        this.editingImageId = image ? image.id : null;
+
+        document.getElementById('imageModalTitle').textContent = image ? 'Edit Image' : 'Add Image';
+
+        if (image) {
+            document.getElementById('imagePath').value = image.image_path;
+            document.getElementById('imageAlt').value = image.alt_text;
+            document.getElementById('imageCaption').value = image.caption || '';
+            document.getElementById('imageBook').value = image.book_id || '';
+        }
+
+        this.updatePreview();
+        document.getElementById('imageModal').classList.add('show');
+        document.getElementById('imagePath').focus();
+    }
+
+    closeImageForm() {
+        document.getElementById('imageModal').classList.remove('show');
+        this.editingImageId = null;
+    }
+
+    updatePreview() {
+        const path = document.getElementById('imagePath').value.trim();
+        const preview = document.getElementById('imagePreview');
+
+        preview.hidden = !path;
+        preview.querySelector('img').src = path;
+    }
+
+    async saveImage() {
+        if (this.isSaving) return;
+
+        const bookId = document.getElementById('imageBook').value;
+        const data = {
+            image_path: document.getElementById('imagePath').value.trim(),
+            alt_text: document.getElementById('imageAlt').value.trim(),
+            caption: document.getElementById('imageCaption').value.trim(),
+            book_id: bookId ? parseInt(bookId, 10) : null
+        };
+
+        if (!data.image_path || !data.alt_text) {
+            window.adminUtils.showError('Image and alt text are required');
+            return;
+        }
+
+        const isEdit = this.editingImageId !== null;
+        const url = isEdit ? `/admin/api/gallery/${this.editingImageId}` : '/admin/api/gallery';
+
+        try {
+            this.isSaving = true;
+            document.getElementById('saveImageButton').disabled = true;
+
+            const result = await this.request(isEdit ? 'PUT' : 'POST', url, data);
+
+            window.adminUtils.showSuccess(result.message);
+            this.closeImageForm();
+            await this.loadImages();
+
+        } catch (error) {
+            console.error('Error saving gallery image:', error);
+            window.adminUtils.showError('Failed to save image: ' + error.message);
+        } finally {
+            this.isSaving = false;
+            document.getElementById('saveImageButton').disabled = false;
+        }
+    }
+
+    async removeImage(image) {
+        if (!confirm('Remove this image from the gallery? The image file itself is kept.')) {
+            return;
+        }
+
+        try {
+            const result = await this.request('DELETE', `/admin/api/gallery/${image.id}`);
+            window.adminUtils.showSuccess(result.message);
+            await this.loadImages();
+
+        } catch (error) {
+            console.error('Error removing gallery image:', error);
+            window.adminUtils.showError('Failed to remove image: ' + error.message);
+        }
+    }
+
+    async moveImage(imageId, direction) {
+        const index = this.images.findIndex(i => i.id === imageId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.images.length) return;
+
+        const imageIds = this.images.map(i => i.id);
+        [imageIds[index], imageIds[target]] = [imageIds[target], imageIds[index]];
+
+        try {
+            const result = await this.request('PUT', '/admin/api/gallery/order', { imageIds });
+            this.images = result.images;
+            this.renderImages();
+
+        } catch (error) {
+            console.error('Error reordering gallery:', error);
+            window.adminUtils.showError('Failed to reorder gallery: ' + error.message);
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+            await this.request('POST', '/admin/logout');
+            window.location.href = '/admin/login';
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the gallery manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminGalleryManager();
+});
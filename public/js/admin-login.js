@@ -12,6 +12,8 @@ class AdminLogin {
         this.buttonText = this.loginButton.querySelector('.button-text');
         this.buttonSpinner = this.loginButton.querySelector('.button-spinner');
         this.formMessage = document.getElementById('formMessage');
+        this.twoFactorForm = document.getElementById('twoFactorForm');
+        this.useRecoveryCode = false;
         
         this.init();
     }
@@ -23,6 +25,14 @@ class AdminLogin {
     
     bindEvents() {
         this.form.addEventListener('submit', this.handleSubmit.bind(this));
+        this.twoFactorForm.addEventListener('submit', this.handleTwoFactorSubmit.bind(this));
+        document.getElementById('toggleRecoveryButton').addEventListener('click', this.toggleRecoveryCode.bind(this));
+        
+        // Forgotten password
+        this.forgotPasswordForm = document.getElementById('forgotPasswordForm');
+        this.forgotPasswordForm.addEventListener('submit', this.handleForgotPassword.bind(this));
+        document.getElementById('forgotPasswordButton').addEventListener('click', () => this.showForgotPassword(true));
+        document.getElementById('backToLoginButton').addEventListener('click', () => this.showForgotPassword(false));
         this.usernameInput.addEventListener('input', this.clearFieldError.bind(this, 'username'));
         this.passwordInput.addEventListener('input', this.clearFieldError.bind(this, 'password'));
         
@@ -80,7 +90,9 @@ class AdminLogin {
             
             const data = await response.json();      
       
-            if (response.ok && data.success) {
+            if (response.ok && data.twoFactorRequired) {
+                this.showTwoFactorStep();
+            } else if (response.ok && data.success) {
                 this.showMessage('Login successful! Redirecting...', 'success');
                 setTimeout(() => {
                     this.redirectToDashboard();
@@ -97,6 +109,127 @@ class AdminLogin {
         }
     }
     
+    showForgotPassword(show) {
+        this.form.hidden = show;
+        this.forgotPasswordForm.hidden = !show;
+        document.getElementById(show ? 'resetEmail' : 'username').focus();
+    }
+    
+    async handleForgotPassword(e) {
+        e.preventDefault();
+        
+        const button = document.getElementById('forgotPasswordSubmit');
+        const message = document.getElementById('forgotPasswordMessage');
+        const email = document.getElementById('resetEmail').value.trim();
+        if (button.disabled) return;
+        
+        if (!email) {
+            message.textContent = 'Please enter your email address';
+            message.className = 'form-message error';
+            return;
+        }
+        
+        button.disabled = true;
+        
+        try {
+            const response = await fetch('/admin/password/forgot', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email })
+            });
+            
+            const data = await response.json();
+            const details = data.details ? data.details.map(d => d.message).join(', ') : null;
+            
+            message.textContent = response.ok ? data.message : details || data.error;
+            message.className = `form-message ${response.ok ? 'success' : 'error'}`;
+            
+        } catch (error) {
+            console.error('Password reset request error:', error);
+            message.textContent = 'Network error. Please check your internet connection and try again.';
+            message.className = 'form-message error';
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    showTwoFactorStep() {
+        this.form.hidden = true;
+        this.twoFactorForm.hidden = false;
+        document.getElementById('totpCode').focus();
+    }
+    
+    toggleRecoveryCode() {
+        this.useRecoveryCode = !this.useRecoveryCode;
+        document.getElementById('totpCodeGroup').hidden = this.useRecoveryCode;
+        document.getElementById('recoveryCodeGroup').hidden = !this.useRecoveryCode;
+        document.getElementById('toggleRecoveryButton').textContent = this.useRecoveryCode
+            ? 'Use the authenticator app instead'
+            : 'Use a recovery code instead';
+        document.getElementById(this.useRecoveryCode ? 'recoveryCode' : 'totpCode').focus();
+    }
+    
+    async handleTwoFactorSubmit(e) {
+        e.preventDefault();
+        
+        const button = document.getElementById('twoFactorButton');
+        const message = document.getElementById('twoFactorMessage');
+        if (button.disabled) return;
+        
+        const body = this.useRecoveryCode
+            ? { recoveryCode: document.getElementById('recoveryCode').value.trim() }
+            : { code: document.getElementById('totpCode').value.trim() };
+        
+        button.disabled = true;
+        message.textContent = '';
+        message.className = 'form-message';
+        
+        try {
+            const response = await fetch('/admin/login/2fa', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                message.textContent = 'Login successful! Redirecting...';
+                message.className = 'form-message success';
+                setTimeout(() => {
+                    this.redirectToDashboard();
+                }, 1500);
+                return;
+            }
+            
+            if (data.error === 'Login expired') {
+                // Start again from the password
+                this.twoFactorForm.hidden = true;
+                this.form.hidden = false;
+                this.passwordInput.value = '';
+                this.showMessage(data.message, 'error');
+                return;
+            }
+            
+            const details = data.details ? data.details.map(d => d.message).join(', ') : null;
+            message.textContent = response.status === 429
+                ? 'Too many login attempts. Please try again later.'
+                : details || (data.error === 'Invalid code' ? 'The code is not correct. Please try again.' : data.error);
+            message.className = 'form-message error';
+            
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            message.textContent = 'Network error. Please check your internet connection and try again.';
+            message.className = 'form-message error';
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
     getFormData() {
         return {
             username: this.usernameInput.value.trim(),
@@ -0,0 +1,526 @@
+/**
+ * Admin Messages JavaScript
+ * Contact form inbox: folders, search, paging, a detail view, read/star/archive states and spam review
+ */
+
+class MessageInbox {
+    constructor() {
+        this.folder = 'inbox';
+        this.page = 1;
+        this.limit = 25;
+        this.totalPages = 1;
+        this.messages = [];
+        this.currentMessage = null;
+        this.currentEmail = null;
+        this.canEdit = false;
+        this.searchTimeout = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            // Viewers can read messages but not change their state
+            this.canEdit = authStatus.user.role !== 'viewer';
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+            document.getElementById('autoReplyButton').hidden = !this.canEdit;
+
+            await this.loadMessages();
+
+        } catch (error) {
+            console.error('Messages initialization error:', error);
+            window.adminUtils.showError('Failed to initialize the inbox');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('messageFolders').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-folder]');
+            if (button) {
+                this.selectFolder(button.dataset.folder);
+            }
+        });
+
+        document.getElementById('messageSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.page = 1;
+                this.loadMessages();
+            }, 400);
+        });
+
+        document.getElementById('messageList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            if (!item) {
+                return;
+            }
+
+            const message = this.messages.find(m => m.id === Number(item.dataset.id));
+            if (e.target.closest('.message-star')) {
+                this.updateMessage(message, { starred: !message.starred });
+            } else {
+                this.openMessage(message);
+            }
+        });
+
+        document.getElementById('previousPageButton').addEventListener('click', () => {
+            if (this.page > 1) {
+                this.page--;
+                this.loadMessages();
+            }
+        });
+
+        document.getElementById('nextPageButton').addEventListener('click', () => {
+            if (this.page < this.totalPages) {
+                this.page++;
+                this.loadMessages();
+            }
+        });
+
+        document.getElementById('toggleReadButton').addEventListener('click', async () => {
+            await this.updateMessage(this.currentMessage, { read: !this.currentMessage.read });
+            this.closeMessage();
+        });
+
+        document.getElementById('toggleStarButton').addEventListener('click', () => {
+            this.updateMessage(this.currentMessage, { starred: !this.currentMessage.starred });
+        });
+
+        document.getElementById('toggleArchiveButton').addEventListener('click', async () => {
+            await this.updateMessage(this.currentMessage, { archived: !this.currentMessage.archived });
+            this.closeMessage();
+        });
+
+        document.getElementById('autoReplyButton').addEventListener('click', () => {
+            this.openAutoReply();
+        });
+
+        document.getElementById('cancelAutoReplyButton').addEventListener('click', () => {
+            this.closeAutoReply();
+        });
+
+        document.getElementById('autoReplyForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAutoReply();
+        });
+
+        document.getElementById('resendEmailButton').addEventListener('click', () => {
+            this.resendNotification();
+        });
+
+        document.getElementById('releaseSpamButton').addEventListener('click', () => {
+            this.changeSpamStatus('release', 'Message moved to the inbox and the notification queued');
+        });
+
+        document.getElementById('markSpamButton').addEventListener('click', () => {
+            this.changeSpamStatus('spam', 'Message moved to spam');
+        });
+
+        document.getElementById('closeMessageButton').addEventListener('click', () => {
+            this.closeMessage();
+        });
+
+        document.getElementById('messageModal').addEventListener('click', (e) => {
+            if (e.target.id === 'messageModal') {
+                this.closeMessage();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeMessage();
+                this.closeAutoReply();
+            }
+        });
+    }
+
+    selectFolder(folder) {
+        this.folder = folder;
+        this.page = 1;
+
+        document.querySelectorAll('#messageFolders [data-folder]').forEach(button => {
+            button.classList.toggle('active', button.dataset.folder === folder);
+        });
+
+        this.loadMessages();
+    }
+
+    async loadMessages() {
+        const params = new URLSearchParams({ folder: this.folder });
+        const search = document.getElementById('messageSearch').value.trim();
+        if (search) {
+            params.set('search', search);
+        }
+        document.getElementById('exportButton').href = `/admin/api/messages/export?${params}`;
+
+        params.set('page', this.page);
+        params.set('limit', this.limit);
+
+        try {
+            const result = await this.request('GET', `/admin/api/messages?${params}`);
+
+            this.messages = result.messages;
+            this.totalPages = Math.max(result.pagination.totalPages, 1);
+            this.renderCounts(result.counts);
+            this.renderMessages();
+            this.renderPagination(result.pagination);
+
+        } catch (error) {
+            console.error('Error loading messages:', error);
+            window.adminUtils.showError('Failed to load messages: ' + error.message);
+        } finally {
+            document.getElementById('loadingState').style.display = 'none';
+        }
+    }
+
+    renderCounts(counts) {
+        document.querySelectorAll('#messageFolders [data-count]').forEach(span => {
+            const count = counts[span.dataset.count];
+            span.textContent = count ? `(${count})` : '';
+        });
+    }
+
+    renderMessages() {
+        const list = document.getElementById('messageList');
+
+        list.hidden = this.messages.length === 0;
+        document.getElementById('messagesEmpty').hidden = this.messages.length > 0;
+
+        list.innerHTML = this.messages.map(message => `
+            <li class="message-item ${message.read ? '' : 'is-unread'}" data-id="${message.id}">
+                <button class="message-star ${message.starred ? 'is-starred' : ''}" type="button"
+                    aria-label="${message.starred ? 'Remove star' : 'Star'}" ${this.canEdit ? '' : 'disabled'}>★</button>
+                <div class="message-summary">
+                    <div class="message-sender">
+                        <strong>${this.escapeHtml(message.name)}</strong>
+                        <span>${this.escapeHtml(message.email)}</span>
+                        ${message.status === 'failed' ? '<span class="message-badge">Email failed</span>' : ''}
+                        ${message.status === 'spam' ? '<span class="message-badge">Spam</span>' : ''}
+                    </div>
+                    <p class="message-preview">${this.escapeHtml(message.message.slice(0, 160))}</p>
+                </div>
+                <time class="message-time">${this.escapeHtml(new Date(message.submitted_at).toLocaleString())}</time>
+            </li>
+        `).join('');
+    }
+
+    renderPagination(pagination) {
+        document.getElementById('messagesPagination').hidden = pagination.totalPages <= 1;
+        document.getElementById('pageInfo').textContent =
+            `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} messages)`;
+        document.getElementById('previousPageButton').disabled = pagination.page <= 1;
+        document.getElementById('nextPageButton').disabled = pagination.page >= pagination.totalPages;
+    }
+
+    async openMessage(message) {
+        this.currentMessage = message;
+
+        document.getElementById('messageModalTitle').textContent = `Message from ${message.name}`;
+        document.getElementById('messageFrom').textContent = `${message.name} <${message.email}>`;
+        document.getElementById('messageDate').textContent = new Date(message.submitted_at).toLocaleString();
+        document.getElementById('messageFailedNote').hidden = message.status !== 'failed';
+        document.getElementById('messageSpamNote').hidden = message.status !== 'spam';
+        document.getElementById('messageSpamReasons').textContent = message.spam_reasons.length
+            ? `Reasons: ${message.spam_reasons.join(', ')}.`
+            : '';
+        document.getElementById('messageBody').textContent = message.message;
+        document.getElementById('replyButton').href = `mailto:${encodeURIComponent(message.email)}`;
+
+        ['toggleReadButton', 'toggleStarButton', 'toggleArchiveButton'].forEach(id => {
+            document.getElementById(id).hidden = !this.canEdit;
+        });
+
+        document.getElementById('messageDelivery').textContent = 'Loading...';
+        document.getElementById('messageAutoReply').textContent = 'Loading...';
+        document.getElementById('resendEmailButton').hidden = true;
+
+        document.getElementById('messageModal').classList.add('show');
+
+        this.loadDelivery(message);
+
+        // Opening a message marks it read
+        if (this.canEdit && !message.read) {
+            await this.updateMessage(message, { read: true });
+        } else {
+            this.renderDetailActions();
+        }
+    }
+
+    // Show what happened to the email notification for the message
+    async loadDelivery(message) {
+        try {
+            const result = await this.request('GET', `/admin/api/messages/${message.id}`);
+            if (this.currentMessage !== message) {
+                return;
+            }
+
+            this.currentEmail = result.emails.find(email => email.kind !== 'auto_reply') || null;
+            this.renderDelivery();
+
+            const autoReply = result.emails.find(email => email.kind === 'auto_reply');
+            document.getElementById('messageAutoReply').textContent = autoReply
+                ? this.describeEmail(autoReply)
+                : 'Not sent';
+
+        } catch (error) {
+            console.error('Error loading message notification:', error);
+            document.getElementById('messageDelivery').textContent = 'Unknown';
+            document.getElementById('messageAutoReply').textContent = 'Unknown';
+        }
+    }
+
+    renderDelivery() {
+        const email = this.currentEmail;
+        const delivery = document.getElementById('messageDelivery');
+
+        delivery.textContent = email ? this.describeEmail(email) : 'No notification';
+
+        document.getElementById('resendEmailButton').hidden = !this.canEdit || !email || email.status !== 'dead';
+    }
+
+    describeEmail(email) {
+        if (email.status === 'sent') {
+            return `Sent ${new Date(email.sent_at).toLocaleString()}`;
+        } else if (email.status === 'dead') {
+            return `Failed after ${email.attempts} attempts: ${email.last_error || 'unknown error'}`;
+        } else if (email.attempts > 0) {
+            return `Waiting to retry at ${new Date(email.next_attempt_at).toLocaleString()} ` +
+                `(${email.attempts} failed attempts: ${email.last_error || 'unknown error'})`;
+        }
+        return 'Waiting to be sent';
+    }
+
+    async resendNotification() {
+        try {
+            const result = await this.request('POST', `/admin/api/outbox/${this.currentEmail.id}/resend`);
+            this.currentEmail = result.email;
+            this.renderDelivery();
+            window.adminUtils.showSuccess('The notification will be sent again');
+
+        } catch (error) {
+            console.error('Error resending notification:', error);
+            window.adminUtils.showError('Failed to resend the notification: ' + error.message);
+        }
+    }
+
+    async openAutoReply() {
+        try {
+            const result = await this.request('GET', '/admin/api/messages/auto-reply');
+            const template = result.template;
+
+            document.getElementById('autoReplyEnabled').checked = template.enabled;
+            document.getElementById('autoReplySubject').value = template.subject;
+            document.getElementById('autoReplyResponseTime').value = template.responseTime;
+            document.getElementById('autoReplyBody').value = template.body;
+
+            document.getElementById('autoReplyModal').classList.add('show');
+
+        } catch (error) {
+            console.error('Error loading auto-reply:', error);
+            window.adminUtils.showError('Failed to load the auto-reply: ' + error.message);
+        }
+    }
+
+    closeAutoReply() {
+        document.getElementById('autoReplyModal').classList.remove('show');
+    }
+
+    async saveAutoReply() {
+        try {
+            await this.request('PUT', '/admin/api/messages/auto-reply', {
+                enabled: document.getElementById('autoReplyEnabled').checked,
+                subject: document.getElementById('autoReplySubject').value,
+                responseTime: document.getElementById('autoReplyResponseTime').value,
+                body: document.getElementById('autoReplyBody').value
+            });
+
+            this.closeAutoReply();
+            window.adminUtils.showSuccess('Auto-reply saved');
+
+        } catch (error) {
+            console.error('Error saving auto-reply:', error);
+            window.adminUtils.showError('Failed to save the auto-reply: ' + error.message);
+        }
+    }
+
+    renderDetailActions() {
+        const message = this.currentMessage;
+        if (!message) {
+            return;
+        }
+
+        document.getElementById('toggleReadButton').textContent = message.read ? 'Mark as unread' : 'Mark as read';
+        document.getElementById('toggleStarButton').textContent = message.starred ? 'Remove star' : 'Star';
+        document.getElementById('toggleArchiveButton').textContent = message.archived ? 'Move to inbox' : 'Archive';
+        document.getElementById('releaseSpamButton').hidden = !this.canEdit || message.status !== 'spam';
+        document.getElementById('markSpamButton').hidden = !this.canEdit || message.status === 'spam';
+    }
+
+    // Release a message held as spam, or move one to spam
+    async changeSpamStatus(action, successMessage) {
+        try {
+            await this.request('POST', `/admin/api/messages/${this.currentMessage.id}/${action}`);
+            this.closeMessage();
+            await this.loadMessages();
+            window.adminUtils.showSuccess(successMessage);
+
+        } catch (error) {
+            console.error('Error changing spam status:', error);
+            window.adminUtils.showError('Failed to update the message: ' + error.message);
+        }
+    }
+
+    closeMessage() {
+        this.currentMessage = null;
+        this.currentEmail = null;
+        document.getElementById('messageModal').classList.remove('show');
+    }
+
+    async updateMessage(message, changes) {
+        try {
+            const result = await this.request('PUT', `/admin/api/messages/${message.id}`, changes);
+            Object.assign(message, result.message);
+
+            this.renderDetailActions();
+            await this.loadMessages();
+
+        } catch (error) {
+            console.error('Error updating message:', error);
+            window.adminUtils.showError('Failed to update the message: ' + error.message);
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the message inbox when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new MessageInbox();
+});
@@ -0,0 +1,648 @@
+/**
+ * Admin Newsletter JavaScript
+ * Campaigns (write, preview, test, send, follow delivery) and the subscriber list
+ */
+
+class NewsletterAdmin {
+    constructor() {
+        this.status = '';
+        this.page = 1;
+        this.limit = 50;
+        this.totalPages = 1;
+        this.campaigns = [];
+        this.subscribers = [];
+        this.subscriberCounts = {};
+        this.currentCampaign = null;
+        this.canEdit = false;
+        this.searchTimeout = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            // Viewers can look at campaigns and subscribers but not change or send anything
+            this.canEdit = authStatus.user.role !== 'viewer';
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+            document.getElementById('newCampaignButton').hidden = !this.canEdit;
+
+            await Promise.all([this.loadCampaigns(), this.loadSubscribers()]);
+
+        } catch (error) {
+            console.error('Newsletter initialization error:', error);
+            window.adminUtils.showError('Failed to initialize the newsletter');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('newCampaignButton').addEventListener('click', () => {
+            this.openCampaign(null);
+        });
+
+        document.getElementById('campaignList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            if (item) {
+                this.openCampaign(this.campaigns.find(c => c.id === Number(item.dataset.id)));
+            }
+        });
+
+        document.getElementById('campaignForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (await this.saveCampaign()) {
+                window.adminUtils.showSuccess('Campaign saved');
+            }
+        });
+
+        document.getElementById('previewCampaignButton').addEventListener('click', () => {
+            this.previewCampaign();
+        });
+
+        document.getElementById('sendTestButton').addEventListener('click', () => {
+            this.sendTest();
+        });
+
+        document.getElementById('sendCampaignButton').addEventListener('click', () => {
+            this.sendCampaign();
+        });
+
+        document.getElementById('deleteCampaignButton').addEventListener('click', () => {
+            this.deleteCampaign();
+        });
+
+        document.getElementById('campaignDeliveryList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-resend]');
+            if (button) {
+                this.resendEmail(Number(button.dataset.resend));
+            }
+        });
+
+        document.getElementById('closeCampaignButton').addEventListener('click', () => {
+            this.closeCampaign();
+        });
+
+        document.getElementById('closePreviewButton').addEventListener('click', () => {
+            this.closePreview();
+        });
+
+        document.getElementById('subscriberStatuses').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-status]');
+            if (button) {
+                this.selectStatus(button.dataset.status);
+            }
+        });
+
+        document.getElementById('subscriberSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.page = 1;
+                this.loadSubscribers();
+            }, 400);
+        });
+
+        document.getElementById('subscriberList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delete]');
+            if (button) {
+                this.deleteSubscriber(this.subscribers.find(s => s.id === Number(button.dataset.delete)));
+            }
+        });
+
+        document.getElementById('previousPageButton').addEventListener('click', () => {
+            if (this.page > 1) {
+                this.page--;
+                this.loadSubscribers();
+            }
+        });
+
+        document.getElementById('nextPageButton').addEventListener('click', () => {
+            if (this.page < this.totalPages) {
+                this.page++;
+                this.loadSubscribers();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                if (document.getElementById('previewModal').classList.contains('show')) {
+                    this.closePreview();
+                } else {
+                    this.closeCampaign();
+                }
+            }
+        });
+    }
+
+    async loadCampaigns() {
+        try {
+            const result = await this.request('GET', '/admin/api/newsletter/campaigns');
+
+            this.campaigns = result.campaigns;
+            this.subscriberCounts = result.subscribers;
+            this.renderCampaigns();
+
+        } catch (error) {
+            console.error('Error loading campaigns:', error);
+            window.adminUtils.showError('Failed to load campaigns: ' + error.message);
+        }
+    }
+
+    renderCampaigns() {
+        const list = document.getElementById('campaignList');
+        const confirmed = this.subscriberCounts.confirmed || 0;
+
+        document.getElementById('subscriberSummary').textContent =
+            `Emails to everyone who has confirmed their subscription (${confirmed} now).`;
+
+        list.hidden = this.campaigns.length === 0;
+        document.getElementById('campaignsEmpty').hidden = this.campaigns.length > 0;
+
+        list.innerHTML = this.campaigns.map(campaign => `
+            <li class="message-item" data-id="${campaign.id}">
+                <div class="message-summary">
+                    <div class="message-sender">
+                        <strong>${this.escapeHtml(campaign.subject)}</strong>
+                        <span class="campaign-status campaign-status-${campaign.status}">${this.describeStatus(campaign)}</span>
+                    </div>
+                    <p class="message-preview">${this.escapeHtml(this.describeDelivery(campaign))}</p>
+                </div>
+                <time class="message-time">${this.escapeHtml(new Date(campaign.sent_at || campaign.updated_at).toLocaleString())}</time>
+            </li>
+        `).join('');
+    }
+
+    describeStatus(campaign) {
+        return { draft: 'Draft', sending: 'Queuing', sent: 'Sent' }[campaign.status] || campaign.status;
+    }
+
+    describeDelivery(campaign) {
+        if (!campaign.delivery) {
+            return campaign.body.slice(0, 160);
+        }
+
+        const { pending, sending, sent, dead } = campaign.delivery;
+        const parts = [`${sent} of ${campaign.recipient_count} delivered`];
+        if (pending + sending) {
+            parts.push(`${pending + sending} waiting`);
+        }
+        if (dead) {
+            parts.push(`${dead} failed`);
+        }
+        return parts.join(', ');
+    }
+
+    openCampaign(campaign) {
+        this.currentCampaign = campaign;
+
+        const editable = this.canEdit && (!campaign || campaign.status === 'draft');
+        const subject = document.getElementById('campaignSubject');
+        const body = document.getElementById('campaignBody');
+
+        document.getElementById('campaignModalTitle').textContent = campaign ? campaign.subject : 'New Campaign';
+        subject.value = campaign ? campaign.subject : '';
+        body.value = campaign ? campaign.body : '';
+        subject.readOnly = !editable;
+        body.readOnly = !editable;
+
+        const sentNote = document.getElementById('campaignSentNote');
+        sentNote.hidden = !campaign || campaign.status === 'draft';
+        sentNote.textContent = campaign && campaign.sent_at
+            ? `Sent to ${campaign.recipient_count} subscribers on ${new Date(campaign.sent_at).toLocaleString()}.`
+            : 'This campaign is being queued for subscribers.';
+
+        document.getElementById('campaignTestEmail').value = '';
+        this.renderCampaignActions();
+
+        document.getElementById('campaignDeliveries').hidden = !campaign || campaign.status === 'draft';
+        if (campaign && campaign.status !== 'draft') {
+            this.loadDeliveries(campaign);
+        }
+
+        document.getElementById('campaignModal').classList.add('show');
+        if (editable) {
+            subject.focus();
+        }
+    }
+
+    renderCampaignActions() {
+        const campaign = this.currentCampaign;
+        const isDraft = !campaign || campaign.status === 'draft';
+
+        document.getElementById('saveCampaignButton').hidden = !this.canEdit || !isDraft;
+        document.getElementById('previewCampaignButton').hidden = !campaign;
+        document.getElementById('deleteCampaignButton').hidden = !this.canEdit || !campaign || !isDraft;
+        document.getElementById('sendCampaignButton').hidden = !this.canEdit || !campaign || !isDraft;
+        document.getElementById('campaignTest').hidden = !this.canEdit || !campaign;
+    }
+
+    closeCampaign() {
+        this.currentCampaign = null;
+        document.getElementById('campaignModal').classList.remove('show');
+    }
+
+    /**
+     * Save the draft in the form, if it has changed
+     * @returns {Promise<boolean>} Whether the campaign is saved
+     */
+    async saveCampaign() {
+        const campaign = this.currentCampaign;
+        const changes = {
+            subject: document.getElementById('campaignSubject').value,
+            body: document.getElementById('campaignBody').value
+        };
+
+        if (campaign && (campaign.status !== 'draft' ||
+            (campaign.subject === changes.subject.trim() && campaign.body === changes.body.trim()))) {
+            return true;
+        }
+
+        try {
+            const result = campaign
+                ? await this.request('PUT', `/admin/api/newsletter/campaigns/${campaign.id}`, changes)
+                : await this.request('POST', '/admin/api/newsletter/campaigns', changes);
+
+            this.currentCampaign = result.campaign;
+            document.getElementById('campaignModalTitle').textContent = result.campaign.subject;
+            this.renderCampaignActions();
+            await this.loadCampaigns();
+            return true;
+
+        } catch (error) {
+            console.error('Error saving campaign:', error);
+            window.adminUtils.showError('Failed to save the campaign: ' + error.message);
+            return false;
+        }
+    }
+
+    async previewCampaign() {
+        if (!await this.saveCampaign()) {
+            return;
+        }
+
+        try {
+            const result = await this.request('GET', `/admin/api/newsletter/campaigns/${this.currentCampaign.id}/preview`);
+
+            document.getElementById('previewModalTitle').textContent = `Preview: ${result.preview.subject}`;
+            document.getElementById('previewFrame').srcdoc = result.preview.html;
+            document.getElementById('previewModal').classList.add('show');
+
+        } catch (error) {
+            console.error('Error previewing campaign:', error);
+            window.adminUtils.showError('Failed to preview the campaign: ' + error.message);
+        }
+    }
+
+    closePreview() {
+        document.getElementById('previewModal').classList.remove('show');
+        document.getElementById('previewFrame').srcdoc = '';
+    }
+
+    async sendTest() {
+        if (!await this.saveCampaign()) {
+            return;
+        }
+
+        const email = document.getElementById('campaignTestEmail').value.trim();
+        const button = document.getElementById('sendTestButton');
+
+        try {
+            button.disabled = true;
+            const result = await this.request(
+                'POST',
+                `/admin/api/newsletter/campaigns/${this.currentCampaign.id}/test`,
+                email ? { email } : {}
+            );
+            window.adminUtils.showSuccess(result.message);
+
+        } catch (error) {
+            console.error('Error sending test email:', error);
+            window.adminUtils.showError('Failed to send the test: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async sendCampaign() {
+        if (!await this.saveCampaign()) {
+            return;
+        }
+
+        const confirmed = this.subscriberCounts.confirmed || 0;
+        if (!confirm(`Send "${this.currentCampaign.subject}" to ${confirmed} subscribers? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const result = await this.request('POST', `/admin/api/newsletter/campaigns/${this.currentCampaign.id}/send`);
+
+            await this.loadCampaigns();
+            this.openCampaign(result.campaign);
+            window.adminUtils.showSuccess(result.message);
+
+        } catch (error) {
+            console.error('Error sending campaign:', error);
+            window.adminUtils.showError('Failed to send the campaign: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async deleteCampaign() {
+        if (!confirm(`Delete the draft "${this.currentCampaign.subject}"?`)) {
+            return;
+        }
+
+        try {
+            await this.request('DELETE', `/admin/api/newsletter/campaigns/${this.currentCampaign.id}`);
+
+            this.closeCampaign();
+            await this.loadCampaigns();
+            window.adminUtils.showSuccess('Campaign deleted');
+
+        } catch (error) {
+            console.error('Error deleting campaign:', error);
+            window.adminUtils.showError('Failed to delete the campaign: ' + error.message);
+        }
+    }
+
+    // Show how each recipient's email is doing
+    async loadDeliveries(campaign) {
+        const list = document.getElementById('campaignDeliveryList');
+        document.getElementById('campaignDeliverySummary').textContent = 'Loading...';
+        list.innerHTML = '';
+
+        try {
+            const result = await this.request('GET', `/admin/api/newsletter/campaigns/${campaign.id}/deliveries?limit=100`);
+            if (this.currentCampaign !== campaign) {
+                return;
+            }
+
+            const summary = this.describeDelivery({ ...campaign, delivery: result.counts });
+            document.getElementById('campaignDeliverySummary').textContent = result.pagination.total > result.emails.length
+                ? `${summary} (first ${result.emails.length} recipients shown)`
+                : summary;
+
+            list.innerHTML = result.emails.map(email => `
+                <li class="campaign-delivery">
+                    <span class="campaign-delivery-to">${this.escapeHtml(email.to_address)}</span>
+                    <span class="campaign-delivery-status">${this.escapeHtml(this.describeEmail(email))}</span>
+                    ${this.canEdit && email.status === 'dead'
+                        ? `<button type="button" class="button-secondary button-small" data-resend="${email.id}">Resend</button>`
+                        : ''}
+                </li>
+            `).join('');
+
+        } catch (error) {
+            console.error('Error loading deliveries:', error);
+            document.getElementById('campaignDeliverySummary').textContent = 'Unknown';
+        }
+    }
+
+    describeEmail(email) {
+        if (email.status === 'sent') {
+            return `Sent ${new Date(email.sent_at).toLocaleString()}`;
+        } else if (email.status === 'dead') {
+            return `Failed after ${email.attempts} attempts: ${email.last_error || 'unknown error'}`;
+        } else if (email.attempts > 0) {
+            return `Waiting to retry (${email.attempts} failed attempts)`;
+        }
+        return 'Waiting to be sent';
+    }
+
+    async resendEmail(id) {
+        try {
+            await this.request('POST', `/admin/api/outbox/${id}/resend`);
+            await this.loadDeliveries(this.currentCampaign);
+            window.adminUtils.showSuccess('The email will be sent again');
+
+        } catch (error) {
+            console.error('Error resending email:', error);
+            window.adminUtils.showError('Failed to resend the email: ' + error.message);
+        }
+    }
+
+    selectStatus(status) {
+        this.status = status;
+        this.page = 1;
+
+        document.querySelectorAll('#subscriberStatuses [data-status]').forEach(button => {
+            button.classList.toggle('active', button.dataset.status === status);
+        });
+
+        this.loadSubscribers();
+    }
+
+    async loadSubscribers() {
+        const params = new URLSearchParams({ page: this.page, limit: this.limit });
+        const search = document.getElementById('subscriberSearch').value.trim();
+        if (this.status) {
+            params.set('status', this.status);
+        }
+        if (search) {
+            params.set('search', search);
+        }
+
+        try {
+            const result = await this.request('GET', `/admin/api/newsletter/subscribers?${params}`);
+
+            this.subscribers = result.subscribers;
+            this.totalPages = Math.max(result.pagination.totalPages, 1);
+            this.renderSubscriberCounts(result.counts);
+            this.renderSubscribers();
+            this.renderPagination(result.pagination);
+
+        } catch (error) {
+            console.error('Error loading subscribers:', error);
+            window.adminUtils.showError('Failed to load subscribers: ' + error.message);
+        }
+    }
+
+    renderSubscriberCounts(counts) {
+        document.querySelectorAll('#subscriberStatuses [data-count]').forEach(span => {
+            const count = counts[span.dataset.count];
+            span.textContent = count ? `(${count})` : '';
+        });
+    }
+
+    renderSubscribers() {
+        const list = document.getElementById('subscriberList');
+        const labels = { pending: 'Not confirmed', confirmed: 'Confirmed', unsubscribed: 'Unsubscribed' };
+
+        list.hidden = this.subscribers.length === 0;
+        document.getElementById('subscribersEmpty').hidden = this.subscribers.length > 0;
+
+        list.innerHTML = this.subscribers.map(subscriber => `
+            <li class="message-item subscriber-item">
+                <div class="message-summary">
+                    <div class="message-sender">
+                        <strong>${this.escapeHtml(subscriber.email)}</strong>
+                        <span class="campaign-status campaign-status-${subscriber.status}">${labels[subscriber.status]}</span>
+                        <span>${subscriber.locale.toUpperCase()}</span>
+                    </div>
+                </div>
+                <time class="message-time">${this.escapeHtml(new Date(subscriber.created_at).toLocaleString())}</time>
+                ${this.canEdit
+                    ? `<button type="button" class="button-secondary button-small" data-delete="${subscriber.id}">Remove</button>`
+                    : ''}
+            </li>
+        `).join('');
+    }
+
+    renderPagination(pagination) {
+        document.getElementById('subscribersPagination').hidden = pagination.totalPages <= 1;
+        document.getElementById('pageInfo').textContent =
+            `Page ${pagination.page} of ${Math.max(pagination.totalPages, 1)} (${pagination.total} subscribers)`;
+        document.getElementById('previousPageButton').disabled = pagination.page <= 1;
+        document.getElementById('nextPageButton').disabled = pagination.page >= pagination.totalPages;
+    }
+
+    async deleteSubscriber(subscriber) {
+        if (!confirm(`Remove ${subscriber.email} from the list completely? Use this when someone asks to be forgotten.`)) {
+            return;
+        }
+
+        try {
+            await this.request('DELETE', `/admin/api/newsletter/subscribers/${subscriber.id}`);
+
+            await Promise.all([this.loadSubscribers(), this.loadCampaigns()]);
+            window.adminUtils.showSuccess('Subscriber removed');
+
+        } catch (error) {
+            console.error('Error removing subscriber:', error);
+            window.adminUtils.showError('Failed to remove the subscriber: ' + error.message);
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the newsletter page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new NewsletterAdmin();
+});
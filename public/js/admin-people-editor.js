@@ -13,6 +13,11 @@ class PeopleContentEditor {
         this.isSaving = false;
         this.autoSaveTimeout = null;
         this.autoSaveDelay = 3000; // 3 seconds
+        this.revisions = [];
+        this.revisionPageSize = 20;
+        this.hasMoreRevisions = false;
+        this.selectedRevisionIds = [];
+        this.pendingRestoreId = null;
 
         this.elements = {
             // Header elements
@@ -34,6 +39,34 @@ class PeopleContentEditor {
             // Person preview elements
             personPreview: document.getElementById('personPreview'),
 
+            // Publishing elements
+            publishPanel: document.getElementById('publishPanel'),
+
+            // Revision history elements
+            revisionList: document.getElementById('revisionList'),
+            compareRevisionsButton: document.getElementById('compareRevisionsButton'),
+            loadMoreRevisionsButton: document.getElementById('loadMoreRevisionsButton'),
+            revisionCompareModal: document.getElementById('revisionCompareModal'),
+            revisionCompareTitle: document.getElementById('revisionCompareTitle'),
+            revisionDiffStats: document.getElementById('revisionDiffStats'),
+            revisionDiff: document.getElementById('revisionDiff'),
+            closeCompareButton: document.getElementById('closeCompareButton'),
+            restoreFromCompareButton: document.getElementById('restoreFromCompareButton'),
+            restoreConfirmModal: document.getElementById('restoreConfirmModal'),
+            restoreConfirmMessage: document.getElementById('restoreConfirmMessage'),
+            cancelRestoreButton: document.getElementById('cancelRestoreButton'),
+            confirmRestoreButton: document.getElementById('confirmRestoreButton'),
+
+            // Translation elements
+            translationStatusList: document.getElementById('translationStatusList'),
+            translationModalTitle: document.getElementById('translationModalTitle'),
+            translationName: document.getElementById('translationName'),
+            translationContent: document.getElementById('translationContent'),
+            translationSource: document.getElementById('translationSource'),
+            closeTranslationButton: document.getElementById('closeTranslationButton'),
+            deleteTranslationButton: document.getElementById('deleteTranslationButton'),
+            saveTranslationButton: document.getElementById('saveTranslationButton'),
+
             // Modal elements
             unsavedChangesModal: document.getElementById('unsavedChangesModal'),
             stayButton: document.getElementById('stayButton'),
@@ -53,8 +86,15 @@ class PeopleContentEditor {
 
     init() {
         this.extractPersonSlug();
+        this.publishControls = new PublishControls({
+            container: this.elements.publishPanel,
+            baseUrl: `/admin/api/people/${this.personSlug}`,
+            canPublish: () => !this.hasUnsavedChanges
+        });
         this.bindEvents();
         this.loadPersonData();
+        this.loadRevisions();
+        this.loadTranslationStatus();
         this.setupBeforeUnloadWarning();
     }
 
@@ -94,6 +134,30 @@ class PeopleContentEditor {
             this.saveContent();
         });
 
+        // Revision history events
+        this.elements.revisionList?.addEventListener('change', (e) => this.handleRevisionSelection(e));
+        this.elements.revisionList?.addEventListener('click', (e) => this.handleRevisionListClick(e));
+        this.elements.compareRevisionsButton?.addEventListener('click', () => this.compareSelectedRevisions());
+        this.elements.loadMoreRevisionsButton?.addEventListener('click', () => this.loadRevisions(false));
+        this.elements.closeCompareButton?.addEventListener('click', () => this.hideModal('revisionCompareModal'));
+        this.elements.restoreFromCompareButton?.addEventListener('click', () => {
+            this.hideModal('revisionCompareModal');
+            this.confirmRestore(this.compareFromId);
+        });
+        this.elements.cancelRestoreButton?.addEventListener('click', () => this.hideModal('restoreConfirmModal'));
+        this.elements.confirmRestoreButton?.addEventListener('click', () => this.restoreRevision());
+
+        // Translation events
+        this.elements.translationStatusList?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-locale]');
+            if (button) {
+                this.openTranslation(button.dataset.locale);
+            }
+        });
+        this.elements.closeTranslationButton?.addEventListener('click', () => this.hideModal('translationModal'));
+        this.elements.saveTranslationButton?.addEventListener('click', () => this.saveTranslation());
+        this.elements.deleteTranslationButton?.addEventListener('click', () => this.deleteTranslation());
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleGlobalKeyDown(e));
     }
@@ -133,6 +197,7 @@ class PeopleContentEditor {
             }
 
             this.displayPersonData(result.data);
+            this.publishControls.setStatus(result.data.publication);
             this.originalContent = result.data.content?.text || '';
             this.currentContent = this.originalContent;
             this.elements.contentEditor.value = this.currentContent;
@@ -157,6 +222,27 @@ class PeopleContentEditor {
         }
     }
 
+    async loadPublishStatus() {
+        try {
+            const response = await fetch(`/admin/api/people/${this.personSlug}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to load publish state: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.publishControls.setStatus(result.data?.publication);
+        } catch (error) {
+            console.error('Error loading publish state:', error);
+        }
+    }
+
     displayPersonData(personData) {
         // Update breadcrumb and title
         if (this.elements.personNameBreadcrumb) {
@@ -346,6 +432,8 @@ class PeopleContentEditor {
             this.showSaveStatus('success', 'Changes saved successfully');
             this.updateLastSaved();
             this.clearDraft();
+            this.loadRevisions();
+            this.loadPublishStatus();
 
         } catch (error) {
             console.error('Error saving content:', error);
@@ -368,6 +456,372 @@ class PeopleContentEditor {
         }
     }
 
+    async loadRevisions(reset = true) {
+        if (!this.personSlug || !this.elements.revisionList) return;
+
+        const offset = reset ? 0 : this.revisions.length;
+
+        try {
+            const response = await fetch(`/admin/api/people/${this.personSlug}/revisions?limit=${this.revisionPageSize}&offset=${offset}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to load revisions: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to load revisions');
+            }
+
+            if (reset) {
+                this.revisions = [];
+                this.selectedRevisionIds = [];
+            }
+
+            this.revisions = this.revisions.concat(result.data);
+            this.hasMoreRevisions = !!result.pagination?.hasMore;
+            this.renderRevisions();
+
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            this.elements.revisionList.innerHTML = '<li class="revision-list-empty">Could not load revision history</li>';
+        }
+    }
+
+    renderRevisions() {
+        const list = this.elements.revisionList;
+
+        if (this.revisions.length === 0) {
+            list.innerHTML = '<li class="revision-list-empty">No revisions yet. Every save will appear here.</li>';
+        } else {
+            list.innerHTML = this.revisions.map((revision, index) => `
+                <li class="revision-item" data-revision-id="${revision.id}">
+                    <input type="checkbox" value="${revision.id}" aria-label="Select revision ${revision.id}"
+                        ${this.selectedRevisionIds.includes(revision.id) ? 'checked' : ''}>
+                    <div class="revision-item-info">
+                        <div class="revision-item-title">#${revision.id}${index === 0 ? ' (current)' : ''}</div>
+                        <div class="revision-item-meta">${this.formatDate(revision.createdAt)} &middot; ${this.escapeHtml(revision.createdBy || 'System')}</div>
+                        <div class="revision-item-meta">${(revision.wordCount || 0).toLocaleString()} words</div>
+                        ${revision.changeNote ? `<div class="revision-item-note">${this.escapeHtml(revision.changeNote)}</div>` : ''}
+                    </div>
+                    ${index === 0 ? '' : `<button class="button-secondary button-small" data-action="restore" data-revision-id="${revision.id}">Restore</button>`}
+                </li>
+            `).join('');
+        }
+
+        if (this.elements.loadMoreRevisionsButton) {
+            this.elements.loadMoreRevisionsButton.hidden = !this.hasMoreRevisions;
+        }
+
+        this.updateCompareButtonState();
+    }
+
+    handleRevisionSelection(event) {
+        if (event.target.type !== 'checkbox') return;
+
+        const revisionId = parseInt(event.target.value, 10);
+
+        if (event.target.checked) {
+            this.selectedRevisionIds.push(revisionId);
+
+            // Keep at most two revisions selected
+            if (this.selectedRevisionIds.length > 2) {
+                const dropped = this.selectedRevisionIds.shift();
+                const droppedCheckbox = this.elements.revisionList.querySelector(`input[value="${dropped}"]`);
+                if (droppedCheckbox) droppedCheckbox.checked = false;
+            }
+        } else {
+            this.selectedRevisionIds = this.selectedRevisionIds.filter(id => id !== revisionId);
+        }
+
+        this.updateCompareButtonState();
+    }
+
+    handleRevisionListClick(event) {
+        const button = event.target.closest('button[data-action="restore"]');
+        if (!button) return;
+
+        this.confirmRestore(parseInt(button.dataset.revisionId, 10));
+    }
+
+    updateCompareButtonState() {
+        if (this.elements.compareRevisionsButton) {
+            this.elements.compareRevisionsButton.disabled = this.selectedRevisionIds.length === 0;
+        }
+    }
+
+    async compareSelectedRevisions() {
+        if (this.selectedRevisionIds.length === 0) return;
+
+        // Older revision is always the "from" side
+        const [from, to] = [...this.selectedRevisionIds].sort((a, b) => a - b);
+        const toParam = to || 'current';
+
+        try {
+            const response = await fetch(`/admin/api/people/${this.personSlug}/revisions/compare?from=${from}&to=${toParam}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'same-origin'
+            });
+
+            if (!response.ok) {
+                throw new Error(`Compare failed: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to compare revisions');
+            }
+
+            this.showDiff(result.data);
+
+        } catch (error) {
+            console.error('Error comparing revisions:', error);
+            this.showError(`Failed to compare revisions: ${error.message}`);
+        }
+    }
+
+    showDiff(diffData) {
+        this.compareFromId = diffData.from.id;
+
+        const toLabel = diffData.to.id === 'current' ? 'current content' : `#${diffData.to.id}`;
+        if (this.elements.revisionCompareTitle) {
+            this.elements.revisionCompareTitle.textContent = `Revision #${diffData.from.id} compared with ${toLabel}`;
+        }
+
+        if (this.elements.revisionDiffStats) {
+            this.elements.revisionDiffStats.textContent = diffData.identical ?
+                'The two versions are identical.' :
+                `${diffData.stats.added} lines added, ${diffData.stats.removed} lines removed`;
+        }
+
+        const markers = { added: '+', removed: '-', unchanged: ' ' };
+        if (this.elements.revisionDiff) {
+            this.elements.revisionDiff.innerHTML = diffData.changes.map(change => `
+                <div class="diff-line ${change.type}"><span class="diff-line-marker">${markers[change.type]}</span>${this.escapeHtml(change.value) || '&nbsp;'}</div>
+            `).join('');
+        }
+
+        if (this.elements.restoreFromCompareButton) {
+            this.elements.restoreFromCompareButton.textContent = `Restore #${diffData.from.id}`;
+        }
+
+        this.showModal('revisionCompareModal');
+    }
+
+    confirmRestore(revisionId) {
+        if (!revisionId) return;
+
+        this.pendingRestoreId = revisionId;
+
+        if (this.elements.restoreConfirmMessage) {
+            const unsavedWarning = this.hasUnsavedChanges ? ' Your unsaved changes in the editor will be lost.' : '';
+            this.elements.restoreConfirmMessage.textContent =
+                `The current content will be replaced with revision #${revisionId}. The current version stays in the history.${unsavedWarning}`;
+        }
+
+        this.showModal('restoreConfirmModal');
+    }
+
+    async restoreRevision() {
+        const revisionId = this.pendingRestoreId;
+        if (!revisionId || this.isSaving) return;
+
+        this.hideModal('restoreConfirmModal');
+        this.isSaving = true;
+        this.updateSaveButtonState();
+        this.showSaveStatus('saving', `Restoring revision #${revisionId}...`);
+
+        try {
+            const url = `/admin/api/people/${this.personSlug}/revisions/${revisionId}/restore`;
+            const options = {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                }
+            };
+            const response = window.adminUtils ?
+                await window.adminUtils.authenticatedFetch(url, options) :
+                await fetch(url, { ...options, credentials: 'same-origin' });
+
+            if (!response.ok) {
+                throw new Error(`Restore failed: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to restore revision');
+            }
+
+            this.originalContent = result.data.content;
+            this.currentContent = this.originalContent;
+            this.elements.contentEditor.value = this.currentContent;
+            this.hasUnsavedChanges = false;
+            this.updateContentStats();
+            this.showSaveStatus('success', result.message || 'Revision restored');
+            this.updateLastSaved();
+            this.clearDraft();
+            this.loadRevisions();
+            this.loadPublishStatus();
+
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+
+            if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+                this.handleAuthenticationError();
+                return;
+            }
+
+            this.showSaveStatus('error', 'Failed to restore revision');
+            this.showError(error.message);
+        } finally {
+            this.isSaving = false;
+            this.pendingRestoreId = null;
+            this.updateSaveButtonState();
+        }
+    }
+
+    async fetchTranslation(locale) {
+        const response = await fetch(`/admin/api/people/${this.personSlug}/translations/${locale}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'same-origin'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to load translation: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        return result.data;
+    }
+
+    async loadTranslationStatus() {
+        if (!this.personSlug || !this.elements.translationStatusList) return;
+
+        const buttons = this.elements.translationStatusList.querySelectorAll('button[data-locale]');
+        for (const button of buttons) {
+            const status = document.getElementById(`translationStatus-${button.dataset.locale}`);
+            try {
+                const translation = await this.fetchTranslation(button.dataset.locale);
+                if (status) {
+                    status.textContent = translation ? `Translated ${this.formatDate(translation.updated_at)}` : 'Not translated';
+                }
+            } catch (error) {
+                console.error('Error loading translation status:', error);
+                if (status) {
+                    status.textContent = 'Unavailable';
+                }
+            }
+        }
+    }
+
+    async openTranslation(locale) {
+        this.translationLocale = locale;
+        this.showLoading('Loading translation...');
+
+        try {
+            const translation = await this.fetchTranslation(locale);
+
+            // Stored text is HTML-escaped; the form works with plain text
+            this.elements.translationModalTitle.textContent = `Translation (${locale.toUpperCase()})`;
+            this.elements.translationName.value = translation ? this.decodeHtml(translation.person_name || '') : '';
+            this.elements.translationContent.value = translation ? this.decodeHtml(translation.content) : '';
+            this.elements.translationSource.textContent = this.currentContent;
+            this.elements.deleteTranslationButton.disabled = !translation;
+            this.showModal('translationModal');
+
+        } catch (error) {
+            console.error('Error loading translation:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async saveTranslation() {
+        const locale = this.translationLocale;
+        if (!locale) return;
+
+        try {
+            const url = `/admin/api/people/${this.personSlug}/translations/${locale}`;
+            const options = {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    name: this.elements.translationName.value.trim(),
+                    content: this.elements.translationContent.value.trim()
+                })
+            };
+            const response = await window.adminUtils.authenticatedFetch(url, options);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                const details = result.details ? result.details.map(detail => detail.message).join(', ') : '';
+                throw new Error(details || result.message || 'Failed to save translation');
+            }
+
+            this.hideModal('translationModal');
+            this.showSaveStatus('success', 'Translation saved');
+            this.loadTranslationStatus();
+
+        } catch (error) {
+            console.error('Error saving translation:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteTranslation() {
+        const locale = this.translationLocale;
+        if (!locale || !confirm('Remove this translation? The profile will be shown in Latvian.')) return;
+
+        try {
+            const response = await window.adminUtils.authenticatedFetch(`/admin/api/people/${this.personSlug}/translations/${locale}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to remove translation: ${response.status} ${response.statusText}`);
+            }
+
+            this.hideModal('translationModal');
+            this.showSaveStatus('success', 'Translation removed');
+            this.loadTranslationStatus();
+
+        } catch (error) {
+            console.error('Error removing translation:', error);
+            this.showError(error.message);
+        }
+    }
+
+    decodeHtml(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    }
+
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
     revertChanges() {
         if (!this.hasUnsavedChanges) return;
 
@@ -8,6 +8,8 @@ class AdminPeopleManager {
         this.people = [];
         this.isLoading = false;
         this.hasError = false;
+        this.isSavingPerson = false;
+        this.currentImport = null;
         
         this.init();
     }
@@ -83,6 +85,50 @@ class AdminPeopleManager {
             });
         }
         
+        // Add person form
+        document.getElementById('addPersonButton').addEventListener('click', () => {
+            this.openPersonForm();
+        });
+        
+        document.getElementById('cancelPersonButton').addEventListener('click', () => {
+            this.closePersonForm();
+        });
+        
+        document.getElementById('personForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createPerson();
+        });
+        
+        document.getElementById('personName').addEventListener('input', (e) => {
+            document.getElementById('personSlugPreview').textContent = this.generateSlug(e.target.value) || '...';
+        });
+        
+        // Word document import
+        const importInput = document.getElementById('importDocumentInput');
+        document.getElementById('importPersonButton').addEventListener('click', () => {
+            importInput.click();
+        });
+        
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.uploadDocument(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+        
+        document.getElementById('discardImportButton').addEventListener('click', () => {
+            this.discardImport();
+        });
+        
+        document.getElementById('importForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveImport();
+        });
+        
+        document.getElementById('importName').addEventListener('input', (e) => {
+            document.getElementById('importSlugPreview').textContent = this.generateSlug(e.target.value) || '...';
+        });
+        
         // People grid click handlers (delegated event handling)
         const peopleGrid = document.getElementById('peopleGrid');
         if (peopleGrid) {
@@ -96,6 +142,8 @@ class AdminPeopleManager {
             // Escape key functionality
             if (e.key === 'Escape') {
                 this.closeUserMenu();
+                this.closePersonForm();
+                this.discardImport();
             }
             
             // Ctrl/Cmd + R for refresh
@@ -240,7 +288,7 @@ class AdminPeopleManager {
     
     createPersonCard(person) {
         const card = document.createElement('div');
-        card.className = 'person-card';
+        card.className = person.hidden ? 'person-card is-hidden' : 'person-card';
         card.dataset.slug = person.slug;
         card.setAttribute('tabindex', '0');
         card.setAttribute('role', 'button');
@@ -250,11 +298,11 @@ class AdminPeopleManager {
         // Determine content source and status
         const contentSource = person.metadata?.source || 'file';
         const hasContent = person.content && person.content.text && person.content.text.trim().length > 0;
-        const hasImages = person.images && person.images.length > 0;
+        const hasImages = Boolean(person.mainImage) || (person.images && person.images.length > 0);
         const isRecentlyUpdated = this.isRecentlyUpdated(person.metadata?.lastModified || person.content?.lastUpdated);
         
         // Get main image
-        const mainImage = hasImages ? person.images[0] : null;
+        const mainImage = person.mainImage || (hasImages ? person.images[0] : null);
         
         // Create content preview
         const contentPreview = this.createContentPreview(person.content?.text || '');
@@ -272,7 +320,7 @@ class AdminPeopleManager {
             <div class="person-card-header">
                 <div class="person-thumbnail">
                     ${mainImage ? 
-                        `<img src="${this.escapeHtml(mainImage.path)}" alt="${this.escapeHtml(mainImage.alt || person.name)}" loading="lazy">` :
+                        this.createThumbnailHTML(mainImage, mainImage.alt || person.name) :
                         `<svg class="person-thumbnail-placeholder" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
                             <circle cx="12" cy="7" r="4"></circle>
@@ -282,6 +330,7 @@ class AdminPeopleManager {
                 <div class="person-info">
                     <h3 class="person-name">${this.escapeHtml(person.name)}</h3>
                     <div class="person-slug">${this.escapeHtml(person.slug)}</div>
+                    ${person.hidden ? '<span class="person-hidden-badge">Hidden from website</span>' : ''}
                 </div>
             </div>
             
@@ -331,12 +380,34 @@ class AdminPeopleManager {
                         <line x1="10" y1="14" x2="21" y2="3"></line>
                     </svg>
                 </a>
+                ${contentSource === 'database' ? `
+                <button type="button" class="visibility-person-button" data-hidden="${person.hidden ? 'true' : 'false'}"
+                    title="${person.hidden ? 'Show on website' : 'Hide from website'}">
+                    ${person.hidden ? 'Show' : 'Hide'}
+                </button>` : ''}
+                <button type="button" class="delete-person-button" title="Delete person">Delete</button>
             </div>
         `;
         
         return card;
     }
     
+    /**
+     * Thumbnail picture using the smallest resized variants when they are available
+     */
+    createThumbnailHTML(image, alt) {
+        const img = `<img src="${this.escapeHtml(image.path)}" alt="${this.escapeHtml(alt)}" loading="lazy"`;
+        
+        if (!image.responsive) {
+            return `${img}>`;
+        }
+        
+        return `<picture>
+                    <source type="image/webp" srcset="${this.escapeHtml(image.responsive.webpSrcset)}" sizes="80px">
+                    ${img} srcset="${this.escapeHtml(image.responsive.srcset)}" sizes="80px">
+                </picture>`;
+    }
+    
     createContentPreview(text) {
         if (!text || text.trim().length === 0) {
             return '<em>No content available</em>';
@@ -552,6 +623,22 @@ class AdminPeopleManager {
             return;
         }
         
+        // Handle hide/show button clicks
+        const visibilityButton = e.target.closest('.visibility-person-button');
+        if (visibilityButton) {
+            const slug = visibilityButton.closest('.person-card')?.dataset.slug;
+            this.setPersonVisibility(slug, visibilityButton.dataset.hidden === 'true');
+            return;
+        }
+        
+        // Handle delete button clicks
+        const deleteButton = e.target.closest('.delete-person-button');
+        if (deleteButton) {
+            const slug = deleteButton.closest('.person-card')?.dataset.slug;
+            this.deletePerson(slug);
+            return;
+        }
+        
         // Handle view button clicks
         const viewButton = e.target.closest('.view-person-button');
         if (viewButton) {
@@ -605,6 +692,304 @@ class AdminPeopleManager {
         window.location.href = editorUrl;
     }
     
+    openPersonForm() {
+        document.getElementById('personForm').reset();
+        document.getElementById('personSlugPreview').textContent = '...';
+        document.getElementById('personModal').classList.add('show');
+        document.getElementById('personName').focus();
+    }
+    
+    closePersonForm() {
+        document.getElementById('personModal').classList.remove('show');
+    }
+    
+    /**
+     * Create a person: upload the selected images first, then create the profile
+     */
+    async createPerson() {
+        if (this.isSavingPerson) return;
+        
+        const name = document.getElementById('personName').value.trim();
+        const content = document.getElementById('personContent').value.trim();
+        const files = document.getElementById('personImages').files;
+        
+        if (!name || !this.generateSlug(name)) {
+            window.adminUtils.showError('Please enter the person\'s name');
+            return;
+        }
+        
+        if (content.length < 50) {
+            window.adminUtils.showError('Content must be at least 50 characters long');
+            return;
+        }
+        
+        const saveButton = document.getElementById('savePersonButton');
+        
+        try {
+            this.isSavingPerson = true;
+            saveButton.disabled = true;
+            
+            let images = [];
+            if (files.length > 0) {
+                const formData = new FormData();
+                Array.from(files).forEach(file => formData.append('images', file));
+                
+                const uploadResponse = await window.adminUtils.authenticatedFetch('/admin/upload', {
+                    method: 'POST',
+                    body: formData
+                });
+                const uploadResult = await uploadResponse.json();
+                
+                if (!uploadResponse.ok) {
+                    throw new Error(uploadResult.error || 'Image upload failed');
+                }
+                
+                images = uploadResult.files.map(file => file.path);
+            }
+            
+            const response = await window.adminUtils.authenticatedFetch('/admin/api/people', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name, content, images })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.message).join(', ') : null;
+                throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+            }
+            
+            window.adminUtils.showSuccess(`${result.data.name} added to Interesanti`);
+            this.closePersonForm();
+            await this.loadPeopleData();
+            
+        } catch (error) {
+            console.error('Failed to create person:', error);
+            window.adminUtils.showError('Failed to create person: ' + error.message);
+        } finally {
+            this.isSavingPerson = false;
+            saveButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Upload a Word document; the server converts it and returns a preview
+     */
+    async uploadDocument(file) {
+        if (!/\.docx$/i.test(file.name)) {
+            window.adminUtils.showError('Please choose a Word document (.docx)');
+            return;
+        }
+        
+        try {
+            this.showLoading();
+            
+            const formData = new FormData();
+            formData.append('document', file);
+            
+            const response = await window.adminUtils.authenticatedFetch('/admin/api/people/import', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
+            }
+            
+            this.showImportPreview(result.data);
+            
+        } catch (error) {
+            console.error('Failed to import document:', error);
+            window.adminUtils.showError('Failed to import document: ' + error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+    
+    showImportPreview(preview) {
+        this.currentImport = preview;
+        
+        document.getElementById('importSource').textContent =
+            `${preview.originalName} · ${preview.wordCount} words · ${preview.images.length} images`;
+        document.getElementById('importName').value = preview.suggestedName;
+        document.getElementById('importSlugPreview').textContent = preview.suggestedSlug || '...';
+        
+        const warnings = document.getElementById('importWarnings');
+        warnings.hidden = preview.warnings.length === 0;
+        warnings.innerHTML = preview.warnings
+            .map(warning => `<li>${this.escapeHtml(warning)}</li>`)
+            .join('');
+        
+        document.getElementById('importImages').innerHTML = preview.images
+            .map(image => `<img src="${this.escapeHtml(image.url)}" alt="${this.escapeHtml(image.filename)}" loading="lazy">`)
+            .join('');
+        
+        // Cleaned by the server with the same pipeline used for the public profile
+        document.getElementById('importPreview').innerHTML = preview.html;
+        
+        document.getElementById('importModal').classList.add('show');
+        document.getElementById('importName').focus();
+    }
+    
+    closeImportPreview() {
+        document.getElementById('importModal').classList.remove('show');
+        this.currentImport = null;
+    }
+    
+    async saveImport() {
+        if (this.isSavingPerson || !this.currentImport) return;
+        
+        const name = document.getElementById('importName').value.trim();
+        if (!name || !this.generateSlug(name)) {
+            window.adminUtils.showError('Please enter the person\'s name');
+            return;
+        }
+        
+        const saveButton = document.getElementById('saveImportButton');
+        
+        try {
+            this.isSavingPerson = true;
+            saveButton.disabled = true;
+            
+            const response = await window.adminUtils.authenticatedFetch(`/admin/api/people/import/${this.currentImport.importId}`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.message).join(', ') : null;
+                throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+            }
+            
+            window.adminUtils.showSuccess(`${result.data.name} added to Interesanti`);
+            this.closeImportPreview();
+            await this.loadPeopleData();
+            
+        } catch (error) {
+            console.error('Failed to save import:', error);
+            window.adminUtils.showError('Failed to save person: ' + error.message);
+        } finally {
+            this.isSavingPerson = false;
+            saveButton.disabled = false;
+        }
+    }
+    
+    async discardImport() {
+        if (!this.currentImport) return;
+        
+        const importId = this.currentImport.importId;
+        this.closeImportPreview();
+        
+        try {
+            await window.adminUtils.authenticatedFetch(`/admin/api/people/import/${importId}`, {
+                method: 'DELETE',
+                headers: { 'Accept': 'application/json' }
+            });
+        } catch (error) {
+            // Unsaved imports are cleaned up on the server after a day anyway
+            console.warn('Failed to discard import:', error);
+        }
+    }
+    
+    /**
+     * Hide a person from the website (unpublish) or show them again (publish)
+     */
+    async setPersonVisibility(slug, isHidden) {
+        if (!slug) return;
+        
+        const action = isHidden ? 'publish' : 'unpublish';
+        
+        try {
+            const response = await window.adminUtils.authenticatedFetch(`/admin/api/people/${encodeURIComponent(slug)}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
+            }
+            
+            window.adminUtils.showSuccess(isHidden ? 'Person is shown on the website again' : 'Person hidden from the website');
+            await this.loadPeopleData();
+            
+        } catch (error) {
+            console.error(`Failed to ${action} person:`, error);
+            window.adminUtils.showError(`Failed to ${isHidden ? 'show' : 'hide'} person: ` + error.message);
+        }
+    }
+    
+    /**
+     * Permanently delete a person, their images and content history
+     */
+    async deletePerson(slug) {
+        const person = this.people.find(p => p.slug === slug);
+        if (!person) return;
+        
+        if (!confirm(`Delete ${person.name}? Their images, content and revision history will be removed permanently. Use "Hide" to only take the profile off the website.`)) {
+            return;
+        }
+        
+        try {
+            const response = await window.adminUtils.authenticatedFetch(`/admin/api/people/${encodeURIComponent(slug)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
+            }
+            
+            window.adminUtils.showSuccess(`${person.name} deleted`);
+            await this.loadPeopleData();
+            
+        } catch (error) {
+            console.error('Failed to delete person:', error);
+            window.adminUtils.showError('Failed to delete person: ' + error.message);
+        }
+    }
+    
+    /**
+     * Same slug rules as PeopleDataService.generateSlug (used for the address preview)
+     */
+    generateSlug(name) {
+        return name
+            .toLowerCase()
+            .replace(/[āăą]/g, 'a')
+            .replace(/[ēĕę]/g, 'e')
+            .replace(/[īĭį]/g, 'i')
+            .replace(/[ōŏő]/g, 'o')
+            .replace(/[ūŭų]/g, 'u')
+            .replace(/[ćčç]/g, 'c')
+            .replace(/[ģğ]/g, 'g')
+            .replace(/[ķ]/g, 'k')
+            .replace(/[ļľ]/g, 'l')
+            .replace(/[ńňņ]/g, 'n')
+            .replace(/[ŕř]/g, 'r')
+            .replace(/[śšş]/g, 's')
+            .replace(/[ţť]/g, 't')
+            .replace(/[žź]/g, 'z')
+            .replace(/[^a-z0-9]/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+    
     updateUserInfo(user) {
         const usernameElement = document.getElementById('adminUsername');
         if (usernameElement && user) {
@@ -0,0 +1,163 @@
+/**
+ * Admin Publish Controls
+ * Shared draft / publish panel for the section editor and the people editor
+ */
+
+class PublishControls {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element the panel is rendered into
+     * @param {string} options.baseUrl - Endpoint prefix, e.g. /admin/content/gramatas or /admin/api/people/slug
+     * @param {Function} [options.canPublish] - Returns false while there are unsaved edits
+     */
+    constructor({ container, baseUrl, canPublish = () => true }) {
+        this.container = container;
+        this.baseUrl = baseUrl;
+        this.canPublish = canPublish;
+        this.status = null;
+        this.busy = false;
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+        }
+    }
+
+    setStatus(status) {
+        this.status = status || null;
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (!this.status) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const status = this.status;
+        const badge = this.getBadge(status);
+        const details = [];
+
+        if (status.state === 'published' && status.publishedAt) {
+            details.push(`Live version published ${this.formatDate(status.publishedAt)}${status.publishedBy ? ` by ${this.escapeHtml(status.publishedBy)}` : ''}.`);
+        } else if (status.state === 'published') {
+            details.push('The public site shows the saved content. Your next save becomes a draft.');
+        } else {
+            details.push('Not visible on the public site.');
+        }
+
+        if (status.scheduledAt) {
+            details.push(`Scheduled to publish ${this.formatDate(status.scheduledAt)}.`);
+        }
+
+        this.container.innerHTML = `
+            <div class="publish-panel-header">
+                <span class="publish-badge ${badge.className}">${badge.label}</span>
+                <span class="publish-panel-editing">You are editing the draft</span>
+            </div>
+            <p class="publish-panel-details">${details.join(' ')}</p>
+            <div class="publish-panel-actions">
+                <button class="button-primary button-small" data-publish-action="publish" ${this.busy ? 'disabled' : ''}>Publish now</button>
+                <input type="datetime-local" class="publish-at-input" aria-label="Publish at" ${this.busy ? 'disabled' : ''}>
+                <button class="button-secondary button-small" data-publish-action="schedule" ${this.busy ? 'disabled' : ''}>Schedule</button>
+                ${status.scheduledAt ? `<button class="button-secondary button-small" data-publish-action="cancel" ${this.busy ? 'disabled' : ''}>Cancel schedule</button>` : ''}
+                ${status.state === 'published' ? `<button class="button-secondary button-small" data-publish-action="unpublish" ${this.busy ? 'disabled' : ''}>Unpublish</button>` : ''}
+            </div>
+        `;
+    }
+
+    getBadge(status) {
+        if (status.state === 'unpublished') {
+            return { className: 'unpublished', label: 'Unpublished' };
+        }
+
+        if (status.hasUnpublishedChanges) {
+            return { className: 'draft', label: 'Draft has unpublished changes' };
+        }
+
+        return { className: 'published', label: 'Published' };
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-publish-action]');
+        if (!button || this.busy) return;
+
+        const action = button.dataset.publishAction;
+
+        if ((action === 'publish' || action === 'schedule') && !this.canPublish()) {
+            window.adminUtils.showError('Save your changes before publishing');
+            return;
+        }
+
+        if (action === 'publish') {
+            this.request('POST', '/publish', {});
+        } else if (action === 'schedule') {
+            const input = this.container.querySelector('.publish-at-input');
+            const publishAt = input && input.value ? new Date(input.value) : null;
+
+            if (!publishAt || isNaN(publishAt.getTime()) || publishAt <= new Date()) {
+                window.adminUtils.showError('Choose a publish time in the future');
+                return;
+            }
+
+            this.request('POST', '/publish', { publishAt: publishAt.toISOString() });
+        } else if (action === 'unpublish') {
+            if (confirm('Take this content off the public site?')) {
+                this.request('POST', '/unpublish', {});
+            }
+        } else if (action === 'cancel') {
+            this.request('DELETE', '/schedule');
+        }
+    }
+
+    async request(method, path, body = null) {
+        this.busy = true;
+        this.render();
+
+        try {
+            const options = {
+                method,
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            };
+
+            if (body) {
+                options.body = JSON.stringify(body);
+            }
+
+            const response = await window.adminUtils.authenticatedFetch(`${this.baseUrl}${path}`, options);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
+            }
+
+            // Section routes return the state at the top level, people routes under data
+            this.status = result.publication || (result.data && result.data.publication) || this.status;
+            window.adminUtils.showSuccess(result.message || 'Publish state updated');
+
+        } catch (error) {
+            console.error('Publish error:', error);
+            window.adminUtils.showError('Failed to update publish state: ' + error.message);
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date.toLocaleString();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.PublishControls = PublishControls;
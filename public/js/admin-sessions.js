@@ -0,0 +1,167 @@
+/**
+ * Admin Active Sessions JavaScript
+ * Lists the devices where the logged in user is logged in and logs them out
+ */
+
+class SessionManager {
+    constructor() {
+        this.modal = document.getElementById('sessionsModal');
+        this.list = document.getElementById('sessionList');
+        this.status = document.getElementById('sessionsStatus');
+        this.revokeOthersButton = document.getElementById('revokeOtherSessionsButton');
+
+        if (!this.modal) return;
+
+        document.getElementById('sessionsButton').addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('closeSessionsButton').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.revokeOthersButton.addEventListener('click', () => {
+            this.revokeOthers();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-id]');
+            if (button) {
+                this.revoke(button.dataset.sessionId, button);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    open() {
+        this.modal.classList.add('show');
+        this.load();
+    }
+
+    close() {
+        this.modal.classList.remove('show');
+    }
+
+    async load() {
+        this.status.textContent = 'Loading...';
+        this.status.hidden = false;
+        this.list.innerHTML = '';
+        this.revokeOthersButton.hidden = true;
+
+        try {
+            const result = await this.request('GET', '/admin/api/account/sessions');
+            this.render(result.sessions);
+        } catch (error) {
+            this.status.textContent = 'Could not load the sessions: ' + error.message;
+        }
+    }
+
+    render(sessions) {
+        this.status.hidden = true;
+        this.list.innerHTML = '';
+
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'session-item';
+
+            const info = document.createElement('div');
+
+            const device = document.createElement('div');
+            device.className = 'session-device';
+            device.textContent = session.device;
+            if (session.current) {
+                const current = document.createElement('span');
+                current.className = 'session-current';
+                current.textContent = 'This device';
+                device.appendChild(current);
+            }
+
+            const details = document.createElement('div');
+            details.className = 'session-details';
+            details.textContent = [
+                session.ip,
+                session.lastActivity ? 'Last active ' + new Date(session.lastActivity).toLocaleString() : null
+            ].filter(Boolean).join(' · ');
+
+            info.appendChild(device);
+            info.appendChild(details);
+            item.appendChild(info);
+
+            if (!session.current) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'button-secondary';
+                button.textContent = 'Log Out';
+                button.dataset.sessionId = session.id;
+                item.appendChild(button);
+            }
+
+            this.list.appendChild(item);
+        });
+
+        this.revokeOthersButton.hidden = !sessions.some(session => !session.current);
+    }
+
+    async revoke(sessionId, button) {
+        button.disabled = true;
+
+        try {
+            const result = await this.request('DELETE', `/admin/api/account/sessions/${sessionId}`);
+            window.adminUtils.showSuccess(result.message);
+            await this.load();
+        } catch (error) {
+            console.error('Session revoke error:', error);
+            window.adminUtils.showError(error.message);
+            button.disabled = false;
+        }
+    }
+
+    async revokeOthers() {
+        this.revokeOthersButton.disabled = true;
+
+        try {
+            const result = await this.request('DELETE', '/admin/api/account/sessions');
+            window.adminUtils.showSuccess(result.message);
+            await this.load();
+        } catch (error) {
+            console.error('Session revoke error:', error);
+            window.adminUtils.showError(error.message);
+        } finally {
+            this.revokeOthersButton.disabled = false;
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+}
+
+// Initialize the session list when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new SessionManager();
+});
@@ -0,0 +1,87 @@
+/**
+ * Admin Set Password JavaScript
+ * Lets a user choose a password from an invitation or password reset link
+ * (the form is posted back to the link's own address)
+ */
+
+class AdminSetPassword {
+    constructor() {
+        this.form = document.getElementById('passwordForm');
+        this.passwordInput = document.getElementById('password');
+        this.confirmInput = document.getElementById('confirmPassword');
+        this.button = document.getElementById('passwordButton');
+        this.formMessage = document.getElementById('formMessage');
+        
+        this.form.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        if (this.button.disabled) return;
+        
+        this.clearErrors();
+        
+        const password = this.passwordInput.value;
+        if (password.length < 10 || !/\p{L}/u.test(password) || !/\d/.test(password)) {
+            this.showFieldError('password', 'Password must be at least 10 characters long and contain letters and numbers');
+            return;
+        }
+        
+        if (password !== this.confirmInput.value) {
+            this.showFieldError('confirmPassword', 'Passwords do not match');
+            return;
+        }
+        
+        this.button.disabled = true;
+        
+        try {
+            const response = await fetch(window.location.pathname, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ password })
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok && data.success) {
+                this.showMessage(`${data.message} Redirecting to login...`, 'success');
+                setTimeout(() => {
+                    window.location.href = '/admin/login';
+                }, 1500);
+                return;
+            }
+            
+            const details = data.details ? data.details.map(d => d.message).join(', ') : null;
+            this.showMessage(details || data.message || data.error || 'Could not set the password. Please try again.', 'error');
+            
+        } catch (error) {
+            console.error('Set password error:', error);
+            this.showMessage('Network error. Please check your internet connection and try again.', 'error');
+        }
+        
+        this.button.disabled = false;
+    }
+    
+    showMessage(message, type = 'error') {
+        this.formMessage.textContent = message;
+        this.formMessage.className = `form-message ${type}`;
+    }
+    
+    showFieldError(fieldName, message) {
+        document.getElementById(`${fieldName}Error`).textContent = message;
+    }
+    
+    clearErrors() {
+        this.showFieldError('password', '');
+        this.showFieldError('confirmPassword', '');
+        this.showMessage('', '');
+    }
+}
+
+// Initialize the password form when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminSetPassword();
+});
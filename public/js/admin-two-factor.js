@@ -0,0 +1,175 @@
+/**
+ * Admin Two-Factor Authentication JavaScript
+ * Handles turning two-factor authentication on and off for the logged in user
+ */
+
+class TwoFactorSettings {
+    constructor() {
+        this.modal = document.getElementById('twoFactorModal');
+        this.actionButton = document.getElementById('twoFactorActionButton');
+        this.status = null;
+        this.step = 'status';
+
+        if (!this.modal) return;
+
+        document.getElementById('twoFactorButton').addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('closeTwoFactorButton').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.actionButton.addEventListener('click', () => {
+            this.handleAction();
+        });
+
+        ['twoFactorSetupForm', 'twoFactorDisableForm'].forEach(id => {
+            document.getElementById(id).addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAction();
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    async open() {
+        this.modal.classList.add('show');
+        this.showStep('status');
+        document.getElementById('twoFactorStatus').textContent = 'Loading...';
+        this.actionButton.hidden = true;
+
+        try {
+            this.status = await this.request('GET', '/admin/api/account/2fa');
+            this.showStatus();
+        } catch (error) {
+            document.getElementById('twoFactorStatus').textContent = 'Could not load the settings: ' + error.message;
+        }
+    }
+
+    close() {
+        this.modal.classList.remove('show');
+    }
+
+    showStep(step) {
+        this.step = step;
+        this.modal.querySelectorAll('[data-step]').forEach(element => {
+            element.hidden = element.dataset.step !== step;
+        });
+    }
+
+    showStatus() {
+        const statusText = this.status.enabled
+            ? `Two-factor authentication is on. You have ${this.status.recoveryCodesLeft} unused recovery codes.`
+            : 'Two-factor authentication is off. Turn it on so that logging in also needs a code from your phone.';
+
+        document.getElementById('twoFactorStatus').textContent = statusText;
+        this.showStep('status');
+        this.setAction(this.status.enabled ? 'Turn Off' : 'Turn On');
+    }
+
+    setAction(label) {
+        this.actionButton.textContent = label;
+        this.actionButton.hidden = !label;
+    }
+
+    async handleAction() {
+        if (this.actionButton.disabled) return;
+
+        this.actionButton.disabled = true;
+
+        try {
+            if (this.step === 'status' && !this.status.enabled) {
+                await this.startSetup();
+            } else if (this.step === 'status') {
+                this.showStep('disable');
+                this.setAction('Turn Off');
+                document.getElementById('twoFactorDisableCode').focus();
+            } else if (this.step === 'setup') {
+                await this.confirmSetup();
+            } else if (this.step === 'disable') {
+                await this.disable();
+            }
+        } catch (error) {
+            console.error('Two-factor settings error:', error);
+            window.adminUtils.showError(error.message);
+        } finally {
+            this.actionButton.disabled = false;
+        }
+    }
+
+    async startSetup() {
+        const result = await this.request('POST', '/admin/api/account/2fa/setup');
+
+        document.getElementById('twoFactorQr').src = result.qrCode;
+        document.getElementById('twoFactorSecret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('twoFactorSetupCode').value = '';
+
+        this.showStep('setup');
+        this.setAction('Confirm');
+        document.getElementById('twoFactorSetupCode').focus();
+    }
+
+    async confirmSetup() {
+        const code = document.getElementById('twoFactorSetupCode').value.trim();
+        const result = await this.request('POST', '/admin/api/account/2fa/enable', { code });
+
+        const list = document.getElementById('recoveryCodeList');
+        list.innerHTML = '';
+        result.recoveryCodes.forEach(recoveryCode => {
+            const item = document.createElement('li');
+            item.textContent = recoveryCode;
+            list.appendChild(item);
+        });
+
+        this.status = { enabled: true, recoveryCodesLeft: result.recoveryCodes.length };
+        this.showStep('recovery');
+        this.setAction(null);
+        window.adminUtils.showSuccess(result.message);
+    }
+
+    async disable() {
+        const value = document.getElementById('twoFactorDisableCode').value.trim();
+        const body = /^\d{6}$/.test(value.replace(/\s+/g, '')) ? { code: value } : { recoveryCode: value };
+        const result = await this.request('DELETE', '/admin/api/account/2fa', body);
+
+        document.getElementById('twoFactorDisableCode').value = '';
+        this.status = { enabled: false, recoveryCodesLeft: 0 };
+        this.showStatus();
+        window.adminUtils.showSuccess(result.message);
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+}
+
+// Initialize the two-factor settings when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new TwoFactorSettings();
+});
@@ -0,0 +1,490 @@
+/**
+ * Admin User Management JavaScript
+ * Handles inviting, creating, disabling and deleting admin users and changing their roles and passwords
+ */
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Viewer'
+};
+
+class AdminUsersManager {
+    constructor() {
+        this.users = [];
+        this.currentUserId = null;
+        this.passwordUserId = null;
+        this.isSaving = false;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.showLoading();
+
+            // Check authentication status
+            const authStatus = await window.adminUtils.checkAuthStatus();
+            if (!authStatus.isAuthenticated) {
+                window.location.href = '/admin/login';
+                return;
+            }
+
+            if (authStatus.user.role !== 'owner') {
+                window.location.href = '/admin/dashboard';
+                return;
+            }
+
+            this.setupEventListeners();
+            this.updateUserInfo(authStatus.user);
+
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('User manager initialization error:', error);
+            window.adminUtils.showError('Failed to initialize user management interface');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setupEventListeners() {
+        const userMenuButton = document.getElementById('userMenuButton');
+        const userDropdown = document.getElementById('userDropdown');
+
+        if (userMenuButton && userDropdown) {
+            userMenuButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleUserMenu();
+            });
+
+            document.addEventListener('click', () => {
+                this.closeUserMenu();
+            });
+        }
+
+        document.getElementById('logoutButton').addEventListener('click', () => {
+            this.handleLogout();
+        });
+
+        document.getElementById('addUserButton').addEventListener('click', () => {
+            this.openUserForm();
+        });
+
+        document.getElementById('cancelUserButton').addEventListener('click', () => {
+            this.closeModals();
+        });
+
+        document.getElementById('cancelPasswordButton').addEventListener('click', () => {
+            this.closeModals();
+        });
+
+        document.getElementById('userForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveUser();
+        });
+
+        document.getElementById('passwordForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePassword();
+        });
+
+        document.getElementById('copyInviteLinkButton').addEventListener('click', () => {
+            this.copyInviteLink();
+        });
+
+        // User row buttons (delegated event handling)
+        const list = document.getElementById('usersList');
+        list.addEventListener('click', (e) => {
+            this.handleListClick(e);
+        });
+
+        list.addEventListener('change', (e) => {
+            if (e.target.matches('[data-action="role"]')) {
+                this.changeRole(this.getRowUser(e.target), e.target.value);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeUserMenu();
+                this.closeModals();
+            }
+        });
+    }
+
+    async loadUsers() {
+        try {
+            const result = await this.request('GET', '/admin/api/users');
+            this.users = result.users || [];
+            this.currentUserId = result.currentUserId;
+            this.renderUsers();
+
+        } catch (error) {
+            console.error('Error loading users:', error);
+            window.adminUtils.showError('Failed to load users: ' + error.message);
+        }
+    }
+
+    renderUsers() {
+        const list = document.getElementById('usersList');
+        document.getElementById('loadingState').style.display = 'none';
+        list.style.display = 'flex';
+
+        list.innerHTML = this.users.map(user => {
+            const isSelf = user.id === this.currentUserId;
+            const roleOptions = Object.entries(ROLE_LABELS)
+                .map(([role, label]) => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${label}</option>`)
+                .join('');
+
+            return `
+                <li class="user-row ${user.disabled ? 'is-disabled' : ''}" data-user-id="${user.id}">
+                    <div class="user-row-info">
+                        <h3 class="user-row-name">
+                            ${this.escapeHtml(user.username)}
+                            ${isSelf ? '<span class="user-badge">You</span>' : ''}
+                            ${user.invite_pending ? '<span class="user-badge user-badge-pending">Invited</span>' : ''}
+                            ${user.disabled ? '<span class="user-badge user-badge-disabled">Disabled</span>' : ''}
+                            ${user.two_factor_enabled ? '<span class="user-badge user-badge-owner">2FA</span>' : ''}
+                        </h3>
+                        <p class="user-row-meta">${this.escapeHtml(this.formatMeta(user))}</p>
+                    </div>
+                    <div class="user-row-actions">
+                        <select data-action="role" aria-label="Role of ${this.escapeHtml(user.username)}" ${isSelf ? 'disabled' : ''}>
+                            ${roleOptions}
+                        </select>
+                        ${user.invite_pending
+                            ? '<button class="button-secondary button-small" data-action="invite">New Invite Link</button>'
+                            : '<button class="button-secondary button-small" data-action="password">Set Password</button>'}
+                        ${user.two_factor_enabled && !isSelf
+                            ? '<button class="button-secondary button-small" data-action="reset-2fa">Reset 2FA</button>'
+                            : ''}
+                        ${isSelf ? '' : `
+                            <button class="button-secondary button-small" data-action="toggle">${user.disabled ? 'Enable' : 'Disable'}</button>
+                            <button class="button-secondary button-small user-delete-button" data-action="delete">Delete</button>
+                        `}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    formatMeta(user) {
+        const lastLogin = user.last_login
+            ? `last login ${new Date(user.last_login).toLocaleString()}`
+            : 'never logged in';
+        return [user.email, lastLogin].filter(Boolean).join(' · ');
+    }
+
+    getRowUser(element) {
+        const userId = parseInt(element.closest('.user-row').dataset.userId, 10);
+        return this.users.find(u => u.id === userId);
+    }
+
+    handleListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const user = this.getRowUser(button);
+        if (!user) return;
+
+        switch (button.dataset.action) {
+            case 'password':
+                this.openPasswordForm(user);
+                break;
+            case 'invite':
+                this.renewInvite(user);
+                break;
+            case 'reset-2fa':
+                this.resetTwoFactor(user);
+                break;
+            case 'toggle':
+                this.toggleDisabled(user);
+                break;
+            case 'delete':
+                this.deleteUser(user);
+                break;
+        }
+    }
+
+    openUserForm() {
+        document.getElementById('userForm').reset();
+        document.getElementById('userModal').classList.add('show');
+        document.getElementById('userUsername').focus();
+    }
+
+    openPasswordForm(user) {
+        document.getElementById('passwordForm').reset();
+        this.passwordUserId = user.id;
+        document.getElementById('passwordModalTitle').textContent = `Set Password for ${user.username}`;
+        document.getElementById('passwordModal').classList.add('show');
+        document.getElementById('newUserPassword').focus();
+    }
+
+    closeModals() {
+        document.getElementById('userModal').classList.remove('show');
+        document.getElementById('passwordModal').classList.remove('show');
+        this.passwordUserId = null;
+    }
+
+    async saveUser() {
+        if (this.isSaving) return;
+
+        const data = {
+            username: document.getElementById('userUsername').value.trim(),
+            email: document.getElementById('userEmail').value.trim(),
+            role: document.getElementById('userRole').value,
+            password: document.getElementById('userPassword').value
+        };
+
+        if (!data.username || !data.email) {
+            window.adminUtils.showError('Username and email are required');
+            return;
+        }
+
+        try {
+            this.isSaving = true;
+            document.getElementById('saveUserButton').disabled = true;
+
+            const result = await this.request('POST', '/admin/api/users', data);
+
+            window.adminUtils.showSuccess(result.message);
+            this.closeModals();
+
+            if (result.inviteUrl) {
+                this.showInviteLink(result.user, result.inviteUrl);
+            }
+
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error saving user:', error);
+            window.adminUtils.showError('Failed to save user: ' + error.message);
+        } finally {
+            this.isSaving = false;
+            document.getElementById('saveUserButton').disabled = false;
+        }
+    }
+
+    async savePassword() {
+        if (this.isSaving || this.passwordUserId === null) return;
+
+        const password = document.getElementById('newUserPassword').value;
+        if (password.length < 10) {
+            window.adminUtils.showError('Password must be at least 10 characters long');
+            return;
+        }
+
+        try {
+            this.isSaving = true;
+            document.getElementById('savePasswordButton').disabled = true;
+
+            const result = await this.request('PUT', `/admin/api/users/${this.passwordUserId}/password`, { password });
+
+            window.adminUtils.showSuccess(result.message);
+            this.closeModals();
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error setting password:', error);
+            window.adminUtils.showError('Failed to set password: ' + error.message);
+        } finally {
+            this.isSaving = false;
+            document.getElementById('savePasswordButton').disabled = false;
+        }
+    }
+
+    async changeRole(user, role) {
+        try {
+            const result = await this.request('PUT', `/admin/api/users/${user.id}`, { role });
+            window.adminUtils.showSuccess(result.message);
+
+        } catch (error) {
+            console.error('Error changing role:', error);
+            window.adminUtils.showError('Failed to change role: ' + error.message);
+        }
+
+        await this.loadUsers();
+    }
+
+    async toggleDisabled(user) {
+        if (!user.disabled && !confirm(`Disable ${user.username}? They will be logged out and cannot log in until enabled again.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.request('PUT', `/admin/api/users/${user.id}`, { disabled: !user.disabled });
+            window.adminUtils.showSuccess(result.message);
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error updating user:', error);
+            window.adminUtils.showError('Failed to update user: ' + error.message);
+        }
+    }
+
+    async resetTwoFactor(user) {
+        if (!confirm(`Turn off two-factor authentication for ${user.username}? Only do this if they lost both their phone and their recovery codes.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.request('DELETE', `/admin/api/users/${user.id}/2fa`);
+            window.adminUtils.showSuccess(result.message);
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error resetting two-factor authentication:', error);
+            window.adminUtils.showError('Failed to reset two-factor authentication: ' + error.message);
+        }
+    }
+
+    async renewInvite(user) {
+        try {
+            const result = await this.request('POST', `/admin/api/users/${user.id}/invite`);
+            window.adminUtils.showSuccess(result.message);
+            this.showInviteLink(result.user, result.inviteUrl);
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error renewing invitation:', error);
+            window.adminUtils.showError('Failed to create invitation link: ' + error.message);
+        }
+    }
+
+    async deleteUser(user) {
+        if (!confirm(`Delete ${user.username}? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.request('DELETE', `/admin/api/users/${user.id}`);
+            window.adminUtils.showSuccess(result.message);
+            await this.loadUsers();
+
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            window.adminUtils.showError('Failed to delete user: ' + error.message);
+        }
+    }
+
+    showInviteLink(user, inviteUrl) {
+        document.getElementById('inviteLinkUser').textContent = user.username;
+        document.getElementById('inviteLinkInput').value = inviteUrl;
+        document.getElementById('inviteLinkPanel').hidden = false;
+    }
+
+    async copyInviteLink() {
+        const input = document.getElementById('inviteLinkInput');
+
+        try {
+            await navigator.clipboard.writeText(input.value);
+            window.adminUtils.showSuccess('Invitation link copied');
+        } catch (error) {
+            input.select();
+        }
+    }
+
+    async request(method, url, body = null) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        };
+
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await window.adminUtils.authenticatedFetch(url, options);
+        const result = await response.json();
+
+        if (!response.ok) {
+            const details = result.details ? result.details.map(d => d.message).join(', ') : null;
+            throw new Error(details || result.message || result.error || `HTTP ${response.status}`);
+        }
+
+        return result;
+    }
+
+    updateUserInfo(user) {
+        const usernameElement = document.getElementById('adminUsername');
+        if (usernameElement && user) {
+            usernameElement.textContent = user.username;
+        }
+    }
+
+    toggleUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            const isExpanded = button.getAttribute('aria-expanded') === 'true';
+            button.setAttribute('aria-expanded', !isExpanded);
+            dropdown.classList.toggle('show');
+        }
+    }
+
+    closeUserMenu() {
+        const button = document.getElementById('userMenuButton');
+        const dropdown = document.getElementById('userDropdown');
+
+        if (button && dropdown) {
+            button.setAttribute('aria-expanded', 'false');
+            dropdown.classList.remove('show');
+        }
+    }
+
+    async handleLogout() {
+        try {
+            this.showLoading();
+
+            const response = await window.adminUtils.authenticatedFetch('/admin/logout', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                window.location.href = '/admin/login';
+            } else {
+                throw new Error('Logout failed');
+            }
+
+        } catch (error) {
+            console.error('Logout error:', error);
+            window.adminUtils.showError('Logout failed. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.add('show');
+        }
+    }
+
+    hideLoading() {
+        const overlay = document.getElementById('loadingOverlay');
+        if (overlay) {
+            overlay.classList.remove('show');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the user manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new AdminUsersManager();
+});
@@ -26,6 +26,38 @@ const passiveSupported = (() => {
 let intersectionObserver;
 let imageObserver;
 
+// Page language, set by the server (/en/... pages are 'en')
+const SITE_LOCALE = document.documentElement.lang || 'lv';
+
+/**
+ * Get an interface string in the page language
+ * The Latvian text stays in this file; other languages come from window.SITE_STRINGS,
+ * which the server adds to pages that are not in Latvian
+ * @param {string} key - Dotted key, e.g. 'contact.success'
+ * @param {string} fallback - Latvian text, used when the string has not been translated
+ * @param {Object} values - Values for {placeholders}
+ * @returns {string} Translated string
+ */
+function translate(key, fallback, values = {}) {
+    const text = key.split('.').reduce((node, part) => (node ? node[part] : undefined), window.SITE_STRINGS);
+    return (typeof text === 'string' ? text : fallback)
+        .replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Add the page language prefix to a site path (/interesanti/anna -> /en/interesanti/anna)
+ */
+function localizePath(path) {
+    return SITE_LOCALE === 'lv' ? path : `/${SITE_LOCALE}${path}`;
+}
+
+/**
+ * Ask a public API for content in the page language
+ */
+function withLocale(url) {
+    return SITE_LOCALE === 'lv' ? url : `${url}${url.includes('?') ? '&' : '?'}locale=${SITE_LOCALE}`;
+}
+
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize core functionality first
     initNavigation();
@@ -42,9 +74,12 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize sections with lazy loading
     initInteresantiSection();
     initGramatasSection();
+    initBooksShowcase();
     initFragmentiSection();
     initFragmentiGallery();
     initContactForm();
+    initNewsletterForm();
+    initSiteSearch();
     
     // Initialize accessibility features
     initAccessibilityFeatures();
@@ -100,7 +135,9 @@ function initMobileMenu() {
         
         // Update ARIA attributes
         navToggle.setAttribute('aria-expanded', !isExpanded);
-        navToggle.setAttribute('aria-label', isExpanded ? 'Atvērt navigācijas izvēlni' : 'Aizvērt navigācijas izvēlni');
+        navToggle.setAttribute('aria-label', isExpanded
+            ? translate('nav.openMenu', 'Atvērt navigācijas izvēlni')
+            : translate('nav.closeMenu', 'Aizvērt navigācijas izvēlni'));
     });
 
     // Close mobile menu when clicking on a link
@@ -109,7 +146,7 @@ function initMobileMenu() {
             navMenu.classList.remove('active');
             document.body.classList.remove('nav-open');
             navToggle.setAttribute('aria-expanded', 'false');
-            navToggle.setAttribute('aria-label', 'Atvērt navigācijas izvēlni');
+            navToggle.setAttribute('aria-label', translate('nav.openMenu', 'Atvērt navigācijas izvēlni'));
         });
     });
 
@@ -119,7 +156,7 @@ function initMobileMenu() {
             navMenu.classList.remove('active');
             document.body.classList.remove('nav-open');
             navToggle.setAttribute('aria-expanded', 'false');
-            navToggle.setAttribute('aria-label', 'Atvērt navigācijas izvēlni');
+            navToggle.setAttribute('aria-label', translate('nav.openMenu', 'Atvērt navigācijas izvēlni'));
         }
     });
 
@@ -129,7 +166,7 @@ function initMobileMenu() {
             navMenu.classList.remove('active');
             document.body.classList.remove('nav-open');
             navToggle.setAttribute('aria-expanded', 'false');
-            navToggle.setAttribute('aria-label', 'Atvērt navigācijas izvēlni');
+            navToggle.setAttribute('aria-label', translate('nav.openMenu', 'Atvērt navigācijas izvēlni'));
             navToggle.focus();
         }
     });
@@ -828,7 +865,7 @@ async function loadInteresantiContent() {
     try {
         showContentLoadingState('interesanti', true);
         
-        const response = await fetch('/api/content/interesanti');
+        const response = await fetch(withLocale('/api/content/interesanti'));
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -874,6 +911,7 @@ function renderInteresantiContent(contentItems) {
                 const contentDiv = document.createElement('div');
                 contentDiv.className = 'dynamic-content';
                 contentDiv.innerHTML = item.content;
+                contentDiv.lang = item.locale || SITE_LOCALE;
                 authorBio.appendChild(contentDiv);
             }
         });
@@ -944,7 +982,7 @@ async function loadGramatasContent() {
     try {
         showContentLoadingState('gramatas', true);
         
-        const response = await fetch('/api/content/gramatas');
+        const response = await fetch(withLocale('/api/content/gramatas'));
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -990,6 +1028,7 @@ function renderGramatasContent(contentItems) {
                 const contentDiv = document.createElement('div');
                 contentDiv.className = 'dynamic-content books-intro-text';
                 contentDiv.innerHTML = item.content;
+                contentDiv.lang = item.locale || SITE_LOCALE;
                 booksIntro.appendChild(contentDiv);
             }
         });
@@ -1003,6 +1042,140 @@ function renderGramatasContent(contentItems) {
     }
 }
 
+/**
+ * Initialize the books showcase in the Grāmatas section
+ */
+function initBooksShowcase() {
+    // Replace the static book entries with the books managed in the admin panel
+    loadBooks();
+}
+
+/**
+ * Load books from API
+ */
+async function loadBooks() {
+    try {
+        const response = await fetch('/api/books');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        
+        if (data.success && Array.isArray(data.books)) {
+            renderBooksShowcase(data.books);
+        } else {
+            console.log('No books returned, using static books');
+        }
+        
+    } catch (error) {
+        console.error('Error loading books:', error);
+        console.log('Falling back to static books');
+    }
+}
+
+/**
+ * Render the books showcase in the DOM
+ * @param {Array} books - Books in display order
+ */
+function renderBooksShowcase(books) {
+    const showcase = document.getElementById('books-showcase');
+    
+    if (!showcase) {
+        console.error('Books showcase container not found');
+        return;
+    }
+    
+    const existingContent = showcase.innerHTML;
+    
+    try {
+        showcase.innerHTML = '';
+        books.forEach((book, index) => {
+            showcase.appendChild(createBookEntry(book, index));
+        });
+        
+        console.log(`Rendered ${books.length} books`);
+        
+    } catch (error) {
+        console.error('Error rendering books:', error);
+        // Restore static books on error
+        showcase.innerHTML = existingContent;
+    }
+}
+
+/**
+ * Create the cover image of a book, offering WebP and resized variants when available
+ * @param {Object} book - Book data
+ * @returns {string} Cover image HTML
+ */
+function createBookCoverHTML(book) {
+    const responsive = book.cover_image_responsive;
+    const sizes = '(max-width: 768px) 250px, 280px';
+    const image = `<img src="${escapeHtml(book.cover_image)}" alt="Grāmatas '${escapeHtml(book.title)}' vāks"
+                    class="book-image" loading="lazy" width="280" height="350"`;
+    
+    if (!responsive) {
+        return `${image}>`;
+    }
+    
+    return `
+                <picture>
+                    <source type="image/webp" srcset="${escapeHtml(responsive.webpSrcset)}" sizes="${sizes}">
+                    ${image} srcset="${escapeHtml(responsive.srcset)}" sizes="${sizes}">
+                </picture>
+            `;
+}
+
+/**
+ * Create a book entry element
+ * @param {Object} book - Book data
+ * @param {number} index - Position in the showcase
+ * @returns {HTMLElement} Book entry element
+ */
+function createBookEntry(book, index) {
+    // Cycle through the three decoration placements used by the original layout
+    const decorationVariants = [
+        { className: 'book-decoration-1', imageClass: 'decoration-character', size: 80 },
+        { className: 'book-decoration-2', imageClass: 'decoration-character-2', size: 70 },
+        { className: 'book-decoration-3', imageClass: 'decoration-characters', size: 90 }
+    ];
+    const decoration = decorationVariants[index % decorationVariants.length];
+    const titleId = `book-${book.id}-title`;
+    
+    const details = [
+        book.publisher,
+        book.publication_year,
+        book.isbn ? `ISBN ${book.isbn}` : null
+    ].filter(Boolean);
+    
+    const entry = document.createElement('article');
+    entry.className = 'book-entry';
+    entry.setAttribute('data-book', `book-${book.id}`);
+    entry.setAttribute('aria-labelledby', titleId);
+    
+    entry.innerHTML = `
+        <div class="book-image-container">
+            ${book.cover_image ? createBookCoverHTML(book) : ''}
+            ${book.decoration_image ? `
+                <div class="book-decoration ${decoration.className}" aria-hidden="true">
+                    <img src="${escapeHtml(book.decoration_image)}" alt="" class="${decoration.imageClass}"
+                        loading="lazy" width="${decoration.size}" height="${decoration.size}" role="presentation">
+                </div>
+            ` : ''}
+        </div>
+        <div class="book-content">
+            <div class="book-text">
+                <h3 id="${titleId}" class="book-title">${escapeHtml(book.title)}</h3>
+                <p class="book-description">${escapeHtml(book.description)}</p>
+                ${details.length ? `<p class="book-details">${details.map(detail => escapeHtml(String(detail))).join(' · ')}</p>` : ''}
+            </div>
+        </div>
+    `;
+    
+    return entry;
+}
+
 /**
  * Initialize Fragmenti section functionality
  */
@@ -1018,7 +1191,7 @@ async function loadFragmentiContent() {
     try {
         showContentLoadingState('fragmenti', true);
         
-        const response = await fetch('/api/content/fragmenti');
+        const response = await fetch(withLocale('/api/content/fragmenti'));
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -1071,6 +1244,7 @@ function renderFragmentiContent(contentItems) {
                 const contentDiv = document.createElement('div');
                 contentDiv.className = 'dynamic-content';
                 contentDiv.innerHTML = item.content;
+                contentDiv.lang = item.locale || SITE_LOCALE;
                 contentArea.appendChild(contentDiv);
             }
         });
@@ -1102,10 +1276,20 @@ function initFragmentiGallery() {
 
 }
 
+// Fragmenti gallery images in display order (shared by the grid and the lightbox)
+let galleryImages = [];
+
+// Shown only if the gallery API cannot be reached
+const FALLBACK_GALLERY_IMAGES = [
+    { src: '/media/book_preview.jpg', alt: 'Grāmatas fragmenta priekšskatījums 1', caption: null, bookTitle: null },
+    { src: '/media/book_preview_2.jpg', alt: 'Grāmatas fragmenta priekšskatījums 2', caption: null, bookTitle: null },
+    { src: '/media/book_preview_3.jpg', alt: 'Grāmatas fragmenta priekšskatījums 3', caption: null, bookTitle: null }
+];
+
 /**
  * Load and display gallery images
  */
-function loadGalleryImages() {
+async function loadGalleryImages() {
     const galleryContainer = document.getElementById('gallery-grid');
     
     if (!galleryContainer) {
@@ -1115,69 +1299,97 @@ function loadGalleryImages() {
     
     console.log('Loading gallery images...');
     
-    // Define available preview images with fallbacks
-    const previewImages = [
-        {
-            src: 'media/book_preview.jpg',
-            fallback: 'media/book_1.jpg', // Fallback to book cover if preview not available
-            alt: 'Grāmatas fragmenta priekšskatījums 1',
-            title: 'Grāmatas fragments'
-        },
-        {
-            src: 'media/book_preview_2.jpg',
-            fallback: 'media/book_2.jpg',
-            alt: 'Grāmatas fragmenta priekšskatījums 2',
-            title: 'Grāmatas fragments'
-        },
-        {
-            src: 'media/book_preview_3.jpg',
-            fallback: 'media/book_3.jpg',
-            alt: 'Grāmatas fragmenta priekšskatījums 3',
-            title: 'Grāmatas fragments'
+    // Clear placeholder content and add loading state
+    galleryContainer.innerHTML = '';
+    galleryContainer.classList.add('loading');
+    
+    let groups;
+    try {
+        const response = await fetch('/api/gallery');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
-    ];
+        
+        const data = await response.json();
+        groups = data.groups.map(group => ({
+            bookTitle: group.book ? group.book.title : null,
+            images: group.images.map(image => ({
+                src: image.image_path,
+                alt: image.alt_text,
+                caption: image.caption,
+                bookTitle: image.book_title,
+                responsive: image.responsive
+            }))
+        }));
+        
+    } catch (error) {
+        console.error('Error loading gallery images:', error);
+        console.log('Falling back to static gallery images');
+        groups = [{ bookTitle: null, images: FALLBACK_GALLERY_IMAGES }];
+    }
     
-    // Clear placeholder content
-    galleryContainer.innerHTML = '';
+    renderGallery(groups, galleryContainer);
+}
+
+/**
+ * Render gallery groups into the grid (a heading is shown for each linked book)
+ * @param {Array} groups - Groups of { bookTitle, images }
+ * @param {HTMLElement} galleryContainer - Gallery grid element
+ */
+function renderGallery(groups, galleryContainer) {
+    galleryImages = groups.flatMap(group => group.images);
     
-    // Add loading state
-    galleryContainer.classList.add('loading');
+    if (galleryImages.length === 0) {
+        galleryContainer.classList.remove('loading');
+        console.log('Gallery has no images');
+        return;
+    }
     
-    // Create gallery items
     let loadedImages = 0;
-    const totalImages = previewImages.length;
-    
-    previewImages.forEach((image, index) => {
-        console.log(`Creating gallery item ${index + 1}:`, image.src);
-        const galleryItem = createGalleryItem(image, index, () => {
-            loadedImages++;
-            console.log(`Image ${index + 1} loaded. Total loaded: ${loadedImages}/${totalImages}`);
-            if (loadedImages === totalImages) {
-                galleryContainer.classList.remove('loading');
-                console.log('All gallery images loaded');
-            }
+    const totalImages = galleryImages.length;
+    const onLoad = () => {
+        loadedImages++;
+        if (loadedImages === totalImages) {
+            galleryContainer.classList.remove('loading');
+            console.log('All gallery images loaded');
+        }
+    };
+    
+    let index = 0;
+    groups.forEach(group => {
+        if (group.bookTitle) {
+            const heading = document.createElement('h3');
+            heading.className = 'gallery-group-title';
+            heading.textContent = group.bookTitle;
+            galleryContainer.appendChild(heading);
+        }
+        
+        group.images.forEach(image => {
+            galleryContainer.appendChild(createGalleryItem(image, index, onLoad));
+            index++;
         });
-        galleryContainer.appendChild(galleryItem);
     });
     
-    console.log(`Gallery setup complete. Created ${previewImages.length} items.`);
+    console.log(`Gallery setup complete. Created ${totalImages} items.`);
 }
 
 /**
  * Create individual gallery item
  */
 function createGalleryItem(imageData, index, onLoad) {
+    const title = getGalleryImageTitle(imageData);
     const galleryItem = document.createElement('div');
     galleryItem.className = 'gallery-item';
     galleryItem.setAttribute('data-index', index);
     galleryItem.setAttribute('role', 'button');
     galleryItem.setAttribute('tabindex', '0');
-    galleryItem.setAttribute('aria-label', `Atvērt ${imageData.title} lielākā izmērā`);
+    galleryItem.setAttribute('aria-label', translate('gallery.open', 'Atvērt {title} lielākā izmērā', { title }));
     
     // Add click handler to entire gallery item
     galleryItem.addEventListener('click', function() {
         openLightbox(index);
-        announceToScreenReader(`Atvērts ${imageData.title} priekšskatījums`);
+        announceToScreenReader(translate('gallery.opened', 'Atvērts {title} priekšskatījums', { title }));
     });
     
     // Add keyboard support
@@ -1185,7 +1397,7 @@ function createGalleryItem(imageData, index, onLoad) {
         if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
             openLightbox(index);
-            announceToScreenReader(`Atvērts ${imageData.title} priekšskatījums`);
+            announceToScreenReader(translate('gallery.opened', 'Atvērts {title} priekšskatījums', { title }));
         }
     });
     
@@ -1196,10 +1408,27 @@ function createGalleryItem(imageData, index, onLoad) {
     // Load images immediately instead of lazy loading for gallery
     image.src = imageData.src;
     image.alt = imageData.alt;
-    image.title = imageData.title;
+    image.title = title;
     image.className = 'gallery-image';
     image.loading = 'eager';
     
+    // Let the browser pick a resized (and WebP) variant for the grid; the lightbox keeps the original
+    let picture = null;
+    if (imageData.responsive) {
+        const sizes = '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px';
+        image.srcset = imageData.responsive.srcset;
+        image.sizes = sizes;
+        
+        const source = document.createElement('source');
+        source.type = 'image/webp';
+        source.srcset = imageData.responsive.webpSrcset;
+        source.sizes = sizes;
+        
+        picture = document.createElement('picture');
+        picture.appendChild(source);
+        picture.appendChild(image);
+    }
+    
     // Add loading success handler
     image.addEventListener('load', function() {
         this.classList.remove('lazy');
@@ -1207,17 +1436,15 @@ function createGalleryItem(imageData, index, onLoad) {
         if (onLoad) onLoad();
     });
     
-    // Add loading error handler with fallback
+    // Add loading error handler
     image.addEventListener('error', function() {
-        // Try fallback image if available
-        if (imageData.fallback && this.src !== imageData.fallback) {
-            this.src = imageData.fallback;
-            return;
+        // Use placeholder if the image is missing
+        if (picture) {
+            picture.querySelectorAll('source').forEach(source => source.remove());
+            this.removeAttribute('srcset');
         }
-        
-        // Use placeholder if fallback also fails
         this.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZGRkIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkF0dMSTbHMgbmVhdHJhc3RzPC90ZXh0Pjwvc3ZnPg==';
-        this.alt = 'Attēls nav pieejams';
+        this.alt = translate('imageUnavailable', 'Attēls nav pieejams');
         this.classList.remove('lazy');
         this.classList.add('loaded');
         if (onLoad) onLoad();
@@ -1235,19 +1462,34 @@ function createGalleryItem(imageData, index, onLoad) {
     
     const overlayText = document.createElement('div');
     overlayText.className = 'gallery-overlay-text';
-    overlayText.textContent = 'Skatīt lielāku';
+    overlayText.textContent = translate('gallery.viewLarger', 'Skatīt lielāku');
     overlayText.setAttribute('aria-hidden', 'true');
     
     overlay.appendChild(overlayIcon);
     overlay.appendChild(overlayText);
     
-    imageContainer.appendChild(image);
+    imageContainer.appendChild(picture || image);
     imageContainer.appendChild(overlay);
+    
+    if (imageData.caption) {
+        const caption = document.createElement('p');
+        caption.className = 'gallery-caption';
+        caption.textContent = imageData.caption;
+        imageContainer.appendChild(caption);
+    }
+    
     galleryItem.appendChild(imageContainer);
     
     return galleryItem;
 }
 
+/**
+ * Get the display title of a gallery image (its book's title when linked)
+ */
+function getGalleryImageTitle(imageData) {
+    return imageData.bookTitle || translate('gallery.fragment', 'Grāmatas fragments');
+}
+
 /**
  * Initialize lightbox functionality
  */
@@ -1270,18 +1512,19 @@ function initLightbox() {
         <div class="lightbox-backdrop"></div>
         <div class="lightbox-content">
             <div class="lightbox-header">
-                <h3 id="lightbox-title" class="lightbox-title">Grāmatas fragments</h3>
-                <button class="lightbox-close" aria-label="Aizvērt priekšskatījumu">×</button>
+                <h3 id="lightbox-title" class="lightbox-title">${escapeHtml(translate('gallery.fragment', 'Grāmatas fragments'))}</h3>
+                <button class="lightbox-close" aria-label="${escapeHtml(translate('gallery.close', 'Aizvērt priekšskatījumu'))}">×</button>
             </div>
             <div class="lightbox-body">
                 <img class="lightbox-image" src="" alt="" />
                 <div class="lightbox-navigation">
-                    <button class="lightbox-prev" aria-label="Iepriekšējais attēls">‹</button>
-                    <button class="lightbox-next" aria-label="Nākamais attēls">›</button>
+                    <button class="lightbox-prev" aria-label="${escapeHtml(translate('gallery.previous', 'Iepriekšējais attēls'))}">‹</button>
+                    <button class="lightbox-next" aria-label="${escapeHtml(translate('gallery.next', 'Nākamais attēls'))}">›</button>
                 </div>
             </div>
             <div class="lightbox-footer">
-                <span class="lightbox-counter">1 / 3</span>
+                <p class="lightbox-caption"></p>
+                <span class="lightbox-counter">1 / 1</span>
             </div>
         </div>
     `;
@@ -1328,38 +1571,24 @@ function openLightbox(imageIndex) {
         return;
     }
     
+    const currentImage = galleryImages[imageIndex];
+    if (!currentImage) return;
+    
     const lightboxImage = lightbox.querySelector('.lightbox-image');
+    const lightboxTitle = lightbox.querySelector('.lightbox-title');
+    const lightboxCaption = lightbox.querySelector('.lightbox-caption');
     const lightboxCounter = lightbox.querySelector('.lightbox-counter');
     
-    const previewImages = [
-        {
-            src: 'media/book_preview.jpg',
-            fallback: 'media/book_1.jpg',
-            alt: 'Grāmatas fragmenta priekšskatījums 1',
-            title: 'Grāmatas fragments'
-        },
-        {
-            src: 'media/book_preview_2.jpg',
-            fallback: 'media/book_2.jpg',
-            alt: 'Grāmatas fragmenta priekšskatījums 2',
-            title: 'Grāmatas fragments'
-        },
-        {
-            src: 'media/book_preview_3.jpg',
-            fallback: 'media/book_3.jpg',
-            alt: 'Grāmatas fragmenta priekšskatījums 3',
-            title: 'Grāmatas fragments'
-        }
-    ];
-    
     // Store current index
     lightbox.setAttribute('data-current-index', imageIndex);
     
-    // Update image and counter
-    const currentImage = previewImages[imageIndex];
+    // Update image, caption and counter
     lightboxImage.src = currentImage.src;
     lightboxImage.alt = currentImage.alt;
-    lightboxCounter.textContent = `${imageIndex + 1} / ${previewImages.length}`;
+    lightboxTitle.textContent = getGalleryImageTitle(currentImage);
+    lightboxCaption.textContent = currentImage.caption || '';
+    lightboxCaption.hidden = !currentImage.caption;
+    lightboxCounter.textContent = `${imageIndex + 1} / ${galleryImages.length}`;
     
     // Show lightbox
     lightbox.classList.add('active');
@@ -1380,7 +1609,7 @@ function closeLightbox() {
     
     // Return focus to the gallery item that was clicked
     const currentIndex = parseInt(lightbox.getAttribute('data-current-index'));
-    const galleryItems = document.querySelectorAll('.gallery-image');
+    const galleryItems = document.querySelectorAll('.gallery-item');
     if (galleryItems[currentIndex]) {
         galleryItems[currentIndex].focus();
     }
@@ -1392,7 +1621,8 @@ function closeLightbox() {
 function navigateLightbox(direction) {
     const lightbox = document.getElementById('gallery-lightbox');
     const currentIndex = parseInt(lightbox.getAttribute('data-current-index'));
-    const totalImages = 3; // Number of preview images
+    const totalImages = galleryImages.length;
+    if (totalImages === 0) return;
     
     let newIndex = currentIndex + direction;
     
@@ -1406,6 +1636,153 @@ function navigateLightbox(direction) {
     openLightbox(newIndex);
 }
 
+// Labels of search result types
+const SEARCH_RESULT_TYPES = {
+    person: translate('search.types.person', 'Interesanti'),
+    section: translate('search.types.section', 'Sadaļa'),
+    book: translate('search.types.book', 'Grāmata')
+};
+
+/**
+ * Initialize the site search box in the header
+ */
+function initSiteSearch() {
+    const form = document.getElementById('site-search');
+    const input = document.getElementById('site-search-input');
+    const resultsContainer = document.getElementById('site-search-results');
+    
+    if (!form || !input || !resultsContainer) return;
+    
+    let activeController = null;
+    
+    const closeResults = () => {
+        resultsContainer.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+    };
+    
+    const showResults = (html) => {
+        resultsContainer.innerHTML = html;
+        resultsContainer.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    };
+    
+    const runSearch = debounce(async () => {
+        const query = input.value.trim();
+        
+        if (query.length < 2) {
+            closeResults();
+            return;
+        }
+        
+        // Only the latest search is shown
+        if (activeController) {
+            activeController.abort();
+        }
+        activeController = new AbortController();
+        
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=8`, {
+                signal: activeController.signal
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            showResults(renderSearchResults(data.results, query));
+            announceToScreenReader(translate('search.found', 'Atrasti {count} rezultāti', { count: data.meta.total }));
+            
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error('Search failed:', error);
+            showResults(`<p class="site-search-message">${escapeHtml(translate('search.unavailable', 'Meklēšana pašlaik nav pieejama. Lūdzu, mēģiniet vēlāk.'))}</p>`);
+        }
+    }, 250);
+    
+    input.addEventListener('input', runSearch);
+    input.addEventListener('focus', () => {
+        if (resultsContainer.innerHTML && input.value.trim().length >= 2) {
+            resultsContainer.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+    });
+    
+    // Enter opens the best match
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const firstResult = resultsContainer.querySelector('.site-search-result a');
+        if (firstResult) {
+            window.location.href = firstResult.href;
+        }
+    });
+    
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeResults();
+            input.focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const links = Array.from(resultsContainer.querySelectorAll('.site-search-result a'));
+            if (links.length === 0 || resultsContainer.hidden) return;
+            
+            e.preventDefault();
+            const index = links.indexOf(document.activeElement);
+            const next = e.key === 'ArrowDown'
+                ? Math.min(index + 1, links.length - 1)
+                : index - 1;
+            (next >= 0 ? links[next] : input).focus();
+        }
+    });
+    
+    // Close when clicking outside or following a link to a section on this page
+    document.addEventListener('click', (e) => {
+        if (!form.contains(e.target)) {
+            closeResults();
+        }
+    });
+    resultsContainer.addEventListener('click', (e) => {
+        if (e.target.closest('.site-search-result a')) {
+            closeResults();
+        }
+    });
+}
+
+/**
+ * Render search results (titles and snippets come highlighted and escaped from the server)
+ * @param {Array} results - Search results
+ * @param {string} query - Search text
+ * @returns {string} Results HTML
+ */
+function renderSearchResults(results, query) {
+    if (!results || results.length === 0) {
+        const message = translate('search.noResults', 'Nekas netika atrasts pēc vaicājuma „{query}”.', { query });
+        return `<p class="site-search-message">${escapeHtml(message)}</p>`;
+    }
+    
+    return `
+        <ul class="site-search-list">
+            ${results.map(result => `
+                <li class="site-search-result">
+                    <a href="${escapeHtml(getSearchResultHref(result.url))}">
+                        <span class="site-search-result-type">${escapeHtml(SEARCH_RESULT_TYPES[result.type] || result.type)}</span>
+                        <span class="site-search-result-title">${result.title}</span>
+                        ${result.snippet ? `<span class="site-search-result-snippet">${result.snippet}</span>` : ''}
+                    </a>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// Results link to the page in the current language; sections of this page are linked
+// by anchor only, so following them does not reload the page
+function getSearchResultHref(url) {
+    const homePath = localizePath('/');
+    const onHomePage = window.location.pathname === homePath || `${window.location.pathname}/` === homePath;
+    return url.startsWith('/#') && onHomePage ? url.slice(1) : localizePath(url);
+}
+
 /**
  * Initialize contact form functionality
  */
@@ -1422,6 +1799,8 @@ function initContactForm() {
     const messageInput = document.getElementById('contact-message');
     const submitButton = document.getElementById('contact-submit');
     const successMessage = document.getElementById('contact-success');
+    const websiteInput = document.getElementById('contact-website');
+    const tokenInput = document.getElementById('contact-form-token');
     
     // Form validation rules
     const validationRules = {
@@ -1431,10 +1810,10 @@ function initContactForm() {
             maxLength: 50,
             pattern: /^[a-zA-ZĀāČčĒēĢģĪīĶķĻļŅņŠšŪūŽž\s\-']+$/,
             errorMessages: {
-                required: 'Lūdzu, ievadiet savu vārdu',
-                minLength: 'Vārdam jābūt vismaz 2 simbolu garam',
-                maxLength: 'Vārds nedrīkst būt garāks par 50 simboliem',
-                pattern: 'Vārdā drīkst būt tikai burti, atstarpes, defises un apostrofi'
+                required: translate('contact.name.required', 'Lūdzu, ievadiet savu vārdu'),
+                minLength: translate('contact.name.minLength', 'Vārdam jābūt vismaz 2 simbolu garam'),
+                maxLength: translate('contact.name.maxLength', 'Vārds nedrīkst būt garāks par 50 simboliem'),
+                pattern: translate('contact.name.pattern', 'Vārdā drīkst būt tikai burti, atstarpes, defises un apostrofi')
             }
         },
         email: {
@@ -1442,9 +1821,9 @@ function initContactForm() {
             pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
             maxLength: 100,
             errorMessages: {
-                required: 'Lūdzu, ievadiet savu e-pasta adresi',
-                pattern: 'Lūdzu, ievadiet derīgu e-pasta adresi',
-                maxLength: 'E-pasta adrese nedrīkst būt garāka par 100 simboliem'
+                required: translate('contact.email.required', 'Lūdzu, ievadiet savu e-pasta adresi'),
+                pattern: translate('contact.email.pattern', 'Lūdzu, ievadiet derīgu e-pasta adresi'),
+                maxLength: translate('contact.email.maxLength', 'E-pasta adrese nedrīkst būt garāka par 100 simboliem')
             }
         },
         message: {
@@ -1452,9 +1831,9 @@ function initContactForm() {
             minLength: 10,
             maxLength: 1000,
             errorMessages: {
-                required: 'Lūdzu, ievadiet savu ziņojumu',
-                minLength: 'Ziņojumam jābūt vismaz 10 simbolu garam',
-                maxLength: 'Ziņojums nedrīkst būt garāks par 1000 simboliem'
+                required: translate('contact.message.required', 'Lūdzu, ievadiet savu ziņojumu'),
+                minLength: translate('contact.message.minLength', 'Ziņojumam jābūt vismaz 10 simbolu garam'),
+                maxLength: translate('contact.message.maxLength', 'Ziņojums nedrīkst būt garāks par 1000 simboliem')
             }
         }
     };
@@ -1472,6 +1851,27 @@ function initContactForm() {
     // Handle form submission
     contactForm.addEventListener('submit', handleFormSubmit);
     
+    loadFormToken();
+    
+    /**
+     * Load the signed token the server uses to tell people from bots that submit instantly
+     */
+    async function loadFormToken() {
+        if (!tokenInput) return;
+        
+        try {
+            const response = await fetch('/api/contact/token', { cache: 'no-store' });
+            const result = await response.json();
+            
+            if (response.ok && result.success) {
+                tokenInput.value = result.token;
+            }
+        } catch (error) {
+            // The form still works without a token, it is only one of the spam checks
+            console.warn('Could not load contact form token:', error);
+        }
+    }
+    
     /**
      * Validate individual field
      */
@@ -1585,7 +1985,9 @@ function initContactForm() {
         const formData = {
             name: nameInput.value.trim(),
             email: emailInput.value.trim(),
-            message: messageInput.value.trim()
+            message: messageInput.value.trim(),
+            website: websiteInput ? websiteInput.value : '',
+            formToken: tokenInput ? tokenInput.value : ''
         };
         
         try {
@@ -1616,16 +2018,19 @@ function initContactForm() {
                 
             } else {
                 // Show error message
-                showFormError(result.message || 'Radās kļūda nosūtot ziņojumu. Lūdzu, mēģiniet vēlreiz.');
+                showFormError(translate('contact.error', result.message || 'Radās kļūda nosūtot ziņojumu. Lūdzu, mēģiniet vēlreiz.'));
             }
             
         } catch (error) {
             console.error('Form submission error:', error);
-            showFormError('Radās kļūda nosūtot ziņojumu. Lūdzu, pārbaudiet interneta savienojumu un mēģiniet vēlreiz.');
+            showFormError(translate('contact.connectionError', 'Radās kļūda nosūtot ziņojumu. Lūdzu, pārbaudiet interneta savienojumu un mēģiniet vēlreiz.'));
         } finally {
             // Remove loading state
             submitButton.classList.remove('loading');
             submitButton.disabled = false;
+            
+            // A token works for one message, so another try or message needs a new one
+            loadFormToken();
         }
     }
     
@@ -1734,6 +2139,65 @@ function initContactForm() {
     });
 }
 
+/**
+ * Initialize the newsletter sign-up form
+ * (the server sends a confirmation link; the answer is the same for addresses already signed up)
+ */
+function initNewsletterForm() {
+    const form = document.getElementById('newsletter-form');
+    if (!form) return;
+    
+    const emailInput = document.getElementById('newsletter-email');
+    const websiteInput = document.getElementById('newsletter-website');
+    const submitButton = document.getElementById('newsletter-submit');
+    const status = document.getElementById('newsletter-status');
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const email = emailInput.value.trim();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            status.textContent = translate('newsletter.invalidEmail', 'Lūdzu, ievadiet derīgu e-pasta adresi');
+            emailInput.focus();
+            return;
+        }
+        
+        submitButton.disabled = true;
+        status.textContent = translate('newsletter.sending', 'Piesakām...');
+        
+        try {
+            const response = await fetch('/api/newsletter/subscribe', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    email,
+                    locale: document.documentElement.lang === 'en' ? 'en' : 'lv',
+                    website: websiteInput ? websiteInput.value : ''
+                })
+            });
+            
+            if (response.ok) {
+                form.reset();
+                status.textContent = translate('newsletter.success', 'Gandrīz gatavs! Lai apstiprinātu pieteikšanos, atveriet saiti e-pastā, ko tikko nosūtījām.');
+            } else if (response.status === 429) {
+                status.textContent = translate('contact.tooManyRequests', 'Pārāk daudz mēģinājumu. Lūdzu, uzgaidiet un mēģiniet vēlreiz.');
+            } else if (response.status === 400) {
+                status.textContent = translate('newsletter.invalidEmail', 'Lūdzu, ievadiet derīgu e-pasta adresi');
+            } else {
+                status.textContent = translate('newsletter.error', 'Pieteikties neizdevās. Lūdzu, mēģiniet vēlreiz vēlāk.');
+            }
+            
+        } catch (error) {
+            console.error('Newsletter sign-up error:', error);
+            status.textContent = translate('newsletter.error', 'Pieteikties neizdevās. Lūdzu, mēģiniet vēlreiz vēlāk.');
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
 /**
  * Optional: Create confetti effect for successful form submission
  */
@@ -1925,7 +2389,9 @@ function enhanceContactFormErrorHandling() {
             const data = {
                 name: formData.get('name'),
                 email: formData.get('email'),
-                message: formData.get('message')
+                message: formData.get('message'),
+                website: formData.get('website') || '',
+                formToken: formData.get('formToken') || ''
             };
             
             const response = await fetch('/api/contact', {
@@ -1966,7 +2432,7 @@ function setContactFormLoadingState(isLoading) {
         submitButton.disabled = true;
         submitText.style.display = 'none';
         submitLoading.style.display = 'inline-flex';
-        submitLoading.textContent = 'Nosūta...';
+        submitLoading.textContent = translate('contact.sending', 'Nosūta...');
     } else {
         submitButton.disabled = false;
         submitText.style.display = 'inline';
@@ -2002,7 +2468,7 @@ function clearContactFormMessages() {
 function showContactFormSuccess(message) {
     const successMessage = document.getElementById('contact-success');
     if (successMessage) {
-        successMessage.textContent = message || 'Paldies! Jūsu ziņojums ir nosūtīts.';
+        successMessage.textContent = translate('contact.success', message || 'Paldies! Jūsu ziņojums ir nosūtīts.');
         successMessage.style.display = 'block';
         
         // Scroll to success message
@@ -2027,14 +2493,14 @@ function handleContactFormError(error) {
     errorMessage.setAttribute('role', 'alert');
     
     // Determine error message based on error type
-    let errorText = 'Radās kļūda nosūtot ziņojumu. Lūdzu, mēģiniet vēlreiz.';
+    let errorText = translate('contact.error', 'Radās kļūda nosūtot ziņojumu. Lūdzu, mēģiniet vēlreiz.');
     
     if (error.message.includes('network') || error.message.includes('fetch')) {
-        errorText = 'Savienojuma kļūda. Lūdzu, pārbaudiet interneta savienojumu un mēģiniet vēlreiz.';
+        errorText = translate('contact.connectionError', 'Savienojuma kļūda. Lūdzu, pārbaudiet interneta savienojumu un mēģiniet vēlreiz.');
     } else if (error.message.includes('429') || error.message.includes('Too many')) {
-        errorText = 'Pārāk daudz mēģinājumu. Lūdzu, uzgaidiet un mēģiniet vēlreiz.';
+        errorText = translate('contact.tooManyRequests', 'Pārāk daudz mēģinājumu. Lūdzu, uzgaidiet un mēģiniet vēlreiz.');
     } else if (error.message.includes('400')) {
-        errorText = 'Nepareizi ievadīti dati. Lūdzu, pārbaudiet formu un mēģiniet vēlreiz.';
+        errorText = translate('contact.invalidData', 'Nepareizi ievadīti dati. Lūdzu, pārbaudiet formu un mēģiniet vēlreiz.');
     } else if (error.message) {
         errorText = error.message;
     }
@@ -2506,7 +2972,7 @@ function initializeInteresantiSection() {
  */
 async function loadPeopleData() {
     try {
-        const response = await fetch('/api/people');
+        const response = await fetch(withLocale('/api/people'));
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -2549,14 +3015,15 @@ function renderPeopleGrid(people, container) {
 function createPersonCard(person) {
     const card = document.createElement('a');
     card.className = 'person-card person-card-text-only';
-    card.href = `/interesanti/${person.slug}`;
+    card.href = localizePath(`/interesanti/${person.slug}`);
+    card.lang = person.locale || SITE_LOCALE;
     card.setAttribute('data-person-id', person.id);
-    card.setAttribute('aria-label', `Apskatīt ${person.name} profilu`);
+    card.setAttribute('aria-label', translate('people.viewProfile', 'Apskatīt {name} profilu', { name: person.name }));
 
     card.innerHTML = `
         <div class="person-content">
             <h3 class="person-name">${escapeHtml(person.name)}</h3>
-            <p class="person-preview">${escapeHtml(person.contentPreview || 'Uzziniet vairāk par šo interesanto cilvēku...')}</p>
+            <p class="person-preview">${escapeHtml(person.contentPreview || translate('people.previewFallback', 'Uzziniet vairāk par šo interesanto cilvēku...'))}</p>
         </div>
         <div class="person-card-decoration" aria-hidden="true">
             <img data-src="/media/character.jpg" alt="" class="decoration-character lazy" loading="lazy" width="40" height="40" role="presentation">
@@ -2573,7 +3040,7 @@ function createPersonCard(person) {
         
         // Announce navigation to screen readers
         if (typeof announceToScreenReader === 'function') {
-            announceToScreenReader(`Pārejam uz ${person.name} profilu`);
+            announceToScreenReader(translate('people.opening', 'Pārejam uz {name} profilu', { name: person.name }));
         }
     });
 
@@ -2614,8 +3081,8 @@ function showEmptyState(container) {
     container.innerHTML = `
         <div class="people-grid-error">
             <div class="people-grid-error-icon">🤷‍♀️</div>
-            <div class="people-grid-error-message">Nav atrasti interesanti cilvēki</div>
-            <p>Šobrīd nav pieejami profili. Lūdzu, mēģiniet vēlāk.</p>
+            <div class="people-grid-error-message">${escapeHtml(translate('people.emptyTitle', 'Nav atrasti interesanti cilvēki'))}</div>
+            <p>${escapeHtml(translate('people.emptyText', 'Šobrīd nav pieejami profili. Lūdzu, mēģiniet vēlāk.'))}</p>
         </div>
     `;
     container.classList.add('empty');
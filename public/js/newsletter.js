@@ -0,0 +1,130 @@
+/**
+ * Newsletter JavaScript
+ * Confirms a subscription or unsubscribes from the links in newsletter emails.
+ * Fetching the page changes nothing, as mail scanners open links too: confirming runs
+ * from this script, and unsubscribing needs a button press.
+ */
+
+const NEWSLETTER_STRINGS = {
+    lv: {
+        title: 'Jaunumi',
+        confirming: 'Apstiprinām pieteikšanos...',
+        confirmed: 'Paldies! Pieteikšanās ir apstiprināta, un turpmāk saņemsiet jaunumus e-pastā.',
+        confirmFailed: 'Šī saite ir nederīga vai novecojusi. Piesakieties jaunumiem vēlreiz mājaslapā.',
+        unsubscribeText: 'Vai vēlaties vairs nesaņemt jaunumus e-pastā?',
+        unsubscribe: 'Atteikties no jaunumiem',
+        unsubscribed: 'Jūs esat atteicies no jaunumiem. Vairs nesūtīsim Jums vēstules.',
+        unsubscribeFailed: 'Šī saite ir nederīga.',
+        error: 'Radās kļūda. Lūdzu, mēģiniet vēlreiz vēlāk.',
+        back: 'Uz mājaslapu'
+    },
+    en: {
+        title: 'Newsletter',
+        confirming: 'Confirming your subscription...',
+        confirmed: 'Thank you! Your subscription is confirmed, and you will get our news by email.',
+        confirmFailed: 'This link is invalid or has expired. Please sign up again on the website.',
+        unsubscribeText: 'Do you want to stop getting news by email?',
+        unsubscribe: 'Unsubscribe',
+        unsubscribed: 'You have been unsubscribed. We will not email you any more.',
+        unsubscribeFailed: 'This link is invalid.',
+        error: 'Something went wrong. Please try again later.',
+        back: 'Back to the website'
+    }
+};
+
+class NewsletterPage {
+    constructor() {
+        const [, , action, token] = window.location.pathname.split('/');
+        const locale = new URLSearchParams(window.location.search).get('lang') === 'en' ? 'en' : 'lv';
+
+        this.action = action;
+        this.token = token;
+        this.strings = NEWSLETTER_STRINGS[locale];
+        this.formMessage = document.getElementById('formMessage');
+
+        document.documentElement.lang = locale;
+        document.getElementById('newsletterTitle').textContent = this.strings.title;
+        document.getElementById('backLink').textContent = this.strings.back;
+        document.getElementById('backLink').href = locale === 'en' ? '/en' : '/';
+
+        if (this.action === 'confirm') {
+            this.confirm();
+        } else {
+            this.showUnsubscribeForm();
+        }
+    }
+
+    async confirm() {
+        this.showMessage(this.strings.confirming, '');
+
+        const ok = await this.post('/api/newsletter/confirm');
+        if (ok !== null) {
+            this.showMessage(ok ? this.strings.confirmed : this.strings.confirmFailed, ok ? 'success' : 'error');
+        }
+    }
+
+    showUnsubscribeForm() {
+        const form = document.getElementById('unsubscribeForm');
+        const button = document.getElementById('unsubscribeButton');
+
+        document.getElementById('newsletterText').textContent = this.strings.unsubscribeText;
+        button.querySelector('.button-text').textContent = this.strings.unsubscribe;
+        form.hidden = false;
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            button.disabled = true;
+
+            const ok = await this.post('/api/newsletter/unsubscribe');
+            if (ok) {
+                form.hidden = true;
+                document.getElementById('newsletterText').textContent = '';
+                this.showMessage(this.strings.unsubscribed, 'success');
+            } else {
+                button.disabled = false;
+                if (ok === false) {
+                    this.showMessage(this.strings.unsubscribeFailed, 'error');
+                }
+            }
+        });
+    }
+
+    /**
+     * Post the token from the link
+     * @returns {Promise<boolean|null>} Whether the link worked, or null after an error (already shown)
+     */
+    async post(url) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: this.token })
+            });
+
+            if (response.ok) {
+                return true;
+            }
+            if (response.status === 400 || response.status === 404) {
+                return false;
+            }
+            throw new Error(`HTTP ${response.status}`);
+
+        } catch (error) {
+            console.error('Newsletter request error:', error);
+            this.showMessage(this.strings.error, 'error');
+            return null;
+        }
+    }
+
+    showMessage(message, type) {
+        this.formMessage.textContent = message;
+        this.formMessage.className = `form-message ${type}`.trim();
+    }
+}
+
+// Initialize the newsletter page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new NewsletterPage();
+});
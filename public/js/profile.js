@@ -525,8 +525,8 @@ function initializeNavigation() {
                 // Go back to previous page
                 window.history.back();
             } else {
-                // Navigate to main page with Interesanti section
-                window.location.href = '/#interesanti';
+                // Navigate to main page with Interesanti section (in the language of this page)
+                window.location.href = backLink.getAttribute('href');
             }
         });
     }
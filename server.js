@@ -3,8 +3,9 @@ const path = require('path');
 const session = require('express-session');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { initializeDatabase } = require('./src/models');
+const { initializeDatabase, SessionStore } = require('./src/models');
 const peopleDataService = require('./src/services/PeopleDataService');
+const outboxService = require('./src/services/OutboxService');
 require('dotenv').config();
 
 const app = express();
@@ -123,8 +124,10 @@ app.use(express.urlencoded({
     parameterLimit: 100 // Limit number of parameters
 }));
 
-// Session configuration
+// Session configuration (stored in the database, so restarts do not log admins out)
+const sessionStore = new SessionStore();
 app.use(session({
+    store: sessionStore,
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -135,12 +138,17 @@ app.use(session({
     }
 }));
 
-// Static file serving
-app.use(express.static(path.join(__dirname, 'public')));
+// Static file serving (index.html is rendered per language below, so it is not served as the directory index)
+const imageRoutes = require('./src/routes/images');
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+app.use('/uploads/variants', imageRoutes); // Responsive image variants, generated on first request
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Import middleware
 const { bruteForceProtection } = require('./src/middleware/auth');
+const { detectLocale, redirectToPreferredLocale } = require('./src/middleware/locale');
+const localeService = require('./src/services/LocaleService');
+const pageMetadataService = require('./src/services/PageMetadataService');
 
 // Apply brute force protection to admin login
 app.use('/admin/login', bruteForceProtection);
@@ -150,15 +158,34 @@ const adminRoutes = require('./src/routes/admin');
 const apiRoutes = require('./src/routes/api');
 const healthRoutes = require('./src/routes/health');
 const peopleRoutes = require('./src/routes/people');
+const seoRoutes = require('./src/routes/seo');
 
 app.use('/admin', adminRoutes);
 app.use('/api', apiRoutes);
 app.use('/health', healthRoutes);
+app.use(seoRoutes);
+// Public pages in other languages live under their prefix, e.g. /en/interesanti/:slug
+app.use(detectLocale);
 app.use('/interesanti', peopleRoutes);
+app.use('/en/interesanti', peopleRoutes);
 
-// Serve main page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Serve main page in the page language
+const serveIndex = async (req, res) => {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    try {
+        res.send(await pageMetadataService.renderHomePage(req.locale));
+    } catch (error) {
+        // Without the books the page is still served, just without its metadata
+        console.error('Error rendering home page metadata:', error);
+        res.send(localeService.renderIndex(req.locale));
+    }
+};
+app.get('/', redirectToPreferredLocale, serveIndex);
+app.get('/en', serveIndex);
+
+// Newsletter confirmation and unsubscribe links from emails (the page posts the token to the API)
+app.get(['/newsletter/confirm/:token', '/newsletter/unsubscribe/:token'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'newsletter.html'));
 });
 
 // Enhanced error handling middleware
@@ -283,6 +310,12 @@ const startServer = async () => {
         await initializeDatabase();
         console.log('Database initialized successfully');
         
+        // Remove expired sessions now and periodically
+        sessionStore.startCleanup();
+        
+        // Send queued email in the background
+        outboxService.start();
+        
         // Enhanced people data service status checking and logging
         const initStatus = peopleDataService.getInitializationStatus();
         const stats = peopleDataService.getStats();
@@ -318,7 +351,7 @@ const startServer = async () => {
         }
         
         // Set up graceful degradation middleware for people routes
-        app.use('/interesanti', (req, res, next) => {
+        app.use(['/interesanti', '/en/interesanti'], (req, res, next) => {
             if (!peopleDataService.isReady()) {
                 console.warn(`Interesanti route accessed but service not ready: ${req.method} ${req.url}`);
                 
@@ -1,6 +1,12 @@
 const PeopleContent = require('../models/PeopleContent');
 const PeopleContentRepository = require('../models/PeopleContentRepository');
+const PeopleContentTranslation = require('../models/PeopleContentTranslation');
 const peopleDataService = require('../services/PeopleDataService');
+const contentDiffService = require('../services/ContentDiffService');
+const publishingService = require('../services/PublishingService');
+const peopleImportService = require('../services/PeopleImportService');
+const searchService = require('../services/SearchService');
+const auditService = require('../services/AuditService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -79,6 +85,7 @@ class PeopleController {
       }
       
       // Transform database people to include additional metadata
+      const hiddenSlugs = await publishingService.getHiddenKeys('person');
       const transformedPeople = await Promise.all(
         dbPeople.map(async (dbPerson) => {
           // Get file-based person data for images
@@ -98,6 +105,7 @@ class PeopleController {
             contentPreview: dbPerson.getContentPreview(150),
             wordCount: dbPerson.getWordCount(),
             mainImage: mainImage,
+            hidden: hiddenSlugs.has(dbPerson.personSlug),
             source: 'database'
           };
         })
@@ -176,9 +184,12 @@ class PeopleController {
         }
         filePerson = this.peopleDataService.getPersonBySlug(slug);
         
+        const publication = await publishingService.getStatus('person', slug);
+        
         const personData = {
           slug: dbPerson.personSlug,
           name: dbPerson.personName,
+          publication,
           content: {
             text: dbPerson.content,
             lastUpdated: dbPerson.updatedAt,
@@ -352,8 +363,11 @@ class PeopleController {
       
       // Check if person exists in database
       let dbPerson = await this.repository.findBySlug(slug);
+      let previousContent = null;
       
       if (dbPerson) {
+        previousContent = dbPerson.content;
+        
         // Update existing database record
         const success = await this.repository.update(slug, trimmedContent, updatedBy);
         
@@ -388,6 +402,8 @@ class PeopleController {
           });
         }
         
+        previousContent = filePerson.content;
+        
         // Create new database record
         dbPerson = await this.repository.create({
           personSlug: slug,
@@ -397,6 +413,14 @@ class PeopleController {
         });
       }
       
+      await searchService.reindex('person', slug);
+      await auditService.record(req, 'person.update', {
+        entityType: 'person',
+        entityId: slug,
+        before: { content: auditService.excerpt(previousContent, 200), length: previousContent ? previousContent.length : 0 },
+        after: { content: auditService.excerpt(dbPerson.content, 200), length: dbPerson.content.length }
+      });
+      
       const duration = Date.now() - startTime;
       
       res.json({
@@ -452,6 +476,1107 @@ class PeopleController {
     }
   }
 
+  /**
+   * Create a new person with content and images
+   * POST /admin/api/people
+   */
+  createPerson = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { name, content, images } = req.body;
+      const createdBy = req.session.username || 'admin';
+      
+      const personData = await this.peopleDataService.createPerson({
+        name: name,
+        content: content,
+        images: images || []
+      }, createdBy);
+      await searchService.reindex('person', personData.slug);
+      await auditService.record(req, 'person.create', {
+        entityType: 'person',
+        entityId: personData.slug,
+        after: { name: personData.name, images: personData.images.length, content: auditService.excerpt(content, 200) }
+      });
+      
+      const duration = Date.now() - startTime;
+      
+      res.status(201).json({
+        success: true,
+        message: 'Person created successfully',
+        data: {
+          slug: personData.slug,
+          name: personData.name,
+          profileUrl: `/interesanti/${personData.slug}`,
+          imageCount: personData.images.length,
+          wordCount: personData.metadata.wordCount
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Created person ${personData.name} by ${createdBy} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in createPerson:', {
+        error: error.message,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      if (error.code === 'PERSON_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          error: 'Person already exists',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      if (error.code === 'ENOENT') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'One of the selected images does not exist',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to create person',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Delete a person (directory, content, revisions and publish state)
+   * DELETE /admin/api/people/:slug
+   */
+  deletePerson = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      
+      const deleted = await this.peopleDataService.deletePerson(slug);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Person not found',
+          message: 'The requested person profile does not exist',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      await searchService.reindex('person', slug);
+      await auditService.record(req, 'person.delete', { entityType: 'person', entityId: slug, before: { slug } });
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: 'Person deleted successfully',
+        data: {
+          slug: slug
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Deleted person ${slug} by ${req.session.username || 'admin'} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in deletePerson:', {
+        error: error.message,
+        slug: req.params.slug,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to delete person',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Convert an uploaded Word document and return a preview of the profile
+   * POST /admin/api/people/import
+   */
+  previewImport = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'No document uploaded',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const createdBy = req.session.username || 'admin';
+      const preview = await peopleImportService.createImport(req.file.buffer, req.file.originalname, createdBy);
+      
+      const duration = Date.now() - startTime;
+      
+      res.status(201).json({
+        success: true,
+        message: 'Document converted successfully',
+        data: preview,
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Converted ${req.file.originalname} for import by ${createdBy} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in previewImport:', {
+        error: error.message,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      if (error.code === 'INVALID_DOCUMENT') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: 'The uploaded file could not be read as a Word document',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to convert document',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Save a previewed import as a new person
+   * POST /admin/api/people/import/:importId
+   */
+  saveImport = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { importId } = req.params;
+      const createdBy = req.session.username || 'admin';
+      
+      const personData = await peopleImportService.saveImport(importId, req.body.name, createdBy);
+      await searchService.reindex('person', personData.slug);
+      await auditService.record(req, 'person.import', {
+        entityType: 'person',
+        entityId: personData.slug,
+        after: { name: personData.name, images: personData.images.length, words: personData.metadata.wordCount }
+      });
+      
+      const duration = Date.now() - startTime;
+      
+      res.status(201).json({
+        success: true,
+        message: 'Person imported successfully',
+        data: {
+          slug: personData.slug,
+          name: personData.name,
+          profileUrl: `/interesanti/${personData.slug}`,
+          imageCount: personData.images.length,
+          wordCount: personData.metadata.wordCount
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Imported person ${personData.name} by ${createdBy} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in saveImport:', {
+        error: error.message,
+        importId: req.params.importId,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      if (error.code === 'IMPORT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Import not found',
+          message: 'The import does not exist or has expired',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      if (error.code === 'PERSON_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          error: 'Person already exists',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      if (error.code === 'INVALID_DOCUMENT') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to import person',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Discard a previewed import
+   * DELETE /admin/api/people/import/:importId
+   */
+  discardImport = async (req, res) => {
+    try {
+      await peopleImportService.discardImport(req.params.importId);
+      
+      res.json({
+        success: true,
+        message: 'Import discarded',
+        data: {
+          importId: req.params.importId
+        }
+      });
+      
+    } catch (error) {
+      if (error.code === 'IMPORT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Import not found',
+          message: 'The import does not exist or has expired',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      console.error('Error in discardImport:', {
+        error: error.message,
+        importId: req.params.importId,
+        stack: error.stack,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to discard import',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Send an image of a previewed import
+   * GET /admin/api/people/import/:importId/images/:filename
+   */
+  getImportImage = async (req, res) => {
+    try {
+      const imagePath = await peopleImportService.getImagePath(req.params.importId, req.params.filename);
+      
+      // Staged documents are not published yet
+      res.set('Cache-Control', 'private, no-store');
+      res.sendFile(imagePath);
+      
+    } catch (error) {
+      if (error.code === 'IMPORT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Import not found',
+          message: 'The import or image does not exist or has expired',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      console.error('Error in getImportImage:', {
+        error: error.message,
+        importId: req.params.importId,
+        stack: error.stack,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to load import image',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Get revision history for a person
+   * GET /admin/api/people/:slug/revisions
+   */
+  getRevisions = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      const { limit, offset } = req.query;
+      
+      await this.repository.initialize();
+      
+      const dbPerson = await this.repository.findBySlug(slug);
+      if (!dbPerson) {
+        // People that have never been saved through the editor have no history yet
+        if (!this.peopleDataService.initialized) {
+          await this.peopleDataService.initialize();
+        }
+        
+        if (!this.peopleDataService.getPersonBySlug(slug)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Person not found',
+            message: 'The requested person profile does not exist',
+            timestamp: new Date().toISOString(),
+            requestId: req.id
+          });
+        }
+      }
+      
+      const result = await this.repository.getRevisions(slug, limit, offset);
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        data: result.data.map(revision => revision.toSummaryJSON()),
+        pagination: result.pagination,
+        meta: {
+          slug: slug,
+          currentUpdatedAt: dbPerson ? dbPerson.updatedAt : null,
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in getRevisions:', {
+        error: error.message,
+        slug: req.params.slug,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to fetch revision history',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Get a single revision including its full content
+   * GET /admin/api/people/:slug/revisions/:revisionId
+   */
+  getRevision = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug, revisionId } = req.params;
+      
+      await this.repository.initialize();
+      
+      const revision = await this.repository.findRevision(slug, revisionId);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+          message: 'The requested revision does not exist for this person',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        data: revision.toJSON(),
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in getRevision:', {
+        error: error.message,
+        slug: req.params.slug,
+        revisionId: req.params.revisionId,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to fetch revision',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Compare two revisions, or a revision with the current content
+   * GET /admin/api/people/:slug/revisions/compare?from=:id&to=:id|current
+   */
+  compareRevisions = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      const from = req.query.from;
+      const to = req.query.to || 'current';
+      
+      await this.repository.initialize();
+      
+      const fromRevision = await this.repository.findRevision(slug, from);
+      if (!fromRevision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+          message: `Revision ${from} does not exist for this person`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      let toContent;
+      let toInfo;
+      
+      if (to === 'current') {
+        const dbPerson = await this.repository.findBySlug(slug);
+        if (!dbPerson) {
+          return res.status(404).json({
+            success: false,
+            error: 'Person not found',
+            message: 'The requested person profile does not exist',
+            timestamp: new Date().toISOString(),
+            requestId: req.id
+          });
+        }
+        
+        toContent = dbPerson.content;
+        toInfo = {
+          id: 'current',
+          createdBy: dbPerson.updatedBy,
+          createdAt: dbPerson.updatedAt
+        };
+      } else {
+        const toRevision = await this.repository.findRevision(slug, parseInt(to));
+        if (!toRevision) {
+          return res.status(404).json({
+            success: false,
+            error: 'Revision not found',
+            message: `Revision ${to} does not exist for this person`,
+            timestamp: new Date().toISOString(),
+            requestId: req.id
+          });
+        }
+        
+        toContent = toRevision.content;
+        toInfo = toRevision.toSummaryJSON();
+      }
+      
+      const diff = contentDiffService.diffLines(fromRevision.content, toContent);
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        data: {
+          from: fromRevision.toSummaryJSON(),
+          to: toInfo,
+          identical: diff.identical,
+          stats: diff.stats,
+          changes: diff.changes
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in compareRevisions:', {
+        error: error.message,
+        slug: req.params.slug,
+        query: req.query,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to compare revisions',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Restore person content to a previous revision
+   * POST /admin/api/people/:slug/revisions/:revisionId/restore
+   */
+  restoreRevision = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug, revisionId } = req.params;
+      const restoredBy = req.session.username || 'admin';
+      
+      await this.repository.initialize();
+      
+      const revision = await this.repository.findRevision(slug, revisionId);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+          message: 'The requested revision does not exist for this person',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const previous = await this.repository.findBySlug(slug);
+      const dbPerson = await this.repository.restoreRevision(slug, revision.id, restoredBy);
+      if (!dbPerson) {
+        return res.status(500).json({
+          success: false,
+          error: 'Restore failed',
+          message: 'Failed to restore revision',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      await searchService.reindex('person', slug);
+      await auditService.record(req, 'person.restore', {
+        entityType: 'person',
+        entityId: slug,
+        before: previous ? { content: auditService.excerpt(previous.content, 200), length: previous.content.length } : null,
+        after: { restoredFrom: revision.id, content: auditService.excerpt(dbPerson.content, 200), length: dbPerson.content.length }
+      });
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: `Revision #${revision.id} restored successfully`,
+        data: {
+          slug: dbPerson.personSlug,
+          name: dbPerson.personName,
+          content: dbPerson.content,
+          restoredFrom: revision.id,
+          updatedAt: dbPerson.updatedAt,
+          updatedBy: dbPerson.updatedBy,
+          wordCount: dbPerson.getWordCount(),
+          characterCount: dbPerson.getCharacterCount()
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Restored revision #${revision.id} for ${dbPerson.personName} by ${restoredBy} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in restoreRevision:', {
+        error: error.message,
+        slug: req.params.slug,
+        revisionId: req.params.revisionId,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to restore revision',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Publish the current draft of a person's content, or schedule it with publishAt
+   * POST /admin/api/people/:slug/publish
+   */
+  publishPerson = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      const publishedBy = req.session.username || 'admin';
+      
+      await this.repository.initialize();
+      
+      const dbPerson = await this.repository.findBySlug(slug);
+      if (!dbPerson) {
+        return res.status(404).json({
+          success: false,
+          error: 'Person not found',
+          message: 'Only content saved in the database can be published',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const publication = await publishingService.publish('person', slug, publishedBy, req.body.publishAt || null);
+      await auditService.record(req, 'person.publish', { entityType: 'person', entityId: slug, after: publication });
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: publication.scheduledAt
+          ? `Content scheduled for ${publication.scheduledAt}`
+          : 'Content published successfully',
+        data: {
+          slug: slug,
+          publication
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in publishPerson:', {
+        error: error.message,
+        slug: req.params.slug,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to publish content',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Take a person's profile off the public site
+   * POST /admin/api/people/:slug/unpublish
+   */
+  unpublishPerson = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      
+      await this.repository.initialize();
+      
+      const dbPerson = await this.repository.findBySlug(slug);
+      if (!dbPerson) {
+        return res.status(404).json({
+          success: false,
+          error: 'Person not found',
+          message: 'Only content saved in the database can be unpublished',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const publication = await publishingService.unpublish('person', slug, req.session.username || 'admin');
+      await auditService.record(req, 'person.unpublish', { entityType: 'person', entityId: slug, after: publication });
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: 'Content unpublished successfully',
+        data: {
+          slug: slug,
+          publication
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in unpublishPerson:', {
+        error: error.message,
+        slug: req.params.slug,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to unpublish content',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Cancel a scheduled publish of a person's content
+   * DELETE /admin/api/people/:slug/schedule
+   */
+  cancelScheduledPublish = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug } = req.params;
+      
+      const publication = await publishingService.cancelSchedule('person', slug);
+      if (!publication) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not scheduled',
+          message: 'There is no scheduled publish for this person',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      await auditService.record(req, 'person.unschedule', { entityType: 'person', entityId: slug, after: publication });
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: 'Scheduled publish cancelled',
+        data: {
+          slug: slug,
+          publication
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in cancelScheduledPublish:', {
+        error: error.message,
+        slug: req.params.slug,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to cancel scheduled publish',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Check that a person exists in the database or in the file system
+   * @param {string} slug - Person's slug
+   * @returns {Promise<boolean>} Whether the person exists
+   */
+  personExists = async (slug) => {
+    await this.repository.initialize();
+    if (await this.repository.findBySlug(slug)) {
+      return true;
+    }
+    
+    if (!this.peopleDataService.initialized) {
+      await this.peopleDataService.initialize();
+    }
+    return Boolean(this.peopleDataService.getPersonBySlug(slug));
+  }
+
+  /**
+   * Get the translation of a person's profile (null data if it is not translated yet)
+   * GET /admin/api/people/:slug/translations/:locale
+   */
+  getTranslation = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug, locale } = req.params;
+      
+      if (!await this.personExists(slug)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Person not found',
+          message: 'The requested person profile does not exist',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const translation = await PeopleContentTranslation.find(slug, locale);
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        data: translation ? translation.toJSON() : null,
+        meta: {
+          slug: slug,
+          locale: locale,
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in getTranslation:', {
+        error: error.message,
+        slug: req.params.slug,
+        locale: req.params.locale,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to fetch translation',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Create or replace the translation of a person's profile
+   * Translations go live straight away; the Latvian profile keeps its own draft and publish state
+   * PUT /admin/api/people/:slug/translations/:locale
+   */
+  saveTranslation = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug, locale } = req.params;
+      const { name, content } = req.body;
+      
+      if (!await this.personExists(slug)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Person not found',
+          message: 'The requested person profile does not exist',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      const previous = await PeopleContentTranslation.find(slug, locale);
+      const translation = await new PeopleContentTranslation({
+        person_slug: slug,
+        locale,
+        person_name: name || null,
+        content,
+        updated_by: req.session.username || 'admin'
+      }).save();
+      await auditService.record(req, 'person.translate', {
+        entityType: 'person',
+        entityId: slug,
+        before: previous ? { locale, name: previous.person_name, content: auditService.excerpt(previous.content, 200) } : null,
+        after: { locale, name: translation.person_name, content: auditService.excerpt(translation.content, 200) }
+      });
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: 'Translation saved successfully',
+        data: translation.toJSON(),
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+      console.log(`Admin API: Saved ${locale} translation of ${slug} by ${req.session.username || 'admin'} in ${duration}ms`);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in saveTranslation:', {
+        error: error.message,
+        slug: req.params.slug,
+        locale: req.params.locale,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to save translation',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
+  /**
+   * Remove the translation of a person's profile so it falls back to Latvian
+   * DELETE /admin/api/people/:slug/translations/:locale
+   */
+  deleteTranslation = async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+      const { slug, locale } = req.params;
+      
+      const deleted = await PeopleContentTranslation.delete(slug, locale);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Translation not found',
+          message: 'This profile has no translation in that language',
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        });
+      }
+      
+      await auditService.record(req, 'person.translation_delete', { entityType: 'person', entityId: slug, before: { locale } });
+      
+      const duration = Date.now() - startTime;
+      
+      res.json({
+        success: true,
+        message: 'Translation removed successfully',
+        data: {
+          slug: slug,
+          locale: locale
+        },
+        meta: {
+          duration: `${duration}ms`,
+          timestamp: new Date().toISOString(),
+          requestId: req.id
+        }
+      });
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      
+      console.error('Error in deleteTranslation:', {
+        error: error.message,
+        slug: req.params.slug,
+        locale: req.params.locale,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to remove translation',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+  }
+
   /**
    * Generate content preview for display in lists
    * @param {string} content - Full content text
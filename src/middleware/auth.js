@@ -2,10 +2,14 @@
  * Authentication middleware for admin routes
  */
 
+const AdminUser = require('../models/AdminUser');
+
 /**
  * Middleware to check if user is authenticated as admin
+ * The account is looked up on every request, so disabling a user, changing their
+ * role or changing their password takes effect straight away instead of at their next login
  */
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
   if (req.session && req.session.isAdmin && req.session.userId) {
     // Check session timeout (24 hours)
     const sessionAge = Date.now() - (req.session.loginTime || 0);
@@ -22,6 +26,41 @@ const requireAuth = (req, res, next) => {
       });
     }
     
+    let adminUser;
+    try {
+      adminUser = await AdminUser.findById(req.session.userId);
+    } catch (error) {
+      console.error('Error loading admin user:', error);
+      return res.status(500).json({
+        error: 'Internal server error'
+      });
+    }
+    
+    if (!adminUser || adminUser.isDisabled()) {
+      req.session.destroy((err) => {
+        if (err) console.error('Session destruction error:', err);
+      });
+      
+      return res.status(401).json({
+        error: 'Account disabled',
+        message: 'This account is no longer active. Please contact the site owner.'
+      });
+    }
+    
+    if (adminUser.isSessionOutdated(req.session.loginTime || 0)) {
+      req.session.destroy((err) => {
+        if (err) console.error('Session destruction error:', err);
+      });
+      
+      return res.status(401).json({
+        error: 'Session expired',
+        message: 'Your password was changed. Please log in again.'
+      });
+    }
+    
+    req.adminUser = adminUser;
+    req.session.role = adminUser.role;
+    
     // Update last activity time
     req.session.lastActivity = Date.now();
     
@@ -39,6 +78,33 @@ const requireAuth = (req, res, next) => {
   });
 };
 
+/**
+ * Middleware factory limiting a route to some roles (use after requireAuth)
+ * @param {...string} roles - Roles that may use the route
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.adminUser ? req.adminUser.role : req.session && req.session.role;
+  
+  if (roles.includes(role)) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    message: `This action requires one of these roles: ${roles.join(', ')}`
+  });
+};
+
+/**
+ * Middleware factory limiting changes (anything but GET and HEAD) to some roles,
+ * so everyone who can log in can still look at the data
+ * @param {...string} roles - Roles that may make changes
+ */
+const requireRoleForChanges = (...roles) => {
+  const checkRole = requireRole(...roles);
+  return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? next() : checkRole(req, res, next));
+};
+
 /**
  * Middleware to check if user is already authenticated (for login page)
  */
@@ -63,7 +129,7 @@ const requireGuest = (req, res, next) => {
  */
 const addAuthStatus = (req, res, next) => {
   res.locals.isAuthenticated = !!(req.session && req.session.isAdmin);
-  res.locals.user = req.session && req.session.isAdmin ? { username: req.session.username } : null;
+  res.locals.user = req.session && req.session.isAdmin ? { username: req.session.username, role: req.session.role } : null;
   next();
 };
 
@@ -170,6 +236,8 @@ const csrfProtection = (req, res, next) => {
 
 module.exports = {
   requireAuth,
+  requireRole,
+  requireRoleForChanges,
   requireGuest,
   addAuthStatus,
   bruteForceProtection,
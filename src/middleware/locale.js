@@ -0,0 +1,51 @@
+/**
+ * Language middleware for public pages
+ */
+
+const localeService = require('../services/LocaleService');
+
+/**
+ * Middleware to set req.locale from the URL prefix (/en/...) and remember a
+ * language picked in the language switcher (?lang=en)
+ */
+const detectLocale = (req, res, next) => {
+  const prefix = req.path.split('/')[1];
+  req.locale = prefix !== localeService.defaultLocale && localeService.isSupported(prefix)
+    ? prefix
+    : localeService.defaultLocale;
+
+  if (localeService.isSupported(req.query.lang)) {
+    res.cookie(localeService.cookieName, req.query.lang, {
+      maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to send visitors of an unprefixed (Latvian) page to the language they prefer:
+ * the one picked in the switcher, otherwise the best match for Accept-Language
+ */
+const redirectToPreferredLocale = (req, res, next) => {
+  const requested = localeService.isSupported(req.query.lang) ? req.query.lang : null;
+  const preferred = requested || localeService.getPreferredLocale(req);
+
+  // The answer depends on these headers, so caches must not share it between visitors
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+
+  if (preferred !== req.locale) {
+    return res.redirect(302, localeService.localizePath(req.path, preferred));
+  }
+
+  next();
+};
+
+module.exports = {
+  detectLocale,
+  redirectToPreferredLocale
+};
@@ -49,6 +49,22 @@ const upload = multer({
   }
 });
 
+// Word documents are kept in memory and converted by PeopleImportService
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.docx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Word documents (.docx) are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit (documents include their photos)
+    files: 1
+  }
+});
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -78,7 +94,19 @@ const handleUploadError = (error, req, res, next) => {
   next();
 };
 
+// Error handling middleware for document uploads
+const handleDocumentUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      error: 'Document too large. Maximum size is 20MB.'
+    });
+  }
+  handleUploadError(error, req, res, next);
+};
+
 module.exports = {
   upload,
-  handleUploadError
+  documentUpload,
+  handleUploadError,
+  handleDocumentUploadError
 };
\ No newline at end of file
@@ -1,7 +1,8 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 const validator = require('validator');
+const localeService = require('../services/LocaleService');
 
 // Create DOMPurify instance
 const window = new JSDOM('').window;
@@ -97,6 +98,19 @@ const validateContactForm = [
     .withMessage('Message must be between 10 and 1000 characters')
     .customSanitizer(sanitizeText),
   
+  // Honeypot field, hidden from people; the spam check looks at it
+  body('website')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Website must not exceed 200 characters'),
+  
+  body('formToken')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Form token must not exceed 200 characters'),
+  
   handleValidationErrors
 ];
 
@@ -273,6 +287,945 @@ const validatePeopleContent = [
   handleValidationErrors
 ];
 
+/**
+ * Revision ID validation for people content history
+ */
+const validateRevisionId = [
+  param('revisionId')
+    .isInt({ min: 1 })
+    .withMessage('Revision ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Revision comparison validation (from/to query parameters)
+ */
+const validateRevisionCompare = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('From must be a revision ID')
+    .toInt(),
+  
+  query('to')
+    .optional()
+    .custom((value) => {
+      if (value === 'current' || /^[1-9]\d*$/.test(String(value))) {
+        return true;
+      }
+      throw new Error('To must be a revision ID or "current"');
+    }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Content snapshot validation (section and snapshot ID parameters)
+ */
+const validateSnapshotId = [
+  param('section')
+    .isIn(['interesanti', 'gramatas', 'fragmenti'])
+    .withMessage('Invalid section'),
+  
+  param('snapshotId')
+    .isInt({ min: 1 })
+    .withMessage('Snapshot ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Single block restore validation (block index within a snapshot)
+ */
+const validateSnapshotBlock = [
+  ...validateSnapshotId.slice(0, -1),
+  
+  param('blockIndex')
+    .isInt({ min: 0 })
+    .withMessage('Block index must be a non-negative integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Publish request validation (optional future publish time)
+ */
+const validatePublishRequest = [
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish time must be an ISO 8601 date')
+    .toDate(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Image path of a /media/ or /uploads/ image
+ * (sanitizeInputs has already escaped the body, so the path is unescaped first)
+ */
+const mediaImagePath = (field) => body(field)
+  .unescape()
+  .matches(/^\/(media|uploads)\/[a-zA-Z0-9_\-\.]+\.(jpg|jpeg|png|gif|webp)$/i)
+  .withMessage('Image must be a /media/ or /uploads/ image path');
+
+/**
+ * Name of a new person
+ * (the name becomes the person's directory name, so it is limited to letters,
+ * spaces, dots and hyphens)
+ */
+const personName = () => body('name')
+  .trim()
+  .unescape()
+  .isLength({ min: 2, max: 100 })
+  .withMessage('Name must be between 2 and 100 characters')
+  .matches(/^[\p{L}\p{M}][\p{L}\p{M} .-]*$/u)
+  .withMessage('Name may only contain letters, spaces, dots and hyphens');
+
+/**
+ * New person validation (content is stored like edited people content)
+ */
+const validateNewPerson = [
+  personName(),
+  
+  body('content')
+    .trim()
+    .isLength({ min: 50, max: 50000 })
+    .withMessage('Content must be between 50 and 50,000 characters'),
+  
+  body('images')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Images must be a list of at most 20 image paths'),
+  
+  mediaImagePath('images.*'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Saving an imported Word document as a new person
+ */
+const validatePeopleImport = [
+  param('importId')
+    .matches(/^[a-f0-9]{16}$/)
+    .withMessage('Invalid import ID'),
+  
+  personName(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Book validation for create and update
+ * (text fields are unescaped back to plain text; they are escaped when rendered)
+ */
+const validateBook = [
+  body('title')
+    .trim()
+    .unescape()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .unescape()
+    .isLength({ max: 5000 })
+    .withMessage('Description must not exceed 5000 characters'),
+  
+  mediaImagePath('cover_image').optional({ values: 'falsy' }),
+  mediaImagePath('decoration_image').optional({ values: 'falsy' }),
+  
+  body('publication_year')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1900, max: new Date().getFullYear() + 5 })
+    .withMessage('Publication year must be a valid year')
+    .toInt(),
+  
+  body('isbn')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isISBN()
+    .withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+  
+  body('publisher')
+    .optional({ values: 'falsy' })
+    .trim()
+    .unescape()
+    .isLength({ max: 200 })
+    .withMessage('Publisher must not exceed 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Book ID validation
+ */
+const validateBookId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Book ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Book order validation (IDs in the new display order)
+ */
+const validateBookOrder = [
+  body('bookIds')
+    .isArray({ min: 1 })
+    .withMessage('Book IDs must be a non-empty array'),
+  
+  body('bookIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Book IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Fragmenti gallery image validation for create and update
+ */
+const validateGalleryImage = [
+  mediaImagePath('image_path'),
+  
+  body('alt_text')
+    .trim()
+    .unescape()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Alt text must be between 1 and 300 characters'),
+  
+  body('caption')
+    .optional({ values: 'falsy' })
+    .trim()
+    .unescape()
+    .isLength({ max: 500 })
+    .withMessage('Caption must not exceed 500 characters'),
+  
+  body('book_id')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Book ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Gallery image ID validation
+ */
+const validateGalleryImageId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Image ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Gallery order validation (IDs in the new display order)
+ */
+const validateGalleryOrder = [
+  body('imageIds')
+    .isArray({ min: 1 })
+    .withMessage('Image IDs must be a non-empty array'),
+  
+  body('imageIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Image IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Media library metadata validation
+ * (text fields are unescaped back to plain text; they are escaped when rendered)
+ */
+const validateMediaMetadata = [
+  body('alt_text')
+    .optional({ values: 'null' })
+    .trim()
+    .unescape()
+    .isLength({ max: 300 })
+    .withMessage('Alt text must not exceed 300 characters'),
+  
+  body('caption')
+    .optional({ values: 'null' })
+    .trim()
+    .unescape()
+    .isLength({ max: 500 })
+    .withMessage('Caption must not exceed 500 characters'),
+  
+  body('credit')
+    .optional({ values: 'null' })
+    .trim()
+    .unescape()
+    .isLength({ max: 200 })
+    .withMessage('Credit must not exceed 200 characters'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be a list of at most 20 tags'),
+  
+  body('tags.*')
+    .trim()
+    .unescape()
+    .matches(/^[\p{L}\p{N}][\p{L}\p{N} -]{0,39}$/u)
+    .withMessage('Tags may only contain letters, numbers, spaces and hyphens (at most 40 characters)'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Media item ID validation
+ */
+const validateMediaId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Media ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Media library search validation
+ */
+const validateMediaQuery = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage('Tag must not exceed 40 characters'),
+  
+  query('type')
+    .optional({ values: 'falsy' })
+    .isIn(['uploaded', 'media'])
+    .withMessage('Type must be uploaded or media'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Public site search validation
+ */
+const validateSearchQuery = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Public content language validation (?locale=en)
+ */
+const validateLocaleQuery = [
+  query('locale')
+    .optional()
+    .isIn(localeService.locales)
+    .withMessage(`Locale must be one of: ${localeService.locales.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Translation language validation (Latvian is the source language, not a translation)
+ */
+const validateTranslationLocale = [
+  param('locale')
+    .isIn(localeService.getTranslationLocales())
+    .withMessage(`Locale must be one of: ${localeService.getTranslationLocales().join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Section content translation validation
+ * (an empty translation removes it, so the block falls back to Latvian)
+ */
+const validateContentTranslations = [
+  param('section')
+    .isIn(['interesanti', 'gramatas', 'fragmenti'])
+    .withMessage('Invalid section'),
+  
+  body('translations')
+    .isArray()
+    .withMessage('Translations must be an array'),
+  
+  body('translations.*.id')
+    .isInt({ min: 1 })
+    .withMessage('Block ID must be a positive integer')
+    .toInt(),
+  
+  body('translations.*.content')
+    .isString()
+    .withMessage('Translation must be text')
+    .isLength({ max: 10000 })
+    .withMessage('Translation must not exceed 10000 characters')
+    .customSanitizer(sanitizeHTML),
+  
+  handleValidationErrors
+];
+
+/**
+ * People profile translation validation
+ * (the name is unescaped back to plain text; it is escaped when rendered)
+ */
+const validatePeopleTranslation = [
+  body('name')
+    .optional({ values: 'falsy' })
+    .trim()
+    .unescape()
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  
+  body('content')
+    .trim()
+    .isLength({ min: 10, max: 50000 })
+    .withMessage('Content must be between 10 and 50,000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Password policy for every new admin password: at least 10 characters with both letters and numbers
+ * @param {string} field - Body field holding the new password
+ */
+const passwordPolicy = (field) => body(field)
+  .isLength({ min: 10, max: 200 })
+  .withMessage('Password must be between 10 and 200 characters')
+  .bail()
+  .matches(/\p{L}/u)
+  .withMessage('Password must contain at least one letter')
+  .matches(/\d/)
+  .withMessage('Password must contain at least one number');
+
+/**
+ * Admin user validation (an account without a password is invited instead)
+ */
+const validateAdminUser = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters'),
+  
+  body('role')
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be one of: owner, editor, viewer'),
+  
+  passwordPolicy('password')
+    .optional({ values: 'falsy' }),
+  
+  handleValidationErrors
+];
+
+/**
+ * Admin user update validation
+ */
+const validateAdminUserUpdate = [
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters'),
+  
+  body('role')
+    .optional()
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be one of: owner, editor, viewer'),
+  
+  body('disabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Disabled must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateAdminUserId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * New password validation (setting a user's password, accepting an invitation or resetting a forgotten password)
+ */
+const validateNewPassword = [
+  passwordPolicy('password'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Own password change validation
+ */
+const validatePasswordChange = [
+  body('currentPassword')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Current password is required'),
+  
+  passwordPolicy('newPassword'),
+  
+  handleValidationErrors
+];
+
+// Token of an invitation or password reset link
+const validateAccountToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid link'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Forgotten password request validation
+ */
+const validatePasswordResetRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Authenticator app code validation
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .customSanitizer(value => (typeof value === 'string' ? value.replace(/\s+/g, '') : value))
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Second login step validation: an authenticator app code or a recovery code
+ */
+const validateTwoFactorLogin = [
+  body('code')
+    .optional({ values: 'falsy' })
+    .customSanitizer(value => (typeof value === 'string' ? value.replace(/\s+/g, '') : value))
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/)
+    .withMessage('Invalid recovery code format'),
+  
+  body()
+    .custom(value => Boolean(value && (value.code || value.recoveryCode)))
+    .withMessage('Enter a code from your authenticator app or a recovery code'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Audit log filter validation
+ */
+const validateAuditQuery = [
+  query('action')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[a-z0-9_.]{1,50}$/)
+    .withMessage('Invalid action'),
+  
+  query('username')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Username must not exceed 100 characters'),
+  
+  query('entityType')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[a-z_]{1,30}$/)
+    .withMessage('Invalid entity type'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  
+  query('from')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Contact message inbox query validation
+ */
+const validateMessageQuery = [
+  query('folder')
+    .optional({ values: 'falsy' })
+    .isIn(['inbox', 'unread', 'starred', 'failed', 'archived', 'spam', 'all'])
+    .withMessage('Invalid folder'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Contact message ID validation
+ */
+const validateMessageId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Contact message inbox state validation
+ */
+const validateMessageUpdate = [
+  body('read')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Read must be true or false')
+    .toBoolean(),
+  
+  body('starred')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Starred must be true or false')
+    .toBoolean(),
+  
+  body('archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Archived must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Contact form auto-reply template validation
+ * (text fields are unescaped back to plain text, as the auto-reply is a plain text email)
+ */
+const validateAutoReply = [
+  body('enabled')
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false')
+    .toBoolean(),
+  
+  body('subject')
+    .unescape()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+  
+  body('responseTime')
+    .optional()
+    .unescape()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Response time must not exceed 100 characters'),
+  
+  body('body')
+    .unescape()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Text must be between 1 and 5000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Email outbox query validation
+ */
+const validateOutboxQuery = [
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(['pending', 'sending', 'sent', 'dead'])
+    .withMessage('Invalid status'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Outbox email ID validation
+ */
+const validateOutboxEmailId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Email ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter sign-up validation
+ */
+const validateNewsletterSubscribe = [
+  body('email')
+    .trim()
+    .unescape()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters')
+    .normalizeEmail(),
+  
+  body('locale')
+    .optional()
+    .isIn(['lv', 'en'])
+    .withMessage('Invalid language'),
+  
+  // Honeypot field, hidden from people
+  body('website')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Website must not exceed 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter confirmation and unsubscribe link validation
+ */
+const validateNewsletterToken = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid link'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter subscriber list query validation
+ */
+const validateSubscriberQuery = [
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(['pending', 'confirmed', 'unsubscribed'])
+    .withMessage('Invalid status'),
+  
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter subscriber ID validation
+ */
+const validateSubscriberId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Subscriber ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter campaign validation
+ * (text fields are unescaped back to plain text; the HTML version is built when sending)
+ */
+const validateCampaign = [
+  body('subject')
+    .unescape()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+  
+  body('body')
+    .unescape()
+    .trim()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Text must be between 1 and 20000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter campaign ID validation
+ */
+const validateCampaignId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Campaign ID must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Newsletter test email validation (without an address the test goes to the signed-in user)
+ */
+const validateCampaignTest = [
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .unescape()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Email template preview validation
+ */
+const validateEmailTemplatePreview = [
+  param('name')
+    .matches(/^[a-z][a-z-]{0,49}$/)
+    .withMessage('Template name is invalid'),
+  
+  query('locale')
+    .optional()
+    .isIn(['lv', 'en'])
+    .withMessage('Locale must be lv or en'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Login session ID validation (the public ID shown in the session list)
+ */
+const validateSessionId = [
+  param('id')
+    .isHexadecimal()
+    .isLength({ min: 16, max: 16 })
+    .withMessage('Invalid session ID'),
+  
+  handleValidationErrors
+];
+
 /**
  * General input sanitization middleware
  */
@@ -285,7 +1238,7 @@ const sanitizeInputs = (req, res, next) => {
       // Only skip for text content in content update requests
       console.log('Checking sanitization skip for:', keyPath, 'method:', req.method, 'path:', req.path);
       // Fix regex to match both content.0.content and content[0].content patterns
-      if (keyPath.match(/^content[\.\[]?\d+[\.\]]?\.content$/) && req.path.includes('/content/') && req.method === 'PUT') {
+      if (keyPath.match(/^(content|translations)[\.\[]?\d+[\.\]]?\.content$/) && req.path.includes('/content/') && req.method === 'PUT') {
         console.log('Skipping sanitization for content field:', keyPath);
         return obj; // Return original HTML content
       }
@@ -322,5 +1275,51 @@ module.exports = {
   validateFilename,
   validatePersonSlug,
   validatePeopleContent,
+  validateNewPerson,
+  validatePeopleImport,
+  validateRevisionId,
+  validateRevisionCompare,
+  validateSnapshotId,
+  validateSnapshotBlock,
+  validatePublishRequest,
+  validateBook,
+  validateBookId,
+  validateBookOrder,
+  validateGalleryImage,
+  validateGalleryImageId,
+  validateGalleryOrder,
+  validateMediaMetadata,
+  validateMediaId,
+  validateMediaQuery,
+  validateSearchQuery,
+  validateLocaleQuery,
+  validateTranslationLocale,
+  validateContentTranslations,
+  validatePeopleTranslation,
+  validateAdminUser,
+  validateAdminUserUpdate,
+  validateAdminUserId,
+  validateNewPassword,
+  validatePasswordChange,
+  validateAccountToken,
+  validatePasswordResetRequest,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateSessionId,
+  validateAuditQuery,
+  validateMessageQuery,
+  validateMessageId,
+  validateMessageUpdate,
+  validateOutboxQuery,
+  validateOutboxEmailId,
+  validateAutoReply,
+  validateNewsletterSubscribe,
+  validateNewsletterToken,
+  validateSubscriberQuery,
+  validateSubscriberId,
+  validateCampaign,
+  validateCampaignId,
+  validateCampaignTest,
+  validateEmailTemplatePreview,
   sanitizeInputs
 };
\ No newline at end of file
@@ -1,5 +1,18 @@
+const crypto = require('crypto');
 const database = require('./database');
 const bcrypt = require('bcrypt');
+const twoFactorService = require('../services/TwoFactorService');
+
+// Owners manage users, editors change site content, viewers can only look around the admin panel
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// How long an invitation link can be used
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// How long a password reset link can be used
+const RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 class AdminUser {
   constructor(data = {}) {
@@ -9,6 +22,24 @@ class AdminUser {
     this.email = data.email;
     this.created_at = data.created_at;
     this.last_login = data.last_login;
+    this.role = data.role || 'owner';
+    this.disabled_at = data.disabled_at || null;
+    this.invite_token_hash = data.invite_token_hash || null;
+    this.invite_expires_at = data.invite_expires_at || null;
+    this.totp_secret = data.totp_secret || null;
+    this.totp_pending_secret = data.totp_pending_secret || null;
+    this.totp_enabled_at = data.totp_enabled_at || null;
+    this.totp_last_counter = data.totp_last_counter ?? null;
+    this.totp_recovery_codes = typeof data.totp_recovery_codes === 'string'
+      ? JSON.parse(data.totp_recovery_codes)
+      : (data.totp_recovery_codes || []);
+    this.reset_token_hash = data.reset_token_hash || null;
+    this.reset_expires_at = data.reset_expires_at || null;
+    this.password_changed_at = data.password_changed_at || null;
+  }
+
+  static get ROLES() {
+    return ROLES;
   }
 
   // Create new admin user
@@ -19,17 +50,26 @@ class AdminUser {
       // Update existing admin user
       const result = await database.run(
         `UPDATE admin_users 
-         SET username = ?, email = ?, last_login = ?
+         SET username = ?, email = ?, last_login = ?, role = ?, disabled_at = ?,
+             invite_token_hash = ?, invite_expires_at = ?,
+             totp_secret = ?, totp_pending_secret = ?, totp_enabled_at = ?,
+             totp_last_counter = ?, totp_recovery_codes = ?,
+             reset_token_hash = ?, reset_expires_at = ?
          WHERE id = ?`,
-        [this.username, this.email, this.last_login, this.id]
+        [this.username, this.email, this.last_login, this.role, this.disabled_at,
+          this.invite_token_hash, this.invite_expires_at,
+          this.totp_secret, this.totp_pending_secret, this.totp_enabled_at,
+          this.totp_last_counter, JSON.stringify(this.totp_recovery_codes),
+          this.reset_token_hash, this.reset_expires_at, this.id]
       );
       return result;
     } else {
       // Create new admin user
       const result = await database.run(
-        `INSERT INTO admin_users (username, password_hash, email, created_at)
-         VALUES (?, ?, ?, ?)`,
-        [this.username, this.password_hash, this.email, now]
+        `INSERT INTO admin_users (username, password_hash, email, created_at, role, disabled_at, invite_token_hash, invite_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [this.username, this.password_hash, this.email, now, this.role, this.disabled_at,
+          this.invite_token_hash, this.invite_expires_at]
       );
       this.id = result.id;
       this.created_at = now;
@@ -47,6 +87,118 @@ class AdminUser {
     return await bcrypt.compare(plainPassword, this.password_hash);
   }
 
+  // Change and store the password (this also uses up a pending invitation or reset link)
+  // Sessions started before the change stop working, see requireAuth
+  async changePassword(plainPassword) {
+    await this.setPassword(plainPassword);
+    this.invite_token_hash = null;
+    this.invite_expires_at = null;
+    this.reset_token_hash = null;
+    this.reset_expires_at = null;
+    this.password_changed_at = new Date().toISOString();
+    await database.run(
+      `UPDATE admin_users
+       SET password_hash = ?, password_changed_at = ?, invite_token_hash = NULL, invite_expires_at = NULL,
+           reset_token_hash = NULL, reset_expires_at = NULL
+       WHERE id = ?`,
+      [this.password_hash, this.password_changed_at, this.id]
+    );
+  }
+
+  /**
+   * Start a password reset; a newer reset link replaces an older one
+   * @returns {string} Reset token (only its hash is stored)
+   */
+  createPasswordReset() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.reset_token_hash = hashToken(token);
+    this.reset_expires_at = new Date(Date.now() + RESET_TTL_MS).toISOString();
+    return token;
+  }
+
+  // Whether a session that logged in at loginTime started before the last password change
+  isSessionOutdated(loginTime) {
+    return Boolean(this.password_changed_at) && loginTime < Date.parse(this.password_changed_at);
+  }
+
+  /**
+   * Start an invitation: the account gets an unusable password until the link is used
+   * @returns {Promise<string>} Invitation token (only its hash is stored)
+   */
+  async createInvite() {
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.setPassword(crypto.randomBytes(32).toString('hex'));
+    this.invite_token_hash = hashToken(token);
+    this.invite_expires_at = new Date(Date.now() + INVITE_TTL_MS).toISOString();
+    return token;
+  }
+
+  isDisabled() {
+    return Boolean(this.disabled_at);
+  }
+
+  isInvitePending() {
+    return Boolean(this.invite_token_hash);
+  }
+
+  isTwoFactorEnabled() {
+    return Boolean(this.totp_enabled_at && this.totp_secret);
+  }
+
+  // Start two-factor enrollment; the secret only takes effect once a code from it is confirmed
+  startTwoFactorEnrollment() {
+    this.totp_pending_secret = twoFactorService.generateSecret();
+    return this.totp_pending_secret;
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} code - Code for the pending secret
+   * @returns {Array<string>|null} Recovery codes (only their hashes are stored), or null if the code is wrong
+   */
+  confirmTwoFactorEnrollment(code) {
+    const counter = twoFactorService.verifyCode(this.totp_pending_secret, code);
+    if (counter === null) {
+      return null;
+    }
+
+    const recoveryCodes = twoFactorService.generateRecoveryCodes();
+    this.totp_secret = this.totp_pending_secret;
+    this.totp_pending_secret = null;
+    this.totp_enabled_at = new Date().toISOString();
+    this.totp_last_counter = counter;
+    this.totp_recovery_codes = recoveryCodes.map(recoveryCode => twoFactorService.hashRecoveryCode(recoveryCode));
+    return recoveryCodes;
+  }
+
+  disableTwoFactor() {
+    this.totp_secret = null;
+    this.totp_pending_secret = null;
+    this.totp_enabled_at = null;
+    this.totp_last_counter = null;
+    this.totp_recovery_codes = [];
+  }
+
+  // Check a code from the authenticator app; each code works only once
+  verifyTwoFactorCode(code) {
+    const counter = twoFactorService.verifyCode(this.totp_secret, code, this.totp_last_counter);
+    if (counter === null) {
+      return false;
+    }
+    this.totp_last_counter = counter;
+    return true;
+  }
+
+  // Use up a recovery code
+  useRecoveryCode(code) {
+    const index = this.totp_recovery_codes.indexOf(twoFactorService.hashRecoveryCode(code));
+    if (!code || index === -1) {
+      return false;
+    }
+    this.totp_recovery_codes.splice(index, 1);
+    return true;
+  }
+
   // Update last login timestamp
   async updateLastLogin() {
     this.last_login = new Date().toISOString();
@@ -72,10 +224,41 @@ class AdminUser {
 
   // Find admin user by email
   static async findByEmail(email) {
-    const row = await database.get('SELECT * FROM admin_users WHERE email = ?', [email]);
+    // Addresses are matched without regard to case, however they were typed
+    const row = await database.get('SELECT * FROM admin_users WHERE LOWER(email) = LOWER(?)', [email]);
     return row ? new AdminUser(row) : null;
   }
 
+  // Find the account of an invitation link that has not expired
+  static async findByInviteToken(token) {
+    if (!token) return null;
+    const row = await database.get(
+      'SELECT * FROM admin_users WHERE invite_token_hash = ? AND invite_expires_at > ? AND disabled_at IS NULL',
+      [hashToken(token), new Date().toISOString()]
+    );
+    return row ? new AdminUser(row) : null;
+  }
+
+  // Find the account of a password reset link that has not expired
+  static async findByResetToken(token) {
+    if (!token) return null;
+    const row = await database.get(
+      'SELECT * FROM admin_users WHERE reset_token_hash = ? AND reset_expires_at > ? AND disabled_at IS NULL',
+      [hashToken(token), new Date().toISOString()]
+    );
+    return row ? new AdminUser(row) : null;
+  }
+
+  // Count owners who can still log in (there must always be one left)
+  static async countActiveOwners(excludeId = null) {
+    const row = await database.get(
+      `SELECT COUNT(*) AS count FROM admin_users
+       WHERE role = 'owner' AND disabled_at IS NULL AND invite_token_hash IS NULL AND id != ?`,
+      [excludeId || 0]
+    );
+    return row.count;
+  }
+
   // Get all admin users
   static async findAll() {
     const rows = await database.all('SELECT * FROM admin_users ORDER BY created_at ASC');
@@ -91,7 +274,7 @@ class AdminUser {
   // Authenticate user with username and password
   static async authenticate(username, password) {
     const user = await AdminUser.findByUsername(username);
-    if (user && await user.verifyPassword(password)) {
+    if (user && !user.isDisabled() && await user.verifyPassword(password)) {
       await user.updateLastLogin();
       return user;
     }
@@ -142,6 +325,10 @@ class AdminUser {
       errors.push('Invalid email format');
     }
 
+    if (!ROLES.includes(this.role)) {
+      errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
     return errors;
   }
 
@@ -151,6 +338,12 @@ class AdminUser {
       id: this.id,
       username: this.username,
       email: this.email,
+      role: this.role,
+      disabled: this.isDisabled(),
+      disabled_at: this.disabled_at,
+      invite_pending: this.isInvitePending(),
+      invite_expires_at: this.invite_expires_at,
+      two_factor_enabled: this.isTwoFactorEnabled(),
       created_at: this.created_at,
       last_login: this.last_login
     };
@@ -160,7 +353,8 @@ class AdminUser {
   toSafeJSON() {
     return {
       id: this.id,
-      username: this.username
+      username: this.username,
+      role: this.role
     };
   }
 }
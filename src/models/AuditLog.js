@@ -0,0 +1,161 @@
+const database = require('./database');
+
+// Escape LIKE wildcards so search terms are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Entry in the admin audit log
+ *
+ * Entries are only ever added (the database rejects changes and deletes), so there is no
+ * update or delete method.
+ */
+class AuditLog {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.created_at = data.created_at;
+    this.action = data.action;
+    this.user_id = data.user_id || null;
+    this.username = data.username || null;
+    this.ip = data.ip || null;
+    this.request_id = data.request_id || null;
+    this.entity_type = data.entity_type || null;
+    this.entity_id = data.entity_id !== undefined && data.entity_id !== null ? String(data.entity_id) : null;
+    this.before_summary = data.before_summary || null;
+    this.after_summary = data.after_summary || null;
+  }
+
+  // Add the entry to the log
+  async save() {
+    if (this.id) {
+      throw new Error('Audit log entries cannot be changed');
+    }
+
+    this.created_at = this.created_at || new Date().toISOString();
+
+    const result = await database.run(
+      `INSERT INTO audit_log (created_at, action, user_id, username, ip, request_id, entity_type, entity_id,
+                              before_summary, after_summary)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        this.created_at, this.action, this.user_id, this.username, this.ip, this.request_id,
+        this.entity_type, this.entity_id, this.before_summary, this.after_summary
+      ]
+    );
+    this.id = result.id;
+    return result;
+  }
+
+  // Build WHERE conditions for the search filters
+  static buildFilters({ action, username, entityType, search, from, to } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+
+    if (username) {
+      conditions.push('username = ?');
+      params.push(username);
+    }
+
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(entityType);
+    }
+
+    if (search) {
+      const pattern = `%${escapeLike(search.toLowerCase())}%`;
+      conditions.push(`(${['entity_id', 'ip', 'request_id', 'before_summary', 'after_summary']
+        .map(column => `LOWER(${column}) LIKE ? ESCAPE '\\'`)
+        .join(' OR ')})`);
+      params.push(pattern, pattern, pattern, pattern, pattern);
+    }
+
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+
+    return {
+      where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Search the log, newest first
+   * @param {Object} options - Search options
+   * @param {string} [options.action] - Only entries with this action, e.g. 'content.update'
+   * @param {string} [options.username] - Only entries by this user
+   * @param {string} [options.entityType] - Only entries about this kind of thing, e.g. 'person'
+   * @param {string} [options.search] - Text matched against entity ID, IP, request ID and summaries
+   * @param {string} [options.from] - Only entries at or after this ISO time
+   * @param {string} [options.to] - Only entries at or before this ISO time
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Entries per page
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async search({ page = 1, limit = 50, ...filters } = {}) {
+    const { where, params } = AuditLog.buildFilters(filters);
+
+    const countRow = await database.get(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+    const rows = await database.all(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      items: rows.map(row => new AuditLog(row)),
+      total: countRow.total
+    };
+  }
+
+  // All entries matching the filters, newest first (for export)
+  static async findAll(filters = {}) {
+    const { where, params } = AuditLog.buildFilters(filters);
+    const rows = await database.all(`SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC`, params);
+    return rows.map(row => new AuditLog(row));
+  }
+
+  // Actions and users that appear in the log, for the viewer's filters
+  static async getFilterOptions() {
+    const actions = await database.all('SELECT DISTINCT action FROM audit_log ORDER BY action');
+    const usernames = await database.all(
+      'SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username'
+    );
+    const entityTypes = await database.all(
+      'SELECT DISTINCT entity_type FROM audit_log WHERE entity_type IS NOT NULL ORDER BY entity_type'
+    );
+
+    return {
+      actions: actions.map(row => row.action),
+      usernames: usernames.map(row => row.username),
+      entityTypes: entityTypes.map(row => row.entity_type)
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      created_at: this.created_at,
+      action: this.action,
+      user_id: this.user_id,
+      username: this.username,
+      ip: this.ip,
+      request_id: this.request_id,
+      entity_type: this.entity_type,
+      entity_id: this.entity_id,
+      before_summary: this.before_summary,
+      after_summary: this.after_summary
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,140 @@
+const database = require('./database');
+
+// Books shown on the site before they were managed from the admin panel
+const DEFAULT_BOOKS = [
+  {
+    title: 'Lieliskā dzīve bez Zoom',
+    description: 'Galvenie varoņi ir Miks un Elza, kurus klātienes skolas stundas atrauj no telefona un datora, mājsēdes un tiešsaistes. Skolas dzīve ar zaudējumiem un uzvarām, asarām un pārdzīvojumiem atgādina mums, cik svarīgi ir atrast draugus, iekļauties kolektīvā, dažreiz paskumt, bet katru rītu sākt dienu kā piedzīvojumu.',
+    cover_image: '/media/book_1.jpg',
+    decoration_image: '/media/character.jpg'
+  },
+  {
+    title: 'Kā iet pa skolu? Normāli',
+    description: 'Mūsu dienas ir tikpat strīpainas kā Mika krekliņš – viena strīpa melna, otra balta. Vienu dienu mums veicas un viss iecerētais izdodas, citu dienu neveiksme seko neveiksmei. Tā notiek ar pilnīgi visiem cilvēkiem, un tas ir normāli. Šie stāsti nav tikai par Miku, bet arī par viņa klasesbiedriem un ģimeni. Un arī par tevi, taviem draugiem, vecākiem un klasesbiedriem. Gan jau arī tavā dzīvē netrūkst ne jautru, ne bailīgu, ne mazliet traku notikumu, svarīgi ir tikai tas, kā tu pats uz tiem paskaties.',
+    cover_image: '/media/book_3.jpg',
+    decoration_image: '/media/character.jpg'
+  },
+  {
+    title: 'Ko dari? Neko',
+    description: 'Vasaras brīvlaiks ir skolas laika labākā daļa. Skumji, ja tas tikko beidzies, brīnišķīgi, ja drīz sāksies, bet vislabāk, ja šodien ir pati pirmā vasaras brīvlaika diena! Par to priecājas visa Mika ģimene - mamma, tētis, lielās māsas- dvīnes Kate un Beta, kā arī mazā, kaitinošā māsa Eva. Beidzot var izgulēties, nekur nav jāsteidzas un, galvenais, nav jāpilda mājas darbi un jāgatavojas pārbaudes darbiem. Mika ģimenē dzīvo kaķis Harijs un suns Manijs, kuriem arī ļoti patīk vasaras brīvlaiks, jo vienmēr kāds ir mājās un laicīgi tiek pasniegts ēdiens.',
+    cover_image: '/media/book_2.jpg',
+    decoration_image: '/media/character_2.gif'
+  },
+  {
+    title: 'Draugu saraksts',
+    description: 'Ikviena cilvēka dzīvē, vai tas ir bērns vai pieaugušais, liela nozīme ir draugiem, jo tieši viņi var ļoti ietekmēt mūsu rīcību un dzīvi vispār. Varam darīt brīnumlabas lietas, ja draugi mūs atbalsta. Vai gluži pretēji – ietekmējoties no draugiem, varam pieļaut neprātīgas kļūdas. Kāds ir vai būs tavs draugs? Izvēle jāizdara pašam.',
+    cover_image: '/media/book_4.jpg',
+    decoration_image: '/media/characters.jpg'
+  }
+];
+
+class Book {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.title = data.title;
+    this.description = data.description || '';
+    this.cover_image = data.cover_image || null;
+    this.decoration_image = data.decoration_image || null;
+    this.publication_year = data.publication_year || null;
+    this.isbn = data.isbn || null;
+    this.publisher = data.publisher || null;
+    this.order_index = data.order_index || 0;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create new book or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    const values = [
+      this.title, this.description, this.cover_image, this.decoration_image,
+      this.publication_year, this.isbn, this.publisher, this.order_index
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE books
+         SET title = ?, description = ?, cover_image = ?, decoration_image = ?,
+             publication_year = ?, isbn = ?, publisher = ?, order_index = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO books (title, description, cover_image, decoration_image,
+                          publication_year, isbn, publisher, order_index, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, now, now]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    this.updated_at = now;
+    return result;
+  }
+
+  // Find book by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM books WHERE id = ?', [id]);
+    return row ? new Book(row) : null;
+  }
+
+  // Get all books in display order
+  static async findAll() {
+    const rows = await database.all('SELECT * FROM books ORDER BY order_index ASC, id ASC');
+    return rows.map(row => new Book(row));
+  }
+
+  // Get the order index that places a new book last
+  static async getNextOrderIndex() {
+    const row = await database.get('SELECT MAX(order_index) as max_index FROM books');
+    return row && row.max_index !== null ? row.max_index + 1 : 0;
+  }
+
+  // Delete book by ID
+  static async deleteById(id) {
+    const result = await database.run('DELETE FROM books WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Update display order (bookIds in the new order)
+  static async updateOrder(bookIds) {
+    const now = new Date().toISOString();
+    const promises = bookIds.map((id, index) =>
+      database.run(
+        'UPDATE books SET order_index = ?, updated_at = ? WHERE id = ?',
+        [index, now, id]
+      )
+    );
+    return Promise.all(promises);
+  }
+
+  // Insert the books that used to be hard-coded in index.html
+  static async seedDefaults() {
+    for (const [index, data] of DEFAULT_BOOKS.entries()) {
+      await new Book({ ...data, order_index: index }).save();
+    }
+    return DEFAULT_BOOKS.length;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      cover_image: this.cover_image,
+      decoration_image: this.decoration_image,
+      publication_year: this.publication_year,
+      isbn: this.isbn,
+      publisher: this.publisher,
+      order_index: this.order_index,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Book;
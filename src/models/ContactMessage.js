@@ -1,5 +1,23 @@
+const validator = require('validator');
 const database = require('./database');
 
+// Escape LIKE wildcards so search terms are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// 'pending' until the outbox has sent the notification to the author ('sent') or given up ('failed')
+const STATUSES = ['pending', 'sent', 'failed', 'spam'];
+
+// Inbox folders and the messages they show (spam only shows in its own folder and in all)
+const FOLDERS = {
+  inbox: "archived_at IS NULL AND status != 'spam'",
+  unread: "archived_at IS NULL AND read_at IS NULL AND status != 'spam'",
+  starred: "starred = 1 AND status != 'spam'",
+  failed: "status = 'failed'",
+  archived: "archived_at IS NOT NULL AND status != 'spam'",
+  spam: "status = 'spam'",
+  all: '1 = 1'
+};
+
 class ContactMessage {
   constructor(data = {}) {
     this.id = data.id;
@@ -8,6 +26,24 @@ class ContactMessage {
     this.message = data.message;
     this.submitted_at = data.submitted_at;
     this.status = data.status || 'sent';
+    this.read_at = data.read_at || null;
+    this.starred = Boolean(data.starred);
+    this.archived_at = data.archived_at || null;
+    this.spam_reasons = Array.isArray(data.spam_reasons) ? data.spam_reasons : ContactMessage.parseReasons(data.spam_reasons);
+  }
+
+  // Spam reasons are stored as a JSON list
+  static parseReasons(value) {
+    if (!value) {
+      return [];
+    }
+
+    try {
+      const reasons = JSON.parse(value);
+      return Array.isArray(reasons) ? reasons : [];
+    } catch (error) {
+      return [];
+    }
   }
 
   // Save contact message
@@ -18,17 +54,20 @@ class ContactMessage {
       // Update existing message (mainly for status updates)
       const result = await database.run(
         `UPDATE contact_messages 
-         SET name = ?, email = ?, message = ?, status = ?
+         SET name = ?, email = ?, message = ?, status = ?, read_at = ?, starred = ?, archived_at = ?, spam_reasons = ?
          WHERE id = ?`,
-        [this.name, this.email, this.message, this.status, this.id]
+        [
+          this.name, this.email, this.message, this.status, this.read_at, this.starred ? 1 : 0, this.archived_at,
+          this.spam_reasons.length ? JSON.stringify(this.spam_reasons) : null, this.id
+        ]
       );
       return result;
     } else {
       // Create new contact message
       const result = await database.run(
-        `INSERT INTO contact_messages (name, email, message, submitted_at, status)
-         VALUES (?, ?, ?, ?, ?)`,
-        [this.name, this.email, this.message, now, this.status]
+        `INSERT INTO contact_messages (name, email, message, submitted_at, status, spam_reasons)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [this.name, this.email, this.message, now, this.status, this.spam_reasons.length ? JSON.stringify(this.spam_reasons) : null]
       );
       this.id = result.id;
       this.submitted_at = now;
@@ -38,8 +77,8 @@ class ContactMessage {
 
   // Update message status
   async updateStatus(status) {
-    if (!['sent', 'failed'].includes(status)) {
-      throw new Error('Invalid status. Must be "sent" or "failed"');
+    if (!STATUSES.includes(status)) {
+      throw new Error('Invalid status. Must be "pending", "sent", "failed" or "spam"');
     }
     
     this.status = status;
@@ -147,6 +186,86 @@ class ContactMessage {
     return rows.map(row => new ContactMessage(row));
   }
 
+  /**
+   * Messages in an inbox folder, newest first
+   * @param {Object} options - Search options
+   * @param {string} [options.folder] - One of ContactMessage.FOLDERS (default 'inbox')
+   * @param {string} [options.search] - Text matched against name, email and message
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Messages per page; all of them when not given
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async findInbox({ folder = 'inbox', search = null, page = 1, limit = null } = {}) {
+    const conditions = [FOLDERS[folder] || FOLDERS.inbox];
+    const params = [];
+
+    if (search) {
+      // Stored text is HTML-escaped, so the search term is escaped the same way
+      const pattern = `%${escapeLike(ContactMessage.encodeText(search).toLowerCase())}%`;
+      conditions.push("(LOWER(name) LIKE ? ESCAPE '\\' OR LOWER(email) LIKE ? ESCAPE '\\' OR LOWER(message) LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern, pattern);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const countRow = await database.get(`SELECT COUNT(*) as total FROM contact_messages ${where}`, params);
+
+    let query = `SELECT * FROM contact_messages ${where} ORDER BY submitted_at DESC, id DESC`;
+    if (limit) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, (page - 1) * limit);
+    }
+    const rows = await database.all(query, params);
+
+    return {
+      items: rows.map(row => new ContactMessage(row)),
+      total: countRow.total
+    };
+  }
+
+  // Number of messages in each inbox folder
+  static async getFolderCounts() {
+    const counts = {};
+    for (const [folder, condition] of Object.entries(FOLDERS)) {
+      const row = await database.get(`SELECT COUNT(*) as count FROM contact_messages WHERE ${condition}`);
+      counts[folder] = row.count;
+    }
+    return counts;
+  }
+
+  // Contact form fields are HTML-escaped twice on the way in (by sanitizeInputs and by
+  // validateContactForm), so they are stored that way and decoded twice for plain text
+  static encodeText(text) {
+    return validator.escape(validator.escape(String(text || '')));
+  }
+
+  static decodeText(text) {
+    return validator.unescape(validator.unescape(String(text || '')));
+  }
+
+  /**
+   * Whether the same message text arrived recently
+   * @param {string} message - Message as stored (HTML-escaped)
+   * @param {string} since - ISO time
+   * @returns {Promise<boolean>}
+   */
+  static async existsSince(message, since) {
+    const row = await database.get(
+      'SELECT COUNT(*) as count FROM contact_messages WHERE LOWER(TRIM(message)) = LOWER(TRIM(?)) AND submitted_at >= ?',
+      [message, since]
+    );
+    return row.count > 0;
+  }
+
+  // Mark the message read or unread
+  setRead(read) {
+    this.read_at = read ? (this.read_at || new Date().toISOString()) : null;
+  }
+
+  // Move the message to the archive or back to the inbox
+  setArchived(archived) {
+    this.archived_at = archived ? (this.archived_at || new Date().toISOString()) : null;
+  }
+
   // Validate contact message data
   validate() {
     const errors = [];
@@ -175,8 +294,8 @@ class ContactMessage {
       errors.push('Message must be less than 2000 characters');
     }
 
-    if (this.status && !['sent', 'failed'].includes(this.status)) {
-      errors.push('Status must be either "sent" or "failed"');
+    if (this.status && !STATUSES.includes(this.status)) {
+      errors.push('Status must be "pending", "sent", "failed" or "spam"');
     }
 
     return errors;
@@ -194,6 +313,24 @@ class ContactMessage {
     };
   }
 
+  // Convert to JSON for the admin inbox (text as the visitor typed it, with inbox state)
+  toInboxJSON() {
+    return {
+      id: this.id,
+      name: ContactMessage.decodeText(this.name),
+      email: ContactMessage.decodeText(this.email),
+      message: ContactMessage.decodeText(this.message),
+      submitted_at: this.submitted_at,
+      status: this.status,
+      read: Boolean(this.read_at),
+      read_at: this.read_at,
+      starred: this.starred,
+      archived: Boolean(this.archived_at),
+      archived_at: this.archived_at,
+      spam_reasons: this.spam_reasons
+    };
+  }
+
   // Convert to summary JSON (for lists)
   toSummaryJSON() {
     return {
@@ -207,4 +344,7 @@ class ContactMessage {
   }
 }
 
+ContactMessage.STATUSES = STATUSES;
+ContactMessage.FOLDERS = Object.keys(FOLDERS);
+
 module.exports = ContactMessage;
\ No newline at end of file
@@ -83,6 +83,33 @@ class Content {
     await Promise.all(promises);
   }
 
+  // Replace all content in a section with the given blocks (ids are reused where the block still exists)
+  static async replaceSection(section, blocks) {
+    const existingContent = await Content.findBySection(section);
+    const existingById = new Map(existingContent.map(item => [item.id, item]));
+    const keptIds = new Set(blocks.filter(block => existingById.has(block.id)).map(block => block.id));
+
+    for (const item of existingContent) {
+      if (!keptIds.has(item.id)) {
+        await Content.deleteById(item.id);
+      }
+    }
+
+    const restored = [];
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      const contentItem = keptIds.has(block.id) ? existingById.get(block.id) : new Content({ section });
+
+      contentItem.content_type = block.content_type;
+      contentItem.content = block.content;
+      contentItem.order_index = i;
+      await contentItem.save();
+      restored.push(contentItem);
+    }
+
+    return restored;
+  }
+
   // Get content count by section
   static async getCountBySection(section) {
     const result = await database.get('SELECT COUNT(*) as count FROM content WHERE section = ?', [section]);
@@ -0,0 +1,125 @@
+const database = require('./database');
+const Content = require('./Content');
+const Publication = require('./Publication');
+
+class ContentSnapshot {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.section = data.section;
+    this.blocks = typeof data.blocks === 'string' ? JSON.parse(data.blocks) : (data.blocks || []);
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.change_note = data.change_note || null;
+    this.restored_from = data.restored_from || null;
+  }
+
+  // Create new snapshot (snapshots are never updated, apart from image paths when an image is moved)
+  async save() {
+    const now = this.created_at || new Date().toISOString();
+
+    const result = await database.run(
+      `INSERT INTO content_snapshots (section, blocks, created_by, created_at, change_note, restored_from)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [this.section, JSON.stringify(this.blocks), this.created_by, now, this.change_note, this.restored_from]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    return result;
+  }
+
+  // Store the current state of a section as a new snapshot
+  static async capture(section, createdBy, options = {}) {
+    const content = await Content.findBySection(section);
+
+    const snapshot = new ContentSnapshot({
+      section,
+      blocks: content.map(item => ({
+        id: item.id,
+        content_type: item.content_type,
+        content: item.content,
+        order_index: item.order_index
+      })),
+      created_by: createdBy,
+      change_note: options.change_note,
+      restored_from: options.restored_from
+    });
+    await snapshot.save();
+    return snapshot;
+  }
+
+  // Prepare a section for a tracked change: content saved before history tracking existed is
+  // snapshotted so the first edit can be undone, and whatever is live stays published
+  static async ensureBaseline(section) {
+    let baseline = null;
+
+    if (await ContentSnapshot.getCountBySection(section) === 0 && await Content.getCountBySection(section) > 0) {
+      baseline = await ContentSnapshot.capture(section, 'system', { change_note: 'Original version' });
+    }
+
+    const [latest] = await ContentSnapshot.findBySection(section, 1);
+    await Publication.pin('section', section, latest ? latest.id : null);
+
+    return baseline;
+  }
+
+  // Find snapshot by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM content_snapshots WHERE id = ?', [id]);
+    return row ? new ContentSnapshot(row) : null;
+  }
+
+  // Find snapshot by ID within a specific section
+  static async findBySectionAndId(section, id) {
+    const row = await database.get(
+      'SELECT * FROM content_snapshots WHERE section = ? AND id = ?',
+      [section, id]
+    );
+    return row ? new ContentSnapshot(row) : null;
+  }
+
+  // Get snapshots for a section (newest first)
+  static async findBySection(section, limit = 20, offset = 0) {
+    const rows = await database.all(
+      `SELECT * FROM content_snapshots WHERE section = ?
+       ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [section, limit, offset]
+    );
+    return rows.map(row => new ContentSnapshot(row));
+  }
+
+  // Get snapshot count by section
+  static async getCountBySection(section) {
+    const result = await database.get('SELECT COUNT(*) as count FROM content_snapshots WHERE section = ?', [section]);
+    return result.count;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      section: this.section,
+      blocks: this.blocks,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      change_note: this.change_note,
+      restored_from: this.restored_from
+    };
+  }
+
+  // Convert to summary JSON (for snapshot lists, without block content)
+  toSummaryJSON() {
+    return {
+      id: this.id,
+      section: this.section,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      change_note: this.change_note,
+      restored_from: this.restored_from,
+      block_count: this.blocks.length,
+      text_blocks: this.blocks.filter(block => block.content_type === 'text').length,
+      image_blocks: this.blocks.filter(block => block.content_type === 'image').length
+    };
+  }
+}
+
+module.exports = ContentSnapshot;
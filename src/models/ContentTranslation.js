@@ -0,0 +1,69 @@
+const database = require('./database');
+
+class ContentTranslation {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.content_id = data.content_id;
+    this.locale = data.locale;
+    this.content = data.content;
+    this.updated_at = data.updated_at;
+    this.updated_by = data.updated_by || null;
+  }
+
+  // Create or replace the translation of a content block
+  async save() {
+    const now = new Date().toISOString();
+    await database.run(
+      `INSERT INTO content_translations (content_id, locale, content, updated_at, updated_by)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(content_id, locale) DO UPDATE
+       SET content = excluded.content, updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+      [this.content_id, this.locale, this.content, now, this.updated_by]
+    );
+
+    const row = await database.get(
+      'SELECT id FROM content_translations WHERE content_id = ? AND locale = ?',
+      [this.content_id, this.locale]
+    );
+    this.id = row.id;
+    this.updated_at = now;
+    return this;
+  }
+
+  // Find the translations of several blocks in one locale
+  static async findByContentIds(contentIds, locale) {
+    if (contentIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await database.all(
+      `SELECT * FROM content_translations
+       WHERE locale = ? AND content_id IN (${contentIds.map(() => '?').join(', ')})`,
+      [locale, ...contentIds]
+    );
+    return new Map(rows.map(row => [row.content_id, new ContentTranslation(row)]));
+  }
+
+  // Delete the translation of a block in one locale
+  static async delete(contentId, locale) {
+    const result = await database.run(
+      'DELETE FROM content_translations WHERE content_id = ? AND locale = ?',
+      [contentId, locale]
+    );
+    return result.changes > 0;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      content_id: this.content_id,
+      locale: this.locale,
+      content: this.content,
+      updated_at: this.updated_at,
+      updated_by: this.updated_by
+    };
+  }
+}
+
+module.exports = ContentTranslation;
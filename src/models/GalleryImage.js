@@ -0,0 +1,142 @@
+const database = require('./database');
+
+// Preview pages shown in the Fragmenti gallery before it was managed from the admin panel
+const DEFAULT_GALLERY_IMAGES = [
+  { image_path: '/media/book_preview.jpg', alt_text: 'Grāmatas fragmenta priekšskatījums 1' },
+  { image_path: '/media/book_preview_2.jpg', alt_text: 'Grāmatas fragmenta priekšskatījums 2' },
+  { image_path: '/media/book_preview_3.jpg', alt_text: 'Grāmatas fragmenta priekšskatījums 3' }
+];
+
+const SELECT_WITH_BOOK = `
+  SELECT gallery_images.*, books.title AS book_title
+  FROM gallery_images
+  LEFT JOIN books ON books.id = gallery_images.book_id`;
+
+class GalleryImage {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.image_path = data.image_path;
+    this.alt_text = data.alt_text;
+    this.caption = data.caption || null;
+    this.book_id = data.book_id || null;
+    this.book_title = data.book_title || null;
+    this.order_index = data.order_index || 0;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create new gallery image or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    const values = [this.image_path, this.alt_text, this.caption, this.book_id, this.order_index];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE gallery_images
+         SET image_path = ?, alt_text = ?, caption = ?, book_id = ?, order_index = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO gallery_images (image_path, alt_text, caption, book_id, order_index, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [...values, now, now]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    this.updated_at = now;
+    return result;
+  }
+
+  // Find gallery image by ID (with the linked book's title)
+  static async findById(id) {
+    const row = await database.get(`${SELECT_WITH_BOOK} WHERE gallery_images.id = ?`, [id]);
+    return row ? new GalleryImage(row) : null;
+  }
+
+  // Get all gallery images in display order
+  static async findAll() {
+    const rows = await database.all(`${SELECT_WITH_BOOK} ORDER BY gallery_images.order_index ASC, gallery_images.id ASC`);
+    return rows.map(row => new GalleryImage(row));
+  }
+
+  // Get the order index that places a new image last
+  static async getNextOrderIndex() {
+    const row = await database.get('SELECT MAX(order_index) as max_index FROM gallery_images');
+    return row && row.max_index !== null ? row.max_index + 1 : 0;
+  }
+
+  // Delete gallery image by ID
+  static async deleteById(id) {
+    const result = await database.run('DELETE FROM gallery_images WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Update display order (imageIds in the new order)
+  static async updateOrder(imageIds) {
+    const now = new Date().toISOString();
+    const promises = imageIds.map((id, index) =>
+      database.run(
+        'UPDATE gallery_images SET order_index = ?, updated_at = ? WHERE id = ?',
+        [index, now, id]
+      )
+    );
+    return Promise.all(promises);
+  }
+
+  // Detach images from a book that is being deleted (the images stay in the gallery)
+  static async unlinkBook(bookId) {
+    const result = await database.run(
+      'UPDATE gallery_images SET book_id = NULL, updated_at = ? WHERE book_id = ?',
+      [new Date().toISOString(), bookId]
+    );
+    return result.changes;
+  }
+
+  // Group images by linked book, keeping the order in which each book first appears
+  static groupByBook(images) {
+    const groups = new Map();
+
+    for (const image of images) {
+      const key = image.book_id || 'none';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          book: image.book_id ? { id: image.book_id, title: image.book_title } : null,
+          images: []
+        });
+      }
+      groups.get(key).images.push(image.toJSON());
+    }
+
+    return Array.from(groups.values());
+  }
+
+  // Insert the preview images that used to be hard-coded in main.js
+  static async seedDefaults() {
+    for (const [index, data] of DEFAULT_GALLERY_IMAGES.entries()) {
+      await new GalleryImage({ ...data, order_index: index }).save();
+    }
+    return DEFAULT_GALLERY_IMAGES.length;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      image_path: this.image_path,
+      alt_text: this.alt_text,
+      caption: this.caption,
+      book_id: this.book_id,
+      book_title: this.book_title,
+      order_index: this.order_index,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = GalleryImage;
@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('./database');
+const imageVariantService = require('../services/ImageVariantService');
+
+// Directories listed in the media library, by image type
+const MEDIA_DIRECTORIES = {
+  uploaded: { directory: path.join(__dirname, '../../uploads'), webPrefix: '/uploads/' },
+  media: { directory: path.join(__dirname, '../../public/media'), webPrefix: '/media/' }
+};
+
+const IMAGE_FILE_PATTERN = /\.(jpg|jpeg|png|gif|webp)$/i;
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Escape LIKE wildcards so search terms are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+class Media {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.path = data.path;
+    this.filename = data.filename;
+    this.type = data.type;
+    this.mime_type = data.mime_type || null;
+    this.size = data.size || 0;
+    this.width = data.width || null;
+    this.height = data.height || null;
+    this.alt_text = data.alt_text || null;
+    this.caption = data.caption || null;
+    this.credit = data.credit || null;
+    this.tags = Array.isArray(data.tags) ? data.tags : Media.parseTags(data.tags);
+    this.uploaded_by = data.uploaded_by || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create new media item or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    const values = [
+      this.path, this.filename, this.type, this.mime_type, this.size, this.width, this.height,
+      this.alt_text, this.caption, this.credit, Media.formatTags(this.tags), this.uploaded_by
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE media
+         SET path = ?, filename = ?, type = ?, mime_type = ?, size = ?, width = ?, height = ?,
+             alt_text = ?, caption = ?, credit = ?, tags = ?, uploaded_by = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const createdAt = this.created_at || now;
+    const result = await database.run(
+      `INSERT INTO media (path, filename, type, mime_type, size, width, height,
+                          alt_text, caption, credit, tags, uploaded_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, createdAt, now]
+    );
+    this.id = result.id;
+    this.created_at = createdAt;
+    this.updated_at = now;
+    return result;
+  }
+
+  // Find media item by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM media WHERE id = ?', [id]);
+    return row ? new Media(row) : null;
+  }
+
+  // Find media item by web path
+  static async findByPath(webPath) {
+    const row = await database.get('SELECT * FROM media WHERE path = ?', [webPath]);
+    return row ? new Media(row) : null;
+  }
+
+  // Get all media items, newest first
+  static async findAll() {
+    const rows = await database.all('SELECT * FROM media ORDER BY created_at DESC, id DESC');
+    return rows.map(row => new Media(row));
+  }
+
+  /**
+   * Search media items, newest first
+   * @param {Object} options - Search options
+   * @param {string} [options.search] - Text matched against file name, alt text, caption, credit and tags
+   * @param {string} [options.tag] - Only items with this tag
+   * @param {string} [options.type] - Only items of this type ('uploaded' or 'media')
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Items per page
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async search({ search, tag, type, page = 1, limit = 24 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      const pattern = `%${escapeLike(search.toLowerCase())}%`;
+      conditions.push(`(${['filename', 'alt_text', 'caption', 'credit', 'tags']
+        .map(column => `LOWER(${column}) LIKE ? ESCAPE '\\'`)
+        .join(' OR ')})`);
+      params.push(pattern, pattern, pattern, pattern, pattern);
+    }
+
+    if (tag) {
+      conditions.push("tags LIKE ? ESCAPE '\\'");
+      params.push(`%,${escapeLike(tag.toLowerCase())},%`);
+    }
+
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countRow = await database.get(`SELECT COUNT(*) as total FROM media ${where}`, params);
+    const rows = await database.all(
+      `SELECT * FROM media ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      items: rows.map(row => new Media(row)),
+      total: countRow.total
+    };
+  }
+
+  // Get every tag with the number of items using it, most used first
+  static async getTagCounts() {
+    const rows = await database.all("SELECT tags FROM media WHERE tags != ''");
+    const counts = new Map();
+
+    for (const row of rows) {
+      for (const tag of Media.parseTags(row.tags)) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // Delete media item by web path (the file itself is removed by the caller)
+  static async deleteByPath(webPath) {
+    const result = await database.run('DELETE FROM media WHERE path = ?', [webPath]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Create a media item for an image file
+   * @param {string} webPath - Web path of the image (/uploads/... or /media/...)
+   * @param {Object} [data] - Extra fields (e.g. uploaded_by)
+   * @returns {Promise<Media>} Saved media item
+   */
+  static async createFromFile(webPath, data = {}) {
+    const type = webPath.startsWith('/uploads/') ? 'uploaded' : 'media';
+    const { directory, webPrefix } = MEDIA_DIRECTORIES[type];
+    const filename = webPath.slice(webPrefix.length);
+    const stats = await fs.stat(path.join(directory, filename));
+    const dimensions = await imageVariantService.getMetadata(webPath);
+
+    const media = new Media({
+      path: webPath,
+      filename,
+      type,
+      mime_type: MIME_TYPES[path.extname(filename).toLowerCase()] || null,
+      size: stats.size,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null,
+      created_at: data.created_at || stats.mtime.toISOString(),
+      ...data
+    });
+    await media.save();
+    return media;
+  }
+
+  /**
+   * Add images found in uploads/ and public/media/ that are not in the library yet
+   * and drop items whose file no longer exists
+   * @returns {Promise<Object>} { added, removed }
+   */
+  static async syncWithFiles() {
+    const known = new Set((await database.all('SELECT path FROM media')).map(row => row.path));
+    const found = new Set();
+    let added = 0;
+
+    for (const { directory, webPrefix } of Object.values(MEDIA_DIRECTORIES)) {
+      let files;
+      try {
+        files = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        console.log(`Media directory not readable (${directory}):`, error.message);
+        continue;
+      }
+
+      for (const file of files) {
+        if (!file.isFile() || !IMAGE_FILE_PATTERN.test(file.name) || file.name.includes('Zone.Identifier')) {
+          continue;
+        }
+
+        const webPath = webPrefix + file.name;
+        found.add(webPath);
+        if (!known.has(webPath)) {
+          await Media.createFromFile(webPath);
+          added++;
+        }
+      }
+    }
+
+    let removed = 0;
+    for (const webPath of known) {
+      if (!found.has(webPath)) {
+        await Media.deleteByPath(webPath);
+        removed++;
+      }
+    }
+
+    return { added, removed };
+  }
+
+  // Tags are stored lower-case as ",tag one,tag two," so a single tag can be matched with LIKE
+  static parseTags(value) {
+    return (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  static formatTags(tags) {
+    const unique = [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    return unique.length ? `,${unique.join(',')},` : '';
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      path: this.path,
+      filename: this.filename,
+      type: this.type,
+      mime_type: this.mime_type,
+      size: this.size,
+      width: this.width,
+      height: this.height,
+      alt_text: this.alt_text,
+      caption: this.caption,
+      credit: this.credit,
+      tags: this.tags,
+      uploaded_by: this.uploaded_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Media;
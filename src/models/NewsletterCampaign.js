@@ -0,0 +1,135 @@
+const database = require('./database');
+
+const STATUSES = ['draft', 'sending', 'sent'];
+
+/**
+ * Newsletter campaign written in the admin panel
+ *
+ * Drafts can be edited and deleted. Sending moves the campaign to sending (so it is queued only
+ * once, even if the button is pressed twice), queues one outbox email per confirmed subscriber
+ * in a single transaction and then marks it sent; if queueing fails nothing is queued and the
+ * campaign is a draft again. How each email went is in the outbox (email_outbox.campaign_id).
+ */
+class NewsletterCampaign {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.subject = data.subject;
+    this.body = data.body;
+    this.status = data.status || 'draft';
+    this.recipient_count = data.recipient_count || 0;
+    this.created_by = data.created_by || null;
+    this.updated_by = data.updated_by || null;
+    this.sent_by = data.sent_by || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.sent_at = data.sent_at || null;
+  }
+
+  // Create new campaign or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    const values = [
+      this.subject, this.body, this.status, this.recipient_count, this.created_by, this.updated_by, this.sent_by, this.sent_at
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE newsletter_campaigns
+         SET subject = ?, body = ?, status = ?, recipient_count = ?, created_by = ?, updated_by = ?, sent_by = ?,
+             sent_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO newsletter_campaigns (subject, body, status, recipient_count, created_by, updated_by, sent_by,
+                                        sent_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, now, now]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    this.updated_at = now;
+    return result;
+  }
+
+  /**
+   * Move a draft to sending, unless another request got there first
+   * @returns {Promise<boolean>} Whether this call claimed the campaign
+   */
+  async claimForSending() {
+    const now = new Date().toISOString();
+    const result = await database.run(
+      "UPDATE newsletter_campaigns SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'draft'",
+      [now, this.id]
+    );
+
+    if (result.changes !== 1) {
+      return false;
+    }
+
+    this.status = 'sending';
+    this.updated_at = now;
+    return true;
+  }
+
+  // Move a campaign that could not be queued back to draft, so it can be sent again
+  async releaseClaim() {
+    const now = new Date().toISOString();
+    await database.run(
+      "UPDATE newsletter_campaigns SET status = 'draft', updated_at = ? WHERE id = ? AND status = 'sending'",
+      [now, this.id]
+    );
+
+    this.status = 'draft';
+    this.updated_at = now;
+  }
+
+  isDraft() {
+    return this.status === 'draft';
+  }
+
+  // Delete campaign
+  async delete() {
+    if (!this.id) {
+      throw new Error('Cannot delete campaign without ID');
+    }
+
+    return database.run('DELETE FROM newsletter_campaigns WHERE id = ?', [this.id]);
+  }
+
+  // Find campaign by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM newsletter_campaigns WHERE id = ?', [id]);
+    return row ? new NewsletterCampaign(row) : null;
+  }
+
+  // All campaigns, newest first
+  static async findAll() {
+    const rows = await database.all('SELECT * FROM newsletter_campaigns ORDER BY created_at DESC, id DESC');
+    return rows.map(row => new NewsletterCampaign(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      subject: this.subject,
+      body: this.body,
+      status: this.status,
+      recipient_count: this.recipient_count,
+      created_by: this.created_by,
+      updated_by: this.updated_by,
+      sent_by: this.sent_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      sent_at: this.sent_at
+    };
+  }
+}
+
+NewsletterCampaign.STATUSES = STATUSES;
+
+module.exports = NewsletterCampaign;
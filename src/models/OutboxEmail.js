@@ -0,0 +1,245 @@
+const database = require('./database');
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+/**
+ * Email in the outbox
+ *
+ * pending emails are sent by OutboxService once next_attempt_at has passed. A worker claims an
+ * email by moving it to sending, so two server processes never send the same email. After the
+ * last failed attempt the email is dead until an admin resends it.
+ */
+class OutboxEmail {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.to_address = data.to_address;
+    this.reply_to = data.reply_to || null;
+    this.subject = data.subject;
+    this.text_body = data.text_body || null;
+    this.html_body = data.html_body || null;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.next_attempt_at = data.next_attempt_at;
+    this.last_error = data.last_error || null;
+    this.sent_at = data.sent_at || null;
+    this.contact_message_id = data.contact_message_id || null;
+    this.kind = data.kind || null;
+    this.campaign_id = data.campaign_id || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create new outbox email or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    this.next_attempt_at = this.next_attempt_at || now;
+    const values = [
+      this.to_address, this.reply_to, this.subject, this.text_body, this.html_body, this.status,
+      this.attempts, this.next_attempt_at, this.last_error, this.sent_at, this.contact_message_id, this.kind,
+      this.campaign_id
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE email_outbox
+         SET to_address = ?, reply_to = ?, subject = ?, text_body = ?, html_body = ?, status = ?,
+             attempts = ?, next_attempt_at = ?, last_error = ?, sent_at = ?, contact_message_id = ?, kind = ?,
+             campaign_id = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO email_outbox (to_address, reply_to, subject, text_body, html_body, status,
+                                 attempts, next_attempt_at, last_error, sent_at, contact_message_id, kind,
+                                 campaign_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, now, now]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    this.updated_at = now;
+    return result;
+  }
+
+  // Delete the email
+  async delete() {
+    await database.run('DELETE FROM email_outbox WHERE id = ?', [this.id]);
+  }
+
+  /**
+   * Move a pending email to sending, unless another worker got there first
+   * @returns {Promise<boolean>} Whether this call claimed the email
+   */
+  async claim() {
+    const now = new Date().toISOString();
+    const result = await database.run(
+      "UPDATE email_outbox SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'pending'",
+      [now, this.id]
+    );
+
+    if (result.changes !== 1) {
+      return false;
+    }
+
+    this.status = 'sending';
+    this.updated_at = now;
+    return true;
+  }
+
+  // Find outbox email by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+    return row ? new OutboxEmail(row) : null;
+  }
+
+  // Pending emails whose next attempt is due, oldest first
+  static async findDue(limit = 10) {
+    const rows = await database.all(
+      `SELECT * FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at, id
+       LIMIT ?`,
+      [new Date().toISOString(), limit]
+    );
+    return rows.map(row => new OutboxEmail(row));
+  }
+
+  // Emails for a contact message, newest first
+  static async findByContactMessageId(contactMessageId) {
+    const rows = await database.all(
+      'SELECT * FROM email_outbox WHERE contact_message_id = ? ORDER BY created_at DESC, id DESC',
+      [contactMessageId]
+    );
+    return rows.map(row => new OutboxEmail(row));
+  }
+
+  /**
+   * Delete the emails for a contact message that have not been sent yet
+   * @param {number} contactMessageId - Contact message ID
+   * @returns {Promise<number>} Number of emails deleted
+   */
+  static async deletePendingByContactMessageId(contactMessageId) {
+    const result = await database.run(
+      "DELETE FROM email_outbox WHERE contact_message_id = ? AND status = 'pending'",
+      [contactMessageId]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Number of emails of a kind queued since a time, optionally only those to one address
+   * @param {Object} options
+   * @param {string} options.kind - e.g. 'auto_reply'
+   * @param {string} options.since - ISO time
+   * @param {string} [options.to] - Recipient address (compared case-insensitively)
+   * @returns {Promise<number>}
+   */
+  static async countRecent({ kind, since, to = null }) {
+    const conditions = ['kind = ?', 'created_at >= ?'];
+    const params = [kind, since];
+
+    if (to) {
+      conditions.push('LOWER(to_address) = LOWER(?)');
+      params.push(to);
+    }
+
+    const row = await database.get(`SELECT COUNT(*) as count FROM email_outbox WHERE ${conditions.join(' AND ')}`, params);
+    return row.count;
+  }
+
+  // WHERE clause for the status and campaign filters
+  static buildFilters({ status = null, campaignId = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (campaignId) {
+      conditions.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+
+    return {
+      where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Emails newest first
+   * @param {Object} options - Search options
+   * @param {string} [options.status] - Only emails with this status
+   * @param {number} [options.campaignId] - Only emails of this newsletter campaign
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Emails per page
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async search({ status = null, campaignId = null, page = 1, limit = 50 } = {}) {
+    const { where, params } = OutboxEmail.buildFilters({ status, campaignId });
+
+    const countRow = await database.get(`SELECT COUNT(*) as total FROM email_outbox ${where}`, params);
+    const rows = await database.all(
+      `SELECT * FROM email_outbox ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      items: rows.map(row => new OutboxEmail(row)),
+      total: countRow.total
+    };
+  }
+
+  // Number of emails with each status, optionally only those of one newsletter campaign
+  static async getStatusCounts({ campaignId = null } = {}) {
+    const { where, params } = OutboxEmail.buildFilters({ campaignId });
+    const rows = await database.all(`SELECT status, COUNT(*) as count FROM email_outbox ${where} GROUP BY status`, params);
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Put emails left in sending back in the queue (their worker stopped before finishing)
+   * @param {string} before - ISO time; only emails claimed before it are released
+   * @returns {Promise<number>} Number of emails released
+   */
+  static async releaseStale(before) {
+    const result = await database.run(
+      "UPDATE email_outbox SET status = 'pending', updated_at = ? WHERE status = 'sending' AND updated_at < ?",
+      [new Date().toISOString(), before]
+    );
+    return result.changes;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      to_address: this.to_address,
+      reply_to: this.reply_to,
+      subject: this.subject,
+      status: this.status,
+      attempts: this.attempts,
+      next_attempt_at: this.next_attempt_at,
+      last_error: this.last_error,
+      sent_at: this.sent_at,
+      contact_message_id: this.contact_message_id,
+      kind: this.kind,
+      campaign_id: this.campaign_id,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+OutboxEmail.STATUSES = STATUSES;
+
+module.exports = OutboxEmail;
@@ -1,5 +1,8 @@
 const database = require('./database');
 const PeopleContent = require('./PeopleContent');
+const PeopleContentRevision = require('./PeopleContentRevision');
+const Publication = require('./Publication');
+const PeopleContentTranslation = require('./PeopleContentTranslation');
 
 /**
  * Repository class for managing PeopleContent database operations
@@ -67,6 +70,9 @@ class PeopleContentRepository {
         [personSlug, personName, content, updatedBy, now, now]
       );
 
+      // Record the initial version in the revision history
+      await this.createRevision(personSlug, content, updatedBy, { changeNote: 'Created' });
+
       // Return the created instance
       return new PeopleContent({
         id: result.id,
@@ -110,12 +116,16 @@ class PeopleContentRepository {
 
   /**
    * Update existing people content
+   * Every successful update is recorded in the revision history
    * @param {string} slug - Person's slug
    * @param {string} content - New content
    * @param {string} [updatedBy] - Username of person making the update
+   * @param {Object} [options] - Revision options
+   * @param {string} [options.changeNote] - Short description of the change
+   * @param {number} [options.restoredFrom] - ID of the revision being restored
    * @returns {Promise<boolean>} True if update was successful
    */
-  async update(slug, content, updatedBy = 'system') {
+  async update(slug, content, updatedBy = 'system', options = {}) {
     try {
       await this.initialize();
 
@@ -132,6 +142,10 @@ class PeopleContentRepository {
         throw new Error('Content must be 50,000 characters or less');
       }
 
+      // Content that predates revision tracking gets a baseline revision first,
+      // so the version being overwritten can still be restored
+      await this.ensureBaselineRevision(slug);
+
       const now = new Date().toISOString();
       const result = await this.db.run(
         `UPDATE people_content 
@@ -140,6 +154,10 @@ class PeopleContentRepository {
         [content, now, updatedBy, slug]
       );
 
+      if (result.changes > 0) {
+        await this.createRevision(slug, content, updatedBy, options);
+      }
+
       return result.changes > 0;
     } catch (error) {
       console.error(`Error updating people content for slug '${slug}':`, error);
@@ -209,6 +227,14 @@ class PeopleContentRepository {
         [slug]
       );
 
+      await this.db.run(
+        'DELETE FROM people_content_revisions WHERE person_slug = ?',
+        [slug]
+      );
+
+      await Publication.delete('person', slug);
+      await PeopleContentTranslation.deleteBySlug(slug);
+
       return result.changes > 0;
     } catch (error) {
       console.error(`Error deleting people content for slug '${slug}':`, error);
@@ -216,6 +242,160 @@ class PeopleContentRepository {
     }
   }
 
+  /**
+   * Record a revision of people content
+   * @param {string} slug - Person's slug
+   * @param {string} content - Content of this revision
+   * @param {string} [createdBy] - Username of person who saved the content
+   * @param {Object} [options] - Revision options
+   * @param {string} [options.changeNote] - Short description of the change
+   * @param {number} [options.restoredFrom] - ID of the revision being restored
+   * @param {string} [options.createdAt] - Timestamp override (used for baseline revisions)
+   * @returns {Promise<PeopleContentRevision>} Created revision
+   */
+  async createRevision(slug, content, createdBy = 'system', options = {}) {
+    try {
+      await this.initialize();
+
+      if (!slug || !content) {
+        throw new Error('Slug and content are required for a revision');
+      }
+
+      const { changeNote = null, restoredFrom = null } = options;
+      const createdAt = options.createdAt || new Date().toISOString();
+
+      const result = await this.db.run(
+        `INSERT INTO people_content_revisions (person_slug, content, created_by, created_at, change_note, restored_from)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [slug, content, createdBy, createdAt, changeNote, restoredFrom]
+      );
+
+      return new PeopleContentRevision({
+        id: result.id,
+        person_slug: slug,
+        content: content,
+        created_by: createdBy,
+        created_at: createdAt,
+        change_note: changeNote,
+        restored_from: restoredFrom
+      });
+    } catch (error) {
+      console.error(`Error creating revision for slug '${slug}':`, error);
+      throw new Error(`Failed to create revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Snapshot the current content as a revision if the person has no revisions yet,
+   * and keep whatever is live published once the person's changes start being tracked
+   * @param {string} slug - Person's slug
+   * @returns {Promise<PeopleContentRevision|null>} Baseline revision or null if not needed
+   */
+  async ensureBaselineRevision(slug) {
+    const current = await this.findBySlug(slug);
+    if (!current) {
+      return null;
+    }
+
+    let baseline = null;
+    if (await PeopleContentRevision.getCountBySlug(slug) === 0) {
+      baseline = await this.createRevision(slug, current.content, current.updatedBy || 'system', {
+        changeNote: 'Original version',
+        createdAt: current.updatedAt
+      });
+    }
+
+    const { data } = await this.getRevisions(slug, 1);
+    await Publication.pin('person', slug, data.length > 0 ? data[0].id : null);
+
+    return baseline;
+  }
+
+  /**
+   * Get revision history for a person with pagination (newest first)
+   * @param {string} slug - Person's slug
+   * @param {number} [limit=20] - Number of revisions per page
+   * @param {number} [offset=0] - Number of revisions to skip
+   * @returns {Promise<Object>} Paginated revisions with data and metadata
+   */
+  async getRevisions(slug, limit = 20, offset = 0) {
+    try {
+      await this.initialize();
+
+      const validLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
+      const validOffset = Math.max(0, parseInt(offset) || 0);
+
+      const totalCount = await PeopleContentRevision.getCountBySlug(slug);
+
+      const rows = await this.db.all(
+        `SELECT * FROM people_content_revisions 
+         WHERE person_slug = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [slug, validLimit, validOffset]
+      );
+
+      return {
+        data: rows.map(row => new PeopleContentRevision(row)),
+        pagination: {
+          limit: validLimit,
+          offset: validOffset,
+          total: totalCount,
+          hasMore: validOffset + validLimit < totalCount,
+          page: Math.floor(validOffset / validLimit) + 1,
+          totalPages: Math.ceil(totalCount / validLimit)
+        }
+      };
+    } catch (error) {
+      console.error(`Error getting revisions for slug '${slug}':`, error);
+      throw new Error(`Failed to get revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a single revision belonging to a person
+   * @param {string} slug - Person's slug
+   * @param {number} revisionId - Revision ID
+   * @returns {Promise<PeopleContentRevision|null>} Revision or null if not found
+   */
+  async findRevision(slug, revisionId) {
+    try {
+      await this.initialize();
+
+      const row = await this.db.get(
+        'SELECT * FROM people_content_revisions WHERE id = ? AND person_slug = ?',
+        [revisionId, slug]
+      );
+
+      return row ? new PeopleContentRevision(row) : null;
+    } catch (error) {
+      console.error(`Error finding revision ${revisionId} for slug '${slug}':`, error);
+      throw new Error(`Failed to find revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore people content to a previous revision
+   * The restore itself is recorded as a new revision
+   * @param {string} slug - Person's slug
+   * @param {number} revisionId - Revision ID to restore
+   * @param {string} [restoredBy] - Username of person restoring the revision
+   * @returns {Promise<PeopleContent|null>} Updated content or null if revision not found
+   */
+  async restoreRevision(slug, revisionId, restoredBy = 'system') {
+    const revision = await this.findRevision(slug, revisionId);
+    if (!revision) {
+      return null;
+    }
+
+    const success = await this.update(slug, revision.content, restoredBy, {
+      changeNote: `Restored revision #${revision.id}`,
+      restoredFrom: revision.id
+    });
+
+    return success ? this.findBySlug(slug) : null;
+  }
+
   /**
    * Get count of all people content records
    * @returns {Promise<number>} Number of records
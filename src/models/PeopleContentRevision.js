@@ -0,0 +1,74 @@
+const database = require('./database');
+
+class PeopleContentRevision {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.personSlug = data.person_slug;
+    this.content = data.content;
+    this.createdBy = data.created_by;
+    this.createdAt = data.created_at;
+    this.changeNote = data.change_note || null;
+    this.restoredFrom = data.restored_from || null;
+  }
+
+  // Find revision by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM people_content_revisions WHERE id = ?', [id]);
+    return row ? new PeopleContentRevision(row) : null;
+  }
+
+  // Get all revisions for a person (newest first)
+  static async findBySlug(slug) {
+    const rows = await database.all(
+      'SELECT * FROM people_content_revisions WHERE person_slug = ? ORDER BY created_at DESC, id DESC',
+      [slug]
+    );
+    return rows.map(row => new PeopleContentRevision(row));
+  }
+
+  // Get revision count for a person
+  static async getCountBySlug(slug) {
+    const result = await database.get(
+      'SELECT COUNT(*) as count FROM people_content_revisions WHERE person_slug = ?',
+      [slug]
+    );
+    return result.count;
+  }
+
+  // Get word count
+  getWordCount() {
+    if (!this.content) return 0;
+
+    const words = this.content.trim().split(/\s+/).filter(word => word.length > 0);
+    return words.length;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      personSlug: this.personSlug,
+      content: this.content,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      changeNote: this.changeNote,
+      restoredFrom: this.restoredFrom
+    };
+  }
+
+  // Convert to summary JSON (for revision lists, without full content)
+  toSummaryJSON() {
+    return {
+      id: this.id,
+      personSlug: this.personSlug,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      changeNote: this.changeNote,
+      restoredFrom: this.restoredFrom,
+      contentLength: this.content ? this.content.length : 0,
+      wordCount: this.getWordCount()
+    };
+  }
+}
+
+module.exports = PeopleContentRevision;
@@ -0,0 +1,82 @@
+const database = require('./database');
+
+class PeopleContentTranslation {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.person_slug = data.person_slug;
+    this.locale = data.locale;
+    this.person_name = data.person_name || null;
+    this.content = data.content;
+    this.updated_at = data.updated_at;
+    this.updated_by = data.updated_by || null;
+  }
+
+  // Create or replace the translation of a person
+  async save() {
+    const now = new Date().toISOString();
+    await database.run(
+      `INSERT INTO people_content_translations (person_slug, locale, person_name, content, updated_at, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(person_slug, locale) DO UPDATE
+       SET person_name = excluded.person_name, content = excluded.content,
+           updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+      [this.person_slug, this.locale, this.person_name, this.content, now, this.updated_by]
+    );
+
+    const row = await database.get(
+      'SELECT id FROM people_content_translations WHERE person_slug = ? AND locale = ?',
+      [this.person_slug, this.locale]
+    );
+    this.id = row.id;
+    this.updated_at = now;
+    return this;
+  }
+
+  // Find the translation of a person in one locale
+  static async find(slug, locale) {
+    const row = await database.get(
+      'SELECT * FROM people_content_translations WHERE person_slug = ? AND locale = ?',
+      [slug, locale]
+    );
+    return row ? new PeopleContentTranslation(row) : null;
+  }
+
+  // Find all translations in one locale, by person slug
+  static async findAllByLocale(locale) {
+    const rows = await database.all(
+      'SELECT * FROM people_content_translations WHERE locale = ?',
+      [locale]
+    );
+    return new Map(rows.map(row => [row.person_slug, new PeopleContentTranslation(row)]));
+  }
+
+  // Delete the translation of a person in one locale
+  static async delete(slug, locale) {
+    const result = await database.run(
+      'DELETE FROM people_content_translations WHERE person_slug = ? AND locale = ?',
+      [slug, locale]
+    );
+    return result.changes > 0;
+  }
+
+  // Delete every translation of a person
+  static async deleteBySlug(slug) {
+    const result = await database.run('DELETE FROM people_content_translations WHERE person_slug = ?', [slug]);
+    return result.changes;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      person_slug: this.person_slug,
+      locale: this.locale,
+      person_name: this.person_name,
+      content: this.content,
+      updated_at: this.updated_at,
+      updated_by: this.updated_by
+    };
+  }
+}
+
+module.exports = PeopleContentTranslation;
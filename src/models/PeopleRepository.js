@@ -8,6 +8,7 @@ class PeopleRepository {
     this.peopleDataService = peopleDataService;
     this.people = new Map();
     this.initialized = false;
+    this.dataVersion = null;
   }
 
   /**
@@ -15,7 +16,7 @@ class PeopleRepository {
    * @returns {Promise<void>}
    */
   async initialize() {
-    if (this.initialized) {
+    if (this.initialized && !this.isStale()) {
       return;
     }
 
@@ -25,6 +26,10 @@ class PeopleRepository {
         await this.peopleDataService.initialize();
       }
 
+      // Remember which version of the data is being loaded (people added or removed
+      // while loading make the repository stale again)
+      this.dataVersion = this.peopleDataService.dataVersion;
+
       // Load all people from the data service with database content prioritized
       const peopleData = await this.peopleDataService.getAllPeopleWithDatabase();
       
@@ -318,7 +323,15 @@ class PeopleRepository {
    * @returns {boolean} True if repository is initialized and has data
    */
   isReady() {
-    return this.initialized && this.people.size > 0;
+    return this.initialized && !this.isStale() && this.people.size > 0;
+  }
+
+  /**
+   * Check if people have been added or removed since the repository was loaded
+   * @returns {boolean} True if the repository needs to be reloaded
+   */
+  isStale() {
+    return this.dataVersion !== this.peopleDataService.dataVersion;
   }
 
   /**
@@ -1,4 +1,5 @@
 const PeopleContent = require('./PeopleContent');
+const publishingService = require('../services/PublishingService');
 
 /**
  * Person model class for representing individual people in the Interesanti section
@@ -246,7 +247,7 @@ class Person {
   }
 
   /**
-   * Get content from database for this person
+   * Get published content from database for this person
    * @returns {Promise<Object|null>} Content object from database or null if not found
    */
   static async getFromDatabase(slug) {
@@ -256,7 +257,7 @@ class Person {
         return null;
       }
 
-      const dbContent = await PeopleContent.findBySlug(slug);
+      const dbContent = await publishingService.getPublishedPersonContent(slug);
       
       if (dbContent) {
         return {
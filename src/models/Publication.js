@@ -0,0 +1,129 @@
+const database = require('./database');
+
+class Publication {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.entity_type = data.entity_type;
+    this.entity_key = data.entity_key;
+    this.published_revision_id = data.published_revision_id || null;
+    this.published_at = data.published_at || null;
+    this.published_by = data.published_by || null;
+    this.scheduled_revision_id = data.scheduled_revision_id || null;
+    this.scheduled_at = data.scheduled_at || null;
+    this.scheduled_by = data.scheduled_by || null;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create or update the publication state of an entity
+  async save() {
+    const now = new Date().toISOString();
+    const values = [
+      this.published_revision_id, this.published_at, this.published_by,
+      this.scheduled_revision_id, this.scheduled_at, this.scheduled_by, now
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE publications
+         SET published_revision_id = ?, published_at = ?, published_by = ?,
+             scheduled_revision_id = ?, scheduled_at = ?, scheduled_by = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO publications (entity_type, entity_key, published_revision_id, published_at, published_by,
+                                 scheduled_revision_id, scheduled_at, scheduled_by, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [this.entity_type, this.entity_key, ...values]
+    );
+    this.id = result.id;
+    this.updated_at = now;
+    return result;
+  }
+
+  // Find publication state for an entity
+  static async find(entityType, entityKey) {
+    const row = await database.get(
+      'SELECT * FROM publications WHERE entity_type = ? AND entity_key = ?',
+      [entityType, entityKey]
+    );
+    return row ? new Publication(row) : null;
+  }
+
+  // Start tracking an entity, keeping the given version published (no-op if already tracked)
+  static async pin(entityType, entityKey, revisionId) {
+    const existing = await Publication.find(entityType, entityKey);
+    if (existing) {
+      return existing;
+    }
+
+    const publication = new Publication({
+      entity_type: entityType,
+      entity_key: entityKey,
+      published_revision_id: revisionId,
+      published_at: revisionId ? new Date().toISOString() : null,
+      published_by: revisionId ? 'system' : null
+    });
+    await publication.save();
+    return publication;
+  }
+
+  // Find publications whose scheduled time has passed
+  static async findDue(now = new Date().toISOString()) {
+    const rows = await database.all(
+      `SELECT * FROM publications
+       WHERE scheduled_revision_id IS NOT NULL AND scheduled_at <= ?
+       ORDER BY scheduled_at ASC`,
+      [now]
+    );
+    return rows.map(row => new Publication(row));
+  }
+
+  // Get keys of entities of a type that currently have no published version
+  static async findUnpublishedKeys(entityType) {
+    const rows = await database.all(
+      'SELECT entity_key FROM publications WHERE entity_type = ? AND published_revision_id IS NULL',
+      [entityType]
+    );
+    return rows.map(row => row.entity_key);
+  }
+
+  // Delete publication state for an entity
+  static async delete(entityType, entityKey) {
+    const result = await database.run(
+      'DELETE FROM publications WHERE entity_type = ? AND entity_key = ?',
+      [entityType, entityKey]
+    );
+    return result.changes > 0;
+  }
+
+  isPublished() {
+    return this.published_revision_id !== null;
+  }
+
+  isScheduled() {
+    return this.scheduled_revision_id !== null;
+  }
+
+  // Convert to JSON for API responses
+  toJSON() {
+    return {
+      id: this.id,
+      entity_type: this.entity_type,
+      entity_key: this.entity_key,
+      published_revision_id: this.published_revision_id,
+      published_at: this.published_at,
+      published_by: this.published_by,
+      scheduled_revision_id: this.scheduled_revision_id,
+      scheduled_at: this.scheduled_at,
+      scheduled_by: this.scheduled_by,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Publication;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const database = require('./database');
+
+// Sessions without a cookie expiry (none are created that way, but the store must not keep them forever)
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// How often expired sessions are deleted
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * express-session store keeping sessions in the SQLite database
+ *
+ * Sessions survive restarts and deploys and are shared by every PM2 worker. Expired rows
+ * are ignored when read and deleted periodically by startCleanup().
+ *
+ * Sessions logged out from the sessions page are marked revoked rather than deleted, so a
+ * request of that session that is still running cannot save it back when it finishes.
+ */
+class SessionStore extends session.Store {
+  constructor() {
+    super();
+    this.cleanupTimer = null;
+  }
+
+  // Expiry time of a session in milliseconds, taken from its cookie
+  static getExpiry(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+  }
+
+  /**
+   * ID that can be shown to the user in place of the session ID, which must stay secret
+   * @param {string} sid - Session ID
+   * @returns {string} Public session ID
+   */
+  static getPublicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Short description of the browser and operating system of a user agent
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} E.g. 'Chrome on Windows'
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+    return [browser ? browser[1] : 'Unknown browser', system ? system[1] : null].filter(Boolean).join(' on ');
+  }
+
+  get(sid, callback) {
+    database.get('SELECT sess, expires, revoked_at FROM sessions WHERE sid = ?', [sid])
+      .then(row => {
+        if (!row || row.revoked_at) {
+          return callback(null, null);
+        }
+
+        if (row.expires <= Date.now()) {
+          return this.destroy(sid, (err) => callback(err, null));
+        }
+
+        callback(null, JSON.parse(row.sess));
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const now = new Date().toISOString();
+
+    database.run(
+      `INSERT INTO sessions (sid, sess, expires, user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(sid) DO UPDATE SET
+         sess = excluded.sess, expires = excluded.expires, user_id = excluded.user_id, updated_at = excluded.updated_at
+       WHERE sessions.revoked_at IS NULL`,
+      [sid, JSON.stringify(sess), SessionStore.getExpiry(sess), sess.userId || null, now, now]
+    )
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    database.run('UPDATE sessions SET expires = ? WHERE sid = ? AND revoked_at IS NULL', [SessionStore.getExpiry(sess), sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    database.run('DELETE FROM sessions WHERE sid = ?', [sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  length(callback) {
+    database.get('SELECT COUNT(*) AS count FROM sessions WHERE expires > ? AND revoked_at IS NULL', [Date.now()])
+      .then(row => callback(null, row.count))
+      .catch(callback);
+  }
+
+  clear(callback = () => {}) {
+    database.run('DELETE FROM sessions')
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * Active sessions of an admin user, most recently used first
+   * @param {number} userId - Admin user ID
+   * @returns {Promise<Array<Object>>} Sessions with their public ID and session data
+   */
+  async findByUserId(userId) {
+    const rows = await database.all(
+      'SELECT sid, sess FROM sessions WHERE user_id = ? AND expires > ? AND revoked_at IS NULL',
+      [userId, Date.now()]
+    );
+
+    return rows
+      .map(row => ({ sid: row.sid, id: SessionStore.getPublicId(row.sid), data: JSON.parse(row.sess) }))
+      .filter(entry => entry.data.isAdmin)
+      .sort((a, b) => (b.data.lastActivity || 0) - (a.data.lastActivity || 0));
+  }
+
+  /**
+   * Log out sessions of an admin user
+   * @param {number} userId - Admin user ID
+   * @param {Object} [options]
+   * @param {string} [options.publicId] - Only this session
+   * @param {string} [options.exceptSid] - Keep this session (usually the current one)
+   * @returns {Promise<number>} Number of sessions logged out
+   */
+  async destroyByUserId(userId, { publicId = null, exceptSid = null } = {}) {
+    const sessions = await this.findByUserId(userId);
+    const revoked = sessions.filter(entry =>
+      entry.sid !== exceptSid && (!publicId || entry.id === publicId)
+    );
+
+    const now = new Date().toISOString();
+    for (const entry of revoked) {
+      await database.run('UPDATE sessions SET revoked_at = ? WHERE sid = ?', [now, entry.sid]);
+    }
+    return revoked.length;
+  }
+
+  // Delete expired sessions
+  async clearExpired() {
+    const result = await database.run('DELETE FROM sessions WHERE expires <= ?', [Date.now()]);
+    return result.changes;
+  }
+
+  // Start deleting expired sessions periodically (the timer does not keep the process alive)
+  startCleanup(intervalMs = CLEANUP_INTERVAL_MS) {
+    this.stopCleanup();
+
+    const cleanup = () => this.clearExpired()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Removed ${count} expired sessions`);
+        }
+      })
+      .catch(error => console.error('Session cleanup error:', error.message));
+
+    cleanup();
+    this.cleanupTimer = setInterval(cleanup, intervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = SessionStore;
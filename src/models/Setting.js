@@ -0,0 +1,45 @@
+const database = require('./database');
+
+/**
+ * Site-wide setting edited in the admin panel, stored as JSON under a key
+ */
+class Setting {
+  /**
+   * Value of a setting
+   * @param {string} key - Setting key, e.g. 'contact_auto_reply'
+   * @param {*} [defaultValue] - Returned when the setting has never been saved
+   * @returns {Promise<*>} Parsed value
+   */
+  static async get(key, defaultValue = null) {
+    const row = await database.get('SELECT value FROM settings WHERE key = ?', [key]);
+
+    if (!row) {
+      return defaultValue;
+    }
+
+    try {
+      return JSON.parse(row.value);
+    } catch (error) {
+      console.error(`Invalid value stored for setting ${key}:`, error.message);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Save a setting
+   * @param {string} key - Setting key
+   * @param {*} value - Anything JSON can represent
+   * @param {number} [updatedBy] - ID of the admin user saving it
+   */
+  static async set(key, value, updatedBy = null) {
+    return database.run(
+      `INSERT INTO settings (key, value, updated_at, updated_by)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at,
+                                      updated_by = excluded.updated_by`,
+      [key, JSON.stringify(value), new Date().toISOString(), updatedBy]
+    );
+  }
+}
+
+module.exports = Setting;
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+const STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+// How long a confirmation link can be used
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Newsletter subscriber
+ *
+ * Double opt-in: a new address is pending until its owner opens the confirmation link, and only
+ * confirmed subscribers get campaigns. The unsubscribe token goes into every campaign email, so it
+ * is stored as it is and never changes.
+ */
+class Subscriber {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.email = data.email;
+    this.status = data.status || 'pending';
+    this.locale = data.locale || 'lv';
+    this.confirm_token_hash = data.confirm_token_hash || null;
+    this.confirm_expires_at = data.confirm_expires_at || null;
+    this.confirm_sent_at = data.confirm_sent_at || null;
+    this.unsubscribe_token = data.unsubscribe_token || crypto.randomBytes(32).toString('hex');
+    this.confirmed_at = data.confirmed_at || null;
+    this.unsubscribed_at = data.unsubscribed_at || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create new subscriber or update existing one
+  async save() {
+    const now = new Date().toISOString();
+    const values = [
+      this.email, this.status, this.locale, this.confirm_token_hash, this.confirm_expires_at, this.confirm_sent_at,
+      this.unsubscribe_token, this.confirmed_at, this.unsubscribed_at
+    ];
+
+    if (this.id) {
+      const result = await database.run(
+        `UPDATE subscribers
+         SET email = ?, status = ?, locale = ?, confirm_token_hash = ?, confirm_expires_at = ?, confirm_sent_at = ?,
+             unsubscribe_token = ?, confirmed_at = ?, unsubscribed_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [...values, now, this.id]
+      );
+      this.updated_at = now;
+      return result;
+    }
+
+    const result = await database.run(
+      `INSERT INTO subscribers (email, status, locale, confirm_token_hash, confirm_expires_at, confirm_sent_at,
+                                unsubscribe_token, confirmed_at, unsubscribed_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...values, now, now]
+    );
+    this.id = result.id;
+    this.created_at = now;
+    this.updated_at = now;
+    return result;
+  }
+
+  /**
+   * Start (or restart) the confirmation; a newer link replaces an older one
+   * @returns {string} Confirmation token (only its hash is stored)
+   */
+  createConfirmation() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.status = 'pending';
+    this.confirm_token_hash = hashToken(token);
+    this.confirm_expires_at = new Date(Date.now() + CONFIRM_TTL_MS).toISOString();
+    this.confirm_sent_at = new Date().toISOString();
+    this.unsubscribed_at = null;
+    return token;
+  }
+
+  confirm() {
+    this.status = 'confirmed';
+    this.confirmed_at = new Date().toISOString();
+    this.confirm_token_hash = null;
+    this.confirm_expires_at = null;
+  }
+
+  unsubscribe() {
+    this.status = 'unsubscribed';
+    this.unsubscribed_at = new Date().toISOString();
+    this.confirm_token_hash = null;
+    this.confirm_expires_at = null;
+  }
+
+  // Delete subscriber (for people who ask to be forgotten, not only unsubscribed)
+  async delete() {
+    if (!this.id) {
+      throw new Error('Cannot delete subscriber without ID');
+    }
+
+    return database.run('DELETE FROM subscribers WHERE id = ?', [this.id]);
+  }
+
+  // Find subscriber by ID
+  static async findById(id) {
+    const row = await database.get('SELECT * FROM subscribers WHERE id = ?', [id]);
+    return row ? new Subscriber(row) : null;
+  }
+
+  // Find subscriber by email address (compared case-insensitively)
+  static async findByEmail(email) {
+    const row = await database.get('SELECT * FROM subscribers WHERE LOWER(email) = LOWER(?)', [email]);
+    return row ? new Subscriber(row) : null;
+  }
+
+  // Find the pending subscriber a confirmation link belongs to, if the link has not expired
+  static async findByConfirmToken(token) {
+    if (!token) return null;
+    const row = await database.get(
+      "SELECT * FROM subscribers WHERE confirm_token_hash = ? AND confirm_expires_at > ? AND status = 'pending'",
+      [hashToken(token), new Date().toISOString()]
+    );
+    return row ? new Subscriber(row) : null;
+  }
+
+  // Find subscriber by the token in their unsubscribe links
+  static async findByUnsubscribeToken(token) {
+    if (!token) return null;
+    const row = await database.get('SELECT * FROM subscribers WHERE unsubscribe_token = ?', [token]);
+    return row ? new Subscriber(row) : null;
+  }
+
+  // Subscribers who get campaigns, oldest first
+  static async findConfirmed() {
+    const rows = await database.all("SELECT * FROM subscribers WHERE status = 'confirmed' ORDER BY id");
+    return rows.map(row => new Subscriber(row));
+  }
+
+  /**
+   * Subscribers newest first
+   * @param {Object} options - Search options
+   * @param {string} [options.status] - Only subscribers with this status
+   * @param {string} [options.search] - Text matched against the email address
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Subscribers per page
+   * @returns {Promise<Object>} { items, total }
+   */
+  static async search({ status = null, search = null, page = 1, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (search) {
+      conditions.push("LOWER(email) LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(search.toLowerCase())}%`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countRow = await database.get(`SELECT COUNT(*) as total FROM subscribers ${where}`, params);
+    const rows = await database.all(
+      `SELECT * FROM subscribers ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      items: rows.map(row => new Subscriber(row)),
+      total: countRow.total
+    };
+  }
+
+  // Number of subscribers with each status
+  static async getStatusCounts() {
+    const rows = await database.all('SELECT status, COUNT(*) as count FROM subscribers GROUP BY status');
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  // Without the tokens
+  toJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      status: this.status,
+      locale: this.locale,
+      confirm_sent_at: this.confirm_sent_at,
+      confirmed_at: this.confirmed_at,
+      unsubscribed_at: this.unsubscribed_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+Subscriber.STATUSES = STATUSES;
+
+module.exports = Subscriber;
@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcrypt');
 
 // Database file path
@@ -8,6 +9,9 @@ const DB_PATH = path.join(__dirname, '../../database.sqlite');
 class Database {
   constructor() {
     this.db = null;
+    this.transactionContext = new AsyncLocalStorage();
+    this.transactionQueue = Promise.resolve();
+    this.activeTransaction = null;
   }
 
   // Initialize database connection and create tables
@@ -48,7 +52,19 @@ class Database {
         password_hash TEXT NOT NULL,
         email TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_login DATETIME
+        last_login DATETIME,
+        role TEXT NOT NULL DEFAULT 'owner',
+        disabled_at DATETIME,
+        invite_token_hash TEXT,
+        invite_expires_at DATETIME,
+        totp_secret TEXT,
+        totp_pending_secret TEXT,
+        totp_enabled_at DATETIME,
+        totp_last_counter INTEGER,
+        totp_recovery_codes TEXT,
+        reset_token_hash TEXT,
+        reset_expires_at DATETIME,
+        password_changed_at DATETIME
       )`,
 
       // Contact messages table
@@ -58,7 +74,11 @@ class Database {
         email TEXT NOT NULL,
         message TEXT NOT NULL,
         submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        status TEXT DEFAULT 'sent' CHECK(status IN ('sent', 'failed'))
+        status TEXT DEFAULT 'sent' CHECK(status IN ('pending', 'sent', 'failed', 'spam')),
+        read_at DATETIME,
+        starred INTEGER NOT NULL DEFAULT 0,
+        archived_at DATETIME,
+        spam_reasons TEXT
       )`,
 
       // People content table for managing Interesanti people content
@@ -71,6 +91,226 @@ class Database {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_by TEXT,
         FOREIGN KEY (updated_by) REFERENCES admin_users(username)
+      )`,
+
+      // Revision history for people content (one row per saved version)
+      `CREATE TABLE IF NOT EXISTS people_content_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        person_slug TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        change_note TEXT,
+        restored_from INTEGER,
+        FOREIGN KEY (person_slug) REFERENCES people_content(person_slug)
+      )`,
+
+      // Snapshots of section content blocks (one row per saved section state)
+      `CREATE TABLE IF NOT EXISTS content_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        section TEXT NOT NULL CHECK(section IN ('interesanti', 'gramatas', 'fragmenti')),
+        blocks TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        change_note TEXT,
+        restored_from INTEGER
+      )`,
+
+      // Publish state of section content and people content
+      // (published/scheduled versions point at content_snapshots or people_content_revisions)
+      `CREATE TABLE IF NOT EXISTS publications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('section', 'person')),
+        entity_key TEXT NOT NULL,
+        published_revision_id INTEGER,
+        published_at DATETIME,
+        published_by TEXT,
+        scheduled_revision_id INTEGER,
+        scheduled_at DATETIME,
+        scheduled_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(entity_type, entity_key)
+      )`,
+
+      // Books shown in the Grāmatas showcase
+      `CREATE TABLE IF NOT EXISTS books (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        cover_image TEXT,
+        decoration_image TEXT,
+        publication_year INTEGER,
+        isbn TEXT,
+        publisher TEXT,
+        order_index INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Preview images shown in the Fragmenti gallery
+      `CREATE TABLE IF NOT EXISTS gallery_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_path TEXT NOT NULL,
+        alt_text TEXT NOT NULL,
+        caption TEXT,
+        book_id INTEGER,
+        order_index INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (book_id) REFERENCES books(id)
+      )`,
+
+      // Media library: uploaded and media images with their metadata
+      `CREATE TABLE IF NOT EXISTS media (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL UNIQUE,
+        filename TEXT NOT NULL,
+        type TEXT NOT NULL,
+        mime_type TEXT,
+        size INTEGER DEFAULT 0,
+        width INTEGER,
+        height INTEGER,
+        alt_text TEXT,
+        caption TEXT,
+        credit TEXT,
+        tags TEXT NOT NULL DEFAULT '',
+        uploaded_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Translations of section content blocks (Latvian in the content table is the base language).
+      // Keyed by block ID, so published snapshots (which keep block IDs) find them too
+      `CREATE TABLE IF NOT EXISTS content_translations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_id INTEGER NOT NULL,
+        locale TEXT NOT NULL,
+        content TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by TEXT,
+        UNIQUE(content_id, locale)
+      )`,
+
+      // Translations of people content (name and biography)
+      `CREATE TABLE IF NOT EXISTS people_content_translations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        person_slug TEXT NOT NULL,
+        locale TEXT NOT NULL,
+        person_name TEXT,
+        content TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by TEXT,
+        UNIQUE(person_slug, locale)
+      )`,
+
+      // Login sessions (SessionStore). expires is in milliseconds, user_id is set for admin sessions;
+      // revoked sessions keep their row (with revoked_at) until they expire
+      `CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires INTEGER NOT NULL,
+        user_id INTEGER,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Newsletter subscribers (Subscriber). pending until the address is confirmed by the link in the
+      // confirmation email; only the hash of the confirmation token is stored
+      `CREATE TABLE IF NOT EXISTS subscribers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'unsubscribed')),
+        locale TEXT NOT NULL DEFAULT 'lv',
+        confirm_token_hash TEXT,
+        confirm_expires_at DATETIME,
+        confirm_sent_at DATETIME,
+        unsubscribe_token TEXT NOT NULL UNIQUE,
+        confirmed_at DATETIME,
+        unsubscribed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Newsletter campaigns written in the admin (NewsletterCampaign). Sending queues one outbox email per subscriber
+      `CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'sending', 'sent')),
+        recipient_count INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        sent_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME
+      )`,
+
+      // Outgoing email waiting to be sent, sent, or given up on (OutboxEmail, sent by OutboxService)
+      `CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        to_address TEXT NOT NULL,
+        reply_to TEXT,
+        subject TEXT NOT NULL,
+        text_body TEXT,
+        html_body TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sending', 'sent', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_error TEXT,
+        sent_at DATETIME,
+        contact_message_id INTEGER REFERENCES contact_messages(id) ON DELETE SET NULL,
+        kind TEXT,
+        campaign_id INTEGER REFERENCES newsletter_campaigns(id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Contact form tokens that have been used (SpamService), so each works once. Kept until they expire
+      `CREATE TABLE IF NOT EXISTS form_tokens (
+        signature TEXT PRIMARY KEY,
+        expires_at DATETIME NOT NULL
+      )`,
+
+      // Site-wide settings edited in the admin, e.g. the contact form auto-reply (Setting). Values are JSON
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL
+      )`,
+
+      // Who changed what in the admin (AuditLog). Append-only: the triggers below reject changes and deletes
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at DATETIME NOT NULL,
+        action TEXT NOT NULL,
+        user_id INTEGER,
+        username TEXT,
+        ip TEXT,
+        request_id TEXT,
+        entity_type TEXT,
+        entity_id TEXT,
+        before_summary TEXT,
+        after_summary TEXT
+      )`,
+
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'Audit log entries cannot be changed'); END`,
+
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'Audit log entries cannot be deleted'); END`,
+
+      // Full-text search over the published site content (rebuilt by SearchService, so it is never migrated).
+      // remove_diacritics folds Latvian letters, so "Tocs" matches "Točs"
+      `CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        entity_type UNINDEXED,
+        entity_key UNINDEXED,
+        title,
+        body,
+        url UNINDEXED,
+        tokenize = 'unicode61 remove_diacritics 2'
       )`
     ];
 
@@ -78,16 +318,42 @@ class Database {
       'CREATE INDEX IF NOT EXISTS idx_content_section ON content(section)',
       'CREATE INDEX IF NOT EXISTS idx_content_order ON content(section, order_index)',
       'CREATE INDEX IF NOT EXISTS idx_admin_username ON admin_users(username)',
+      'CREATE INDEX IF NOT EXISTS idx_admin_invite_token ON admin_users(invite_token_hash)',
+      'CREATE INDEX IF NOT EXISTS idx_admin_reset_token ON admin_users(reset_token_hash)',
       'CREATE INDEX IF NOT EXISTS idx_contact_submitted ON contact_messages(submitted_at)',
       'CREATE INDEX IF NOT EXISTS idx_people_content_slug ON people_content(person_slug)',
-      'CREATE INDEX IF NOT EXISTS idx_people_content_updated ON people_content(updated_at)'
+      'CREATE INDEX IF NOT EXISTS idx_people_content_updated ON people_content(updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_people_revisions_slug ON people_content_revisions(person_slug, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_content_snapshots_section ON content_snapshots(section, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_publications_scheduled ON publications(scheduled_at)',
+      'CREATE INDEX IF NOT EXISTS idx_books_order ON books(order_index)',
+      'CREATE INDEX IF NOT EXISTS idx_gallery_images_order ON gallery_images(order_index)',
+      'CREATE INDEX IF NOT EXISTS idx_media_created ON media(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_email_outbox_kind ON email_outbox(kind, to_address, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_email_outbox_campaign ON email_outbox(campaign_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_subscribers_status ON subscribers(status, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_subscribers_confirm_token ON subscribers(confirm_token_hash)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(username, created_at)'
     ];
 
+    // Seeded tables are filled only when first created, so deleting every row sticks
+    const existingTables = new Set(
+      (await this.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name)
+    );
+
     // Create tables
     for (const table of tables) {
       await this.run(table);
     }
 
+    await this.addMissingColumns();
+    await this.updateContactMessageStatuses();
+
     // Create indexes
     for (const index of indexes) {
       await this.run(index);
@@ -95,6 +361,114 @@ class Database {
 
     // Create default admin user if none exists
     await this.createDefaultAdmin();
+
+    if (!existingTables.has('books')) {
+      await this.createDefaultBooks();
+    }
+
+    if (!existingTables.has('gallery_images')) {
+      await this.createDefaultGalleryImages();
+    }
+
+    await this.syncMediaLibrary();
+  }
+
+  // Older databases only allow some of the statuses of contact messages ('sent' and 'failed', later
+  // also 'spam'). SQLite cannot change a CHECK constraint, so the table is copied into a new one
+  // that also allows 'pending' and 'spam'
+  async updateContactMessageStatuses() {
+    const table = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'contact_messages'");
+    if (table.sql.includes("'pending'")) {
+      return;
+    }
+
+    const columns = 'id, name, email, message, submitted_at, status, read_at, starred, archived_at, spam_reasons';
+
+    await this.transaction(async () => {
+      await this.run(`CREATE TABLE contact_messages_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        message TEXT NOT NULL,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        status TEXT DEFAULT 'sent' CHECK(status IN ('pending', 'sent', 'failed', 'spam')),
+        read_at DATETIME,
+        starred INTEGER NOT NULL DEFAULT 0,
+        archived_at DATETIME,
+        spam_reasons TEXT
+      )`);
+      await this.run(`INSERT INTO contact_messages_new (${columns}) SELECT ${columns} FROM contact_messages`);
+      await this.run('DROP TABLE contact_messages');
+      await this.run('ALTER TABLE contact_messages_new RENAME TO contact_messages');
+    });
+    console.log("Allowed the 'pending' and 'spam' statuses for contact messages");
+  }
+
+  // Add columns introduced after a table was first created (CREATE TABLE IF NOT EXISTS leaves old tables alone)
+  async addMissingColumns() {
+    const columns = [
+      // Accounts created before roles existed had full access, so they become owners
+      ['admin_users', 'role', "TEXT NOT NULL DEFAULT 'owner'"],
+      ['admin_users', 'disabled_at', 'DATETIME'],
+      ['admin_users', 'invite_token_hash', 'TEXT'],
+      ['admin_users', 'invite_expires_at', 'DATETIME'],
+      ['admin_users', 'totp_secret', 'TEXT'],
+      ['admin_users', 'totp_pending_secret', 'TEXT'],
+      ['admin_users', 'totp_enabled_at', 'DATETIME'],
+      ['admin_users', 'totp_last_counter', 'INTEGER'],
+      ['admin_users', 'totp_recovery_codes', 'TEXT'],
+      ['admin_users', 'reset_token_hash', 'TEXT'],
+      ['admin_users', 'reset_expires_at', 'DATETIME'],
+      ['admin_users', 'password_changed_at', 'DATETIME'],
+      // Inbox state of contact messages (status stays the email notification result)
+      ['contact_messages', 'read_at', 'DATETIME'],
+      ['contact_messages', 'starred', 'INTEGER NOT NULL DEFAULT 0'],
+      ['contact_messages', 'archived_at', 'DATETIME'],
+      // Why the spam filter held a contact message back (JSON list)
+      ['contact_messages', 'spam_reasons', 'TEXT'],
+      // What an outbox email is for, e.g. 'contact_notification' or 'auto_reply'
+      ['email_outbox', 'kind', 'TEXT'],
+      // Newsletter campaign an outbox email belongs to
+      ['email_outbox', 'campaign_id', 'INTEGER REFERENCES newsletter_campaigns(id) ON DELETE SET NULL'],
+      // When an admin logged the session out
+      ['sessions', 'revoked_at', 'DATETIME']
+    ];
+
+    for (const [table, column, definition] of columns) {
+      const existing = await this.all(`PRAGMA table_info(${table})`);
+      if (!existing.some(info => info.name === column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`Added ${table}.${column} column`);
+      }
+    }
+  }
+
+  // Seed the books table with the titles previously hard-coded in index.html
+  async createDefaultBooks() {
+    const Book = require('./Book');
+    const count = await Book.seedDefaults();
+    console.log(`Seeded books table with ${count} books`);
+  }
+
+  // Seed the Fragmenti gallery with the preview images previously hard-coded in main.js
+  async createDefaultGalleryImages() {
+    const GalleryImage = require('./GalleryImage');
+    const count = await GalleryImage.seedDefaults();
+    console.log(`Seeded gallery_images table with ${count} images`);
+  }
+
+  // Add image files that are not in the media library yet (e.g. existing files on first start)
+  async syncMediaLibrary() {
+    const Media = require('./Media');
+    try {
+      const { added, removed } = await Media.syncWithFiles();
+      if (added || removed) {
+        console.log(`Media library synced: ${added} added, ${removed} removed`);
+      }
+    } catch (error) {
+      // The library is rebuilt on the next start, so this must not block startup
+      console.error('Failed to sync media library:', error.message);
+    }
   }
 
   // Create default admin user
@@ -136,8 +510,67 @@ class Database {
     return password;
   }
 
+  /**
+   * Run queries in a transaction
+   *
+   * All requests share one connection, so transactions run one at a time, and queries from
+   * outside an open transaction wait until it has finished instead of becoming part of it.
+   * Queries made while fn runs, also through the models, are part of the transaction.
+   * @param {Function} fn - Async function making the queries
+   * @returns {Promise<*>} What fn returned; the transaction is rolled back if it throws
+   */
+  async transaction(fn) {
+    // Inside the open transaction already: part of that one
+    if (this.activeTransaction && this.transactionContext.getStore() === this.activeTransaction) {
+      return fn();
+    }
+
+    const previous = this.transactionQueue;
+    let finish;
+    const transaction = { finished: new Promise(resolve => { finish = resolve; }) };
+    this.transactionQueue = transaction.finished;
+
+    await previous;
+    this.activeTransaction = transaction;
+
+    try {
+      return await this.transactionContext.run(transaction, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await fn();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
+  /**
+   * Run a function outside any open transaction, e.g. to schedule work whose queries must
+   * wait until the transaction has been committed
+   * @param {Function} fn - Function to run
+   * @returns {*} What fn returned
+   */
+  outsideTransaction(fn) {
+    return this.transactionContext.exit(fn);
+  }
+
+  // Queries from outside the open transaction wait until it has finished
+  async waitForTransaction() {
+    while (this.activeTransaction && this.transactionContext.getStore() !== this.activeTransaction) {
+      await this.activeTransaction.finished;
+    }
+  }
+
   // Wrapper for database.run with Promise
-  run(sql, params = []) {
+  async run(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function (err) {
         if (err) {
@@ -150,7 +583,8 @@ class Database {
   }
 
   // Wrapper for database.get with Promise
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -163,7 +597,8 @@ class Database {
   }
 
   // Wrapper for database.all with Promise
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
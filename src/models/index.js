@@ -1,9 +1,23 @@
 const database = require('./database');
 const Content = require('./Content');
+const ContentSnapshot = require('./ContentSnapshot');
+const ContentTranslation = require('./ContentTranslation');
 const AdminUser = require('./AdminUser');
 const ContactMessage = require('./ContactMessage');
 const Person = require('./Person');
 const PeopleContent = require('./PeopleContent');
+const PeopleContentRevision = require('./PeopleContentRevision');
+const PeopleContentTranslation = require('./PeopleContentTranslation');
+const Publication = require('./Publication');
+const Book = require('./Book');
+const GalleryImage = require('./GalleryImage');
+const Media = require('./Media');
+const SessionStore = require('./SessionStore');
+const AuditLog = require('./AuditLog');
+const OutboxEmail = require('./OutboxEmail');
+const Setting = require('./Setting');
+const Subscriber = require('./Subscriber');
+const NewsletterCampaign = require('./NewsletterCampaign');
 const PeopleRepository = require('./PeopleRepository');
 const PeopleContentRepository = require('./PeopleContentRepository');
 const peopleDataService = require('../services/PeopleDataService');
@@ -135,10 +149,24 @@ const initializeDatabase = async () => {
 module.exports = {
   database,
   Content,
+  ContentSnapshot,
+  ContentTranslation,
   AdminUser,
   ContactMessage,
   Person,
   PeopleContent,
+  PeopleContentRevision,
+  PeopleContentTranslation,
+  Publication,
+  Book,
+  GalleryImage,
+  Media,
+  SessionStore,
+  AuditLog,
+  OutboxEmail,
+  Setting,
+  Subscriber,
+  NewsletterCampaign,
   PeopleRepository,
   PeopleContentRepository,
   peopleDataService,
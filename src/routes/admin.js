@@ -4,9 +4,32 @@ const fs = require('fs').promises;
 const bcrypt = require('bcrypt');
 const rateLimit = require('express-rate-limit');
 const AdminUser = require('../models/AdminUser');
-const { requireAuth, requireGuest, addAuthStatus, csrfProtection } = require('../middleware/auth');
+const Book = require('../models/Book');
+const GalleryImage = require('../models/GalleryImage');
+const Media = require('../models/Media');
+const SessionStore = require('../models/SessionStore');
+const AuditLog = require('../models/AuditLog');
+const ContactMessage = require('../models/ContactMessage');
+const OutboxEmail = require('../models/OutboxEmail');
+const Subscriber = require('../models/Subscriber');
+const NewsletterCampaign = require('../models/NewsletterCampaign');
+const { requireAuth, requireRole, requireRoleForChanges, requireGuest, addAuthStatus, csrfProtection } = require('../middleware/auth');
 const peopleController = require('../controllers/peopleController');
-const { upload, handleUploadError } = require('../middleware/upload');
+const publishingService = require('../services/PublishingService');
+const imageVariantService = require('../services/ImageVariantService');
+const imageUsageService = require('../services/ImageUsageService');
+const searchService = require('../services/SearchService');
+const twoFactorService = require('../services/TwoFactorService');
+const emailService = require('../services/EmailService');
+const emailTemplateService = require('../services/EmailTemplateService');
+const auditService = require('../services/AuditService');
+const csvService = require('../services/CsvService');
+const outboxService = require('../services/OutboxService');
+const contactNotificationService = require('../services/ContactNotificationService');
+const autoReplyService = require('../services/AutoReplyService');
+const newsletterService = require('../services/NewsletterService');
+const localeService = require('../services/LocaleService');
+const { upload, documentUpload, handleUploadError, handleDocumentUploadError } = require('../middleware/upload');
 const { 
   validateAdminLogin, 
   validateContent, 
@@ -14,6 +37,48 @@ const {
   validateFilename,
   validatePersonSlug,
   validatePeopleContent,
+  validateNewPerson,
+  validatePeopleImport,
+  validateRevisionId,
+  validateRevisionCompare,
+  validateSnapshotId,
+  validateSnapshotBlock,
+  validatePublishRequest,
+  validateBook,
+  validateBookId,
+  validateBookOrder,
+  validateGalleryImage,
+  validateGalleryImageId,
+  validateGalleryOrder,
+  validateMediaMetadata,
+  validateMediaId,
+  validateMediaQuery,
+  validateTranslationLocale,
+  validateContentTranslations,
+  validatePeopleTranslation,
+  validateAdminUser,
+  validateAdminUserUpdate,
+  validateAdminUserId,
+  validateNewPassword,
+  validatePasswordChange,
+  validateAccountToken,
+  validatePasswordResetRequest,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateSessionId,
+  validateAuditQuery,
+  validateMessageQuery,
+  validateMessageId,
+  validateMessageUpdate,
+  validateOutboxQuery,
+  validateOutboxEmailId,
+  validateAutoReply,
+  validateSubscriberQuery,
+  validateSubscriberId,
+  validateCampaign,
+  validateCampaignId,
+  validateCampaignTest,
+  validateEmailTemplatePreview,
   sanitizeInputs 
 } = require('../middleware/validation');
 const router = express.Router();
@@ -36,6 +101,20 @@ const loginLimiter = rateLimit({
   }
 });
 
+// Rate limiting for password reset requests, which send email
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 reset requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many password reset requests, please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
 // Rate limiting for general admin routes (more lenient for development)
 const adminLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -52,12 +131,24 @@ router.use(adminLimiter);
 router.use(addAuthStatus);
 router.use(sanitizeInputs);
 
+// Viewers can open every admin page, but only owners and editors can change content
+const requireEditor = requireRoleForChanges('owner', 'editor');
+
 // Apply CSRF protection to authenticated routes
 router.use('/dashboard*', requireAuth, csrfProtection);
-router.use('/content*', requireAuth, csrfProtection);
-router.use('/upload*', requireAuth, csrfProtection);
-router.use('/image*', requireAuth, csrfProtection);
-router.use('/api/people*', requireAuth, csrfProtection);
+router.use('/content*', requireAuth, csrfProtection, requireEditor);
+router.use('/upload*', requireAuth, csrfProtection, requireEditor);
+router.use('/image*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/people*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/books*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/gallery*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/media*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/users*', requireAuth, csrfProtection, requireRole('owner'));
+router.use('/api/account*', requireAuth, csrfProtection);
+router.use('/api/audit*', requireAuth, csrfProtection, requireRole('owner'));
+router.use('/api/messages*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/outbox*', requireAuth, csrfProtection, requireEditor);
+router.use('/api/newsletter*', requireAuth, csrfProtection, requireEditor);
 router.use('/logout', requireAuth, csrfProtection);
 
 /**
@@ -84,6 +175,228 @@ router.get('/editor', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, '../../public/admin-editor.html'));
 });
 
+/**
+ * GET /admin/books
+ * Serve admin books management page
+ */
+router.get('/books', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-books.html'));
+});
+
+/**
+ * GET /admin/gallery
+ * Serve admin Fragmenti gallery management page
+ */
+router.get('/gallery', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-gallery.html'));
+});
+
+/**
+ * GET /admin/users
+ * Serve admin user management page (owners only)
+ */
+router.get('/users', requireAuth, requireRole('owner'), (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-users.html'));
+});
+
+/**
+ * GET /admin/audit
+ * Serve the audit log page (owners only)
+ */
+router.get('/audit', requireAuth, requireRole('owner'), (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-audit.html'));
+});
+
+/**
+ * GET /admin/messages
+ * Serve the contact message inbox page
+ */
+router.get('/messages', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-messages.html'));
+});
+
+/**
+ * GET /admin/newsletter
+ * Serve the newsletter page (subscribers and campaigns)
+ */
+router.get('/newsletter', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-newsletter.html'));
+});
+
+/**
+ * GET /admin/email-templates
+ * Serve the email template preview page
+ */
+router.get('/email-templates', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-email-templates.html'));
+});
+
+/**
+ * GET /admin/invite/:token
+ * Serve the page where an invited user chooses their password
+ */
+router.get('/invite/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-invite.html'));
+});
+
+/**
+ * POST /admin/invite/:token
+ * Accept an invitation by setting a password
+ */
+router.post('/invite/:token', loginLimiter, validateAccountToken, validateNewPassword, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findByInviteToken(req.params.token);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation link is invalid or has expired. Please ask the site owner for a new one.'
+      });
+    }
+    
+    await adminUser.changePassword(req.body.password);
+    await auditService.record(req, 'account.invite_accept', { user: adminUser, entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Invitation accepted by ${adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Password set successfully. You can now log in.',
+      user: {
+        username: adminUser.username
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /admin/password/forgot
+ * Email a password reset link to the admin user with this address
+ * The answer is the same whether or not the address belongs to an account
+ */
+router.post('/password/forgot', passwordResetLimiter, requireGuest, validatePasswordResetRequest, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findByEmail(req.body.email);
+    
+    if (adminUser && !adminUser.isDisabled() && !adminUser.isInvitePending()) {
+      const token = adminUser.createPasswordReset();
+      await adminUser.save();
+      
+      // The link uses SITE_URL rather than the Host header, which the requester controls
+      const resetUrl = `${localeService.getSiteUrl()}/admin/reset-password/${token}`;
+      
+      // Sent directly rather than through the outbox, so the link is never stored in the database.
+      // Not awaited, so the response time does not show whether the account exists
+      emailService.sendMail({
+        to: adminUser.email,
+        ...emailTemplateService.render('password-reset', { username: adminUser.username, resetUrl }, { locale: 'en' })
+      }).catch((error) => {
+        console.error(`Password reset email to ${adminUser.username} failed:`, error.message);
+      });
+      
+      console.log(`Password reset requested for ${adminUser.username}`);
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an admin account uses this email address, a password reset link has been sent to it.'
+    });
+    
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /admin/reset-password/:token
+ * Serve the page where a user chooses a new password from a reset link
+ */
+router.get('/reset-password/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, '../../public/admin-reset-password.html'));
+});
+
+/**
+ * POST /admin/reset-password/:token
+ * Set a new password from a reset link; this logs the user out everywhere
+ */
+router.post('/reset-password/:token', passwordResetLimiter, validateAccountToken, validateNewPassword, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findByResetToken(req.params.token);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'Reset link not found',
+        message: 'This password reset link is invalid, has expired or was already used. Please ask for a new one.'
+      });
+    }
+    
+    await adminUser.changePassword(req.body.password);
+    await auditService.record(req, 'account.password_reset', { user: adminUser, entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Password reset by ${adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Your password has been changed. You can now log in.'
+    });
+    
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// How long the second login step can take after the password was accepted
+const TWO_FACTOR_LOGIN_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Log an admin user in on a fresh session
+ * The session ID is regenerated to prevent session fixation
+ */
+const startAdminSession = async (req, res, adminUser) => {
+  await adminUser.updateLastLogin();
+  
+  req.session.regenerate(async (err) => {
+    if (err) {
+      console.error('Session regeneration error:', err);
+      return res.status(500).json({
+        error: 'Session error'
+      });
+    }
+    
+    req.session.isAdmin = true;
+    req.session.userId = adminUser.id;
+    req.session.username = adminUser.username;
+    req.session.role = adminUser.role;
+    req.session.loginTime = Date.now();
+    req.session.lastActivity = Date.now();
+    // Shown in the list of active sessions
+    req.session.ip = req.ip;
+    req.session.userAgent = (req.get('User-Agent') || '').slice(0, 500);
+    
+    await auditService.record(req, 'login', { user: adminUser });
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        username: adminUser.username,
+        email: adminUser.email,
+        role: adminUser.role
+      }
+    });
+  });
+};
+
 /**
  * POST /admin/login
  * Admin authentication endpoint
@@ -99,9 +412,13 @@ router.post('/login', loginLimiter, requireGuest, validateAdminLogin, async (req
       });
     }
     
-    // Find admin user
+    // Find admin user (disabled accounts and unaccepted invitations cannot log in)
     const adminUser = await AdminUser.findByUsername(username.trim());
-    if (!adminUser) {
+    if (!adminUser || adminUser.isDisabled() || adminUser.isInvitePending()) {
+      await auditService.record(req, 'login.failed', {
+        username: username.trim().slice(0, 100),
+        after: { reason: adminUser ? 'account disabled or invitation pending' : 'unknown username' }
+      });
       return res.status(401).json({
         error: 'Invalid credentials'
       });
@@ -110,22 +427,17 @@ router.post('/login', loginLimiter, requireGuest, validateAdminLogin, async (req
     // Verify password
     const isValidPassword = await bcrypt.compare(password, adminUser.password_hash);
     if (!isValidPassword) {
+      await auditService.record(req, 'login.failed', { user: adminUser, after: { reason: 'wrong password' } });
       return res.status(401).json({
         error: 'Invalid credentials'
       });
     }
     
-    // Update last login
-    await adminUser.updateLastLogin();
-    
-    // Set session with security measures
-    req.session.isAdmin = true;
-    req.session.userId = adminUser.id;
-    req.session.username = adminUser.username;
-    req.session.loginTime = Date.now();
-    req.session.lastActivity = Date.now();
+    if (!adminUser.isTwoFactorEnabled()) {
+      return await startAdminSession(req, res, adminUser);
+    }
     
-    // Regenerate session ID to prevent session fixation
+    // The password was right, but the session only becomes an admin session after the second step
     req.session.regenerate((err) => {
       if (err) {
         console.error('Session regeneration error:', err);
@@ -134,20 +446,15 @@ router.post('/login', loginLimiter, requireGuest, validateAdminLogin, async (req
         });
       }
       
-      // Restore session data after regeneration
-      req.session.isAdmin = true;
-      req.session.userId = adminUser.id;
-      req.session.username = adminUser.username;
-      req.session.loginTime = Date.now();
-      req.session.lastActivity = Date.now();
-    
+      req.session.twoFactor = {
+        userId: adminUser.id,
+        expires: Date.now() + TWO_FACTOR_LOGIN_TIMEOUT
+      };
+      
       res.json({
         success: true,
-        message: 'Login successful',
-        user: {
-          username: adminUser.username,
-          email: adminUser.email
-        }
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app'
       });
     });
     
@@ -159,11 +466,69 @@ router.post('/login', loginLimiter, requireGuest, validateAdminLogin, async (req
   }
 });
 
+/**
+ * POST /admin/login/2fa
+ * Second login step for accounts with two-factor authentication
+ * Takes a code from the authenticator app, or a recovery code if the app is not at hand
+ */
+router.post('/login/2fa', loginLimiter, requireGuest, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const pending = req.session.twoFactor;
+    if (!pending || pending.expires < Date.now()) {
+      delete req.session.twoFactor;
+      return res.status(401).json({
+        error: 'Login expired',
+        message: 'Please enter your username and password again.'
+      });
+    }
+    
+    const adminUser = await AdminUser.findById(pending.userId);
+    if (!adminUser || adminUser.isDisabled() || !adminUser.isTwoFactorEnabled()) {
+      delete req.session.twoFactor;
+      return res.status(401).json({
+        error: 'Invalid credentials'
+      });
+    }
+    
+    const { code, recoveryCode } = req.body;
+    const verified = recoveryCode
+      ? adminUser.useRecoveryCode(recoveryCode)
+      : adminUser.verifyTwoFactorCode(code);
+    
+    if (!verified) {
+      await auditService.record(req, 'login.failed', {
+        user: adminUser,
+        after: { reason: recoveryCode ? 'wrong recovery code' : 'wrong two-factor code' }
+      });
+      return res.status(401).json({
+        error: 'Invalid code'
+      });
+    }
+    
+    // Save the used recovery code or time step so it cannot be used again
+    await adminUser.save();
+    
+    if (recoveryCode) {
+      console.log(`Recovery code used by ${adminUser.username} (${adminUser.totp_recovery_codes.length} left)`);
+    }
+    
+    await startAdminSession(req, res, adminUser);
+    
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * POST /admin/logout
  * Admin logout endpoint
  */
-router.post('/logout', requireAuth, (req, res) => {
+router.post('/logout', requireAuth, async (req, res) => {
+  await auditService.record(req, 'logout');
+  
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -187,7 +552,8 @@ router.get('/status', (req, res) => {
   res.json({
     isAuthenticated: !!(req.session && req.session.isAdmin),
     user: req.session && req.session.isAdmin ? {
-      username: req.session.username
+      username: req.session.username,
+      role: req.session.role
     } : null
   });
 });
@@ -231,11 +597,13 @@ router.get('/content/:section', requireAuth, async (req, res) => {
     
     const { Content } = require('../models');
     const content = await Content.findBySection(section);
+    const publication = await publishingService.getStatus('section', section);
     
     res.json({
       success: true,
       section: section,
-      content: content.map(item => item.toJSON())
+      content: content.map(item => item.toJSON()),
+      publication
     });
     
   } catch (error) {
@@ -247,6 +615,15 @@ router.get('/content/:section', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Short version of section blocks for the audit log
+ */
+const describeBlocks = (blocks) => blocks.map(block => ({
+  id: block.id,
+  type: block.content_type,
+  content: block.content_type === 'text' ? auditService.excerpt(block.content) : block.content
+}));
+
 /**
  * PUT /admin/content/:section
  * Update content for a specific section (protected)
@@ -256,8 +633,9 @@ router.put('/content/:section', validateContent, async (req, res) => {
     const { section } = req.params;
     const { content } = req.body;
     
-    // Import Content model at the beginning
-    const { Content } = require('../models');
+    // Import Content models at the beginning
+    const { Content, ContentSnapshot } = require('../models');
+    const savedBy = req.session.username || 'admin';
     
     // Validate section parameter
     const validSections = ['interesanti', 'gramatas', 'fragmenti'];
@@ -274,6 +652,9 @@ router.put('/content/:section', validateContent, async (req, res) => {
       });
     }
     
+    // Keep the pre-existing section state restorable before the first tracked save
+    await ContentSnapshot.ensureBaseline(section);
+    
     // Allow empty content arrays (for clearing sections)
     if (content.length === 0) {
       console.log(`Clearing all content for section: ${section}`);
@@ -285,11 +666,20 @@ router.put('/content/:section', validateContent, async (req, res) => {
         await Content.deleteById(item.id);
       }
       
+      const snapshot = await ContentSnapshot.capture(section, savedBy, { change_note: 'Cleared section' });
+      await auditService.record(req, 'section.update', {
+        entityType: 'section',
+        entityId: section,
+        before: describeBlocks(existingContent),
+        after: []
+      });
+      
       return res.json({
         success: true,
         message: 'All content cleared successfully',
         section: section,
-        content: []
+        content: [],
+        snapshotId: snapshot.id
       });
     }
     
@@ -371,11 +761,21 @@ router.put('/content/:section', validateContent, async (req, res) => {
       }
     }
     
+    const snapshot = await ContentSnapshot.capture(section, savedBy);
+    await searchService.reindex('section', section);
+    await auditService.record(req, 'section.update', {
+      entityType: 'section',
+      entityId: section,
+      before: describeBlocks(existingContent),
+      after: describeBlocks(updatedContent)
+    });
+    
     res.json({
       success: true,
       message: 'Content updated successfully',
       section: section,
-      content: updatedContent
+      content: updatedContent,
+      snapshotId: snapshot.id
     });
     
   } catch (error) {
@@ -388,35 +788,50 @@ router.put('/content/:section', validateContent, async (req, res) => {
 });
 
 /**
- * DELETE /admin/content/:id
- * Delete a specific content item (protected)
+ * Pair the text blocks of a section draft with their translations
  */
-router.delete('/content/:id', requireAuth, async (req, res) => {
+const getSectionTranslations = async (section, locale) => {
+  const { Content, ContentTranslation } = require('../models');
+  const blocks = (await Content.findBySection(section)).filter(block => block.content_type === 'text');
+  const translations = await ContentTranslation.findByContentIds(blocks.map(block => block.id), locale);
+  
+  return blocks.map(block => {
+    const translation = translations.get(block.id);
+    return {
+      id: block.id,
+      order_index: block.order_index,
+      source: block.content,
+      translation: translation ? translation.content : '',
+      updated_at: translation ? translation.updated_at : null,
+      updated_by: translation ? translation.updated_by : null
+    };
+  });
+};
+
+/**
+ * GET /admin/content/:section/translations/:locale
+ * Get the text blocks of a section with their translations (protected)
+ */
+router.get('/content/:section/translations/:locale', validateTranslationLocale, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { section, locale } = req.params;
     
-    if (!id || isNaN(id)) {
+    const validSections = ['interesanti', 'gramatas', 'fragmenti'];
+    if (!validSections.includes(section)) {
       return res.status(400).json({
-        error: 'Invalid content ID'
+        error: 'Invalid section. Must be one of: interesanti, gramatas, fragmenti'
       });
     }
     
-    const { Content } = require('../models');
-    const deleted = await Content.deleteById(parseInt(id));
-    
-    if (deleted) {
-      res.json({
-        success: true,
-        message: 'Content deleted successfully'
-      });
-    } else {
-      res.status(404).json({
-        error: 'Content not found'
-      });
-    }
+    res.json({
+      success: true,
+      section: section,
+      locale: locale,
+      blocks: await getSectionTranslations(section, locale)
+    });
     
   } catch (error) {
-    console.error('Error deleting content:', error);
+    console.error('Error fetching content translations:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -425,66 +840,69 @@ router.delete('/content/:id', requireAuth, async (req, res) => {
 });
 
 /**
- * GET /admin/images
- * Get list of all uploaded images (protected)
+ * PUT /admin/content/:section/translations/:locale
+ * Save translations of text blocks; an empty translation is removed
+ * so the block falls back to Latvian (protected)
  */
-router.get('/images', requireAuth, async (req, res) => {
+router.put('/content/:section/translations/:locale', validateTranslationLocale, validateContentTranslations, async (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, '../../uploads');
-    const mediaDir = path.join(__dirname, '../../public/media');
-    
-    const images = [];
-    
-    // Get images from uploads directory
-    try {
-      const uploadFiles = await fs.readdir(uploadsDir);
-      for (const file of uploadFiles) {
-        if (file !== '.gitkeep' && /\.(jpg|jpeg|png|gif|webp)$/i.test(file)) {
-          const filePath = path.join(uploadsDir, file);
-          const stats = await fs.stat(filePath);
-          images.push({
-            filename: file,
-            path: `/uploads/${file}`,
-            size: stats.size,
-            uploadedAt: stats.birthtime,
-            type: 'uploaded'
-          });
-        }
-      }
-    } catch (error) {
-      console.log('No uploads directory or error reading it:', error.message);
+    const { section, locale } = req.params;
+    const { translations } = req.body;
+    
+    const { Content, ContentTranslation } = require('../models');
+    const textBlockIds = new Set(
+      (await Content.findBySection(section))
+        .filter(block => block.content_type === 'text')
+        .map(block => block.id)
+    );
+    
+    const unknown = translations.find(item => !textBlockIds.has(item.id));
+    if (unknown) {
+      return res.status(400).json({
+        error: 'Invalid block',
+        message: `Block ${unknown.id} is not a text block of this section`
+      });
     }
     
-    // Get images from media directory (existing images)
-    try {
-      const mediaFiles = await fs.readdir(mediaDir);
-      for (const file of mediaFiles) {
-        if (file !== '.gitkeep' && /\.(jpg|jpeg|png|gif|webp)$/i.test(file) && !file.includes('Zone.Identifier')) {
-          const filePath = path.join(mediaDir, file);
-          const stats = await fs.stat(filePath);
-          images.push({
-            filename: file,
-            path: `/media/${file}`,
-            size: stats.size,
-            uploadedAt: stats.birthtime,
-            type: 'media'
-          });
+    let saved = 0;
+    let removed = 0;
+    for (const item of translations) {
+      if (item.content.replace(/<[^>]*>|&nbsp;/g, '').trim().length === 0) {
+        if (await ContentTranslation.delete(item.id, locale)) {
+          removed++;
         }
+        continue;
       }
-    } catch (error) {
-      console.log('Error reading media directory:', error.message);
+      
+      await new ContentTranslation({
+        content_id: item.id,
+        locale,
+        content: item.content,
+        updated_by: req.session.username
+      }).save();
+      saved++;
     }
     
-    // Sort by upload date (newest first)
-    images.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+    await auditService.record(req, 'section.translate', {
+      entityType: 'section',
+      entityId: section,
+      after: { locale, saved, removed }
+    });
+    
+    console.log(`Content translations (${locale}) updated for section: ${section}, saved ${saved}, removed ${removed}`);
     
     res.json({
       success: true,
-      images: images
+      message: 'Translations saved successfully',
+      section: section,
+      locale: locale,
+      saved,
+      removed,
+      blocks: await getSectionTranslations(section, locale)
     });
     
   } catch (error) {
-    console.error('Error fetching images:', error);
+    console.error('Error saving content translations:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -493,33 +911,43 @@ router.get('/images', requireAuth, async (req, res) => {
 });
 
 /**
- * POST /admin/upload
- * Upload new images (protected)
+ * GET /admin/content/:section/snapshots
+ * List saved snapshots of a section, newest first (protected)
  */
-router.post('/upload', upload.array('images', 10), handleUploadError, validateFileUpload, async (req, res) => {
+router.get('/content/:section/snapshots', async (req, res) => {
   try {
-    if (!req.files || req.files.length === 0) {
+    const { section } = req.params;
+    
+    const validSections = ['interesanti', 'gramatas', 'fragmenti'];
+    if (!validSections.includes(section)) {
       return res.status(400).json({
-        error: 'No files uploaded'
+        error: 'Invalid section. Must be one of: interesanti, gramatas, fragmenti'
       });
     }
     
-    const uploadedFiles = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      path: `/uploads/${file.filename}`,
-      size: file.size,
-      mimetype: file.mimetype
-    }));
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    const { ContentSnapshot } = require('../models');
+    const [snapshots, total] = await Promise.all([
+      ContentSnapshot.findBySection(section, limit, offset),
+      ContentSnapshot.getCountBySection(section)
+    ]);
     
     res.json({
       success: true,
-      message: `Successfully uploaded ${uploadedFiles.length} file(s)`,
-      files: uploadedFiles
+      section: section,
+      snapshots: snapshots.map(snapshot => snapshot.toSummaryJSON()),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + snapshots.length < total
+      }
     });
     
   } catch (error) {
-    console.error('Error uploading files:', error);
+    console.error('Error fetching content snapshots:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -528,45 +956,2466 @@ router.post('/upload', upload.array('images', 10), handleUploadError, validateFi
 });
 
 /**
- * DELETE /admin/image/:filename
- * Delete an uploaded image (protected)
+ * GET /admin/content/:section/snapshots/:snapshotId
+ * Get a single snapshot with all of its blocks for preview (protected)
  */
-router.delete('/image/:filename', validateFilename, async (req, res) => {
+router.get('/content/:section/snapshots/:snapshotId', validateSnapshotId, async (req, res) => {
   try {
-    const { filename } = req.params;
+    const { section, snapshotId } = req.params;
     
-    if (!filename) {
+    const { ContentSnapshot } = require('../models');
+    const snapshot = await ContentSnapshot.findBySectionAndId(section, snapshotId);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Snapshot not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      snapshot: snapshot.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching content snapshot:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/content/:section/snapshots/:snapshotId/restore
+ * Roll the whole section back to a snapshot (protected)
+ */
+router.post('/content/:section/snapshots/:snapshotId/restore', validateSnapshotId, async (req, res) => {
+  try {
+    const { section, snapshotId } = req.params;
+    const restoredBy = req.session.username || 'admin';
+    
+    const { Content, ContentSnapshot } = require('../models');
+    const snapshot = await ContentSnapshot.findBySectionAndId(section, snapshotId);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Snapshot not found'
+      });
+    }
+    
+    await ContentSnapshot.ensureBaseline(section);
+    
+    const previous = await Content.findBySection(section);
+    const restored = await Content.replaceSection(section, snapshot.blocks);
+    const newSnapshot = await ContentSnapshot.capture(section, restoredBy, {
+      change_note: `Restored snapshot #${snapshot.id}`,
+      restored_from: snapshot.id
+    });
+    
+    await searchService.reindex('section', section);
+    await auditService.record(req, 'section.restore', {
+      entityType: 'section',
+      entityId: section,
+      before: describeBlocks(previous),
+      after: { restoredFrom: snapshot.id, blocks: describeBlocks(restored) }
+    });
+    
+    console.log(`Restored ${section} to snapshot #${snapshot.id} by ${restoredBy}`);
+    
+    res.json({
+      success: true,
+      message: `Snapshot #${snapshot.id} restored successfully`,
+      section: section,
+      content: restored.map(item => item.toJSON()),
+      snapshotId: newSnapshot.id,
+      restoredFrom: snapshot.id
+    });
+    
+  } catch (error) {
+    console.error('Error restoring content snapshot:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/content/:section/snapshots/:snapshotId/blocks/:blockIndex/restore
+ * Restore a single block from a snapshot, leaving the rest of the section as it is (protected)
+ */
+router.post('/content/:section/snapshots/:snapshotId/blocks/:blockIndex/restore', validateSnapshotBlock, async (req, res) => {
+  try {
+    const { section, snapshotId, blockIndex } = req.params;
+    const restoredBy = req.session.username || 'admin';
+    
+    const { Content, ContentSnapshot } = require('../models');
+    const snapshot = await ContentSnapshot.findBySectionAndId(section, snapshotId);
+    
+    if (!snapshot || !snapshot.blocks[blockIndex]) {
+      return res.status(404).json({
+        error: snapshot ? 'Block not found in snapshot' : 'Snapshot not found'
+      });
+    }
+    
+    await ContentSnapshot.ensureBaseline(section);
+    
+    const block = snapshot.blocks[blockIndex];
+    const previous = await Content.findBySection(section);
+    const blocks = previous.map(item => ({
+      id: item.id,
+      content_type: item.content_type,
+      content: item.content
+    }));
+    
+    // Overwrite the block if it still exists, otherwise put it back at its old position
+    const currentIndex = blocks.findIndex(item => item.id === block.id);
+    if (currentIndex !== -1) {
+      blocks[currentIndex] = block;
+    } else {
+      blocks.splice(Math.min(blockIndex, blocks.length), 0, block);
+    }
+    
+    const restored = await Content.replaceSection(section, blocks);
+    const newSnapshot = await ContentSnapshot.capture(section, restoredBy, {
+      change_note: `Restored block ${blockIndex + 1} from snapshot #${snapshot.id}`,
+      restored_from: snapshot.id
+    });
+    
+    await searchService.reindex('section', section);
+    await auditService.record(req, 'section.restore', {
+      entityType: 'section',
+      entityId: section,
+      before: describeBlocks(previous),
+      after: { restoredFrom: snapshot.id, block: blockIndex + 1, blocks: describeBlocks(restored) }
+    });
+    
+    console.log(`Restored block ${blockIndex + 1} of ${section} from snapshot #${snapshot.id} by ${restoredBy}`);
+    
+    res.json({
+      success: true,
+      message: `Block restored from snapshot #${snapshot.id}`,
+      section: section,
+      content: restored.map(item => item.toJSON()),
+      snapshotId: newSnapshot.id,
+      restoredFrom: snapshot.id
+    });
+    
+  } catch (error) {
+    console.error('Error restoring content block:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/content/:section/publish
+ * Publish the current draft of a section, or schedule it with publishAt (protected)
+ */
+router.post('/content/:section/publish', validatePublishRequest, async (req, res) => {
+  try {
+    const { section } = req.params;
+    const publishedBy = req.session.username || 'admin';
+    
+    const validSections = ['interesanti', 'gramatas', 'fragmenti'];
+    if (!validSections.includes(section)) {
+      return res.status(400).json({
+        error: 'Invalid section. Must be one of: interesanti, gramatas, fragmenti'
+      });
+    }
+    
+    const publication = await publishingService.publish('section', section, publishedBy, req.body.publishAt || null);
+    await auditService.record(req, 'section.publish', { entityType: 'section', entityId: section, after: publication });
+    
+    res.json({
+      success: true,
+      message: publication.scheduledAt
+        ? `Section scheduled for ${publication.scheduledAt}`
+        : 'Section published successfully',
+      section: section,
+      publication
+    });
+    
+  } catch (error) {
+    console.error('Error publishing section:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/content/:section/unpublish
+ * Take a section off the public site (protected)
+ */
+router.post('/content/:section/unpublish', async (req, res) => {
+  try {
+    const { section } = req.params;
+    
+    const validSections = ['interesanti', 'gramatas', 'fragmenti'];
+    if (!validSections.includes(section)) {
+      return res.status(400).json({
+        error: 'Invalid section. Must be one of: interesanti, gramatas, fragmenti'
+      });
+    }
+    
+    const publication = await publishingService.unpublish('section', section, req.session.username || 'admin');
+    await auditService.record(req, 'section.unpublish', { entityType: 'section', entityId: section, after: publication });
+    
+    res.json({
+      success: true,
+      message: 'Section unpublished successfully',
+      section: section,
+      publication
+    });
+    
+  } catch (error) {
+    console.error('Error unpublishing section:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/content/:section/schedule
+ * Cancel a scheduled publish of a section (protected)
+ */
+router.delete('/content/:section/schedule', async (req, res) => {
+  try {
+    const { section } = req.params;
+    
+    const validSections = ['interesanti', 'gramatas', 'fragmenti'];
+    if (!validSections.includes(section)) {
+      return res.status(400).json({
+        error: 'Invalid section. Must be one of: interesanti, gramatas, fragmenti'
+      });
+    }
+    
+    const publication = await publishingService.cancelSchedule('section', section);
+    
+    if (!publication) {
+      return res.status(404).json({
+        error: 'No scheduled publish for this section'
+      });
+    }
+    
+    await auditService.record(req, 'section.unschedule', { entityType: 'section', entityId: section, after: publication });
+    
+    res.json({
+      success: true,
+      message: 'Scheduled publish cancelled',
+      section: section,
+      publication
+    });
+    
+  } catch (error) {
+    console.error('Error cancelling scheduled publish:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/content/:id
+ * Delete a specific content item (protected)
+ */
+router.delete('/content/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        error: 'Invalid content ID'
+      });
+    }
+    
+    const { Content } = require('../models');
+    const contentItem = await Content.findById(parseInt(id));
+    const deleted = await Content.deleteById(parseInt(id));
+    
+    if (deleted) {
+      await searchService.reindex('section', contentItem.section);
+      await auditService.record(req, 'content.delete', {
+        entityType: 'content',
+        entityId: contentItem.id,
+        before: { section: contentItem.section, ...describeBlocks([contentItem])[0] }
+      });
+      
+      res.json({
+        success: true,
+        message: 'Content deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        error: 'Content not found'
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error deleting content:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/images
+ * Get list of all uploaded and media images with their library metadata (protected)
+ */
+router.get('/images', requireAuth, async (req, res) => {
+  try {
+    const images = await Media.findAll();
+    
+    res.json({
+      success: true,
+      images: images.map(image => image.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error fetching images:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/upload
+ * Upload new images (protected)
+ */
+router.post('/upload', upload.array('images', 10), handleUploadError, validateFileUpload, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded'
+      });
+    }
+    
+    const uploadedFiles = [];
+    for (const file of req.files) {
+      const media = await Media.createFromFile(`/uploads/${file.filename}`, {
+        uploaded_by: req.session.username || null
+      });
+      
+      uploadedFiles.push({
+        id: media.id,
+        filename: file.filename,
+        originalName: file.originalname,
+        path: media.path,
+        size: file.size,
+        mimetype: file.mimetype
+      });
+    }
+    
+    await auditService.record(req, 'image.upload', {
+      entityType: 'image',
+      entityId: uploadedFiles.map(file => file.path).join(', '),
+      after: uploadedFiles.map(file => ({ path: file.path, originalName: file.originalName, size: file.size }))
+    });
+    
+    res.json({
+      success: true,
+      message: `Successfully uploaded ${uploadedFiles.length} file(s)`,
+      files: uploadedFiles
+    });
+    
+    // Generate the responsive variants in the background so they are ready when first shown
+    for (const file of uploadedFiles) {
+      imageVariantService.generateVariants(file.path).catch(error => {
+        console.warn(`Failed to generate image variants for ${file.path}:`, error.message);
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error uploading files:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/image/:filename
+ * Delete an uploaded image (protected)
+ */
+router.delete('/image/:filename', validateFilename, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    
+    if (!filename) {
+      return res.status(400).json({
+        error: 'Filename is required'
+      });
+    }
+    
+    // Sanitize filename to prevent directory traversal
+    const sanitizedFilename = path.basename(filename);
+    
+    // Check if it's an uploaded file (in uploads directory)
+    const uploadedFilePath = path.join(__dirname, '../../uploads', sanitizedFilename);
+    
+    try {
+      await fs.access(uploadedFilePath);
+      
+      // Deleting an image that is still referenced would break the pages using it
+      const usages = await imageUsageService.findUsages(`/uploads/${sanitizedFilename}`);
+      if (usages.length > 0) {
+        return res.status(409).json({
+          error: 'Image is in use',
+          message: 'Remove the image from the content using it before deleting it',
+          usages
+        });
+      }
+      
+      await fs.unlink(uploadedFilePath);
+      await Media.deleteByPath(`/uploads/${sanitizedFilename}`);
+      await imageVariantService.removeVariants(`/uploads/${sanitizedFilename}`);
+      await auditService.record(req, 'image.delete', {
+        entityType: 'image',
+        entityId: `/uploads/${sanitizedFilename}`,
+        before: { path: `/uploads/${sanitizedFilename}` }
+      });
+      
+      res.json({
+        success: true,
+        message: 'Image deleted successfully'
+      });
+      
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Image not found'
+        });
+      }
+      throw error;
+    }
+    
+  } catch (error) {
+    console.error('Error deleting image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/image/move-to-media/:filename
+ * Move an uploaded image to the media directory (protected)
+ */
+router.post('/image/move-to-media/:filename', validateFilename, async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const { newName } = req.body;
+    
+    if (!filename) {
+      return res.status(400).json({
+        error: 'Filename is required'
+      });
+    }
+    
+    // Sanitize filenames
+    const sanitizedFilename = path.basename(filename);
+    const finalName = newName ? path.basename(newName) : sanitizedFilename;
+    
+    const sourcePath = path.join(__dirname, '../../uploads', sanitizedFilename);
+    const destPath = path.join(__dirname, '../../public/media', finalName);
+    
+    try {
+      // Check if source file exists
+      await fs.access(sourcePath);
+      
+      // Check if destination already exists
+      try {
+        await fs.access(destPath);
+        return res.status(400).json({
+          error: 'A file with this name already exists in media directory'
+        });
+      } catch (error) {
+        // File doesn't exist, which is what we want
+      }
+      
+      // Move the file, then point content, books and gallery images at the new path. The
+      // references change in one transaction; if that fails the file is moved back, so
+      // content never points at a missing image
+      await fs.rename(sourcePath, destPath);
+      
+      let references;
+      try {
+        references = await imageUsageService.updateReferences(`/uploads/${sanitizedFilename}`, `/media/${finalName}`);
+      } catch (error) {
+        await fs.rename(destPath, sourcePath);
+        throw error;
+      }
+      const updatedReferences = references.updated;
+      
+      await imageVariantService.removeVariants(`/uploads/${sanitizedFilename}`);
+      
+      // Keep the library metadata with the moved file
+      const media = await Media.findByPath(`/uploads/${sanitizedFilename}`);
+      if (media) {
+        Object.assign(media, { path: `/media/${finalName}`, filename: finalName, type: 'media' });
+        await media.save();
+      } else {
+        await Media.createFromFile(`/media/${finalName}`);
+      }
+      
+      for (const { entityType, entityKey } of references.entities) {
+        await searchService.reindex(entityType, entityKey);
+      }
+      
+      await auditService.record(req, 'image.move', {
+        entityType: 'image',
+        entityId: `/media/${finalName}`,
+        before: { path: `/uploads/${sanitizedFilename}` },
+        after: { path: `/media/${finalName}`, updatedReferences }
+      });
+      
+      res.json({
+        success: true,
+        message: 'Image moved to media directory successfully',
+        newPath: `/media/${finalName}`,
+        updatedReferences
+      });
+      
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Source image not found'
+        });
+      }
+      throw error;
+    }
+    
+  } catch (error) {
+    console.error('Error moving image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pick the editable book fields from a validated request body
+ */
+const getBookFields = (body) => ({
+  title: body.title,
+  description: body.description || '',
+  cover_image: body.cover_image || null,
+  decoration_image: body.decoration_image || null,
+  publication_year: body.publication_year || null,
+  isbn: body.isbn || null,
+  publisher: body.publisher || null
+});
+
+/**
+ * GET /admin/api/books
+ * Get all books in display order (protected)
+ */
+router.get('/api/books', async (req, res) => {
+  try {
+    const books = await Book.findAll();
+    
+    res.json({
+      success: true,
+      books: books.map(book => book.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error fetching books:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/books
+ * Create a new book, placed last in the showcase (protected)
+ */
+router.post('/api/books', validateBook, async (req, res) => {
+  try {
+    const book = new Book({
+      ...getBookFields(req.body),
+      order_index: await Book.getNextOrderIndex()
+    });
+    await book.save();
+    
+    await searchService.reindex('book', book.id);
+    await auditService.record(req, 'book.create', { entityType: 'book', entityId: book.id, after: getBookFields(book) });
+    
+    console.log(`Book '${book.title}' created by ${req.session.username}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Book created successfully',
+      book: book.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error creating book:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/books/order
+ * Reorder books in the showcase (protected)
+ */
+router.put('/api/books/order', validateBookOrder, async (req, res) => {
+  try {
+    const { bookIds } = req.body;
+    const books = await Book.findAll();
+    const knownIds = new Set(books.map(book => book.id));
+    
+    if (bookIds.length !== books.length || new Set(bookIds).size !== bookIds.length ||
+        !bookIds.every(id => knownIds.has(id))) {
+      return res.status(400).json({
+        error: 'Book order must list every book exactly once'
+      });
+    }
+    
+    await Book.updateOrder(bookIds);
+    const reordered = await Book.findAll();
+    await auditService.record(req, 'book.reorder', {
+      entityType: 'book',
+      before: books.map(book => book.id),
+      after: reordered.map(book => book.id)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Book order updated successfully',
+      books: reordered.map(book => book.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error reordering books:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/books/:id
+ * Update a book (protected)
+ */
+router.put('/api/books/:id', validateBookId, validateBook, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        error: 'Book not found'
+      });
+    }
+    
+    const before = getBookFields(book);
+    Object.assign(book, getBookFields(req.body));
+    await book.save();
+    
+    await searchService.reindex('book', book.id);
+    await auditService.record(req, 'book.update', { entityType: 'book', entityId: book.id, before, after: getBookFields(book) });
+    
+    console.log(`Book '${book.title}' updated by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Book updated successfully',
+      book: book.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error updating book:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/books/:id
+ * Delete a book (protected)
+ */
+router.delete('/api/books/:id', validateBookId, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    const deleted = await Book.deleteById(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Book not found'
+      });
+    }
+    
+    // Gallery images of the book stay in the gallery without a book
+    await GalleryImage.unlinkBook(req.params.id);
+    
+    await searchService.reindex('book', req.params.id);
+    await auditService.record(req, 'book.delete', { entityType: 'book', entityId: req.params.id, before: getBookFields(book) });
+    
+    console.log(`Book #${req.params.id} deleted by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Book deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting book:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pick the editable gallery image fields from a validated request body
+ */
+const getGalleryImageFields = (body) => ({
+  image_path: body.image_path,
+  alt_text: body.alt_text,
+  caption: body.caption || null,
+  book_id: body.book_id || null
+});
+
+/**
+ * Respond with 400 if a gallery image links to a book that does not exist
+ * @returns {Promise<boolean>} True if the response was sent
+ */
+const rejectUnknownBook = async (bookId, res) => {
+  if (bookId && !(await Book.findById(bookId))) {
+    res.status(400).json({
+      error: 'Linked book not found'
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * GET /admin/api/gallery
+ * Get all Fragmenti gallery images in display order (protected)
+ */
+router.get('/api/gallery', async (req, res) => {
+  try {
+    const images = await GalleryImage.findAll();
+    
+    res.json({
+      success: true,
+      images: images.map(image => image.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error fetching gallery images:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/gallery
+ * Add an image to the end of the gallery (protected)
+ */
+router.post('/api/gallery', validateGalleryImage, async (req, res) => {
+  try {
+    const fields = getGalleryImageFields(req.body);
+    if (await rejectUnknownBook(fields.book_id, res)) return;
+    
+    const image = new GalleryImage({
+      ...fields,
+      order_index: await GalleryImage.getNextOrderIndex()
+    });
+    await image.save();
+    await auditService.record(req, 'gallery.create', { entityType: 'gallery_image', entityId: image.id, after: fields });
+    
+    console.log(`Gallery image ${image.image_path} added by ${req.session.username}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Gallery image added successfully',
+      image: (await GalleryImage.findById(image.id)).toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error adding gallery image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/gallery/order
+ * Reorder gallery images (protected)
+ */
+router.put('/api/gallery/order', validateGalleryOrder, async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+    const images = await GalleryImage.findAll();
+    const knownIds = new Set(images.map(image => image.id));
+    
+    if (imageIds.length !== images.length || new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(id => knownIds.has(id))) {
+      return res.status(400).json({
+        error: 'Gallery order must list every image exactly once'
+      });
+    }
+    
+    await GalleryImage.updateOrder(imageIds);
+    const reordered = await GalleryImage.findAll();
+    await auditService.record(req, 'gallery.reorder', {
+      entityType: 'gallery_image',
+      before: images.map(image => image.id),
+      after: reordered.map(image => image.id)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Gallery order updated successfully',
+      images: reordered.map(image => image.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error reordering gallery images:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/gallery/:id
+ * Update a gallery image (protected)
+ */
+router.put('/api/gallery/:id', validateGalleryImageId, validateGalleryImage, async (req, res) => {
+  try {
+    const image = await GalleryImage.findById(req.params.id);
+    
+    if (!image) {
+      return res.status(404).json({
+        error: 'Gallery image not found'
+      });
+    }
+    
+    const fields = getGalleryImageFields(req.body);
+    if (await rejectUnknownBook(fields.book_id, res)) return;
+    
+    const before = getGalleryImageFields(image);
+    Object.assign(image, fields);
+    await image.save();
+    await auditService.record(req, 'gallery.update', { entityType: 'gallery_image', entityId: image.id, before, after: fields });
+    
+    res.json({
+      success: true,
+      message: 'Gallery image updated successfully',
+      image: (await GalleryImage.findById(image.id)).toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error updating gallery image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/gallery/:id
+ * Remove an image from the gallery; the image file itself is kept (protected)
+ */
+router.delete('/api/gallery/:id', validateGalleryImageId, async (req, res) => {
+  try {
+    const image = await GalleryImage.findById(req.params.id);
+    const deleted = await GalleryImage.deleteById(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Gallery image not found'
+      });
+    }
+    
+    await auditService.record(req, 'gallery.delete', {
+      entityType: 'gallery_image',
+      entityId: req.params.id,
+      before: getGalleryImageFields(image)
+    });
+    
+    console.log(`Gallery image #${req.params.id} removed by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Gallery image removed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error removing gallery image:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/media
+ * Search the media library by text, tag and type, newest first, one page at a time (protected)
+ */
+router.get('/api/media', validateMediaQuery, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 24;
+    
+    const { items, total } = await Media.search({
+      search: req.query.search || null,
+      tag: req.query.tag || null,
+      type: req.query.type || null,
+      page,
+      limit
+    });
+    const usages = await imageUsageService.findUsagesForPaths(items.map(item => item.path));
+    
+    res.json({
+      success: true,
+      media: items.map(item => ({ ...item.toJSON(), usage_count: usages.get(item.path).length })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error searching media library:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/media/tags
+ * Get all media tags with the number of images using them (protected)
+ */
+router.get('/api/media/tags', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tags: await Media.getTagCounts()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching media tags:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/media/:id
+ * Get a single media item (protected)
+ */
+router.get('/api/media/:id', validateMediaId, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    
+    if (!media) {
+      return res.status(404).json({
+        error: 'Media item not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      media: media.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching media item:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/media/:id/usage
+ * Get the content, books and gallery images using a media item (protected)
+ */
+router.get('/api/media/:id/usage', validateMediaId, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    
+    if (!media) {
+      return res.status(404).json({
+        error: 'Media item not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      usages: await imageUsageService.findUsages(media.path)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching media usage:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/media/:id
+ * Update the alt text, caption, credit and tags of a media item (protected)
+ */
+router.put('/api/media/:id', validateMediaId, validateMediaMetadata, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    
+    if (!media) {
+      return res.status(404).json({
+        error: 'Media item not found'
+      });
+    }
+    
+    const before = { alt_text: media.alt_text, caption: media.caption, credit: media.credit, tags: media.tags };
+    Object.assign(media, {
+      alt_text: req.body.alt_text || null,
+      caption: req.body.caption || null,
+      credit: req.body.credit || null,
+      tags: req.body.tags || []
+    });
+    await media.save();
+    await auditService.record(req, 'media.update', {
+      entityType: 'media',
+      entityId: media.path,
+      before,
+      after: { alt_text: media.alt_text, caption: media.caption, credit: media.credit, tags: media.tags }
+    });
+    
+    console.log(`Media '${media.path}' updated by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Image details updated successfully',
+      media: (await Media.findById(media.id)).toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error updating media item:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Link an invited user opens to choose their password (built from SITE_URL, not the Host header,
+// which the requester controls)
+const getInviteUrl = (token) => `${localeService.getSiteUrl()}/admin/invite/${token}`;
+
+/**
+ * Check that a change would not leave the site without an owner who can log in
+ * @param {AdminUser} adminUser - User being changed
+ * @param {boolean} staysOwner - Whether the user is still an active owner after the change
+ * @returns {Promise<boolean>} True if another active owner is left
+ */
+const keepsAnOwner = async (adminUser, staysOwner) => {
+  const isActiveOwner = adminUser.role === 'owner' && !adminUser.isDisabled() && !adminUser.isInvitePending();
+  if (!isActiveOwner || staysOwner) {
+    return true;
+  }
+  return (await AdminUser.countActiveOwners(adminUser.id)) > 0;
+};
+
+/**
+ * Short version of an admin account for the audit log
+ */
+const describeUser = (adminUser) => ({
+  username: adminUser.username,
+  email: adminUser.email,
+  role: adminUser.role,
+  disabled: adminUser.isDisabled()
+});
+
+/**
+ * GET /admin/api/users
+ * List admin users (owners only)
+ */
+router.get('/api/users', async (req, res) => {
+  try {
+    const users = await AdminUser.findAll();
+    
+    res.json({
+      success: true,
+      users: users.map(user => user.toJSON()),
+      currentUserId: req.session.userId,
+      roles: AdminUser.ROLES
+    });
+    
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/users
+ * Create an admin user with a password, or invite them when no password is given (owners only)
+ */
+router.post('/api/users', validateAdminUser, async (req, res) => {
+  try {
+    const { username, email, role, password } = req.body;
+    
+    if (!await AdminUser.isUsernameAvailable(username)) {
+      return res.status(409).json({
+        error: 'Username already exists'
+      });
+    }
+    
+    if (!await AdminUser.isEmailAvailable(email)) {
+      return res.status(409).json({
+        error: 'Email already in use'
+      });
+    }
+    
+    const adminUser = new AdminUser({ username, email, role });
+    let inviteToken = null;
+    if (password) {
+      await adminUser.setPassword(password);
+    } else {
+      inviteToken = await adminUser.createInvite();
+    }
+    await adminUser.save();
+    await auditService.record(req, inviteToken ? 'user.invite' : 'user.create', {
+      entityType: 'admin_user',
+      entityId: adminUser.id,
+      after: describeUser(adminUser)
+    });
+    
+    console.log(`Admin user '${adminUser.username}' (${adminUser.role}) ${inviteToken ? 'invited' : 'created'} by ${req.session.username}`);
+    
+    res.status(201).json({
+      success: true,
+      message: inviteToken ? 'Invitation created successfully' : 'User created successfully',
+      user: adminUser.toJSON(),
+      inviteUrl: inviteToken ? getInviteUrl(inviteToken) : undefined
+    });
+    
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/users/:id
+ * Change the email or role of an admin user, or disable and re-enable them (owners only)
+ */
+router.put('/api/users/:id', validateAdminUserId, validateAdminUserUpdate, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findById(req.params.id);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    const { email, role, disabled } = req.body;
+    const isSelf = adminUser.id === req.session.userId;
+    
+    if (isSelf && ((role && role !== adminUser.role) || disabled)) {
+      return res.status(400).json({
+        error: 'You cannot change the role of your own account or disable it'
+      });
+    }
+    
+    const staysOwner = (role || adminUser.role) === 'owner' && !(disabled ?? adminUser.isDisabled());
+    if (!await keepsAnOwner(adminUser, staysOwner)) {
+      return res.status(400).json({
+        error: 'The site needs at least one active owner'
+      });
+    }
+    
+    if (email && !await AdminUser.isEmailAvailable(email, adminUser.id)) {
+      return res.status(409).json({
+        error: 'Email already in use'
+      });
+    }
+    
+    const before = describeUser(adminUser);
+    if (email) adminUser.email = email;
+    if (role) adminUser.role = role;
+    if (disabled !== undefined) {
+      adminUser.disabled_at = disabled ? (adminUser.disabled_at || new Date().toISOString()) : null;
+    }
+    await adminUser.save();
+    await auditService.record(req, 'user.update', {
+      entityType: 'admin_user',
+      entityId: adminUser.id,
+      before,
+      after: describeUser(adminUser)
+    });
+    
+    console.log(`Admin user '${adminUser.username}' updated by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user: adminUser.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/users/:id/password
+ * Set a new password for an admin user (owners only)
+ */
+router.put('/api/users/:id/password', validateAdminUserId, validateNewPassword, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findById(req.params.id);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    await adminUser.changePassword(req.body.password);
+    await auditService.record(req, 'user.password', { entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Password of admin user '${adminUser.username}' changed by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      user: adminUser.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error changing admin user password:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/users/:id/invite
+ * Create a new invitation link for a user who has not accepted theirs yet (owners only)
+ */
+router.post('/api/users/:id/invite', validateAdminUserId, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findById(req.params.id);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    if (!adminUser.isInvitePending()) {
+      return res.status(400).json({
+        error: 'This user has already accepted their invitation'
+      });
+    }
+    
+    const inviteToken = await adminUser.createInvite();
+    await adminUser.save();
+    await auditService.record(req, 'user.invite', { entityType: 'admin_user', entityId: adminUser.id, after: describeUser(adminUser) });
+    
+    res.json({
+      success: true,
+      message: 'Invitation renewed successfully',
+      user: adminUser.toJSON(),
+      inviteUrl: getInviteUrl(inviteToken)
+    });
+    
+  } catch (error) {
+    console.error('Error renewing invitation:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/users/:id/2fa
+ * Turn off two-factor authentication for a user who lost their phone and recovery codes (owners only)
+ */
+router.delete('/api/users/:id/2fa', validateAdminUserId, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findById(req.params.id);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    adminUser.disableTwoFactor();
+    await adminUser.save();
+    await auditService.record(req, 'user.2fa_reset', { entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Two-factor authentication of '${adminUser.username}' reset by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication turned off',
+      user: adminUser.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/users/:id
+ * Delete an admin user (owners only)
+ */
+router.delete('/api/users/:id', validateAdminUserId, async (req, res) => {
+  try {
+    const adminUser = await AdminUser.findById(req.params.id);
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    if (adminUser.id === req.session.userId) {
+      return res.status(400).json({
+        error: 'You cannot delete your own account'
+      });
+    }
+    
+    if (!await keepsAnOwner(adminUser, false)) {
+      return res.status(400).json({
+        error: 'The site needs at least one active owner'
+      });
+    }
+    
+    await AdminUser.deleteById(adminUser.id);
+    await auditService.record(req, 'user.delete', { entityType: 'admin_user', entityId: adminUser.id, before: describeUser(adminUser) });
+    
+    console.log(`Admin user '${adminUser.username}' deleted by ${req.session.username}`);
+    
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting admin user:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/account/password
+ * Change the password of the logged in user
+ */
+router.put('/api/account/password', validatePasswordChange, async (req, res) => {
+  try {
+    const adminUser = req.adminUser;
+    
+    if (!await adminUser.verifyPassword(req.body.currentPassword)) {
+      return res.status(400).json({
+        error: 'Current password is incorrect'
+      });
+    }
+    
+    await adminUser.changePassword(req.body.newPassword);
+    
+    // Other sessions of this user are logged out, but the one that changed the password stays
+    req.session.loginTime = Date.now();
+    await auditService.record(req, 'account.password', { entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Password changed by ${adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/account/2fa
+ * Two-factor authentication status of the logged in user
+ */
+router.get('/api/account/2fa', (req, res) => {
+  const adminUser = req.adminUser;
+  
+  res.json({
+    success: true,
+    enabled: adminUser.isTwoFactorEnabled(),
+    enabledAt: adminUser.totp_enabled_at,
+    recoveryCodesLeft: adminUser.totp_recovery_codes.length
+  });
+});
+
+/**
+ * POST /admin/api/account/2fa/setup
+ * Start two-factor enrollment: returns the secret as a QR code for authenticator apps
+ */
+router.post('/api/account/2fa/setup', async (req, res) => {
+  try {
+    const adminUser = req.adminUser;
+    
+    if (adminUser.isTwoFactorEnabled()) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = adminUser.startTwoFactorEnrollment();
+    await adminUser.save();
+    
+    const otpauthUrl = twoFactorService.getOtpauthUrl(adminUser.username, secret);
+    
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await twoFactorService.renderQrCode(otpauthUrl)
+    });
+    
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/account/2fa/enable
+ * Finish enrollment with a code from the authenticator app; returns the recovery codes once
+ */
+router.post('/api/account/2fa/enable', validateTwoFactorCode, async (req, res) => {
+  try {
+    const adminUser = req.adminUser;
+    
+    if (adminUser.isTwoFactorEnabled() || !adminUser.totp_pending_secret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first'
+      });
+    }
+    
+    const recoveryCodes = adminUser.confirmTwoFactorEnrollment(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The code does not match. Check that the time on your phone is correct and try again.'
+      });
+    }
+    await adminUser.save();
+    await auditService.record(req, 'account.2fa_enable', { entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Two-factor authentication enabled by ${adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+    
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/account/2fa
+ * Turn two-factor authentication off with a code from the authenticator app or a recovery code
+ */
+router.delete('/api/account/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const adminUser = req.adminUser;
+    
+    if (!adminUser.isTwoFactorEnabled()) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    const { code, recoveryCode } = req.body;
+    const verified = recoveryCode
+      ? adminUser.useRecoveryCode(recoveryCode)
+      : adminUser.verifyTwoFactorCode(code);
+    
+    if (!verified) {
+      return res.status(400).json({
+        error: 'Invalid code'
+      });
+    }
+    
+    adminUser.disableTwoFactor();
+    await adminUser.save();
+    await auditService.record(req, 'account.2fa_disable', { entityType: 'admin_user', entityId: adminUser.id });
+    
+    console.log(`Two-factor authentication disabled by ${adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Listing and revoking sessions needs a store that can find them by user (not the default memory store)
+const supportsSessionList = (req) => req.sessionStore instanceof SessionStore;
+
+/**
+ * GET /admin/api/account/sessions
+ * Active login sessions of the logged in user
+ */
+router.get('/api/account/sessions', async (req, res) => {
+  try {
+    if (!supportsSessionList(req)) {
+      return res.status(501).json({
+        error: 'Session list not available'
+      });
+    }
+    
+    const adminUser = req.adminUser;
+    const entries = await req.sessionStore.findByUserId(adminUser.id);
+    
+    // Sessions from before the last password change can no longer be used
+    const sessions = entries
+      .filter(entry => !adminUser.isSessionOutdated(entry.data.loginTime || 0))
+      .map(entry => ({
+        id: entry.id,
+        device: SessionStore.describeDevice(entry.data.userAgent),
+        ip: entry.data.ip || null,
+        loginTime: entry.data.loginTime ? new Date(entry.data.loginTime).toISOString() : null,
+        lastActivity: entry.data.lastActivity ? new Date(entry.data.lastActivity).toISOString() : null,
+        current: entry.sid === req.sessionID
+      }));
+    
+    res.json({ sessions });
+    
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/account/sessions
+ * Log out all other sessions of the logged in user
+ */
+router.delete('/api/account/sessions', async (req, res) => {
+  try {
+    if (!supportsSessionList(req)) {
+      return res.status(501).json({
+        error: 'Session list not available'
+      });
+    }
+    
+    const count = await req.sessionStore.destroyByUserId(req.adminUser.id, { exceptSid: req.sessionID });
+    await auditService.record(req, 'account.session_revoke', { entityType: 'admin_user', entityId: req.adminUser.id, after: { count } });
+    
+    console.log(`${count} other sessions logged out by ${req.adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Other sessions logged out',
+      count
+    });
+    
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/account/sessions/:id
+ * Log out one session of the logged in user
+ */
+router.delete('/api/account/sessions/:id', validateSessionId, async (req, res) => {
+  try {
+    if (!supportsSessionList(req)) {
+      return res.status(501).json({
+        error: 'Session list not available'
+      });
+    }
+    
+    if (req.params.id === SessionStore.getPublicId(req.sessionID)) {
+      return res.status(400).json({
+        error: 'Use Logout to end the current session'
+      });
+    }
+    
+    const count = await req.sessionStore.destroyByUserId(req.adminUser.id, { publicId: req.params.id });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+    
+    await auditService.record(req, 'account.session_revoke', {
+      entityType: 'admin_user',
+      entityId: req.adminUser.id,
+      after: { session: req.params.id }
+    });
+    
+    console.log(`Session ${req.params.id} logged out by ${req.adminUser.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Session logged out'
+    });
+    
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pick the audit log filters from a validated query string
+ */
+const getAuditFilters = (query) => ({
+  action: query.action || null,
+  username: query.username || null,
+  entityType: query.entityType || null,
+  search: query.search || null,
+  from: query.from ? new Date(query.from).toISOString() : null,
+  to: query.to ? new Date(query.to).toISOString() : null
+});
+
+/**
+ * GET /admin/api/audit
+ * Search the audit log by action, user, entity, text and time, newest first (owners only)
+ */
+router.get('/api/audit', validateAuditQuery, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    
+    const { items, total } = await AuditLog.search({ ...getAuditFilters(req.query), page, limit });
+    
+    res.json({
+      success: true,
+      entries: items.map(entry => entry.toJSON()),
+      filters: await AuditLog.getFilterOptions(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error searching audit log:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/audit/export
+ * Download the audit log entries matching the filters as CSV (owners only)
+ */
+router.get('/api/audit/export', validateAuditQuery, async (req, res) => {
+  try {
+    const entries = await AuditLog.findAll(getAuditFilters(req.query));
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // Byte order mark, so spreadsheet programs read the Latvian letters correctly
+    res.send('\uFEFF' + auditService.toCsv(entries));
+    
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/messages
+ * List contact messages in a folder (inbox, unread, starred, failed, archived or all), newest first
+ */
+router.get('/api/messages', validateMessageQuery, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 25;
+    
+    const { items, total } = await ContactMessage.findInbox({
+      folder: req.query.folder || 'inbox',
+      search: req.query.search || null,
+      page,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      messages: items.map(message => message.toInboxJSON()),
+      counts: await ContactMessage.getFolderCounts(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error loading contact messages:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/messages/export
+ * Download the contact messages in a folder as CSV
+ */
+router.get('/api/messages/export', validateMessageQuery, async (req, res) => {
+  try {
+    const { items } = await ContactMessage.findInbox({
+      folder: req.query.folder || 'all',
+      search: req.query.search || null
+    });
+    const rows = items.map(message => message.toInboxJSON());
+    const filename = `contact-messages-${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // Byte order mark, so spreadsheet programs read the Latvian letters correctly
+    res.send('\uFEFF' + csvService.toCsv(rows, [
+      'submitted_at', 'name', 'email', 'message', 'status', 'read_at', 'starred', 'archived_at'
+    ]));
+    
+  } catch (error) {
+    console.error('Error exporting contact messages:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/messages/auto-reply
+ * Get the confirmation email template sent to contact form senders
+ */
+router.get('/api/messages/auto-reply', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      template: await autoReplyService.getTemplate()
+    });
+    
+  } catch (error) {
+    console.error('Error loading auto-reply template:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/messages/auto-reply
+ * Turn the auto-reply on or off and edit its template ({name}, {message} and {responseTime} are filled in)
+ */
+router.put('/api/messages/auto-reply', validateAutoReply, async (req, res) => {
+  try {
+    const before = await autoReplyService.getTemplate();
+    const template = await autoReplyService.saveTemplate(req.body, req.adminUser.id);
+    
+    await auditService.record(req, 'settings.auto_reply', { entityType: 'setting', entityId: 'contact_auto_reply', before, after: template });
+    
+    res.json({
+      success: true,
+      message: 'Auto-reply saved',
+      template
+    });
+    
+  } catch (error) {
+    console.error('Error saving auto-reply template:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/messages/:id
+ * Get a single contact message
+ */
+router.get('/api/messages/:id', validateMessageId, async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'The requested message does not exist'
+      });
+    }
+    
+    const emails = await OutboxEmail.findByContactMessageId(message.id);
+    
+    res.json({
+      success: true,
+      message: message.toInboxJSON(),
+      emails: emails.map(email => email.toJSON())
+    });
+    
+  } catch (error) {
+    console.error('Error loading contact message:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/messages/:id
+ * Mark a contact message read or unread, star it, or archive it
+ */
+router.put('/api/messages/:id', validateMessageId, validateMessageUpdate, async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'The requested message does not exist'
+      });
+    }
+    
+    const { read, starred, archived } = req.body;
+    const describeState = () => ({ read: Boolean(message.read_at), starred: message.starred, archived: Boolean(message.archived_at) });
+    const before = describeState();
+    
+    if (read !== undefined) {
+      message.setRead(read);
+    }
+    
+    if (starred !== undefined) {
+      message.starred = starred;
+    }
+    
+    if (archived !== undefined) {
+      message.setArchived(archived);
+    }
+    
+    await message.save();
+    await auditService.record(req, 'message.update', {
+      entityType: 'contact_message',
+      entityId: message.id,
+      before,
+      after: describeState()
+    });
+    
+    res.json({
+      success: true,
+      message: message.toInboxJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error updating contact message:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/messages/:id/release
+ * Release a message held as spam: it moves to the inbox and the owner is emailed about it
+ * unless a notification was already queued for it
+ */
+router.post('/api/messages/:id/release', validateMessageId, async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'The requested message does not exist'
+      });
+    }
+    
+    if (message.status !== 'spam') {
       return res.status(400).json({
-        error: 'Filename is required'
+        error: 'Not spam',
+        message: 'Only messages held as spam can be released'
+      });
+    }
+    
+    // A message marked as spam after its notification went out is not announced twice;
+    // it takes back the status of the notification already queued
+    const notification = (await OutboxEmail.findByContactMessageId(message.id))
+      .find(email => email.kind === 'contact_notification');
+    const notificationStatuses = { pending: 'pending', sending: 'pending', sent: 'sent', dead: 'failed' };
+    
+    const before = { status: message.status, spam_reasons: message.spam_reasons };
+    message.status = notification ? notificationStatuses[notification.status] : 'pending';
+    message.spam_reasons = [];
+    await message.save();
+    
+    if (!notification) {
+      await contactNotificationService.queue(message, { requestId: req.id });
+    }
+    await auditService.record(req, 'message.release', {
+      entityType: 'contact_message',
+      entityId: message.id,
+      before,
+      after: { status: message.status }
+    });
+    
+    res.json({
+      success: true,
+      message: message.toInboxJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error releasing contact message:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/messages/:id/spam
+ * Move a message to the spam folder; its notification and auto-reply are not sent if still queued
+ */
+router.post('/api/messages/:id/spam', validateMessageId, async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'The requested message does not exist'
+      });
+    }
+    
+    const before = { status: message.status };
+    message.status = 'spam';
+    message.spam_reasons = ['marked as spam by an admin'];
+    await message.save();
+    
+    const cancelledEmails = await OutboxEmail.deletePendingByContactMessageId(message.id);
+    
+    await auditService.record(req, 'message.spam', {
+      entityType: 'contact_message',
+      entityId: message.id,
+      before,
+      after: { status: message.status, cancelled_emails: cancelledEmails }
+    });
+    
+    res.json({
+      success: true,
+      message: message.toInboxJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error marking contact message as spam:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/outbox
+ * List outgoing emails, newest first, optionally only those with a status (pending, sending, sent or dead)
+ */
+router.get('/api/outbox', validateOutboxQuery, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    
+    const { items, total } = await OutboxEmail.search({ status: req.query.status || null, page, limit });
+    
+    res.json({
+      success: true,
+      emails: items.map(email => email.toJSON()),
+      counts: await OutboxEmail.getStatusCounts(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error loading email outbox:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/outbox/:id/resend
+ * Queue an email again, e.g. one the worker gave up on
+ */
+router.post('/api/outbox/:id/resend', validateOutboxEmailId, async (req, res) => {
+  try {
+    const email = await OutboxEmail.findById(req.params.id);
+    
+    if (!email) {
+      return res.status(404).json({
+        error: 'Email not found',
+        message: 'The requested email does not exist'
+      });
+    }
+    
+    if (email.status === 'sending') {
+      return res.status(409).json({
+        error: 'Email is being sent',
+        message: 'This email is being sent right now'
+      });
+    }
+    
+    const before = { status: email.status, attempts: email.attempts, last_error: email.last_error };
+    await outboxService.resend(email);
+    await auditService.record(req, 'email.resend', {
+      entityType: 'email',
+      entityId: email.id,
+      before,
+      after: { status: email.status, to: email.to_address, subject: email.subject }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Email queued for sending',
+      email: email.toJSON()
+    });
+    
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Campaign with how its emails are doing in the outbox
+const describeCampaign = async (campaign) => ({
+  ...campaign.toJSON(),
+  delivery: campaign.isDraft() ? null : await OutboxEmail.getStatusCounts({ campaignId: campaign.id })
+});
+
+// Campaign from the :id parameter, or a 404 answer
+const findCampaign = async (req, res) => {
+  const campaign = await NewsletterCampaign.findById(req.params.id);
+  
+  if (!campaign) {
+    res.status(404).json({
+      error: 'Campaign not found',
+      message: 'The requested campaign does not exist'
+    });
+  }
+  return campaign;
+};
+
+// 409 answer for changes to a campaign that has already been sent
+const rejectSentCampaign = (res) => res.status(409).json({
+  error: 'Campaign already sent',
+  message: 'Only draft campaigns can be changed'
+});
+
+/**
+ * GET /admin/api/newsletter/subscribers
+ * List newsletter subscribers, newest first, optionally by status or email address
+ */
+router.get('/api/newsletter/subscribers', validateSubscriberQuery, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    
+    const { items, total } = await Subscriber.search({
+      status: req.query.status || null,
+      search: req.query.search || null,
+      page,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      subscribers: items.map(subscriber => subscriber.toJSON()),
+      counts: await Subscriber.getStatusCounts(),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error loading subscribers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/newsletter/subscribers/:id
+ * Remove a subscriber completely, e.g. when they ask to be forgotten
+ */
+router.delete('/api/newsletter/subscribers/:id', validateSubscriberId, async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findById(req.params.id);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        error: 'Subscriber not found',
+        message: 'The requested subscriber does not exist'
       });
     }
     
-    // Sanitize filename to prevent directory traversal
-    const sanitizedFilename = path.basename(filename);
+    await subscriber.delete();
+    await auditService.record(req, 'newsletter.subscriber_delete', {
+      entityType: 'subscriber',
+      entityId: subscriber.id,
+      before: { email: subscriber.email, status: subscriber.status }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Subscriber removed'
+    });
+    
+  } catch (error) {
+    console.error('Error removing subscriber:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/newsletter/campaigns
+ * List campaigns, newest first, with the delivery status of sent ones
+ */
+router.get('/api/newsletter/campaigns', async (req, res) => {
+  try {
+    const campaigns = await NewsletterCampaign.findAll();
+    
+    res.json({
+      success: true,
+      campaigns: await Promise.all(campaigns.map(describeCampaign)),
+      subscribers: await Subscriber.getStatusCounts()
+    });
+    
+  } catch (error) {
+    console.error('Error loading campaigns:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/newsletter/campaigns
+ * Create a draft campaign
+ */
+router.post('/api/newsletter/campaigns', validateCampaign, async (req, res) => {
+  try {
+    const campaign = new NewsletterCampaign({
+      subject: req.body.subject,
+      body: req.body.body,
+      created_by: req.adminUser.id,
+      updated_by: req.adminUser.id
+    });
+    await campaign.save();
+    
+    await auditService.record(req, 'newsletter.campaign_create', {
+      entityType: 'campaign',
+      entityId: campaign.id,
+      after: { subject: campaign.subject }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Campaign saved',
+      campaign: await describeCampaign(campaign)
+    });
+    
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/newsletter/campaigns/:id
+ * Get a campaign
+ */
+router.get('/api/newsletter/campaigns/:id', validateCampaignId, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    res.json({
+      success: true,
+      campaign: await describeCampaign(campaign)
+    });
+    
+  } catch (error) {
+    console.error('Error loading campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /admin/api/newsletter/campaigns/:id
+ * Edit a draft campaign
+ */
+router.put('/api/newsletter/campaigns/:id', validateCampaignId, validateCampaign, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    if (!campaign.isDraft()) {
+      return rejectSentCampaign(res);
+    }
+    
+    const before = { subject: campaign.subject, body: campaign.body };
+    campaign.subject = req.body.subject;
+    campaign.body = req.body.body;
+    campaign.updated_by = req.adminUser.id;
+    await campaign.save();
+    
+    await auditService.record(req, 'newsletter.campaign_update', {
+      entityType: 'campaign',
+      entityId: campaign.id,
+      before,
+      after: { subject: campaign.subject, body: campaign.body }
+    });
     
-    // Check if it's an uploaded file (in uploads directory)
-    const uploadedFilePath = path.join(__dirname, '../../uploads', sanitizedFilename);
+    res.json({
+      success: true,
+      message: 'Campaign saved',
+      campaign: await describeCampaign(campaign)
+    });
+    
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api/newsletter/campaigns/:id
+ * Delete a draft campaign
+ */
+router.delete('/api/newsletter/campaigns/:id', validateCampaignId, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    if (!campaign.isDraft()) {
+      return rejectSentCampaign(res);
+    }
+    
+    await campaign.delete();
+    await auditService.record(req, 'newsletter.campaign_delete', {
+      entityType: 'campaign',
+      entityId: campaign.id,
+      before: { subject: campaign.subject }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Campaign deleted'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/newsletter/campaigns/:id/preview
+ * The campaign email as subscribers get it (subject, HTML and plain text)
+ */
+router.get('/api/newsletter/campaigns/:id/preview', validateCampaignId, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    res.json({
+      success: true,
+      preview: newsletterService.preview(campaign)
+    });
+    
+  } catch (error) {
+    console.error('Error previewing campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/newsletter/campaigns/:id/test
+ * Send the campaign to one address (the signed-in user's by default) to check how it looks
+ */
+router.post('/api/newsletter/campaigns/:id/test', validateCampaignId, validateCampaignTest, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    const to = req.body.email || req.adminUser.email;
+    if (!to) {
+      return res.status(400).json({
+        error: 'No address',
+        message: 'Your account has no email address, so enter one for the test'
+      });
+    }
     
     try {
-      await fs.access(uploadedFilePath);
-      await fs.unlink(uploadedFilePath);
-      
-      res.json({
-        success: true,
-        message: 'Image deleted successfully'
+      await newsletterService.sendTest(campaign, to);
+    } catch (sendError) {
+      console.error(`Test email for campaign ${campaign.id} failed:`, sendError.message);
+      return res.status(502).json({
+        error: 'Email failed',
+        message: `The test email could not be sent: ${sendError.message}`
       });
-      
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return res.status(404).json({
-          error: 'Image not found'
-        });
-      }
-      throw error;
     }
     
+    await auditService.record(req, 'newsletter.campaign_test', {
+      entityType: 'campaign',
+      entityId: campaign.id,
+      after: { to }
+    });
+    
+    res.json({
+      success: true,
+      message: `Test email sent to ${to}`
+    });
+    
   } catch (error) {
-    console.error('Error deleting image:', error);
+    console.error('Error sending test campaign:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -575,61 +3424,118 @@ router.delete('/image/:filename', validateFilename, async (req, res) => {
 });
 
 /**
- * POST /admin/image/move-to-media/:filename
- * Move an uploaded image to the media directory (protected)
+ * POST /admin/api/newsletter/campaigns/:id/send
+ * Send a draft campaign to every confirmed subscriber (queued in the outbox)
  */
-router.post('/image/move-to-media/:filename', validateFilename, async (req, res) => {
+router.post('/api/newsletter/campaigns/:id/send', validateCampaignId, async (req, res) => {
   try {
-    const { filename } = req.params;
-    const { newName } = req.body;
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
     
-    if (!filename) {
+    if (!campaign.isDraft()) {
+      return rejectSentCampaign(res);
+    }
+    
+    const { confirmed } = await Subscriber.getStatusCounts();
+    if (!confirmed) {
       return res.status(400).json({
-        error: 'Filename is required'
+        error: 'No subscribers',
+        message: 'Nobody has confirmed a subscription yet'
       });
     }
     
-    // Sanitize filenames
-    const sanitizedFilename = path.basename(filename);
-    const finalName = newName ? path.basename(newName) : sanitizedFilename;
+    const queued = await newsletterService.send(campaign, req.adminUser.id);
+    if (queued === null) {
+      return rejectSentCampaign(res);
+    }
     
-    const sourcePath = path.join(__dirname, '../../uploads', sanitizedFilename);
-    const destPath = path.join(__dirname, '../../public/media', finalName);
+    await auditService.record(req, 'newsletter.campaign_send', {
+      entityType: 'campaign',
+      entityId: campaign.id,
+      after: { subject: campaign.subject, recipients: queued }
+    });
     
-    try {
-      // Check if source file exists
-      await fs.access(sourcePath);
-      
-      // Check if destination already exists
-      try {
-        await fs.access(destPath);
-        return res.status(400).json({
-          error: 'A file with this name already exists in media directory'
-        });
-      } catch (error) {
-        // File doesn't exist, which is what we want
+    res.json({
+      success: true,
+      message: `Campaign queued for ${queued} subscribers`,
+      campaign: await describeCampaign(campaign)
+    });
+    
+  } catch (error) {
+    console.error('Error sending campaign:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/newsletter/campaigns/:id/deliveries
+ * Emails of a sent campaign, one per recipient, optionally only those with a status
+ */
+router.get('/api/newsletter/campaigns/:id/deliveries', validateCampaignId, validateOutboxQuery, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+    
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    
+    const { items, total } = await OutboxEmail.search({ campaignId: campaign.id, status: req.query.status || null, page, limit });
+    
+    res.json({
+      success: true,
+      emails: items.map(email => email.toJSON()),
+      counts: await OutboxEmail.getStatusCounts({ campaignId: campaign.id }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
       }
-      
-      // Move the file
-      await fs.rename(sourcePath, destPath);
-      
-      res.json({
-        success: true,
-        message: 'Image moved to media directory successfully',
-        newPath: `/media/${finalName}`
+    });
+    
+  } catch (error) {
+    console.error('Error loading campaign deliveries:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/email-templates
+ * List the email templates the site sends
+ */
+router.get('/api/email-templates', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    templates: emailTemplateService.getTemplates()
+  });
+});
+
+/**
+ * GET /admin/api/email-templates/:name/preview
+ * Render a template with sample data
+ */
+router.get('/api/email-templates/:name/preview', requireAuth, validateEmailTemplatePreview, (req, res) => {
+  try {
+    if (!emailTemplateService.has(req.params.name)) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested email template does not exist'
       });
-      
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return res.status(404).json({
-          error: 'Source image not found'
-        });
-      }
-      throw error;
     }
     
+    res.json({
+      success: true,
+      preview: emailTemplateService.preview(req.params.name, req.query.locale)
+    });
+    
   } catch (error) {
-    console.error('Error moving image:', error);
+    console.error('Error previewing email template:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -643,6 +3549,36 @@ router.post('/image/move-to-media/:filename', validateFilename, async (req, res)
  */
 router.get('/api/people', peopleController.getAllPeople);
 
+/**
+ * POST /admin/api/people
+ * Create a new person
+ */
+router.post('/api/people', validateNewPerson, peopleController.createPerson);
+
+/**
+ * POST /admin/api/people/import
+ * Convert an uploaded Word document and return a preview of the profile
+ */
+router.post('/api/people/import', documentUpload.single('document'), handleDocumentUploadError, peopleController.previewImport);
+
+/**
+ * POST /admin/api/people/import/:importId
+ * Save a previewed import as a new person
+ */
+router.post('/api/people/import/:importId', validatePeopleImport, peopleController.saveImport);
+
+/**
+ * GET /admin/api/people/import/:importId/images/:filename
+ * Image of a previewed import (staged outside the public uploads)
+ */
+router.get('/api/people/import/:importId/images/:filename', peopleController.getImportImage);
+
+/**
+ * DELETE /admin/api/people/import/:importId
+ * Discard a previewed import
+ */
+router.delete('/api/people/import/:importId', peopleController.discardImport);
+
 /**
  * GET /admin/api/people/:slug
  * Get specific person content for editing
@@ -655,6 +3591,72 @@ router.get('/api/people/:slug', validatePersonSlug, peopleController.getPerson);
  */
 router.put('/api/people/:slug', validatePersonSlug, validatePeopleContent, peopleController.updatePerson);
 
+/**
+ * DELETE /admin/api/people/:slug
+ * Delete a person
+ */
+router.delete('/api/people/:slug', validatePersonSlug, peopleController.deletePerson);
+
+/**
+ * GET /admin/api/people/:slug/revisions
+ * List revision history for a person
+ */
+router.get('/api/people/:slug/revisions', validatePersonSlug, peopleController.getRevisions);
+
+/**
+ * GET /admin/api/people/:slug/revisions/compare
+ * Diff two revisions (or a revision against the current content)
+ */
+router.get('/api/people/:slug/revisions/compare', validatePersonSlug, validateRevisionCompare, peopleController.compareRevisions);
+
+/**
+ * GET /admin/api/people/:slug/revisions/:revisionId
+ * Get a single revision with full content
+ */
+router.get('/api/people/:slug/revisions/:revisionId', validatePersonSlug, validateRevisionId, peopleController.getRevision);
+
+/**
+ * POST /admin/api/people/:slug/revisions/:revisionId/restore
+ * Restore person content to a previous revision
+ */
+router.post('/api/people/:slug/revisions/:revisionId/restore', validatePersonSlug, validateRevisionId, peopleController.restoreRevision);
+
+/**
+ * POST /admin/api/people/:slug/publish
+ * Publish the current draft of person content (or schedule it with publishAt)
+ */
+router.post('/api/people/:slug/publish', validatePersonSlug, validatePublishRequest, peopleController.publishPerson);
+
+/**
+ * POST /admin/api/people/:slug/unpublish
+ * Take a person's profile off the public site
+ */
+router.post('/api/people/:slug/unpublish', validatePersonSlug, peopleController.unpublishPerson);
+
+/**
+ * DELETE /admin/api/people/:slug/schedule
+ * Cancel a scheduled publish of person content
+ */
+router.delete('/api/people/:slug/schedule', validatePersonSlug, peopleController.cancelScheduledPublish);
+
+/**
+ * GET /admin/api/people/:slug/translations/:locale
+ * Get the translation of a person's profile
+ */
+router.get('/api/people/:slug/translations/:locale', validatePersonSlug, validateTranslationLocale, peopleController.getTranslation);
+
+/**
+ * PUT /admin/api/people/:slug/translations/:locale
+ * Create or replace the translation of a person's profile
+ */
+router.put('/api/people/:slug/translations/:locale', validatePersonSlug, validateTranslationLocale, validatePeopleTranslation, peopleController.saveTranslation);
+
+/**
+ * DELETE /admin/api/people/:slug/translations/:locale
+ * Remove a translation so the profile falls back to Latvian
+ */
+router.delete('/api/people/:slug/translations/:locale', validatePersonSlug, validateTranslationLocale, peopleController.deleteTranslation);
+
 /**
  * GET /admin/people
  * Serve people management interface
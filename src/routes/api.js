@@ -1,13 +1,27 @@
 const express = require('express');
-const { Content, ContactMessage } = require('../models');
-const nodemailer = require('nodemailer');
+const { database, Content, ContactMessage, Book, GalleryImage } = require('../models');
 const rateLimit = require('express-rate-limit');
-const { validateContactForm, sanitizeInputs } = require('../middleware/validation');
+const {
+  validateContactForm,
+  validateSearchQuery,
+  validateLocaleQuery,
+  validateNewsletterSubscribe,
+  validateNewsletterToken,
+  sanitizeInputs
+} = require('../middleware/validation');
 const { param, validationResult } = require('express-validator');
 const router = express.Router();
 
 // Import people services and models
 const peopleDataService = require('../services/PeopleDataService');
+const publishingService = require('../services/PublishingService');
+const imageVariantService = require('../services/ImageVariantService');
+const searchService = require('../services/SearchService');
+const localeService = require('../services/LocaleService');
+const contactNotificationService = require('../services/ContactNotificationService');
+const spamService = require('../services/SpamService');
+const autoReplyService = require('../services/AutoReplyService');
+const newsletterService = require('../services/NewsletterService');
 const PeopleRepository = require('../models/PeopleRepository');
 
 // Initialize people repository
@@ -31,6 +45,20 @@ const contactLimiter = rateLimit({
   }
 });
 
+// Rate limiting for newsletter sign-ups (each sign-up sends an email)
+const newsletterLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 newsletter sign-ups per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many newsletter sign-ups, please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
 // Apply input sanitization to all API routes
 router.use(sanitizeInputs);
 
@@ -89,13 +117,20 @@ const validatePersonSlug = [
 /**
  * GET /api/people
  * Get all people for the Interesanti section
+ * Optional ?locale=en shows translated profiles, falling back to Latvian
  */
-router.get('/people', ensurePeopleInitialized, async (req, res) => {
+router.get('/people', ensurePeopleInitialized, validateLocaleQuery, async (req, res) => {
   const startTime = Date.now();
   
   try {
-    // Get all people for grid display with database content prioritized
-    const people = peopleRepository.getAllForGrid();
+    // Get all people for grid display with database content prioritized,
+    // leaving out people whose content has been unpublished
+    const locale = req.query.locale || localeService.defaultLocale;
+    const hiddenSlugs = await publishingService.getHiddenKeys('person');
+    const people = await localeService.translatePeopleGrid(
+      peopleRepository.getAllForGrid().filter(person => !hiddenSlugs.has(person.slug)),
+      locale
+    );
     const stats = peopleRepository.getStats();
     
     const duration = Date.now() - startTime;
@@ -105,6 +140,7 @@ router.get('/people', ensurePeopleInitialized, async (req, res) => {
       people: people,
       meta: {
         count: people.length,
+        locale: locale,
         stats: stats,
         duration: `${duration}ms`,
         timestamp: new Date().toISOString(),
@@ -137,17 +173,19 @@ router.get('/people', ensurePeopleInitialized, async (req, res) => {
 /**
  * GET /api/people/:slug
  * Get individual person data by slug
+ * Optional ?locale=en shows the translated profile, falling back to Latvian
  */
-router.get('/people/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, res) => {
+router.get('/people/:slug', ensurePeopleInitialized, validatePersonSlug, validateLocaleQuery, async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { slug } = req.params;
     
     // Get person data from repository with database content prioritized
-    const personData = await peopleRepository.getForProfileWithDatabase(slug);
+    const hiddenSlugs = await publishingService.getHiddenKeys('person');
+    const profile = hiddenSlugs.has(slug) ? null : await peopleRepository.getForProfileWithDatabase(slug);
     
-    if (!personData) {
+    if (!profile) {
       return res.status(404).json({
         error: 'Person not found',
         message: 'The requested person profile does not exist',
@@ -156,6 +194,7 @@ router.get('/people/:slug', ensurePeopleInitialized, validatePersonSlug, async (
       });
     }
     
+    const personData = await localeService.translatePersonProfile(profile, req.query.locale || localeService.defaultLocale);
     const duration = Date.now() - startTime;
     
     res.json({
@@ -239,24 +278,12 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Email transporter configuration
-const createEmailTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-};
-
 /**
  * GET /api/content/:section
  * Fetch content for a specific section
+ * Optional ?locale=en shows translated text blocks, falling back to Latvian
  */
-router.get('/content/:section', async (req, res) => {
+router.get('/content/:section', validateLocaleQuery, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -274,22 +301,25 @@ router.get('/content/:section', async (req, res) => {
       });
     }
     
-    // Fetch content from database with timeout
-    const content = await Promise.race([
-      Content.findBySection(section),
+    // Fetch published content from database with timeout
+    const locale = req.query.locale || localeService.defaultLocale;
+    const published = await Promise.race([
+      publishingService.getPublishedSectionContent(section),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Database query timeout')), 5000)
       )
     ]);
+    const content = await localeService.translateSectionContent(published, locale);
     
     const duration = Date.now() - startTime;
     
     res.json({
       success: true,
       section: section,
-      content: content.map(item => item.toJSON()),
+      content: content.map(item => ({ ...item.toJSON(), locale: item.locale })),
       meta: {
         count: content.length,
+        locale: locale,
         duration: `${duration}ms`,
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -329,8 +359,9 @@ router.get('/content/:section', async (req, res) => {
 /**
  * GET /api/content/:section/:type
  * Fetch content for a specific section and type
+ * Optional ?locale=en shows translated text blocks, falling back to Latvian
  */
-router.get('/content/:section/:type', async (req, res) => {
+router.get('/content/:section/:type', validateLocaleQuery, async (req, res) => {
   try {
     const { section, type } = req.params;
     
@@ -350,14 +381,18 @@ router.get('/content/:section/:type', async (req, res) => {
       });
     }
     
-    // Fetch content from database
-    const content = await Content.findBySectionAndType(section, type);
+    // Fetch published content from database
+    const published = await publishingService.getPublishedSectionContent(section);
+    const content = await localeService.translateSectionContent(
+      published.filter(item => item.content_type === type),
+      req.query.locale || localeService.defaultLocale
+    );
     
     res.json({
       success: true,
       section: section,
       type: type,
-      content: content.map(item => item.toJSON())
+      content: content.map(item => ({ ...item.toJSON(), locale: item.locale }))
     });
     
   } catch (error) {
@@ -369,13 +404,133 @@ router.get('/content/:section/:type', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/search
+ * Search people, section content and books, best matches first
+ */
+router.get('/search', validateSearchQuery, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { results, total } = await searchService.search(req.query.q, req.query.limit || 10);
+    const duration = Date.now() - startTime;
+    
+    res.json({
+      success: true,
+      query: req.query.q,
+      results,
+      meta: {
+        count: results.length,
+        total,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error searching site:', {
+      error: error.message,
+      query: req.query.q,
+      requestId: req.id,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/books
+ * Fetch books for the Grāmatas showcase in display order
+ */
+router.get('/books', async (req, res) => {
+  try {
+    const books = await Book.findAll();
+    const responsive = await imageVariantService.describeImages(books.map(book => book.cover_image));
+    
+    res.json({
+      success: true,
+      books: books.map(book => ({
+        ...book.toJSON(),
+        cover_image_responsive: responsive.get(book.cover_image) || null
+      })),
+      meta: {
+        count: books.length,
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching books:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch books',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/gallery
+ * Fetch Fragmenti gallery images in display order, also grouped by linked book
+ */
+router.get('/gallery', async (req, res) => {
+  try {
+    const images = await GalleryImage.findAll();
+    const responsive = await imageVariantService.describeImages(images.map(image => image.image_path));
+    const withResponsive = image => ({ ...image, responsive: responsive.get(image.image_path) || null });
+    
+    res.json({
+      success: true,
+      images: images.map(image => withResponsive(image.toJSON())),
+      groups: GalleryImage.groupByBook(images).map(group => ({
+        ...group,
+        images: group.images.map(withResponsive)
+      })),
+      meta: {
+        count: images.length,
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching gallery images:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch gallery images',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/contact/token
+ * Signed token for the contact form, showing when the form was loaded
+ */
+router.get('/contact/token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    token: spamService.createFormToken()
+  });
+});
+
 /**
  * POST /api/contact
  * Handle contact form submissions
  */
 router.post('/contact', contactLimiter, validateContactForm, async (req, res) => {
   const startTime = Date.now();
-  let contactMessage = null;
   
   try {
     const { name, email, message } = req.body;
@@ -383,121 +538,68 @@ router.post('/contact', contactLimiter, validateContactForm, async (req, res) =>
     // Data is already validated and sanitized by middleware
     const sanitizedData = { name, email, message };
     
+    const spamCheck = await spamService.check(req.body);
+    
     // Save contact message to database with timeout
-    contactMessage = new ContactMessage({
+    const contactMessage = new ContactMessage({
       name: sanitizedData.name,
       email: sanitizedData.email,
       message: sanitizedData.message,
-      status: 'sent' // Will be updated to 'failed' if email sending fails
+      // 'pending' until the outbox sends the email notification ('sent') or gives up on it ('failed')
+      status: spamCheck.spam ? 'spam' : 'pending',
+      spam_reasons: spamCheck.spam ? spamCheck.reasons : []
     });
     
+    // The message and its notification are stored together, so a message is never left
+    // pending without an email in the outbox. The outbox worker sends the notification and
+    // retries if the mail server fails. Spam is kept for review in the admin inbox, without any email
     await Promise.race([
-      contactMessage.save(),
+      database.transaction(async () => {
+        await contactMessage.save();
+        if (!spamCheck.spam) {
+          await contactNotificationService.queue(contactMessage, { requestId: req.id });
+        }
+      }),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Database save timeout')), 5000)
       )
     ]);
     
-    // Send email with timeout and retry logic
-    let emailSent = false;
-    let emailError = null;
-    
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        const transporter = createEmailTransporter();
-        
-        const mailOptions = {
-          from: process.env.EMAIL_FROM,
-          to: process.env.EMAIL_USER,
-          subject: `New Contact Form Message from ${sanitizedData.name}`,
-          html: `
-            <h3>New Contact Form Submission</h3>
-            <p><strong>Name:</strong> ${sanitizedData.name}</p>
-            <p><strong>Email:</strong> ${sanitizedData.email}</p>
-            <p><strong>Message:</strong></p>
-            <p>${sanitizedData.message.replace(/\n/g, '<br>')}</p>
-            <hr>
-            <p><small>Sent from the Ilze Skrastiņa website contact form</small></p>
-            <p><small>Request ID: ${req.id}</small></p>
-          `,
-          text: `
-            New Contact Form Submission
-            
-            Name: ${sanitizedData.name}
-            Email: ${sanitizedData.email}
-            Message: ${sanitizedData.message}
-            
-            Sent from the Ilze Skrastiņa website contact form
-            Request ID: ${req.id}
-          `
-        };
-        
-        // Send email with timeout
-        await Promise.race([
-          transporter.sendMail(mailOptions),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Email send timeout')), 10000)
-          )
-        ]);
-        
-        emailSent = true;
-        break;
-        
-      } catch (error) {
-        emailError = error;
-        console.error(`Email attempt ${attempt} failed:`, {
-          error: error.message,
-          attempt,
-          requestId: req.id
-        });
-        
-        // Wait before retry (except on last attempt)
-        if (attempt < 3) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
-    }
-    
     const duration = Date.now() - startTime;
     
-    if (emailSent) {
-      // Update status to sent
-      await contactMessage.updateStatus('sent');
-      
-      console.log('Contact form success:', {
-        name: sanitizedData.name,
-        email: sanitizedData.email,
+    // The sender of spam gets the usual answer so bots cannot tell which of their messages got through
+    if (spamCheck.spam) {
+      console.warn('Contact form spam:', {
+        reasons: spamCheck.reasons,
         duration: `${duration}ms`,
         requestId: req.id
       });
       
-      res.json({
+      return res.json({
         success: true,
         message: 'Your message has been sent successfully!',
         timestamp: new Date().toISOString(),
         requestId: req.id
       });
-      
-    } else {
-      // Update status to failed
-      await contactMessage.updateStatus('failed');
-      
-      console.error('Contact form email failed after all attempts:', {
-        error: emailError?.message,
-        name: sanitizedData.name,
-        email: sanitizedData.email,
-        duration: `${duration}ms`,
-        requestId: req.id
-      });
-      
-      res.status(500).json({
-        error: 'Failed to send email',
-        message: 'We received your message but could not send the email notification. Please try again or contact us directly.',
-        timestamp: new Date().toISOString(),
-        requestId: req.id
-      });
     }
     
+    // Confirmation to the visitor, when the admins have turned it on
+    await autoReplyService.queue(contactMessage);
+    
+    console.log('Contact form success:', {
+      name: sanitizedData.name,
+      email: sanitizedData.email,
+      duration: `${duration}ms`,
+      requestId: req.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Your message has been sent successfully!',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+    
   } catch (error) {
     const duration = Date.now() - startTime;
     
@@ -509,15 +611,6 @@ router.post('/contact', contactLimiter, validateContactForm, async (req, res) =>
       requestId: req.id
     });
     
-    // Try to update message status if it was created
-    if (contactMessage) {
-      try {
-        await contactMessage.updateStatus('failed');
-      } catch (updateError) {
-        console.error('Failed to update contact message status:', updateError);
-      }
-    }
-    
     // Handle specific error types
     if (error.message.includes('timeout')) {
       return res.status(408).json({
@@ -537,4 +630,93 @@ router.post('/contact', contactLimiter, validateContactForm, async (req, res) =>
   }
 });
 
+/**
+ * POST /api/newsletter/subscribe
+ * Sign up for the newsletter; the address gets a confirmation link
+ * The answer is the same whether or not the address is already subscribed
+ */
+router.post('/newsletter/subscribe', newsletterLimiter, validateNewsletterSubscribe, async (req, res) => {
+  try {
+    // The honeypot is only filled in by bots, which get the usual answer
+    if (req.body.website) {
+      console.warn('Newsletter sign-up honeypot filled in:', { requestId: req.id });
+    } else {
+      await newsletterService.subscribe(req.body.email, req.body.locale || 'lv');
+    }
+    
+    res.json({
+      success: true,
+      message: 'Please confirm your subscription with the link sent to your email address.'
+    });
+    
+  } catch (error) {
+    console.error('Newsletter subscribe error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/confirm
+ * Confirm a subscription with the token from the confirmation link
+ */
+router.post('/newsletter/confirm', validateNewsletterToken, async (req, res) => {
+  try {
+    const subscriber = await newsletterService.confirm(req.body.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        error: 'Invalid link',
+        message: 'This confirmation link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Your subscription is confirmed.'
+    });
+    
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/newsletter/unsubscribe
+ * End a subscription with the token from the unsubscribe link
+ */
+router.post('/newsletter/unsubscribe', validateNewsletterToken, async (req, res) => {
+  try {
+    const subscriber = await newsletterService.unsubscribe(req.body.token);
+    
+    if (!subscriber) {
+      return res.status(404).json({
+        error: 'Invalid link',
+        message: 'This unsubscribe link is invalid'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed.'
+    });
+    
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      requestId: req.id
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
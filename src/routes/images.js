@@ -0,0 +1,35 @@
+/**
+ * Responsive Image Routes
+ * Serves resized and WebP variants of /media/ and /uploads/ images, generating them on first request
+ */
+
+const express = require('express');
+const router = express.Router();
+const imageVariantService = require('../services/ImageVariantService');
+
+/**
+ * GET /uploads/variants/:width/<image path>[.webp]
+ * :width is one of the configured widths, or 'full' for the full-size WebP copy
+ */
+router.get(/^\/(\d+|full)(\/(?:media|uploads)\/.+?)(\.webp)?$/, async (req, res, next) => {
+  try {
+    // Express has already decoded the parameters
+    const [size, webPath, webpSuffix] = [req.params[0], req.params[1], req.params[2]];
+    const width = size === 'full' ? size : parseInt(size, 10);
+
+    const variantPath = await imageVariantService.getVariant(webPath, width, Boolean(webpSuffix));
+    if (!variantPath) {
+      return next();
+    }
+
+    res.sendFile(variantPath, { maxAge: '30d' });
+  } catch (error) {
+    console.error('Error serving image variant:', {
+      path: req.path,
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
 const { param, validationResult } = require('express-validator');
 const path = require('path');
+const validator = require('validator');
 const router = express.Router();
 
 // Import people services and models
 const peopleDataService = require('../services/PeopleDataService');
+const publishingService = require('../services/PublishingService');
+const localeService = require('../services/LocaleService');
+const pageMetadataService = require('../services/PageMetadataService');
 const PeopleRepository = require('../models/PeopleRepository');
 
 // Initialize people repository
@@ -63,17 +67,21 @@ const validatePersonSlug = [
 ];
 
 /**
- * GET /interesanti/:slug
+ * GET /interesanti/:slug (and /en/interesanti/:slug)
  * Serve individual person profile page
  */
 router.get('/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, res) => {
   const startTime = Date.now();
+  const locale = req.locale || localeService.defaultLocale;
+  const peopleSectionUrl = `${localeService.localizePath('/', locale)}#interesanti`;
   
   try {
     const { slug } = req.params;
     
     // Get person data from repository with database content prioritized
-    const person = peopleRepository.getBySlug(slug);
+    // (people whose content has been unpublished are treated as missing)
+    const hiddenSlugs = await publishingService.getHiddenKeys('person');
+    const person = hiddenSlugs.has(slug) ? null : peopleRepository.getBySlug(slug);
     
     if (!person) {
       console.log(`Person not found: ${slug}`);
@@ -90,13 +98,13 @@ router.get('/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, re
         return res.status(404).json({
           error: 'Person not found',
           message: 'The requested person profile does not exist',
-          redirect: '/#interesanti',
+          redirect: peopleSectionUrl,
           timestamp: new Date().toISOString(),
           requestId: req.id
         });
       } else {
         // For browser requests, redirect to main page with Interesanti section
-        return res.redirect('/#interesanti');
+        return res.redirect(peopleSectionUrl);
       }
     }
     
@@ -111,7 +119,7 @@ router.get('/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, re
     
     if (isApiRequest) {
       // For API requests, return JSON data with database content
-      const profileData = await peopleRepository.getForProfileWithDatabase(slug);
+      const profileData = await localeService.translatePersonProfile(await peopleRepository.getForProfileWithDatabase(slug), locale);
       res.json({
         success: true,
         person: profileData,
@@ -124,8 +132,8 @@ router.get('/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, re
       });
     } else {
       // For browser requests, serve the profile page with database content
-      const profileData = await peopleRepository.getForProfileWithDatabase(slug);
-      const html = generateProfilePageHTML(profileData);
+      const profileData = await localeService.translatePersonProfile(await peopleRepository.getForProfileWithDatabase(slug), locale);
+      const html = generateProfilePageHTML(profileData, locale);
       
       res.set('Content-Type', 'text/html; charset=utf-8');
       res.send(html);
@@ -156,34 +164,45 @@ router.get('/:slug', ensurePeopleInitialized, validatePersonSlug, async (req, re
       res.status(500).json({
         error: 'Internal server error',
         message: 'Failed to load person profile',
-        redirect: '/#interesanti',
+        redirect: peopleSectionUrl,
         timestamp: new Date().toISOString(),
         requestId: req.id
       });
     } else {
       // For browser requests, redirect to main page
-      return res.redirect('/#interesanti');
+      return res.redirect(peopleSectionUrl);
     }
   }
 });
 
 /**
  * Generate HTML for person profile page
- * @param {Object} personData - Person data from toProfileJSON()
+ * @param {Object} personData - Person data from toProfileJSON() (translated by LocaleService)
+ * @param {string} [locale] - Language of the page
  * @returns {string} Complete HTML page
  */
-function generateProfilePageHTML(personData) {
-  const { name, content, images, metadata } = personData;
+function generateProfilePageHTML(personData, locale = localeService.defaultLocale) {
+  const { content, images, metadata } = personData;
+  const name = validator.escape(personData.name);
+  const t = (key, values) => localeService.t(locale, key, values);
+  const homeUrl = localeService.localizePath('/', locale);
+  const profilePath = `/interesanti/${personData.slug}`;
+  
+  // Untranslated profiles are shown in Latvian inside the page of the requested language
+  const contentLocale = personData.locale || locale;
+  const untranslatedNotice = contentLocale !== locale
+    ? `<p class="translation-notice">${t('profile.untranslated')}</p>`
+    : '';
   
   // Generate content with interspersed images
   const contentWithImages = intersperseParagraphsWithImages(content.html, images);
   
   // Generate breadcrumb navigation
   const breadcrumbHTML = `
-    <nav class="breadcrumb" aria-label="Breadcrumb navigation">
+    <nav class="breadcrumb" aria-label="${t('profile.breadcrumbLabel')}">
       <ol>
-        <li><a href="/">Sākums</a></li>
-        <li><a href="/#interesanti">Interesanti</a></li>
+        <li><a href="${homeUrl}">${t('profile.home')}</a></li>
+        <li><a href="${homeUrl}#interesanti">${t('profile.people')}</a></li>
         <li aria-current="page">${name}</li>
       </ol>
     </nav>
@@ -306,26 +325,47 @@ function generateImageHTML(image, index = 0, layoutType = 'float', floatSide = '
     return `
       <div class="content-image-full">
         <figure class="content-image">
-          <img src="${image.path}" alt="${image.alt}" loading="lazy">
+          ${generatePictureHTML(image, '(max-width: 768px) 300px, 400px')}
         </figure>
       </div>
     `;
   } else {
     return `
       <figure class="content-image float-${floatSide}">
-        <img src="${image.path}" alt="${image.alt}" loading="lazy">
+        ${generatePictureHTML(image, '(max-width: 480px) 180px, (max-width: 768px) 200px, 250px')}
       </figure>
     `;
   }
 }
+
+/**
+ * Generate a picture element offering WebP and resized variants of an image
+ * @param {Object} image - Image object
+ * @param {string} sizes - Rendered width of the image for the srcset
+ * @returns {string} HTML for the image
+ */
+function generatePictureHTML(image, sizes) {
+  if (!image.responsive) {
+    return `<img src="${image.path}" alt="${image.alt}" loading="lazy">`;
+  }
+
+  const { width, height, srcset, webpSrcset } = image.responsive;
+  return `<picture>
+            <source type="image/webp" srcset="${webpSrcset}" sizes="${sizes}">
+            <img src="${image.path}" srcset="${srcset}" sizes="${sizes}" alt="${image.alt}" width="${width}" height="${height}" loading="lazy">
+          </picture>`;
+}
   
   return `<!DOCTYPE html>
-<html lang="lv">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${name} - Ilze Skrastiņa</title>
-    <meta name="description" content="Iepazīstieties ar ${name} - interesantu cilvēku portretējumu Ilzes Skrastiņas mājaslapā.">
+    <title>${t('profile.title', { name })}</title>
+    <meta name="description" content="${t('profile.description', { name })}">
+    
+    <!-- Language versions -->
+    ${localeService.renderAlternateLinks(profilePath)}
     
     <!-- Favicon -->
     <link rel="icon" type="image/x-icon" href="/favicon.ico">
@@ -339,24 +379,20 @@ function generateImageHTML(image, index = 0, layoutType = 'float', floatSide = '
     <link rel="stylesheet" href="/css/styles.css">
     <link rel="stylesheet" href="/css/profile.css">
     
-    <!-- Open Graph meta tags -->
-    <meta property="og:title" content="${name} - Ilze Skrastiņa">
-    <meta property="og:description" content="Iepazīstieties ar ${name} - interesantu cilvēku portretējumu Ilzes Skrastiņas mājaslapā.">
-    <meta property="og:type" content="article">
-    <meta property="og:url" content="${process.env.SITE_URL || 'http://localhost:3000'}/interesanti/${personData.slug}">
-    ${images.length > 0 ? `<meta property="og:image" content="${process.env.SITE_URL || 'http://localhost:3000'}${images[0].path}">` : ''}
-    
-    <!-- Twitter Card meta tags -->
-    <meta name="twitter:card" content="summary_large_image">
-    <meta name="twitter:title" content="${name} - Ilze Skrastiņa">
-    <meta name="twitter:description" content="Iepazīstieties ar ${name} - interesantu cilvēku portretējumu Ilzes Skrastiņas mājaslapā.">
-    ${images.length > 0 ? `<meta name="twitter:image" content="${process.env.SITE_URL || 'http://localhost:3000'}${images[0].path}">` : ''}
+    <!-- Open Graph, Twitter Card and schema.org metadata -->
+    ${pageMetadataService.renderProfileMetadata(personData, locale)}
 </head>
 <body>
     <!-- Main content -->
     <main class="person-profile">
         <div class="profile-container">
-            ${breadcrumbHTML}
+            <div class="profile-topbar">
+                ${breadcrumbHTML}
+                
+                <div class="language-switcher" role="group" aria-label="${t('language.label')}">
+                    ${localeService.renderLanguageLinks(profilePath, locale)}
+                </div>
+            </div>
             
             <article class="person-content">
                 <header class="person-header">
@@ -364,15 +400,16 @@ function generateImageHTML(image, index = 0, layoutType = 'float', floatSide = '
                 </header>
                 
                 <div class="person-body">
-                    <div class="person-text">
+                    ${untranslatedNotice}
+                    <div class="person-text" lang="${contentLocale}">
                         ${contentWithImages}
                     </div>
                 </div>
                 
                 <footer class="person-footer">
-                    <a href="/#interesanti" class="back-link">
+                    <a href="${homeUrl}#interesanti" class="back-link">
                         <span class="back-arrow">←</span>
-                        Atpakaļ uz Interesanti sadaļu
+                        ${t('profile.back')}
                     </a>
                 </footer>
             </article>
@@ -385,25 +422,26 @@ function generateImageHTML(image, index = 0, layoutType = 'float', floatSide = '
             <div class="footer-content">
                 <div class="footer-info">
                     <h3>Ilze Skrastiņa</h3>
-                    <p>Rakstniece un žurnāliste</p>
+                    <p>${t('profile.authorRole')}</p>
                 </div>
                 
                 <div class="footer-links">
-                    <a href="/#par-autori">Par Autori</a>
-                    <a href="/#gramatas">Grāmatas</a>
-                    <a href="/#fragmenti">Fragmenti</a>
-                    <a href="/#interesanti">Interesanti</a>
-                    <a href="/#kontakti">Kontakti</a>
+                    <a href="${homeUrl}#par-autori">${t('footer.about')}</a>
+                    <a href="${homeUrl}#gramatas">${t('footer.books')}</a>
+                    <a href="${homeUrl}#fragmenti">${t('footer.fragments')}</a>
+                    <a href="${homeUrl}#interesanti">${t('footer.people')}</a>
+                    <a href="${homeUrl}#kontakti">${t('footer.contact')}</a>
                 </div>
             </div>
             
             <div class="footer-bottom">
-                <p>&copy; ${new Date().getFullYear()} Ilze Skrastiņa. Visas tiesības aizsargātas.</p>
+                <p>&copy; ${new Date().getFullYear()} Ilze Skrastiņa. ${t('profile.copyright')}</p>
             </div>
         </div>
     </footer>
 
     <!-- Scripts -->
+    ${localeService.renderClientStrings(locale)}
     <script src="/js/main.js"></script>
     <script src="/js/profile.js"></script>
 </body>
@@ -0,0 +1,28 @@
+/**
+ * Search Engine Routes
+ * Serves the generated sitemap.xml and robots.txt
+ */
+
+const express = require('express');
+const router = express.Router();
+const sitemapService = require('../services/SitemapService');
+
+// Sitemap of the public pages in both languages
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const xml = await sitemapService.renderSitemap();
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/xml').send(xml);
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).type('text/plain').send('Sitemap is not available');
+  }
+});
+
+// Crawler rules, pointing at the sitemap
+router.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('text/plain').send(sitemapService.renderRobots());
+});
+
+module.exports = router;
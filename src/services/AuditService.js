@@ -0,0 +1,85 @@
+const AuditLog = require('../models/AuditLog');
+const csvService = require('./CsvService');
+
+const CSV_COLUMNS = [
+  'created_at', 'action', 'username', 'ip', 'request_id', 'entity_type', 'entity_id', 'before_summary', 'after_summary'
+];
+
+/**
+ * Records admin actions in the audit log
+ *
+ * Recording never fails the request it describes: if the entry cannot be written, the
+ * error is logged and the action goes ahead.
+ */
+class AuditService {
+  constructor() {
+    this.maxSummaryLength = 2000;
+  }
+
+  /**
+   * Short text version of a value for the before/after columns
+   * @param {*} value - Anything JSON can represent
+   * @returns {string|null} Text, cut off at maxSummaryLength
+   */
+  summarize(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > this.maxSummaryLength ? `${text.slice(0, this.maxSummaryLength - 1)}…` : text;
+  }
+
+  // Start of the text of an HTML fragment, so summaries of long content stay readable
+  excerpt(html, length = 80) {
+    const text = String(html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  /**
+   * Add an entry for a request
+   * @param {Object} req - Express request (user, IP and request ID are taken from it)
+   * @param {string} action - What happened, e.g. 'content.update' or 'login.failed'
+   * @param {Object} [details]
+   * @param {Object} [details.user] - Acting user, when not the logged in one (e.g. while logging in)
+   * @param {string} [details.username] - Name of the acting user when there is no account (failed logins)
+   * @param {string} [details.entityType] - Kind of thing changed, e.g. 'section' or 'person'
+   * @param {string|number} [details.entityId] - Which one
+   * @param {*} [details.before] - State before the change
+   * @param {*} [details.after] - State after the change
+   * @returns {Promise<AuditLog|null>} The entry, or null if it could not be saved
+   */
+  async record(req, action, { user = null, username = null, entityType = null, entityId = null, before = null, after = null } = {}) {
+    const actor = user || req.adminUser || null;
+    const session = req.session || {};
+
+    try {
+      const entry = new AuditLog({
+        action,
+        user_id: actor ? actor.id : session.userId,
+        username: actor ? actor.username : (username || session.username),
+        ip: req.ip,
+        request_id: req.id,
+        entity_type: entityType,
+        entity_id: entityId,
+        before_summary: this.summarize(before),
+        after_summary: this.summarize(after)
+      });
+      await entry.save();
+      return entry;
+    } catch (error) {
+      console.error(`Failed to record audit log entry ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  // Entries as a CSV file
+  toCsv(entries) {
+    return csvService.toCsv(entries, CSV_COLUMNS);
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -0,0 +1,145 @@
+const Setting = require('../models/Setting');
+const ContactMessage = require('../models/ContactMessage');
+const OutboxEmail = require('../models/OutboxEmail');
+const outboxService = require('./OutboxService');
+const emailTemplateService = require('./EmailTemplateService');
+
+const SETTING_KEY = 'contact_auto_reply';
+
+const DEFAULT_TEMPLATE = {
+  enabled: false,
+  subject: 'Jūsu ziņa ir saņemta',
+  responseTime: 'dažu darba dienu laikā',
+  body: [
+    'Labdien, {name}!',
+    '',
+    'Paldies, ka uzrakstījāt! Jūsu ziņa ir saņemta, un atbildēšu {responseTime}.',
+    '',
+    'Jūsu ziņa:',
+    '{message}',
+    '',
+    'Ar cieņu',
+    'Ilze Skrastiņa',
+    '',
+    'Šī ir automātiska atbilde uz ziņu no mājaslapas saziņas formas. Ja to neesat sūtījis Jūs, šo vēstuli varat neņemt vērā.'
+  ].join('\n')
+};
+
+// Web addresses in text written by visitors, including bare domains like example.com/page
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,24}\/\S*|\b[a-z0-9-]+\.(?:com|net|org|info|biz|ru|xyz|top|io|lv)\b/gi;
+
+/**
+ * Sends visitors who use the contact form a confirmation with a copy of their message
+ *
+ * Anyone can type any address into the form, so the auto-reply is built to be useless for
+ * sending mail to strangers: each address gets at most one reply a day, all replies together
+ * are capped per hour, links are removed from the copied text and the copy is shortened.
+ */
+class AutoReplyService {
+  constructor() {
+    this.maxPerAddressPerDay = 1;
+    this.maxPerHour = 20;
+    this.maxCopyLength = 1000;
+    this.maxNameLength = 50;
+  }
+
+  // Template saved by the admins, or the default one
+  async getTemplate() {
+    return { ...DEFAULT_TEMPLATE, ...(await Setting.get(SETTING_KEY, {})) };
+  }
+
+  /**
+   * Save the template
+   * @param {Object} template - { enabled, subject, responseTime, body }
+   * @param {number} [updatedBy] - ID of the admin user saving it
+   */
+  async saveTemplate({ enabled, subject, responseTime, body }, updatedBy = null) {
+    const template = { enabled: Boolean(enabled), subject, responseTime: responseTime || '', body };
+    await Setting.set(SETTING_KEY, template, updatedBy);
+    return template;
+  }
+
+  // Visitor text that is safe to copy into an email to an address nobody has confirmed
+  cleanVisitorText(text, maxLength) {
+    const cleaned = ContactMessage.decodeText(text)
+      .replace(LINK_PATTERN, '[saite noņemta]')
+      .trim();
+    return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength - 1)}…` : cleaned;
+  }
+
+  /**
+   * Fill in the template for a contact message
+   * @param {Object} template - { subject, responseTime, body }
+   * @param {ContactMessage} contactMessage - Message as stored (HTML-escaped)
+   * @returns {Object} { subject, body } for the auto-reply email template
+   */
+  render(template, contactMessage) {
+    const values = {
+      name: this.cleanVisitorText(contactMessage.name, this.maxNameLength),
+      message: this.cleanVisitorText(contactMessage.message, this.maxCopyLength),
+      responseTime: template.responseTime
+    };
+    const fill = (text) => text.replace(/\{(name|message|responseTime)\}/g, (match, key) => values[key]);
+
+    return {
+      subject: fill(template.subject).replace(/[\r\n]+/g, ' '),
+      body: fill(template.body)
+    };
+  }
+
+  /**
+   * Why no auto-reply may be sent to an address right now
+   * @param {string} address - Visitor's email address
+   * @returns {Promise<string|null>} Reason, or null when a reply may be sent
+   */
+  async getLimitReason(address) {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    if (await OutboxEmail.countRecent({ kind: 'auto_reply', since: dayAgo, to: address }) >= this.maxPerAddressPerDay) {
+      return 'address already received an auto-reply today';
+    }
+
+    if (await OutboxEmail.countRecent({ kind: 'auto_reply', since: hourAgo }) >= this.maxPerHour) {
+      return 'hourly auto-reply limit reached';
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue the auto-reply for a new contact message, if it is enabled and allowed
+   * Never throws: the visitor's message is already stored, which is what matters.
+   * @param {ContactMessage} contactMessage - Saved message
+   * @returns {Promise<OutboxEmail|null>} The queued email, or null if none was queued
+   */
+  async queue(contactMessage) {
+    try {
+      const template = await this.getTemplate();
+      if (!template.enabled) {
+        return null;
+      }
+
+      const address = ContactMessage.decodeText(contactMessage.email);
+      const limitReason = await this.getLimitReason(address);
+      if (limitReason) {
+        console.warn(`No auto-reply for contact message ${contactMessage.id}: ${limitReason}`);
+        return null;
+      }
+
+      const email = emailTemplateService.render('auto-reply', this.render(template, contactMessage));
+      return await outboxService.enqueue(
+        { to: address, replyTo: process.env.EMAIL_USER || null, ...email },
+        { contactMessageId: contactMessage.id, kind: 'auto_reply' }
+      );
+    } catch (error) {
+      console.error(`Failed to queue auto-reply for contact message ${contactMessage.id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const autoReplyService = new AutoReplyService();
+
+module.exports = autoReplyService;
@@ -0,0 +1,35 @@
+const ContactMessage = require('../models/ContactMessage');
+const outboxService = require('./OutboxService');
+const emailTemplateService = require('./EmailTemplateService');
+
+/**
+ * Emails the site owner (EMAIL_USER) about new contact form messages, through the outbox
+ */
+class ContactNotificationService {
+  /**
+   * Queue the notification for a contact message
+   * @param {ContactMessage} contactMessage - Saved message
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - ID of the request that brought the message, for support
+   * @returns {Promise<OutboxEmail>} The queued email
+   */
+  async queue(contactMessage, { requestId = null } = {}) {
+    const email = ContactMessage.decodeText(contactMessage.email);
+    const { subject, text, html } = emailTemplateService.render('contact-notification', {
+      name: ContactMessage.decodeText(contactMessage.name),
+      email,
+      message: ContactMessage.decodeText(contactMessage.message),
+      requestId
+    }, { locale: 'en' });
+
+    return outboxService.enqueue(
+      { to: process.env.EMAIL_USER, replyTo: email, subject, text, html },
+      { contactMessageId: contactMessage.id, kind: 'contact_notification' }
+    );
+  }
+}
+
+// Create singleton instance
+const contactNotificationService = new ContactNotificationService();
+
+module.exports = contactNotificationService;
@@ -0,0 +1,139 @@
+/**
+ * Line-based text diff used to compare content revisions
+ */
+class ContentDiffService {
+  constructor() {
+    // Above this many LCS cells the middle section is reported as a plain replacement
+    this.maxMatrixSize = 4000000;
+  }
+
+  /**
+   * Compare two texts line by line
+   * @param {string} oldText - Previous text
+   * @param {string} newText - New text
+   * @returns {Object} Diff result with changes and summary stats
+   */
+  diffLines(oldText, newText) {
+    const oldLines = this.splitLines(oldText);
+    const newLines = this.splitLines(newText);
+
+    // Strip common prefix and suffix to keep the LCS matrix small
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+      start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const changes = [];
+    for (let i = 0; i < start; i++) {
+      changes.push({ type: 'unchanged', value: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+    }
+
+    const middle = this.diffRange(
+      oldLines.slice(start, oldEnd),
+      newLines.slice(start, newEnd),
+      start,
+      start
+    );
+    changes.push(...middle);
+
+    for (let i = 0; i < oldLines.length - oldEnd; i++) {
+      changes.push({
+        type: 'unchanged',
+        value: oldLines[oldEnd + i],
+        oldLine: oldEnd + i + 1,
+        newLine: newEnd + i + 1
+      });
+    }
+
+    return {
+      changes,
+      stats: {
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        unchanged: changes.filter(change => change.type === 'unchanged').length
+      },
+      identical: oldText === newText
+    };
+  }
+
+  /**
+   * Diff the differing middle section using longest common subsequence
+   * @param {Array<string>} oldLines - Old lines
+   * @param {Array<string>} newLines - New lines
+   * @param {number} oldOffset - Line offset of the old section
+   * @param {number} newOffset - Line offset of the new section
+   * @returns {Array<Object>} Changes for the section
+   */
+  diffRange(oldLines, newLines, oldOffset, newOffset) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n * m > this.maxMatrixSize) {
+      return [
+        ...oldLines.map((value, i) => ({ type: 'removed', value, oldLine: oldOffset + i + 1, newLine: null })),
+        ...newLines.map((value, j) => ({ type: 'added', value, oldLine: null, newLine: newOffset + j + 1 }))
+      ];
+    }
+
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        changes.push({ type: 'unchanged', value: oldLines[i], oldLine: oldOffset + i + 1, newLine: newOffset + j + 1 });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        changes.push({ type: 'removed', value: oldLines[i], oldLine: oldOffset + i + 1, newLine: null });
+        i++;
+      } else {
+        changes.push({ type: 'added', value: newLines[j], oldLine: null, newLine: newOffset + j + 1 });
+        j++;
+      }
+    }
+
+    while (i < n) {
+      changes.push({ type: 'removed', value: oldLines[i], oldLine: oldOffset + i + 1, newLine: null });
+      i++;
+    }
+
+    while (j < m) {
+      changes.push({ type: 'added', value: newLines[j], oldLine: null, newLine: newOffset + j + 1 });
+      j++;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Split text into lines, normalising line endings
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Lines
+   */
+  splitLines(text) {
+    if (!text) return [];
+    return String(text).replace(/\r\n?/g, '\n').split('\n');
+  }
+}
+
+// Create singleton instance
+const contentDiffService = new ContentDiffService();
+
+module.exports = contentDiffService;
@@ -0,0 +1,33 @@
+/**
+ * Builds CSV files (RFC 4180) for admin exports
+ */
+class CsvService {
+  // One cell, quoted when needed
+  escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Rows as CSV text with a header row
+   * @param {Array<Object>} rows - Objects to export
+   * @param {Array<string>} columns - Keys to export, in order; also used as the header
+   * @returns {string} CSV text
+   */
+  toCsv(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.escapeCell(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const csvService = new CsvService();
+
+module.exports = csvService;
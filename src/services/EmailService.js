@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends email through the SMTP server configured in EMAIL_HOST, EMAIL_PORT, EMAIL_USER and EMAIL_PASS
+ */
+class EmailService {
+  constructor() {
+    this.sendTimeout = 10000; // 10 seconds
+  }
+
+  createTransporter() {
+    return nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: false,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  /**
+   * Send one email, giving up if the server does not answer in time
+   * @param {Object} mailOptions - nodemailer message (from defaults to EMAIL_FROM)
+   * @returns {Promise<Object>} nodemailer send info
+   */
+  async sendMail(mailOptions) {
+    const transporter = this.createTransporter();
+    let timeoutId;
+
+    try {
+      return await Promise.race([
+        transporter.sendMail({ from: process.env.EMAIL_FROM, ...mailOptions }),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Email send timeout')), this.sendTimeout);
+        })
+      ]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// Create singleton instance
+const emailService = new EmailService();
+
+module.exports = emailService;
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const localeService = require('./LocaleService');
+const { escapeHtml } = require('../utils/html');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/emails');
+
+// Web addresses in plain text, without trailing punctuation
+const LINK_PATTERN = /(https?:\/\/[^\s<>"]*[^\s<>".,!?;:)])/;
+
+// Templates the site sends, the languages they are sent in, and sample values for the preview page
+const TEMPLATES = {
+  'contact-notification': {
+    description: 'Sent to the site owner for each contact form message',
+    locales: ['en'],
+    sample: {
+      name: 'Anna Bērziņa',
+      email: 'anna@example.com',
+      message: 'Labdien!\nVai varat atbraukt uz mūsu skolu pavasarī?',
+      requestId: 'k3x9q2m1a'
+    }
+  },
+  'auto-reply': {
+    description: 'Confirmation sent to contact form visitors (the text is edited in Messages)',
+    locales: ['lv'],
+    sample: {
+      subject: 'Jūsu ziņa ir saņemta',
+      body: 'Labdien, Anna Bērziņa!\n\nPaldies, ka uzrakstījāt! Jūsu ziņa ir saņemta, un atbildēšu dažu darba dienu laikā.\n\nAr cieņu\nIlze Skrastiņa'
+    }
+  },
+  'password-reset': {
+    description: 'Password reset link for admin users',
+    locales: ['en'],
+    sample: {
+      username: 'editor',
+      resetUrl: 'https://example.com/admin/reset-password/0123456789abcdef'
+    }
+  },
+  'newsletter-confirm': {
+    description: 'Confirmation link for new newsletter subscribers',
+    locales: ['lv', 'en'],
+    sample: {
+      confirmUrl: 'https://example.com/newsletter/confirm/0123456789abcdef'
+    }
+  },
+  'newsletter-campaign': {
+    description: 'Newsletter campaign, with the subscriber\'s unsubscribe link',
+    locales: ['lv', 'en'],
+    sample: {
+      subject: 'Jauna grāmata',
+      body: 'Sveiki!\n\nIznākusi jauna grāmata. Vairāk: https://example.com/gramatas',
+      unsubscribeUrl: 'https://example.com/newsletter/unsubscribe/0123456789abcdef'
+    }
+  }
+};
+
+/**
+ * Email templates in src/templates/emails
+ *
+ * Each template has an HTML and a plain-text file (<name>.html, <name>.txt); the text file starts
+ * with a "Subject:" line. Templates in other languages are <name>.<locale>.html and .txt, with
+ * Latvian as the fallback. The result is wrapped in layout.html / layout.txt.
+ *
+ * {{value}} is HTML-escaped in the HTML variant (line breaks become <br>), {{value:paragraphs}} turns
+ * longer text into paragraphs with links, {{{value}}} is inserted as it is, and {{#value}}...{{/value}}
+ * is only kept when the value is set. A value the caller did not pass is an error, so a typo in a
+ * template shows up in the preview rather than in a sent email.
+ */
+class EmailTemplateService {
+  constructor() {
+    this.directory = TEMPLATE_DIR;
+    this.files = new Map();
+  }
+
+  // Names and descriptions of the templates, for the preview page
+  getTemplates() {
+    return Object.entries(TEMPLATES).map(([name, { description, locales }]) => ({ name, description, locales }));
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+  }
+
+  // Template files are read again when they change on disk, so wording edits do not need a restart
+  readFile(fileName) {
+    const filePath = path.join(this.directory, fileName);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = this.files.get(fileName);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.source;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+    this.files.set(fileName, { mtimeMs, source });
+    return source;
+  }
+
+  // The template file for a language, or the Latvian one
+  readTemplate(name, extension, locale) {
+    const source = this.readFile(`${name}.${locale}.${extension}`) ||
+      this.readFile(`${name}.${localeService.defaultLocale}.${extension}`) ||
+      this.readFile(`${name}.${extension}`);
+
+    if (source === null) {
+      throw new Error(`Email template ${name}.${extension} not found`);
+    }
+    return source;
+  }
+
+  // Plain text as HTML paragraphs, with web addresses turned into links
+  textToHtml(text) {
+    return String(text).trim().split(/\n\s*\n/).map(paragraph => {
+      const html = paragraph.split(LINK_PATTERN)
+        .map((part, index) => (index % 2 ? `<a href="${escapeHtml(part)}">${escapeHtml(part)}</a>` : escapeHtml(part)))
+        .join('')
+        .replace(/\n/g, '<br>');
+      return `<p>${html}</p>`;
+    }).join('\n');
+  }
+
+  /**
+   * Fill in a template source
+   * @param {string} source - Template text
+   * @param {Object} values - Values for the placeholders
+   * @param {boolean} html - Whether {{value}} is HTML-escaped
+   * @returns {string}
+   */
+  interpolate(source, values, html) {
+    const value = (key) => {
+      if (!(key in values)) {
+        throw new Error(`Email template value {{${key}}} is missing`);
+      }
+      return values[key] === null || values[key] === undefined ? '' : String(values[key]);
+    };
+
+    // Placeholders are replaced in one pass, so text inside a value is never read as a placeholder
+    return source
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, key, inner) => (values[key] ? inner : ''))
+      .replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)(:paragraphs)?\}\}/g, (match, rawKey, key, paragraphs) => {
+        if (rawKey || !html) {
+          return value(rawKey || key);
+        }
+        return paragraphs ? this.textToHtml(value(key)) : escapeHtml(value(key)).replace(/\n/g, '<br>');
+      });
+  }
+
+  /**
+   * Render an email
+   * @param {string} name - Template name
+   * @param {Object} values - Values for the template
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Language of the email
+   * @returns {Object} { subject, text, html }
+   */
+  render(name, values, { locale = localeService.defaultLocale } = {}) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const textSource = this.readTemplate(name, 'txt', locale);
+    const subjectMatch = textSource.match(/^Subject: (.*)\n+/);
+    if (!subjectMatch) {
+      throw new Error(`Email template ${name}.txt must start with a Subject: line`);
+    }
+
+    const subject = this.interpolate(subjectMatch[1], values, false).replace(/[\r\n]+/g, ' ').trim();
+    const layoutValues = { subject, lang: locale, siteUrl: localeService.getSiteUrl() };
+
+    const text = this.interpolate(this.readTemplate('layout', 'txt', locale), {
+      ...layoutValues,
+      content: this.interpolate(textSource.slice(subjectMatch[0].length), values, false).trim()
+    }, false);
+
+    const html = this.interpolate(this.readTemplate('layout', 'html', locale), {
+      ...layoutValues,
+      content: this.interpolate(this.readTemplate(name, 'html', locale), values, true).trim()
+    }, true);
+
+    return {
+      subject,
+      text: text.replace(/\n{3,}/g, '\n\n').trim(),
+      html
+    };
+  }
+
+  /**
+   * Render a template with its sample values
+   * @param {string} name - Template name
+   * @param {string} [locale] - Language of the email (by default the first one it is sent in)
+   * @returns {Object} { subject, text, html }
+   */
+  preview(name, locale = TEMPLATES[name].locales[0]) {
+    return this.render(name, TEMPLATES[name].sample, { locale });
+  }
+}
+
+// Create singleton instance
+const emailTemplateService = new EmailTemplateService();
+
+module.exports = emailTemplateService;
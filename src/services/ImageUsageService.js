@@ -0,0 +1,216 @@
+const validator = require('validator');
+const database = require('../models/database');
+
+/**
+ * Tracks where /uploads/ and /media/ images are referenced
+ *
+ * References are found by scanning the stored content instead of keeping a separate
+ * index, so content saved by any route (or restored from history) is always covered.
+ * Paths may be stored as they are, URL-encoded or HTML-escaped (older content blocks
+ * were escaped on save), so every form is matched and rewritten.
+ */
+class ImageUsageService {
+  constructor() {
+    // Where images are referenced. Drafts, the live (published or scheduled) versions and
+    // books and gallery rows count as usages. History is only rewritten when an image moves,
+    // so restoring an old version does not bring back a broken path.
+    this.sources = [
+      {
+        type: 'section',
+        load: () => database.all('SELECT id, section, content FROM content'),
+        describe: (row) => ({ key: row.section, label: `Section content: ${row.section}` }),
+        entity: (row) => ({ entityType: 'section', entityKey: row.section }),
+        fields: ['content'],
+        table: 'content'
+      },
+      {
+        type: 'section_version',
+        load: () => database.all(
+          `SELECT s.id, s.section, s.blocks,
+                  CASE WHEN s.id = p.published_revision_id THEN 'Published' ELSE 'Scheduled' END AS state
+           FROM publications p
+           JOIN content_snapshots s ON s.id IN (p.published_revision_id, p.scheduled_revision_id)
+           WHERE p.entity_type = 'section'`
+        ),
+        describe: (row) => ({ key: row.section, label: `${row.state} version of section: ${row.section}` })
+      },
+      {
+        type: 'section_history',
+        load: () => database.all('SELECT id, section, blocks FROM content_snapshots'),
+        entity: (row) => ({ entityType: 'section', entityKey: row.section }),
+        fields: ['blocks'],
+        table: 'content_snapshots',
+        historyOnly: true
+      },
+      {
+        type: 'person',
+        load: () => database.all('SELECT id, person_slug, person_name, content FROM people_content'),
+        describe: (row) => ({ key: row.person_slug, label: `Person: ${row.person_name}` }),
+        entity: (row) => ({ entityType: 'person', entityKey: row.person_slug }),
+        fields: ['content'],
+        table: 'people_content'
+      },
+      {
+        type: 'person_version',
+        load: () => database.all(
+          `SELECT r.id, r.person_slug, r.content,
+                  CASE WHEN r.id = p.published_revision_id THEN 'Published' ELSE 'Scheduled' END AS state
+           FROM publications p
+           JOIN people_content_revisions r ON r.id IN (p.published_revision_id, p.scheduled_revision_id)
+           WHERE p.entity_type = 'person'`
+        ),
+        describe: (row) => ({ key: row.person_slug, label: `${row.state} version of person: ${row.person_slug}` })
+      },
+      {
+        type: 'person_history',
+        load: () => database.all('SELECT id, person_slug, content FROM people_content_revisions'),
+        entity: (row) => ({ entityType: 'person', entityKey: row.person_slug }),
+        fields: ['content'],
+        table: 'people_content_revisions',
+        historyOnly: true
+      },
+      {
+        type: 'book',
+        load: () => database.all('SELECT id, title, cover_image, decoration_image FROM books'),
+        describe: (row) => ({ key: row.id, label: `Book: ${row.title}` }),
+        entity: (row) => ({ entityType: 'book', entityKey: row.id }),
+        fields: ['cover_image', 'decoration_image'],
+        table: 'books'
+      },
+      {
+        type: 'gallery',
+        load: () => database.all('SELECT id, image_path, alt_text FROM gallery_images'),
+        describe: (row) => ({ key: row.id, label: `Gallery image: ${row.alt_text}` }),
+        fields: ['image_path'],
+        table: 'gallery_images'
+      }
+    ];
+  }
+
+  /**
+   * Find where an image is used
+   * @param {string} webPath - Web path of the image
+   * @returns {Promise<Array<Object>>} Usages ({ type, id, key, label })
+   */
+  async findUsages(webPath) {
+    return (await this.findUsagesForPaths([webPath])).get(webPath);
+  }
+
+  /**
+   * Find where each of several images is used (content is loaded once)
+   * @param {Array<string>} webPaths - Web paths of the images
+   * @returns {Promise<Map>} Map of web path to usages
+   */
+  async findUsagesForPaths(webPaths) {
+    const patterns = new Map(webPaths.map(webPath => [webPath, this.getReferencePatterns(webPath)]));
+    const usages = new Map(webPaths.map(webPath => [webPath, []]));
+
+    for (const source of this.sources.filter(s => !s.historyOnly)) {
+      const rows = await source.load();
+
+      for (const row of rows) {
+        const text = this.getSearchableText(source, row);
+
+        for (const [webPath, pathPatterns] of patterns) {
+          if (pathPatterns.some(({ pattern }) => this.matches(pattern, text))) {
+            usages.get(webPath).push({ type: source.type, id: row.id, ...source.describe(row) });
+          }
+        }
+      }
+    }
+
+    return usages;
+  }
+
+  /**
+   * Point every reference to an image at its new path (drafts, versions, history, books and gallery)
+   * @param {string} oldPath - Current web path of the image
+   * @param {string} newPath - New web path of the image
+   * @returns {Promise<Object>} { updated, entities }: number of updated rows, and the people,
+   *   sections and books whose content changed (for the search index)
+   */
+  async updateReferences(oldPath, newPath) {
+    const patterns = this.getReferencePatterns(oldPath, newPath);
+    const entities = new Map();
+    let updated = 0;
+
+    await database.transaction(async () => {
+      for (const source of this.sources.filter(s => s.table)) {
+        for (const row of await source.load()) {
+          const changes = {};
+
+          for (const field of source.fields) {
+            if (typeof row[field] !== 'string') continue;
+
+            const value = patterns.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), row[field]);
+            if (value !== row[field]) {
+              changes[field] = value;
+            }
+          }
+
+          const fields = Object.keys(changes);
+          if (fields.length > 0) {
+            await database.run(
+              `UPDATE ${source.table} SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+              [...fields.map(field => changes[field]), row.id]
+            );
+            updated++;
+
+            if (source.entity) {
+              const entity = source.entity(row);
+              entities.set(`${entity.entityType}:${entity.entityKey}`, entity);
+            }
+          }
+        }
+      }
+    });
+
+    return { updated, entities: Array.from(entities.values()) };
+  }
+
+  /**
+   * Text of a row that may contain image references
+   * @param {Object} source - Reference source
+   * @param {Object} row - Loaded row
+   * @returns {string} Searchable text
+   */
+  getSearchableText(source, row) {
+    if (source.fields) {
+      return source.fields.map(field => row[field] || '').join('\n');
+    }
+    return row.blocks || row.content || '';
+  }
+
+  /**
+   * Patterns matching the stored forms of an image path
+   * A path only matches as a whole, so /uploads/a.jpg does not match /uploads/a.jpg.webp
+   * @param {string} webPath - Web path of the image
+   * @param {string} [newPath] - New web path, to build replacements in the same form
+   * @returns {Array<Object>} { pattern, replacement }
+   */
+  getReferencePatterns(webPath, newPath = webPath) {
+    const forms = [
+      [webPath, newPath],
+      [encodeURI(webPath), encodeURI(newPath)],
+      [validator.escape(webPath), validator.escape(newPath)],
+      [validator.escape(encodeURI(webPath)), validator.escape(encodeURI(newPath))]
+    ];
+
+    const unique = new Map(forms);
+    return Array.from(unique, ([form, replacement]) => ({
+      pattern: new RegExp(`(?<![\\w.%/-])${form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w.%-])`, 'g'),
+      replacement: replacement.replace(/\$/g, '$$$$')
+    }));
+  }
+
+  // Test a global pattern without keeping its lastIndex between calls
+  matches(pattern, text) {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  }
+}
+
+// Create singleton instance
+const imageUsageService = new ImageUsageService();
+
+module.exports = imageUsageService;
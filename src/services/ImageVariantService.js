@@ -0,0 +1,259 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Responsive image variants for /media/ and /uploads/ images
+ *
+ * Each image gets resized copies at the configured widths (never wider than the
+ * original) in its own format and as WebP, plus a full-size WebP copy. Variants are
+ * generated once, cached under uploads/variants/ and served from
+ * /uploads/variants/<width|full>/<image path>[.webp]. GIFs are left as they are so
+ * animations are kept.
+ */
+class ImageVariantService {
+  constructor() {
+    this.widths = [320, 640, 960, 1280];
+    this.variantDirectory = path.join(__dirname, '../../uploads/variants');
+    this.sourceDirectories = {
+      media: path.join(__dirname, '../../public/media'),
+      uploads: path.join(__dirname, '../../uploads')
+    };
+    this.metadataCache = new Map();
+    this.pendingVariants = new Map();
+  }
+
+  /**
+   * Resolve the file of a resizable /media/ or /uploads/ image
+   * @param {string} webPath - Web path of the image
+   * @returns {string|null} Absolute file path, or null if the path is not a resizable image
+   */
+  resolveSourcePath(webPath) {
+    const match = /^\/(media|uploads)\/(.+\.(jpe?g|png|webp))$/i.exec(webPath || '');
+    if (!match) {
+      return null;
+    }
+
+    const segments = match[2].split('/');
+    if (segments.some(segment => !segment || segment === '.' || segment === '..')) {
+      return null;
+    }
+
+    // Generated files under uploads/ are not sources themselves
+    if (match[1] === 'uploads' && segments[0] === 'variants') {
+      return null;
+    }
+
+    return path.join(this.sourceDirectories[match[1]], ...segments);
+  }
+
+  /**
+   * Public URL of a variant
+   * @param {string} webPath - Web path of the original image
+   * @param {number|string} width - Variant width, or 'full' for the full-size WebP copy
+   * @param {boolean} [webp] - Whether the variant is WebP
+   * @returns {string} Variant URL (encoded, so it can be used in srcset)
+   */
+  getVariantUrl(webPath, width, webp = false) {
+    return encodeURI(`/uploads/variants/${width}${webPath}${webp ? '.webp' : ''}`);
+  }
+
+  /**
+   * Cache file of a variant
+   * @param {string} webPath - Web path of the original image (already checked by resolveSourcePath)
+   * @param {number|string} width - Variant width, or 'full'
+   * @param {boolean} [webp] - Whether the variant is WebP
+   * @returns {string} Absolute file path
+   */
+  getVariantPath(webPath, width, webp = false) {
+    return path.join(this.variantDirectory, String(width), ...webPath.split('/')) + (webp ? '.webp' : '');
+  }
+
+  /**
+   * Describe an image for responsive markup
+   * @param {string} webPath - Web path of the original image
+   * @returns {Promise<Object|null>} { width, height, srcset, webpSrcset }, or null if the image has no variants
+   */
+  async describeImage(webPath) {
+    const metadata = await this.getMetadata(webPath);
+    if (!metadata) {
+      return null;
+    }
+
+    const widths = this.widths.filter(width => width < metadata.width);
+
+    return {
+      width: metadata.width,
+      height: metadata.height,
+      srcset: [
+        ...widths.map(width => `${this.getVariantUrl(webPath, width)} ${width}w`),
+        `${encodeURI(webPath)} ${metadata.width}w`
+      ].join(', '),
+      webpSrcset: [
+        ...widths.map(width => `${this.getVariantUrl(webPath, width, true)} ${width}w`),
+        `${this.getVariantUrl(webPath, 'full', true)} ${metadata.width}w`
+      ].join(', ')
+    };
+  }
+
+  /**
+   * Describe several images for responsive markup
+   * @param {Array<string>} webPaths - Web paths of the original images
+   * @returns {Promise<Map>} Map of web path to description (null if the image has no variants)
+   */
+  async describeImages(webPaths) {
+    const descriptions = new Map();
+    for (const webPath of new Set(webPaths.filter(Boolean))) {
+      descriptions.set(webPath, await this.describeImage(webPath));
+    }
+    return descriptions;
+  }
+
+  /**
+   * Get the file of a variant, generating it if it is missing or older than the original
+   * @param {string} webPath - Web path of the original image
+   * @param {number|string} width - Variant width, or 'full' for the full-size WebP copy
+   * @param {boolean} [webp] - Whether the variant is WebP
+   * @returns {Promise<string|null>} Absolute file path, or null if there is no such variant
+   */
+  async getVariant(webPath, width, webp = false) {
+    const sourcePath = this.resolveSourcePath(webPath);
+    if (!sourcePath || !(this.widths.includes(width) || (width === 'full' && webp))) {
+      return null;
+    }
+
+    let sourceStats;
+    try {
+      sourceStats = await fs.stat(sourcePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const variantPath = this.getVariantPath(webPath, width, webp);
+
+    try {
+      const variantStats = await fs.stat(variantPath);
+      if (variantStats.mtimeMs >= sourceStats.mtimeMs) {
+        return variantPath;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Requests for the same variant share one generation
+    if (!this.pendingVariants.has(variantPath)) {
+      const generation = this.generateVariant(sourcePath, variantPath, width, webp)
+        .finally(() => this.pendingVariants.delete(variantPath));
+      this.pendingVariants.set(variantPath, generation);
+    }
+
+    await this.pendingVariants.get(variantPath);
+    return variantPath;
+  }
+
+  /**
+   * Resize an image into a variant file
+   * @param {string} sourcePath - Absolute path of the original image
+   * @param {string} variantPath - Absolute path of the variant
+   * @param {number|string} width - Variant width, or 'full'
+   * @param {boolean} webp - Whether to convert to WebP
+   * @returns {Promise<void>}
+   */
+  async generateVariant(sourcePath, variantPath, width, webp) {
+    await fs.mkdir(path.dirname(variantPath), { recursive: true });
+
+    let image = sharp(sourcePath).rotate();
+    if (width !== 'full') {
+      image = image.resize({ width, withoutEnlargement: true });
+    }
+    if (webp) {
+      image = image.webp({ quality: 80 });
+    }
+
+    // Write to a temporary file first so a half-written variant is never served
+    const temporaryPath = `${variantPath}.${process.pid}.tmp`;
+    await image.toFile(temporaryPath);
+    await fs.rename(temporaryPath, variantPath);
+  }
+
+  /**
+   * Generate every variant of an image up front (used for new uploads)
+   * @param {string} webPath - Web path of the original image
+   * @returns {Promise<number>} Number of variants available
+   */
+  async generateVariants(webPath) {
+    const metadata = await this.getMetadata(webPath);
+    if (!metadata) {
+      return 0;
+    }
+
+    const widths = this.widths.filter(width => width < metadata.width);
+    for (const width of widths) {
+      await this.getVariant(webPath, width);
+      await this.getVariant(webPath, width, true);
+    }
+    await this.getVariant(webPath, 'full', true);
+
+    return widths.length * 2 + 1;
+  }
+
+  /**
+   * Remove the cached variants of an image
+   * @param {string} webPath - Web path of the original image
+   * @returns {Promise<void>}
+   */
+  async removeVariants(webPath) {
+    const sourcePath = this.resolveSourcePath(webPath);
+    if (!sourcePath) {
+      return;
+    }
+
+    this.metadataCache.delete(sourcePath);
+
+    for (const width of [...this.widths, 'full']) {
+      await fs.rm(this.getVariantPath(webPath, width), { force: true });
+      await fs.rm(this.getVariantPath(webPath, width, true), { force: true });
+    }
+  }
+
+  /**
+   * Read (and cache) the dimensions of an image
+   * @param {string} webPath - Web path of the image
+   * @returns {Promise<Object|null>} { width, height }, or null if the image is missing or unreadable
+   */
+  async getMetadata(webPath) {
+    const sourcePath = this.resolveSourcePath(webPath);
+    if (!sourcePath) {
+      return null;
+    }
+
+    try {
+      const stats = await fs.stat(sourcePath);
+      const cached = this.metadataCache.get(sourcePath);
+      if (cached && cached.mtimeMs === stats.mtimeMs) {
+        return cached;
+      }
+
+      const { width, height, orientation } = await sharp(sourcePath).metadata();
+
+      // EXIF orientations 5-8 are rotated by 90 degrees when the variants are generated
+      const metadata = orientation >= 5
+        ? { width: height, height: width, mtimeMs: stats.mtimeMs }
+        : { width, height, mtimeMs: stats.mtimeMs };
+
+      this.metadataCache.set(sourcePath, metadata);
+      return metadata;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read image dimensions of ${webPath}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const imageVariantService = new ImageVariantService();
+
+module.exports = imageVariantService;
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const validator = require('validator');
+const Content = require('../models/Content');
+const ContentTranslation = require('../models/ContentTranslation');
+const PeopleContentTranslation = require('../models/PeopleContentTranslation');
+const Person = require('../models/Person');
+const config = require('../../config');
+
+const INDEX_PATH = path.join(__dirname, '../../public/index.html');
+
+// Cookie remembering the language a visitor picked in the language switcher
+const LOCALE_COOKIE = 'site_locale';
+
+/**
+ * Site languages
+ *
+ * Latvian is the base language: it has no URL prefix and everything on the site exists in
+ * it. Other languages live under their own prefix (/en/, /en/interesanti/:slug) and fall
+ * back to Latvian for anything that has not been translated. Static page strings come from
+ * src/locales/<locale>.json (index.html marks them with data-i18n attributes), while section
+ * blocks and people profiles are translated in the admin editors.
+ */
+class LocaleService {
+  constructor() {
+    this.defaultLocale = 'lv';
+    this.locales = ['lv', 'en'];
+    this.cookieName = LOCALE_COOKIE;
+    this.dictionaries = Object.fromEntries(
+      this.locales.map(locale => [locale, require(`../locales/${locale}.json`)])
+    );
+    this.indexTemplate = null;
+  }
+
+  isSupported(locale) {
+    return this.locales.includes(locale);
+  }
+
+  // Languages content can be translated into (every language except Latvian)
+  getTranslationLocales() {
+    return this.locales.filter(locale => locale !== this.defaultLocale);
+  }
+
+  /**
+   * Get a translated string, falling back to Latvian
+   * @param {string} locale - Language code
+   * @param {string} key - Dotted key, e.g. 'profile.back'
+   * @param {Object} [values] - Values for {placeholders}
+   * @returns {string} Translated string (the key itself if no language has it)
+   */
+  t(locale, key, values = {}) {
+    const text = this.lookup(locale, key) ?? this.lookup(this.defaultLocale, key) ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+  }
+
+  // Find a string in one language only
+  lookup(locale, key) {
+    const text = key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.dictionaries[locale]);
+    return typeof text === 'string' ? text : undefined;
+  }
+
+  /**
+   * Add the language prefix to a site path
+   * @param {string} sitePath - Path of the Latvian page, e.g. /interesanti/anna
+   * @param {string} locale - Language code
+   * @returns {string} Path of the page in that language
+   */
+  localizePath(sitePath, locale) {
+    return locale === this.defaultLocale || !this.isSupported(locale) ? sitePath : `/${locale}${sitePath}`;
+  }
+
+  // Canonical address of the site (SITE_URL), without a trailing slash
+  getSiteUrl() {
+    return config.site.url;
+  }
+
+  /**
+   * Get the language a visitor prefers: their earlier choice in the switcher, then Accept-Language
+   * @param {Object} req - Express request
+   * @returns {string} Language code
+   */
+  getPreferredLocale(req) {
+    const cookies = req.headers.cookie || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${this.cookieName}=([^;]*)`));
+    if (match && this.isSupported(match[1])) {
+      return match[1];
+    }
+
+    return req.acceptsLanguages(...this.locales) || this.defaultLocale;
+  }
+
+  /**
+   * hreflang links pointing at every language version of a page
+   * @param {string} sitePath - Path of the Latvian page
+   * @returns {string} <link> elements
+   */
+  renderAlternateLinks(sitePath) {
+    const siteUrl = this.getSiteUrl();
+    return [
+      ...this.locales.map(locale => ({ hreflang: locale, href: siteUrl + this.localizePath(sitePath, locale) })),
+      { hreflang: 'x-default', href: siteUrl + sitePath }
+    ].map(link => `<link rel="alternate" hreflang="${link.hreflang}" href="${link.href}">`).join('\n    ');
+  }
+
+  /**
+   * Links of the language switcher
+   * The ?lang parameter makes the server remember the choice, so a visitor who picks
+   * Latvian is not sent to another language by Accept-Language detection again
+   * @param {string} sitePath - Path of the Latvian page
+   * @param {string} currentLocale - Language of the page
+   * @returns {string} Switcher links
+   */
+  renderLanguageLinks(sitePath, currentLocale) {
+    return this.locales.map(locale => {
+      const href = `${this.localizePath(sitePath, locale)}?lang=${locale}`;
+      const current = locale === currentLocale ? ' aria-current="true"' : '';
+      const name = this.t(locale, 'language.name');
+      return `<a href="${href}" class="language-link" lang="${locale}" hreflang="${locale}" title="${name}"${current}>${locale.toUpperCase()}</a>`;
+    }).join('\n                    ');
+  }
+
+  /**
+   * Script giving main.js the interface strings of a language (it keeps the Latvian ones itself)
+   * @param {string} locale - Language code
+   * @returns {string} <script> element, or an empty string for Latvian
+   */
+  renderClientStrings(locale) {
+    if (locale === this.defaultLocale) {
+      return '';
+    }
+
+    const strings = JSON.stringify(this.dictionaries[locale].client || {}).replace(/</g, '\\u003c');
+    return `<script>window.SITE_STRINGS = ${strings};</script>`;
+  }
+
+  /**
+   * Render the main page in a language
+   * @param {string} locale - Language code
+   * @returns {string} HTML page
+   */
+  renderIndex(locale) {
+    const $ = cheerio.load(this.getIndexTemplate());
+    $('html').attr('lang', locale);
+
+    if (locale !== this.defaultLocale) {
+      // Strings that have not been translated keep their Latvian text
+      $('[data-i18n]').each((index, element) => {
+        const text = this.lookup(locale, $(element).attr('data-i18n'));
+        if (text !== undefined) {
+          $(element).text(text);
+        }
+      });
+
+      $('[data-i18n-attr]').each((index, element) => {
+        for (const pair of $(element).attr('data-i18n-attr').split(';')) {
+          const [attribute, key] = pair.split(':').map(part => part.trim());
+          const text = this.lookup(locale, key);
+          if (attribute && text !== undefined) {
+            $(element).attr(attribute, text);
+          }
+        }
+      });
+
+      $('script[src="/js/main.js"]').before(`${this.renderClientStrings(locale)}\n    `);
+    }
+
+    $('head').append(`    ${this.renderAlternateLinks('/')}\n`);
+    $('#language-switcher').html(`\n                    ${this.renderLanguageLinks('/', locale)}\n                `);
+
+    return $.html();
+  }
+
+  // index.html is read again when it changes on disk, so edits do not need a restart
+  getIndexTemplate() {
+    const { mtimeMs } = fs.statSync(INDEX_PATH);
+    if (!this.indexTemplate || this.indexTemplate.mtimeMs !== mtimeMs) {
+      this.indexTemplate = { mtimeMs, html: fs.readFileSync(INDEX_PATH, 'utf8') };
+    }
+    return this.indexTemplate.html;
+  }
+
+  /**
+   * Translate section content blocks (published or draft), keeping Latvian where there is no translation
+   * @param {Array<Content>} blocks - Content blocks
+   * @param {string} locale - Language code
+   * @returns {Promise<Array<Content>>} Blocks, each with the language it is shown in as `locale`
+   */
+  async translateSectionContent(blocks, locale) {
+    const translations = locale === this.defaultLocale
+      ? new Map()
+      : await ContentTranslation.findByContentIds(blocks.filter(block => block.id).map(block => block.id), locale);
+
+    return blocks.map(block => {
+      const translation = block.content_type === 'text' ? translations.get(block.id) : null;
+      const translated = new Content({ ...block, content: translation ? translation.content : block.content });
+      translated.locale = translation ? locale : this.defaultLocale;
+      return translated;
+    });
+  }
+
+  /**
+   * Translate the people grid, keeping Latvian where there is no translation
+   * @param {Array<Object>} people - People from toGridJSON()
+   * @param {string} locale - Language code
+   * @returns {Promise<Array<Object>>} People, each with the language it is shown in as `locale`
+   */
+  async translatePeopleGrid(people, locale) {
+    const translations = locale === this.defaultLocale
+      ? new Map()
+      : await PeopleContentTranslation.findAllByLocale(locale);
+
+    return people.map(person => {
+      const translation = translations.get(person.slug);
+      const localized = { ...person, profileUrl: this.localizePath(person.profileUrl, locale) };
+
+      if (!translation) {
+        return { ...localized, locale: this.defaultLocale };
+      }
+
+      const preview = new Person({ content: { text: validator.unescape(translation.content) } }).getContentPreview(120);
+      return { ...localized, name: translation.person_name || person.name, contentPreview: preview, locale };
+    });
+  }
+
+  /**
+   * Translate a person profile, keeping Latvian if there is no translation
+   * @param {Object} profile - Person from toProfileJSON()
+   * @param {string} locale - Language code
+   * @returns {Promise<Object>} Profile with the language it is shown in as `locale`
+   */
+  async translatePersonProfile(profile, locale) {
+    const translation = locale === this.defaultLocale
+      ? null
+      : await PeopleContentTranslation.find(profile.slug, locale);
+    const localized = { ...profile, profileUrl: this.localizePath(profile.profileUrl, locale) };
+
+    if (!translation) {
+      return { ...localized, locale: this.defaultLocale };
+    }
+
+    return {
+      ...localized,
+      name: translation.person_name || profile.name,
+      content: {
+        ...profile.content,
+        html: Person.processTextToHtml(translation.content),
+        text: translation.content
+      },
+      locale
+    };
+  }
+}
+
+// Create singleton instance
+const localeService = new LocaleService();
+
+module.exports = localeService;
@@ -0,0 +1,188 @@
+const Subscriber = require('../models/Subscriber');
+const emailService = require('./EmailService');
+const outboxService = require('./OutboxService');
+const localeService = require('./LocaleService');
+const emailTemplateService = require('./EmailTemplateService');
+
+/**
+ * Newsletter: double opt-in subscriptions and campaigns
+ *
+ * Subscribing only sends a confirmation link; the address gets campaigns once the link is
+ * opened. Every campaign email carries the subscriber's own unsubscribe link. Campaigns are
+ * queued in the outbox, one email per confirmed subscriber, so the outbox worker sends them
+ * at its own pace and retries failures.
+ */
+class NewsletterService {
+  constructor() {
+    this.confirmResendAfter = 60 * 60 * 1000; // 1 hour between confirmation emails to one address
+  }
+
+  // Link that confirms a subscription
+  getConfirmUrl(subscriber, token) {
+    return this.withLocale(`${localeService.getSiteUrl()}/newsletter/confirm/${token}`, subscriber.locale);
+  }
+
+  // Link that ends a subscription
+  getUnsubscribeUrl(subscriber) {
+    return this.withLocale(`${localeService.getSiteUrl()}/newsletter/unsubscribe/${subscriber.unsubscribe_token}`, subscriber.locale);
+  }
+
+  // The newsletter page is Latvian unless the link asks for another language
+  withLocale(url, locale) {
+    return locale === localeService.defaultLocale ? url : `${url}?lang=${locale}`;
+  }
+
+  /**
+   * Subscribe an address: it gets a confirmation link and no campaigns until the link is opened
+   * The outcome looks the same to the visitor whatever the address's state, so the form does not
+   * show who is subscribed, and a pending address gets at most one confirmation email an hour.
+   * @param {string} email - Email address
+   * @param {string} locale - Language of the page the form was sent from
+   * @returns {Promise<Subscriber>}
+   */
+  async subscribe(email, locale) {
+    let subscriber = await Subscriber.findByEmail(email);
+
+    if (subscriber && subscriber.status === 'confirmed') {
+      return subscriber;
+    }
+
+    if (subscriber && subscriber.status === 'pending' && subscriber.confirm_sent_at &&
+        Date.now() - Date.parse(subscriber.confirm_sent_at) < this.confirmResendAfter) {
+      return subscriber;
+    }
+
+    subscriber = subscriber || new Subscriber({ email });
+    subscriber.locale = localeService.isSupported(locale) ? locale : localeService.defaultLocale;
+    const token = subscriber.createConfirmation();
+    await subscriber.save();
+
+    this.sendConfirmation(subscriber, token);
+    return subscriber;
+  }
+
+  /**
+   * Email the confirmation link
+   * It goes out directly rather than through the outbox, like password reset links, so only the
+   * hash of the token is ever stored. Not awaited by subscribe, so the response time gives nothing away.
+   */
+  sendConfirmation(subscriber, token) {
+    return emailService.sendMail({
+      to: subscriber.email,
+      ...emailTemplateService.render('newsletter-confirm', {
+        confirmUrl: this.getConfirmUrl(subscriber, token)
+      }, { locale: subscriber.locale })
+    }).catch((error) => {
+      console.error(`Newsletter confirmation email for subscriber ${subscriber.id} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Confirm a subscription
+   * @param {string} token - Token from the confirmation link
+   * @returns {Promise<Subscriber|null>} The subscriber, or null if the link is unknown or expired
+   */
+  async confirm(token) {
+    const subscriber = await Subscriber.findByConfirmToken(token);
+    if (!subscriber) {
+      return null;
+    }
+
+    subscriber.confirm();
+    await subscriber.save();
+    return subscriber;
+  }
+
+  /**
+   * End a subscription (opening the link again does no harm)
+   * @param {string} token - Token from the unsubscribe link
+   * @returns {Promise<Subscriber|null>} The subscriber, or null if the link is unknown
+   */
+  async unsubscribe(token) {
+    const subscriber = await Subscriber.findByUnsubscribeToken(token);
+    if (!subscriber) {
+      return null;
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+      subscriber.unsubscribe();
+      await subscriber.save();
+    }
+    return subscriber;
+  }
+
+  /**
+   * Campaign email for one subscriber
+   * @param {NewsletterCampaign} campaign - Campaign (its body is plain text)
+   * @param {Subscriber} subscriber - Recipient, for the unsubscribe link and its language
+   * @returns {Object} { subject, text, html }
+   */
+  renderCampaign(campaign, subscriber) {
+    return emailTemplateService.render('newsletter-campaign', {
+      subject: campaign.subject,
+      body: campaign.body,
+      unsubscribeUrl: this.getUnsubscribeUrl(subscriber)
+    }, { locale: subscriber.locale });
+  }
+
+  /**
+   * Campaign as a subscriber would get it (the unsubscribe link in it does not work)
+   * @param {NewsletterCampaign} campaign
+   * @param {string} [email] - Address shown as the recipient
+   * @returns {Object} { subject, text, html }
+   */
+  preview(campaign, email = 'subscriber@example.com') {
+    return this.renderCampaign(campaign, new Subscriber({ email, unsubscribe_token: 'preview' }));
+  }
+
+  /**
+   * Send the campaign to one address straight away, marked as a test
+   * @param {NewsletterCampaign} campaign
+   * @param {string} to - Address to send the test to
+   */
+  async sendTest(campaign, to) {
+    const { subject, text, html } = this.preview(campaign, to);
+    return emailService.sendMail({ to, subject: `[Test] ${subject}`, text, html });
+  }
+
+  /**
+   * Queue the campaign for every confirmed subscriber
+   * @param {NewsletterCampaign} campaign - Draft campaign
+   * @param {number} [sentBy] - ID of the admin user sending it
+   * @returns {Promise<number|null>} Number of emails queued, or null if the campaign was not a draft any more
+   */
+  async send(campaign, sentBy = null) {
+    if (!await campaign.claimForSending()) {
+      return null;
+    }
+
+    let subscribers;
+    try {
+      subscribers = await Subscriber.findConfirmed();
+      await outboxService.enqueueAll(subscribers.map(subscriber => {
+        const { subject, text, html } = this.renderCampaign(campaign, subscriber);
+        return {
+          mailOptions: { to: subscriber.email, subject, text, html },
+          options: { campaignId: campaign.id, kind: 'newsletter' }
+        };
+      }));
+    } catch (error) {
+      // Nothing was queued, so the campaign can be sent again once the problem is fixed
+      await campaign.releaseClaim();
+      throw error;
+    }
+
+    campaign.status = 'sent';
+    campaign.recipient_count = subscribers.length;
+    campaign.sent_by = sentBy;
+    campaign.sent_at = new Date().toISOString();
+    await campaign.save();
+
+    return subscribers.length;
+  }
+}
+
+// Create singleton instance
+const newsletterService = new NewsletterService();
+
+module.exports = newsletterService;
@@ -0,0 +1,242 @@
+const database = require('../models/database');
+const OutboxEmail = require('../models/OutboxEmail');
+const ContactMessage = require('../models/ContactMessage');
+const Subscriber = require('../models/Subscriber');
+const emailService = require('./EmailService');
+
+/**
+ * Queues outgoing email in the database and sends it in the background
+ *
+ * Requests only store the email, so visitors never wait for the SMTP server. The worker
+ * retries failed sends with exponential backoff; after maxAttempts the email is dead and
+ * stays in the outbox until an admin resends it.
+ */
+class OutboxService {
+  constructor() {
+    this.batchSize = 10;
+    this.maxAttempts = 8;
+    this.baseRetryDelay = 60 * 1000; // 1 minute, doubled after every failed attempt
+    this.maxRetryDelay = 6 * 60 * 60 * 1000; // 6 hours
+    this.staleAfter = 10 * 60 * 1000; // sending for longer than this means the worker stopped
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Add an email to the outbox
+   * @param {Object} mailOptions - { to, replyTo, subject, text, html }
+   * @param {Object} [options]
+   * @param {number} [options.contactMessageId] - Contact message the email is about
+   * @param {number} [options.campaignId] - Newsletter campaign the email belongs to
+   * @param {string} [options.kind] - What the email is for, e.g. 'contact_notification' or 'auto_reply'
+   * @returns {Promise<OutboxEmail>} The queued email
+   */
+  async enqueue(mailOptions, options = {}) {
+    const email = await this.store(mailOptions, options);
+
+    this.wake();
+    return email;
+  }
+
+  /**
+   * Add several emails to the outbox in one transaction: either all of them are queued or none
+   * @param {Array<Object>} emails - { mailOptions, options } as for enqueue()
+   * @returns {Promise<Array<OutboxEmail>>} The queued emails
+   */
+  async enqueueAll(emails) {
+    const queued = await database.transaction(async () => {
+      const stored = [];
+      for (const { mailOptions, options } of emails) {
+        stored.push(await this.store(mailOptions, options));
+      }
+      return stored;
+    });
+
+    // Only woken after the commit, so the worker never sends an email that is rolled back
+    this.wake();
+    return queued;
+  }
+
+  // Save a pending email without waking the worker
+  async store({ to, replyTo = null, subject, text = null, html = null }, { contactMessageId = null, campaignId = null, kind = null } = {}) {
+    // Without an address (EMAIL_USER not set) the email is kept, fails and ends up dead in the outbox
+    const email = new OutboxEmail({
+      to_address: to || '',
+      reply_to: replyTo,
+      subject,
+      text_body: text,
+      html_body: html,
+      contact_message_id: contactMessageId,
+      campaign_id: campaignId,
+      kind
+    });
+    await email.save();
+    return email;
+  }
+
+  // Delay before the next attempt after this many failed ones
+  getRetryDelay(attempts) {
+    return Math.min(this.baseRetryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+  }
+
+  /**
+   * Send the emails that are due
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async processDue() {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    try {
+      await OutboxEmail.releaseStale(new Date(Date.now() - this.staleAfter).toISOString());
+
+      let sent = 0;
+      for (const email of await OutboxEmail.findDue(this.batchSize)) {
+        if (await email.claim() && await this.deliver(email)) {
+          sent++;
+        }
+      }
+      return sent;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Try to send a claimed email once and record the result
+   * @param {OutboxEmail} email - Email in the sending state
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  async deliver(email) {
+    // Campaigns are queued for everyone at once; whoever unsubscribes before their email's turn gets none
+    if (email.campaign_id) {
+      const subscriber = await Subscriber.findByEmail(email.to_address);
+      if (!subscriber || subscriber.status !== 'confirmed') {
+        await email.delete();
+        console.log(`Email ${email.id} of campaign ${email.campaign_id} not sent: ${email.to_address} is no longer subscribed`);
+        return false;
+      }
+    }
+
+    email.attempts += 1;
+
+    try {
+      await emailService.sendMail({
+        to: email.to_address,
+        replyTo: email.reply_to || undefined,
+        subject: email.subject,
+        text: email.text_body || undefined,
+        html: email.html_body || undefined
+      });
+
+      email.status = 'sent';
+      email.sent_at = new Date().toISOString();
+      email.last_error = null;
+      await email.save();
+      await this.updateContactStatus(email, 'sent');
+      return true;
+
+    } catch (error) {
+      email.last_error = String(error.message || error).slice(0, 500);
+
+      if (email.attempts >= this.maxAttempts) {
+        email.status = 'dead';
+        console.error(`Email ${email.id} to ${email.to_address} failed ${email.attempts} times, giving up:`, email.last_error);
+      } else {
+        email.status = 'pending';
+        email.next_attempt_at = new Date(Date.now() + this.getRetryDelay(email.attempts)).toISOString();
+        console.warn(`Email ${email.id} attempt ${email.attempts} failed, retrying at ${email.next_attempt_at}:`, email.last_error);
+      }
+
+      await email.save();
+      if (email.status === 'dead') {
+        await this.updateContactStatus(email, 'failed');
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Queue an email again, starting a fresh round of attempts now
+   * @param {OutboxEmail} email - Email to resend (not one that is being sent)
+   */
+  async resend(email) {
+    if (email.status === 'sending') {
+      throw new Error('Email is being sent');
+    }
+
+    email.status = 'pending';
+    email.attempts = 0;
+    email.next_attempt_at = new Date().toISOString();
+    email.sent_at = null;
+    await email.save();
+    await this.updateContactStatus(email, 'pending');
+
+    this.wake();
+    return email;
+  }
+
+  // Keep the notification result on the contact message in step with the outbox
+  async updateContactStatus(email, status) {
+    // Auto-replies to the visitor do not change whether the author was notified
+    if (!email.contact_message_id || email.kind === 'auto_reply') {
+      return;
+    }
+
+    try {
+      const message = await ContactMessage.findById(email.contact_message_id);
+      // A message an admin has since moved to spam stays there
+      if (message && message.status !== status && message.status !== 'spam') {
+        await message.updateStatus(status);
+      }
+    } catch (error) {
+      console.error(`Failed to update contact message ${email.contact_message_id}:`, error.message);
+    }
+  }
+
+  // Send new email straight away instead of waiting for the next run (only while the worker runs).
+  // When the email was queued in a transaction, the worker only finds it once it is committed
+  wake() {
+    if (!this.timer) {
+      return;
+    }
+
+    database.outsideTransaction(() => setImmediate(() => {
+      this.processDue().catch((error) => {
+        console.error('Error sending outbox email:', error.message);
+      });
+    }));
+  }
+
+  /**
+   * Send due email now and every intervalMs
+   * @param {number} [intervalMs] - Time between runs (default 30 seconds)
+   */
+  start(intervalMs = 30 * 1000) {
+    this.stop();
+
+    const run = () => {
+      this.processDue().catch((error) => {
+        console.error('Error sending outbox email:', error.message);
+      });
+    };
+
+    run();
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const outboxService = new OutboxService();
+
+module.exports = outboxService;
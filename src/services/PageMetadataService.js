@@ -0,0 +1,177 @@
+const cheerio = require('cheerio');
+const { Book } = require('../models');
+const Person = require('../models/Person');
+const localeService = require('./LocaleService');
+const { escapeHtml } = require('../utils/html');
+
+const AUTHOR_NAME = 'Ilze Skrastiņa';
+const AUTHOR_IMAGE = '/media/author.jpg';
+
+// Open Graph names of the site languages
+const OG_LOCALES = {
+  lv: 'lv_LV',
+  en: 'en_GB'
+};
+
+/**
+ * Metadata for shared links and search engines
+ *
+ * Open Graph and Twitter Card tags give Facebook, X and messengers a title, summary and image
+ * for a link; schema.org JSON-LD describes the author, her books and the profiles.
+ */
+class PageMetadataService {
+  // Full address of a site path (image paths are file names, so they may contain spaces)
+  absoluteUrl(sitePath) {
+    return localeService.getSiteUrl() + encodeURI(sitePath);
+  }
+
+  /**
+   * Open Graph and Twitter Card tags
+   * @param {Object} page
+   * @param {string} page.title - Page title
+   * @param {string} page.description - Summary shown under the title
+   * @param {string} page.url - Full address of the page
+   * @param {string} [page.image] - Site path of the image
+   * @param {string} [page.type] - Open Graph type ('website', 'article', ...)
+   * @param {string} page.locale - Language of the page
+   * @returns {string} <meta> elements
+   */
+  renderSocialTags({ title, description, url, image = null, type = 'website', locale }) {
+    const tags = [
+      ['property', 'og:site_name', AUTHOR_NAME],
+      ['property', 'og:type', type],
+      ['property', 'og:title', title],
+      ['property', 'og:description', description],
+      ['property', 'og:url', url],
+      ['property', 'og:locale', OG_LOCALES[locale] || locale],
+      ...localeService.locales
+        .filter(other => other !== locale)
+        .map(other => ['property', 'og:locale:alternate', OG_LOCALES[other] || other]),
+      ...(image ? [['property', 'og:image', this.absoluteUrl(image)]] : []),
+      ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+      ['name', 'twitter:title', title],
+      ['name', 'twitter:description', description],
+      ...(image ? [['name', 'twitter:image', this.absoluteUrl(image)]] : [])
+    ];
+
+    return tags
+      .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+      .join('\n    ');
+  }
+
+  /**
+   * schema.org JSON-LD script
+   * @param {Object} data - Structured data
+   * @returns {string} <script> element
+   */
+  renderJsonLd(data) {
+    // "<" is escaped so text in the data cannot close the script element
+    const json = JSON.stringify({ '@context': 'https://schema.org', ...data }, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">\n${json}\n</script>`;
+  }
+
+  // The author, referenced by @id from the books and profiles
+  getAuthor(locale) {
+    const homeUrl = localeService.getSiteUrl() + localeService.localizePath('/', locale);
+    return {
+      '@type': 'Person',
+      '@id': `${localeService.getSiteUrl()}/#author`,
+      name: AUTHOR_NAME,
+      jobTitle: localeService.t(locale, 'profile.authorRole'),
+      image: this.absoluteUrl(AUTHOR_IMAGE),
+      url: homeUrl
+    };
+  }
+
+  getBook(book, author) {
+    return {
+      '@type': 'Book',
+      name: book.title,
+      ...(book.description && { description: book.description }),
+      ...(book.cover_image && { image: this.absoluteUrl(book.cover_image) }),
+      author: { '@id': author['@id'] },
+      inLanguage: localeService.defaultLocale,
+      ...(book.isbn && { isbn: book.isbn }),
+      ...(book.publisher && { publisher: { '@type': 'Organization', name: book.publisher } }),
+      ...(book.publication_year && { datePublished: String(book.publication_year) })
+    };
+  }
+
+  /**
+   * Metadata for the home page: the author and each of her books
+   * @param {string} locale - Language of the page
+   * @param {Array<Book>} books - Books in display order
+   * @param {Object} page - Title and description of the page
+   * @returns {string} Tags for the <head>
+   */
+  renderHomeMetadata(locale, books, { title, description }) {
+    const author = this.getAuthor(locale);
+
+    return [
+      this.renderSocialTags({ title, description, url: author.url, image: AUTHOR_IMAGE, locale }),
+      this.renderJsonLd({
+        '@graph': [author, ...books.map(book => this.getBook(book, author))]
+      })
+    ].join('\n    ');
+  }
+
+  /**
+   * Render the main page in a language with its metadata
+   * @param {string} locale - Language code
+   * @returns {Promise<string>} HTML page
+   */
+  async renderHomePage(locale) {
+    const books = await Book.findAll();
+    const $ = cheerio.load(localeService.renderIndex(locale));
+
+    // The title and description come from the page, translated by renderIndex
+    const metadata = this.renderHomeMetadata(locale, books, {
+      title: $('title').text(),
+      description: $('meta[name="description"]').attr('content') || ''
+    });
+    $('head').append(`    ${metadata}\n`);
+
+    return $.html();
+  }
+
+  /**
+   * Metadata for a profile page
+   * @param {Object} personData - Person data from toProfileJSON() (translated by LocaleService)
+   * @param {string} locale - Language of the page
+   * @returns {string} Tags for the <head>
+   */
+  renderProfileMetadata(personData, locale) {
+    const person = new Person(personData);
+    const title = localeService.t(locale, 'profile.title', { name: person.name });
+    const description = person.getContentPreview(160).replace(/\s+/g, ' ').trim() ||
+      localeService.t(locale, 'profile.description', { name: person.name });
+    const url = localeService.getSiteUrl() + localeService.localizePath(person.getProfileUrl(), locale);
+    const mainImage = person.getMainImage();
+    const lastModified = person.metadata.lastModified ? new Date(person.metadata.lastModified) : null;
+    const author = this.getAuthor(locale);
+
+    return [
+      this.renderSocialTags({ title, description, url, image: mainImage && mainImage.path, type: 'article', locale }),
+      this.renderJsonLd({
+        '@type': 'Article',
+        headline: person.name,
+        description,
+        url,
+        inLanguage: personData.locale || locale,
+        ...(mainImage && { image: this.absoluteUrl(mainImage.path) }),
+        ...(lastModified && !isNaN(lastModified.getTime()) && { dateModified: lastModified.toISOString() }),
+        about: {
+          '@type': 'Person',
+          name: person.name,
+          ...(mainImage && { image: this.absoluteUrl(mainImage.path) })
+        },
+        author: { '@type': 'Person', name: author.name, url: author.url }
+      })
+    ].join('\n    ');
+  }
+}
+
+// Create singleton instance
+const pageMetadataService = new PageMetadataService();
+
+module.exports = pageMetadataService;
@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const cheerio = require('cheerio');
 const PeopleContentRepository = require('../models/PeopleContentRepository');
+const publishingService = require('./PublishingService');
+const imageVariantService = require('./ImageVariantService');
 
 class PeopleDataService {
   constructor() {
@@ -10,6 +12,9 @@ class PeopleDataService {
     this.people = new Map();
     this.repository = new PeopleContentRepository();
     this.databaseMigrated = false;
+
+    // Bumped whenever people are added or removed, so cached repositories know to reload
+    this.dataVersion = 0;
   }
 
   /**
@@ -631,6 +636,7 @@ class PeopleDataService {
             path: webPath,
             fullPath: imagePath,
             alt: this.generateAltText(personName, imageFile),
+            responsive: await imageVariantService.describeImage(webPath),
             size: stats.size,
             lastModified: stats.mtime,
             order: i // Track order for matching with photo credits
@@ -764,6 +770,14 @@ class PeopleDataService {
       for (const dbPerson of dbPeople) {
         const filePerson = this.getPersonBySlug(dbPerson.personSlug);
         
+        // Serve the published version rather than the draft being edited
+        const published = await publishingService.getPublishedPersonContent(dbPerson.personSlug);
+        if (published) {
+          dbPerson.content = published.content;
+          dbPerson.updatedAt = published.updatedAt;
+          dbPerson.updatedBy = published.updatedBy;
+        }
+        
         if (filePerson) {
           // Merge database content with file data
           mergedPeople.push({
@@ -926,6 +940,165 @@ class PeopleDataService {
     this.people.clear();
     this.initialized = false;
     await this.initialize();
+    this.dataVersion++;
+  }
+
+  /**
+   * Create a new person directory (HTML file and images) and database record
+   * The directory is laid out like the imported ones, so it is picked up again on restart
+   * @param {Object} data - Person data
+   * @param {string} data.name - Person's name (also used as the directory name)
+   * @param {string} data.content - Plain text content
+   * @param {Array<string>} [data.images] - Web paths of /media/ or /uploads/ images to copy
+   * @param {string} [createdBy] - Username of the admin creating the person
+   * @returns {Promise<Object>} Processed person data
+   */
+  async createPerson({ name, content, images = [] }, createdBy = 'system') {
+    return this.addPerson(name, content, createdBy, async (personPath, imagesPath, slug) => {
+      await fs.writeFile(
+        path.join(personPath, `${slug}.html`),
+        `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>${name}</title></head>\n<body>\n${this.processTextToHtml(content)}\n</body>\n</html>\n`,
+        'utf-8'
+      );
+
+      for (const [index, webPath] of images.entries()) {
+        const source = this.resolveWebImagePath(webPath);
+        const filename = `${String(index + 1).padStart(2, '0')}-${path.basename(source)}`;
+        await fs.copyFile(source, path.join(imagesPath, filename));
+      }
+    });
+  }
+
+  /**
+   * Create a new person from a converted document (an HTML export and its images)
+   * @param {Object} data - Imported person data
+   * @param {string} data.name - Person's name (also used as the directory name)
+   * @param {string} data.content - Plain text content for the database record
+   * @param {string} data.htmlFilename - Name of the HTML export file
+   * @param {string} data.html - HTML export referencing images as images/<filename>
+   * @param {string} data.imagesDirectory - Directory holding the extracted images
+   * @param {string} [createdBy] - Username of the admin importing the person
+   * @returns {Promise<Object>} Processed person data
+   */
+  async importPerson({ name, content, htmlFilename, html, imagesDirectory }, createdBy = 'system') {
+    return this.addPerson(name, content, createdBy, async (personPath, imagesPath) => {
+      await fs.writeFile(path.join(personPath, path.basename(htmlFilename)), html, 'utf-8');
+
+      for (const filename of await fs.readdir(imagesDirectory)) {
+        await fs.copyFile(path.join(imagesDirectory, filename), path.join(imagesPath, filename));
+      }
+    });
+  }
+
+  /**
+   * Add a person directory and database record, then load the person without a rescan
+   * @param {string} name - Person's name (also used as the directory name)
+   * @param {string} content - Plain text content for the database record
+   * @param {string} createdBy - Username of the admin adding the person
+   * @param {Function} writeFiles - async (personPath, imagesPath, slug) writing the HTML file and images
+   * @returns {Promise<Object>} Processed person data
+   */
+  async addPerson(name, content, createdBy, writeFiles) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const slug = this.generateSlug(name);
+    if (!slug) {
+      throw new Error('Person name must contain letters or numbers');
+    }
+
+    if (this.personExists(slug) || await this.repository.exists(slug) ||
+        await this.findPersonDirectory(slug)) {
+      const error = new Error(`Person with slug '${slug}' already exists`);
+      error.code = 'PERSON_EXISTS';
+      throw error;
+    }
+
+    const personPath = path.join(this.peopleDirectory, name);
+    const imagesPath = path.join(personPath, 'images');
+
+    try {
+      await fs.mkdir(imagesPath, { recursive: true });
+      await writeFiles(personPath, imagesPath, slug);
+
+      const personData = await this.processPersonData(name);
+      if (!personData) {
+        throw new Error('Person content could not be processed');
+      }
+
+      await this.repository.create({
+        personSlug: slug,
+        personName: personData.name,
+        content: content,
+        updatedBy: createdBy
+      });
+
+      this.people.set(slug, personData);
+      this.dataVersion++;
+
+      console.log(`✅ Created person ${personData.name} (${personData.images.length} images) by ${createdBy}`);
+      return personData;
+    } catch (error) {
+      // Leave no half-created directory behind
+      await fs.rm(personPath, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a person's directory, database content, revisions and publish state
+   * @param {string} slug - Person's slug
+   * @returns {Promise<boolean>} True if there was anything to delete
+   */
+  async deletePerson(slug) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const directory = await this.findPersonDirectory(slug);
+    if (directory) {
+      await fs.rm(path.join(this.peopleDirectory, directory), { recursive: true, force: true });
+    }
+
+    const deletedContent = await this.repository.deleteBySlug(slug);
+    const deletedFiles = this.people.delete(slug) || Boolean(directory);
+
+    if (deletedContent || deletedFiles) {
+      this.dataVersion++;
+      console.log(`🗑️  Deleted person ${slug}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the directory whose name produces the given slug
+   * @param {string} slug - Person's slug
+   * @returns {Promise<string|null>} Directory name or null if not found
+   */
+  async findPersonDirectory(slug) {
+    const entries = await fs.readdir(this.peopleDirectory, { withFileTypes: true });
+    const match = entries.find(entry => entry.isDirectory() && this.generateSlug(entry.name) === slug);
+    return match ? match.name : null;
+  }
+
+  /**
+   * Resolve a /media/ or /uploads/ web path to a file on disk
+   * @param {string} webPath - Web path of the image
+   * @returns {string} Absolute file path
+   */
+  resolveWebImagePath(webPath) {
+    const match = /^\/(media|uploads)\/([a-zA-Z0-9_\-\.]+)$/.exec(webPath || '');
+    if (!match) {
+      throw new Error(`Invalid image path: ${webPath}`);
+    }
+
+    const baseDirectory = match[1] === 'media'
+      ? path.join(__dirname, '../../public/media')
+      : path.join(__dirname, '../../uploads');
+    return path.join(baseDirectory, path.basename(match[2]));
   }
 
   /**
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const validator = require('validator');
+const peopleDataService = require('./PeopleDataService');
+
+// Embedded image types that are kept (others, e.g. EMF/WMF drawings, are dropped)
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Imports interview profiles from uploaded Word documents
+ *
+ * A converted document is staged in imports/<importId>/ (HTML export, extracted images
+ * and a manifest) until it is saved as a person or discarded, so it can be previewed
+ * first. The directory is outside uploads/, which is public: unpublished documents are
+ * only shown to editors, through getImagePath(). The HTML is laid out like the hand-made *.docx.html exports, with
+ * images referenced as images/imageN.ext, and goes through the same cleaning pipeline.
+ */
+class PeopleImportService {
+  constructor() {
+    this.importDirectory = path.join(__dirname, '../../imports');
+    this.maxImportAge = 24 * 60 * 60 * 1000; // Unsaved imports are removed after a day
+  }
+
+  /**
+   * Convert a Word document and stage it for preview
+   * @param {Buffer} buffer - Contents of the .docx file
+   * @param {string} originalName - Uploaded file name
+   * @param {string} [createdBy] - Username of the admin uploading the document
+   * @returns {Promise<Object>} Import preview
+   */
+  async createImport(buffer, originalName, createdBy = 'system') {
+    await this.removeExpiredImports();
+
+    const importId = crypto.randomBytes(8).toString('hex');
+    const importPath = path.join(this.importDirectory, importId);
+    const imagesPath = path.join(importPath, 'images');
+    await fs.mkdir(imagesPath, { recursive: true });
+
+    try {
+      let imageCount = 0;
+      const result = await mammoth.convertToHtml({ buffer }, {
+        convertImage: mammoth.images.imgElement(async (image) => {
+          const extension = IMAGE_EXTENSIONS[image.contentType];
+          if (!extension) {
+            return { src: '' };
+          }
+
+          imageCount++;
+          const filename = `image${imageCount}.${extension}`;
+          await fs.writeFile(path.join(imagesPath, filename), await image.readAsBuffer());
+          return { src: `images/${filename}` };
+        })
+      });
+
+      // Drop images that were not extracted
+      const $ = cheerio.load(result.value, null, false);
+      $('img[src=""]').remove();
+
+      const baseName = path.basename(originalName, path.extname(originalName));
+      const manifest = {
+        importId,
+        originalName,
+        htmlFilename: `${baseName.replace(/[^a-zA-Z0-9_-]/g, '') || 'profile'}.docx.html`,
+        suggestedName: baseName.replace(/[_]+/g, ' ').trim(),
+        warnings: result.messages.map(message => message.message),
+        createdBy,
+        createdAt: new Date().toISOString()
+      };
+
+      await fs.writeFile(
+        path.join(importPath, manifest.htmlFilename),
+        `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"></head>\n<body>\n${$.html()}\n</body>\n</html>\n`,
+        'utf-8'
+      );
+      await fs.writeFile(path.join(importPath, 'import.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+
+      console.log(`Converted ${originalName} (${imageCount} images) for import ${importId}`);
+      return this.getPreview(importId);
+    } catch (error) {
+      await fs.rm(importPath, { recursive: true, force: true });
+
+      if (!error.code) {
+        error.code = 'INVALID_DOCUMENT';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the preview of a staged import, as the cleaning pipeline will store it
+   * @param {string} importId - Import ID
+   * @returns {Promise<Object>} Import preview
+   */
+  async getPreview(importId) {
+    const { manifest, html, imagesPath } = await this.readImport(importId);
+    const content = peopleDataService.parseAndCleanHTML(html, manifest.suggestedName);
+    const imageBaseUrl = `/admin/api/people/import/${importId}/images/`;
+
+    // Point images at the staged copies so the preview can show them
+    const $ = cheerio.load(content.html, null, false);
+    $('img').each((i, elem) => {
+      const src = $(elem).attr('src') || '';
+      if (src.startsWith('images/')) {
+        $(elem).attr('src', imageBaseUrl + src.slice('images/'.length));
+      }
+    });
+
+    const images = (await fs.readdir(imagesPath)).map(filename => ({
+      filename,
+      url: imageBaseUrl + filename
+    }));
+
+    return {
+      importId,
+      originalName: manifest.originalName,
+      suggestedName: manifest.suggestedName,
+      suggestedSlug: peopleDataService.generateSlug(manifest.suggestedName),
+      html: $.html(),
+      text: this.getParagraphText(content.html),
+      wordCount: content.wordCount,
+      photoCredits: content.photoCredits,
+      images,
+      warnings: manifest.warnings
+    };
+  }
+
+  /**
+   * Path of an image extracted from a staged import
+   * @param {string} importId - Import ID
+   * @param {string} filename - Image file name (imageN.ext)
+   * @returns {Promise<string>} Absolute path of the image
+   */
+  async getImagePath(importId, filename) {
+    const { imagesPath } = await this.readImport(importId);
+    const extensions = Object.values(IMAGE_EXTENSIONS).join('|');
+    const imagePath = path.join(imagesPath, String(filename));
+
+    try {
+      if (!new RegExp(`^image\\d+\\.(${extensions})$`).test(filename)) {
+        throw new Error('Invalid image file name');
+      }
+
+      await fs.access(imagePath);
+      return imagePath;
+    } catch (error) {
+      const notFound = new Error(`Image '${filename}' not found in import '${importId}'`);
+      notFound.code = 'IMPORT_NOT_FOUND';
+      throw notFound;
+    }
+  }
+
+  /**
+   * Save a staged import as a new person and remove the staged files
+   * @param {string} importId - Import ID
+   * @param {string} name - Person's name
+   * @param {string} [createdBy] - Username of the admin saving the import
+   * @returns {Promise<Object>} Processed person data
+   */
+  async saveImport(importId, name, createdBy = 'system') {
+    const { manifest, html, imagesPath } = await this.readImport(importId);
+    const content = peopleDataService.parseAndCleanHTML(html, name);
+
+    // Stored like content saved from the editor (escaped plain text, one paragraph per block)
+    const text = validator.escape(this.getParagraphText(content.html));
+    if (text.length < 50 || text.length > 50000) {
+      const error = new Error('The document must contain between 50 and 50,000 characters of text');
+      error.code = 'INVALID_DOCUMENT';
+      throw error;
+    }
+
+    const personData = await peopleDataService.importPerson({
+      name,
+      content: text,
+      htmlFilename: manifest.htmlFilename,
+      html,
+      imagesDirectory: imagesPath
+    }, createdBy);
+
+    await this.discardImport(importId);
+    return personData;
+  }
+
+  /**
+   * Remove a staged import
+   * @param {string} importId - Import ID
+   * @returns {Promise<boolean>} True if the import existed
+   */
+  async discardImport(importId) {
+    const { importPath } = await this.readImport(importId);
+    await fs.rm(importPath, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Remove staged imports that were never saved or discarded
+   * @returns {Promise<number>} Number of imports removed
+   */
+  async removeExpiredImports() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.importDirectory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const entryPath = path.join(this.importDirectory, entry.name);
+      const stats = await fs.stat(entryPath);
+      if (Date.now() - stats.mtimeMs > this.maxImportAge) {
+        await fs.rm(entryPath, { recursive: true, force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Read a staged import from disk
+   * @param {string} importId - Import ID
+   * @returns {Promise<Object>} { manifest, html, importPath, imagesPath }
+   */
+  async readImport(importId) {
+    const importPath = path.join(this.importDirectory, String(importId));
+
+    try {
+      if (!/^[a-f0-9]{16}$/.test(importId)) {
+        throw new Error('Invalid import ID');
+      }
+
+      const manifest = JSON.parse(await fs.readFile(path.join(importPath, 'import.json'), 'utf-8'));
+      const html = await fs.readFile(path.join(importPath, manifest.htmlFilename), 'utf-8');
+      return { manifest, html, importPath, imagesPath: path.join(importPath, 'images') };
+    } catch (error) {
+      const notFound = new Error(`Import '${importId}' not found`);
+      notFound.code = 'IMPORT_NOT_FOUND';
+      throw notFound;
+    }
+  }
+
+  /**
+   * Plain text of cleaned HTML with one paragraph per block, separated by empty lines
+   * @param {string} html - Cleaned HTML
+   * @returns {string} Paragraph text
+   */
+  getParagraphText(html) {
+    const $ = cheerio.load(html, null, false);
+
+    return $('h1, h2, h3, h4, h5, h6, p, li')
+      .map((i, elem) => $(elem).text().replace(/\s+/g, ' ').trim())
+      .get()
+      .filter(text => text.length > 0)
+      .join('\n\n');
+  }
+}
+
+// Create singleton instance
+const peopleImportService = new PeopleImportService();
+
+module.exports = peopleImportService;
@@ -0,0 +1,325 @@
+const Content = require('../models/Content');
+const ContentSnapshot = require('../models/ContentSnapshot');
+const Publication = require('../models/Publication');
+const PeopleContentRevision = require('../models/PeopleContentRevision');
+const PeopleContentRepository = require('../models/PeopleContentRepository');
+
+/**
+ * Draft / publish workflow for section content and people content
+ *
+ * The editable rows (content, people_content) are always the draft. The published
+ * version is a pointer to a content snapshot or a people content revision, so
+ * publishing never copies content. Entities without a publication record predate
+ * the workflow and are served as they are until their first tracked save.
+ * Scheduled versions are promoted lazily whenever publication state is read.
+ */
+class PublishingService {
+  constructor() {
+    this.repository = new PeopleContentRepository();
+    this.changeListeners = [];
+
+    // How each entity type stores its draft and its versions
+    this.adapters = {
+      section: {
+        findRevision: (id) => ContentSnapshot.findById(id),
+        getLatestRevision: async (section) => {
+          const [latest] = await ContentSnapshot.findBySection(section, 1);
+          return latest || null;
+        },
+        captureRevision: (section, createdBy) => ContentSnapshot.capture(section, createdBy, { change_note: 'Published' }),
+        getDraftContent: async (section) => this.serializeBlocks(await Content.findBySection(section)),
+        getRevisionContent: (snapshot) => this.serializeBlocks(snapshot.blocks)
+      },
+      person: {
+        findRevision: (id) => PeopleContentRevision.findById(id),
+        getLatestRevision: async (slug) => {
+          const { data } = await this.repository.getRevisions(slug, 1);
+          return data[0] || null;
+        },
+        captureRevision: (slug, createdBy) => this.capturePersonRevision(slug, createdBy),
+        getDraftContent: async (slug) => {
+          const current = await this.repository.findBySlug(slug);
+          return current ? current.content : null;
+        },
+        getRevisionContent: (revision) => revision.content
+      }
+    };
+  }
+
+  /**
+   * Promote every scheduled version whose publish time has passed
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Number of versions published
+   */
+  async publishDue(now = new Date()) {
+    const due = await Publication.findDue(now.toISOString());
+
+    for (const publication of due) {
+      publication.published_revision_id = publication.scheduled_revision_id;
+      publication.published_at = publication.scheduled_at;
+      publication.published_by = publication.scheduled_by;
+      this.clearSchedule(publication);
+      await publication.save();
+
+      console.log(`Published scheduled ${publication.entity_type} '${publication.entity_key}' (revision #${publication.published_revision_id})`);
+      await this.notifyChange(publication.entity_type, publication.entity_key);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Get the publication record of an entity, applying due schedules first
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @returns {Promise<Publication|null>} Publication or null if the entity is not tracked yet
+   */
+  async getPublication(entityType, entityKey) {
+    await this.publishDue();
+    return Publication.find(entityType, entityKey);
+  }
+
+  /**
+   * Get the publish state of an entity for the admin editors
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @returns {Promise<Object>} Publish state
+   */
+  async getStatus(entityType, entityKey) {
+    const adapter = this.getAdapter(entityType);
+    const publication = await this.getPublication(entityType, entityKey);
+    const draftRevision = await adapter.getLatestRevision(entityKey);
+
+    let hasUnpublishedChanges = false;
+    if (publication) {
+      const publishedRevision = publication.isPublished()
+        ? await adapter.findRevision(publication.published_revision_id)
+        : null;
+      const draftContent = await adapter.getDraftContent(entityKey);
+
+      hasUnpublishedChanges = publishedRevision
+        ? adapter.getRevisionContent(publishedRevision) !== draftContent
+        : draftContent !== null;
+    }
+
+    return {
+      state: !publication || publication.isPublished() ? 'published' : 'unpublished',
+      tracked: Boolean(publication),
+      hasUnpublishedChanges,
+      draftRevisionId: draftRevision ? draftRevision.id : null,
+      publishedRevisionId: publication ? publication.published_revision_id : null,
+      publishedAt: publication ? publication.published_at : null,
+      publishedBy: publication ? publication.published_by : null,
+      scheduledRevisionId: publication ? publication.scheduled_revision_id : null,
+      scheduledAt: publication ? publication.scheduled_at : null,
+      scheduledBy: publication ? publication.scheduled_by : null
+    };
+  }
+
+  /**
+   * Publish the current draft now, or schedule it for a future time
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @param {string} publishedBy - Username of the admin publishing
+   * @param {Date|null} [publishAt] - Future publish time (publishes immediately if omitted or in the past)
+   * @returns {Promise<Object>} Updated publish state
+   */
+  async publish(entityType, entityKey, publishedBy, publishAt = null) {
+    const revision = await this.getCurrentRevision(entityType, entityKey, publishedBy);
+    const publication = await this.findOrCreate(entityType, entityKey);
+
+    if (publishAt && publishAt.getTime() > Date.now()) {
+      publication.scheduled_revision_id = revision.id;
+      publication.scheduled_at = publishAt.toISOString();
+      publication.scheduled_by = publishedBy;
+    } else {
+      publication.published_revision_id = revision.id;
+      publication.published_at = new Date().toISOString();
+      publication.published_by = publishedBy;
+      this.clearSchedule(publication);
+    }
+
+    await publication.save();
+    console.log(`${entityType} '${entityKey}' revision #${revision.id} ${publication.isScheduled() ? `scheduled for ${publication.scheduled_at}` : 'published'} by ${publishedBy}`);
+    await this.notifyChange(entityType, entityKey);
+
+    return this.getStatus(entityType, entityKey);
+  }
+
+  /**
+   * Take an entity off the public site (a pending schedule is kept)
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @param {string} unpublishedBy - Username of the admin unpublishing
+   * @returns {Promise<Object>} Updated publish state
+   */
+  async unpublish(entityType, entityKey, unpublishedBy) {
+    this.getAdapter(entityType);
+
+    const publication = await this.findOrCreate(entityType, entityKey);
+    publication.published_revision_id = null;
+    publication.published_at = null;
+    publication.published_by = null;
+    await publication.save();
+
+    console.log(`${entityType} '${entityKey}' unpublished by ${unpublishedBy}`);
+    await this.notifyChange(entityType, entityKey);
+    return this.getStatus(entityType, entityKey);
+  }
+
+  /**
+   * Cancel a pending scheduled publish
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @returns {Promise<Object|null>} Updated publish state or null if nothing was scheduled
+   */
+  async cancelSchedule(entityType, entityKey) {
+    const publication = await this.getPublication(entityType, entityKey);
+    if (!publication || !publication.isScheduled()) {
+      return null;
+    }
+
+    this.clearSchedule(publication);
+    await publication.save();
+    return this.getStatus(entityType, entityKey);
+  }
+
+  /**
+   * Get the content blocks the public site should show for a section
+   * @param {string} section - Section name
+   * @returns {Promise<Array<Content>>} Published content blocks
+   */
+  async getPublishedSectionContent(section) {
+    const publication = await this.getPublication('section', section);
+
+    if (!publication) {
+      return Content.findBySection(section);
+    }
+
+    const snapshot = publication.isPublished()
+      ? await ContentSnapshot.findById(publication.published_revision_id)
+      : null;
+
+    if (!snapshot) {
+      return [];
+    }
+
+    return snapshot.blocks.map((block, index) => new Content({
+      ...block,
+      section,
+      order_index: index,
+      created_at: snapshot.created_at,
+      updated_at: publication.published_at
+    }));
+  }
+
+  /**
+   * Get the people content the public site should show for a person
+   * @param {string} slug - Person's slug
+   * @returns {Promise<Object|null>} { content, updatedAt, updatedBy } or null if there is nothing published
+   */
+  async getPublishedPersonContent(slug) {
+    const publication = await this.getPublication('person', slug);
+
+    if (!publication) {
+      const current = await this.repository.findBySlug(slug);
+      return current
+        ? { content: current.content, updatedAt: current.updatedAt, updatedBy: current.updatedBy }
+        : null;
+    }
+
+    const revision = publication.isPublished()
+      ? await PeopleContentRevision.findById(publication.published_revision_id)
+      : null;
+
+    return revision
+      ? { content: revision.content, updatedAt: publication.published_at, updatedBy: publication.published_by }
+      : null;
+  }
+
+  /**
+   * Get keys of entities that have been taken off the public site
+   * @param {string} entityType - 'section' or 'person'
+   * @returns {Promise<Set<string>>} Unpublished entity keys
+   */
+  async getHiddenKeys(entityType) {
+    await this.publishDue();
+    return new Set(await Publication.findUnpublishedKeys(entityType));
+  }
+
+  /**
+   * Get the latest revision of an entity, recording one if the draft has moved on
+   * @param {string} entityType - 'section' or 'person'
+   * @param {string} entityKey - Section name or person slug
+   * @param {string} createdBy - Username recorded on a new revision
+   * @returns {Promise<Object>} Snapshot or revision representing the current draft
+   */
+  async getCurrentRevision(entityType, entityKey, createdBy) {
+    const adapter = this.getAdapter(entityType);
+    const latest = await adapter.getLatestRevision(entityKey);
+    const draftContent = await adapter.getDraftContent(entityKey);
+
+    if (draftContent === null) {
+      throw new Error(`No content to publish for ${entityType} '${entityKey}'`);
+    }
+
+    if (latest && adapter.getRevisionContent(latest) === draftContent) {
+      return latest;
+    }
+
+    return adapter.captureRevision(entityKey, createdBy);
+  }
+
+  async capturePersonRevision(slug, createdBy) {
+    const current = await this.repository.findBySlug(slug);
+    return this.repository.createRevision(slug, current.content, createdBy, { changeNote: 'Published' });
+  }
+
+  /**
+   * Register a listener called whenever the public version of an entity may have changed
+   * @param {Function} listener - async (entityType, entityKey)
+   */
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  // Listeners must not break publishing, so their errors are only logged
+  async notifyChange(entityType, entityKey) {
+    for (const listener of this.changeListeners) {
+      try {
+        await listener(entityType, entityKey);
+      } catch (error) {
+        console.error(`Publish change listener failed for ${entityType} '${entityKey}':`, error.message);
+      }
+    }
+  }
+
+  async findOrCreate(entityType, entityKey) {
+    return await this.getPublication(entityType, entityKey) ||
+      new Publication({ entity_type: entityType, entity_key: entityKey });
+  }
+
+  clearSchedule(publication) {
+    publication.scheduled_revision_id = null;
+    publication.scheduled_at = null;
+    publication.scheduled_by = null;
+  }
+
+  getAdapter(entityType) {
+    const adapter = this.adapters[entityType];
+    if (!adapter) {
+      throw new Error(`Unknown publishable type: ${entityType}`);
+    }
+    return adapter;
+  }
+
+  // Comparable form of a list of blocks (ids and timestamps are ignored)
+  serializeBlocks(blocks) {
+    return JSON.stringify(blocks.map(block => [block.content_type, block.content]));
+  }
+}
+
+// Create singleton instance
+const publishingService = new PublishingService();
+
+module.exports = publishingService;
@@ -0,0 +1,239 @@
+const cheerio = require('cheerio');
+const validator = require('validator');
+const database = require('../models/database');
+const Book = require('../models/Book');
+const peopleDataService = require('./PeopleDataService');
+const publishingService = require('./PublishingService');
+const { escapeHtml } = require('../utils/html');
+
+const SECTION_TITLES = {
+  interesanti: 'Interesanti',
+  gramatas: 'Grāmatas',
+  fragmenti: 'Fragmenti'
+};
+
+// Highlight markers that cannot appear in indexed text, replaced with <mark> after escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Site-wide full-text search (SQLite FTS5)
+ *
+ * The search_index table holds one document per person, section and book with the
+ * text the public site shows: published versions only, and nothing that has been
+ * unpublished. Documents are re-indexed whenever their content is saved or their
+ * publish state changes, and the whole index is rebuilt once per process before the
+ * first search, so it can never stay out of date for long.
+ */
+class SearchService {
+  constructor() {
+    this.maxTerms = 10;
+    this.rebuildPromise = null;
+
+    // How each entity type is turned into a search document
+    this.indexers = {
+      person: (slug) => this.getPersonDocument(slug),
+      section: (section) => this.getSectionDocument(section),
+      book: (id) => this.getBookDocument(id)
+    };
+
+    publishingService.onChange((entityType, entityKey) => this.reindex(entityType, entityKey));
+  }
+
+  /**
+   * Search the site
+   * @param {string} query - Search text (words are matched as prefixes, all must match)
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Promise<Object>} { results, total } with highlighted (HTML) titles and snippets
+   */
+  async search(query, limit = 10) {
+    const match = this.buildMatchExpression(query);
+    if (!match) {
+      return { results: [], total: 0 };
+    }
+
+    await this.ensureIndex();
+
+    const rows = await database.all(
+      `SELECT entity_type, entity_key, url,
+              highlight(search_index, 2, ?, ?) AS title,
+              snippet(search_index, 3, ?, ?, '…', 24) AS snippet,
+              bm25(search_index, 0, 0, 10, 1) AS rank
+       FROM search_index
+       WHERE search_index MATCH ?
+       ORDER BY rank
+       LIMIT ?`,
+      [MARK_START, MARK_END, MARK_START, MARK_END, match, limit]
+    );
+    const { total } = await database.get('SELECT COUNT(*) AS total FROM search_index WHERE search_index MATCH ?', [match]);
+
+    return {
+      results: rows.map(row => ({
+        type: row.entity_type,
+        key: row.entity_key,
+        url: row.url,
+        title: this.formatHighlight(row.title),
+        snippet: this.formatHighlight(row.snippet),
+        rank: row.rank
+      })),
+      total
+    };
+  }
+
+  /**
+   * Update the search document of one entity (removing it if it is no longer public)
+   * Indexing errors are logged, not thrown, so they never fail a save
+   * @param {string} entityType - 'person', 'section' or 'book'
+   * @param {string|number} entityKey - Person slug, section name or book ID
+   * @returns {Promise<boolean>} True if the entity is indexed afterwards
+   */
+  async reindex(entityType, entityKey) {
+    const indexer = this.indexers[entityType];
+    if (!indexer) {
+      return false;
+    }
+
+    try {
+      const document = await indexer(entityKey);
+      await this.removeDocument(entityType, entityKey);
+      if (document) {
+        await this.insertDocument(document);
+      }
+      return Boolean(document);
+    } catch (error) {
+      console.error(`Failed to update search index for ${entityType} '${entityKey}':`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Rebuild the whole index from the current site content
+   * @returns {Promise<number>} Number of indexed documents
+   */
+  async rebuild() {
+    if (!peopleDataService.isReady()) {
+      await peopleDataService.initialize();
+    }
+
+    const documents = [
+      ...await Promise.all(peopleDataService.getAllPeople().map(person => this.getPersonDocument(person.slug))),
+      ...await Promise.all(Object.keys(SECTION_TITLES).map(section => this.getSectionDocument(section))),
+      ...await Promise.all((await Book.findAll()).map(book => this.getBookDocument(book.id)))
+    ].filter(Boolean);
+
+    await database.run('DELETE FROM search_index');
+    for (const document of documents) {
+      await this.insertDocument(document);
+    }
+
+    console.log(`Search index rebuilt with ${documents.length} documents`);
+    return documents.length;
+  }
+
+  // Rebuild the index once per process, sharing the rebuild between concurrent searches
+  async ensureIndex() {
+    if (!this.rebuildPromise) {
+      this.rebuildPromise = this.rebuild().catch(error => {
+        this.rebuildPromise = null;
+        throw error;
+      });
+    }
+    await this.rebuildPromise;
+  }
+
+  /**
+   * Build an FTS5 match expression from user input
+   * Only letters and numbers are kept, so FTS5 syntax in the input has no effect
+   * @param {string} query - Search text
+   * @returns {string|null} Match expression, or null if the query has no words
+   */
+  buildMatchExpression(query) {
+    const terms = (String(query || '').normalize('NFC').match(/[\p{L}\p{N}]+/gu) || []).slice(0, this.maxTerms);
+    return terms.length > 0 ? terms.map(term => `"${term}"*`).join(' ') : null;
+  }
+
+  async getPersonDocument(slug) {
+    const person = peopleDataService.getPersonBySlug(slug);
+    if (!person || (await publishingService.getHiddenKeys('person')).has(slug)) {
+      return null;
+    }
+
+    // People without database content are shown from their HTML files
+    const published = await publishingService.getPublishedPersonContent(slug);
+    const text = published ? validator.unescape(published.content) : (person.content && person.content.text) || '';
+
+    return {
+      entity_type: 'person',
+      entity_key: slug,
+      title: person.name,
+      body: text,
+      url: `/interesanti/${slug}`
+    };
+  }
+
+  async getSectionDocument(section) {
+    if (!SECTION_TITLES[section]) {
+      return null;
+    }
+
+    const blocks = await publishingService.getPublishedSectionContent(section);
+    const text = blocks
+      .filter(block => block.content_type === 'text')
+      .map(block => this.getPlainText(block.content))
+      .filter(Boolean)
+      .join('\n\n');
+
+    return text
+      ? { entity_type: 'section', entity_key: section, title: SECTION_TITLES[section], body: text, url: `/#${section}` }
+      : null;
+  }
+
+  async getBookDocument(id) {
+    const book = await Book.findById(id);
+    if (!book) {
+      return null;
+    }
+
+    return {
+      entity_type: 'book',
+      entity_key: String(book.id),
+      title: book.title,
+      body: [book.description, book.publisher].filter(Boolean).join('\n\n'),
+      url: '/#gramatas'
+    };
+  }
+
+  // Text of a content block (blocks may hold HTML, escaped HTML or plain text)
+  getPlainText(content) {
+    const html = /&lt;|&gt;|&amp;|&quot;|&#x/.test(content) ? validator.unescape(content) : content;
+    const $ = cheerio.load(`<div>${html}</div>`, null, false);
+    $('p, br, li, h1, h2, h3, h4, h5, h6').after('\n');
+    return $.root().text().replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+  }
+
+  // Escape highlighted text for HTML and turn the markers into <mark> elements
+  formatHighlight(text) {
+    return escapeHtml(text || '')
+      .split(MARK_START).join('<mark>')
+      .split(MARK_END).join('</mark>');
+  }
+
+  async insertDocument(document) {
+    await database.run(
+      'INSERT INTO search_index (entity_type, entity_key, title, body, url) VALUES (?, ?, ?, ?, ?)',
+      [document.entity_type, document.entity_key, document.title, document.body, document.url]
+    );
+  }
+
+  async removeDocument(entityType, entityKey) {
+    await database.run(
+      'DELETE FROM search_index WHERE entity_type = ? AND entity_key = ?',
+      [entityType, String(entityKey)]
+    );
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
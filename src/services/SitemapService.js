@@ -0,0 +1,130 @@
+const { database } = require('../models');
+const PeopleContent = require('../models/PeopleContent');
+const PeopleRepository = require('../models/PeopleRepository');
+const peopleDataService = require('./PeopleDataService');
+const publishingService = require('./PublishingService');
+const localeService = require('./LocaleService');
+
+/**
+ * sitemap.xml and robots.txt
+ *
+ * The sitemap is built from a list of sources, each returning the Latvian paths of its pages with
+ * the date they last changed; every page is listed in each language with hreflang alternates.
+ * Books have no pages of their own yet - when they do, they are added with addSource().
+ */
+class SitemapService {
+  constructor() {
+    this.peopleRepository = new PeopleRepository(peopleDataService);
+    this.sources = [
+      () => this.getHomePages(),
+      () => this.getPeoplePages()
+    ];
+  }
+
+  /**
+   * Add pages to the sitemap
+   * @param {Function} source - Async function returning [{ path, lastmod }]
+   */
+  addSource(source) {
+    this.sources.push(source);
+  }
+
+  // The home page: its sections (#par-autori, #gramatas, ...) and books are all shown on it
+  async getHomePages() {
+    const row = await database.get(
+      `SELECT MAX(updated_at) AS lastmod FROM (
+         SELECT updated_at FROM content
+         UNION ALL SELECT updated_at FROM content_translations
+         UNION ALL SELECT updated_at FROM books
+       )`
+    );
+    return [{ path: '/', lastmod: row && row.lastmod }];
+  }
+
+  // Profile pages of published people
+  async getPeoplePages() {
+    if (!this.peopleRepository.isReady()) {
+      await this.peopleRepository.initialize();
+    }
+
+    const hiddenSlugs = await publishingService.getHiddenKeys('person');
+    const updated = new Map((await PeopleContent.getAll()).map(content => [content.personSlug, content.updatedAt]));
+
+    return this.peopleRepository.getAllSlugs()
+      .filter(slug => !hiddenSlugs.has(slug))
+      .sort()
+      .map(slug => ({ path: `/interesanti/${encodeURIComponent(slug)}`, lastmod: updated.get(slug) }));
+  }
+
+  // W3C date (YYYY-MM-DD); SQLite's CURRENT_TIMESTAMP values are UTC without a zone
+  formatDate(value) {
+    if (!value) {
+      return null;
+    }
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Build sitemap.xml
+   * @returns {Promise<string>} XML document
+   */
+  async renderSitemap() {
+    const siteUrl = localeService.getSiteUrl();
+    const pages = (await Promise.all(this.sources.map(source => source()))).flat();
+
+    const entries = pages.flatMap(page => {
+      const lastmod = this.formatDate(page.lastmod);
+      const alternates = [
+        ...localeService.locales.map(locale => ({ hreflang: locale, href: siteUrl + localeService.localizePath(page.path, locale) })),
+        { hreflang: 'x-default', href: siteUrl + page.path }
+      ].map(link => `    <xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${this.escapeXml(link.href)}"/>`);
+
+      return localeService.locales.map(locale => [
+        '  <url>',
+        `    <loc>${this.escapeXml(siteUrl + localeService.localizePath(page.path, locale))}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+        ...alternates,
+        '  </url>'
+      ].join('\n'));
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+      ...entries,
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build robots.txt
+   * @returns {string}
+   */
+  renderRobots() {
+    return [
+      'User-agent: *',
+      'Disallow: /admin',
+      'Disallow: /health',
+      '',
+      `Sitemap: ${localeService.getSiteUrl()}/sitemap.xml`,
+      ''
+    ].join('\n');
+  }
+}
+
+// Create singleton instance
+const sitemapService = new SitemapService();
+
+module.exports = sitemapService;
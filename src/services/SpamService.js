@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const database = require('../models/database');
+const ContactMessage = require('../models/ContactMessage');
+
+// Words that rarely appear in honest messages to a children's book author
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'kazino', 'betting', 'crypto', 'bitcoin', 'forex', 'airdrop', 'loan',
+  'porn', 'escort', 'dating', 'seo', 'backlink', 'backlinks', 'traffic', 'ranking', 'marketing',
+  'click here', 'buy now', 'limited offer', 'investment', 'web design', 'guest post'
+];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const LINK_MARKUP_PATTERN = /\[url[=\]]|<a\s+href|&lt;a\s+href/i;
+
+/**
+ * Layered spam checks for the contact form, instead of a third-party CAPTCHA
+ *
+ * - Honeypot: a field people never see, so only bots fill it in
+ * - Form token: the form gets a signed timestamp when it is shown, so instant submits can be
+ *   told apart from people typing. Each token works once, so a bot cannot replay one
+ * - Links, link markup and typical spam words
+ * - The same message text sent again within a day
+ *
+ * A filled honeypot, a forged, instant or reused token and link markup are spam on their own. The other
+ * signals are weaker (a visitor with an old cached copy of the page sends no token) and only
+ * count as spam together. Spam is stored with the status 'spam' rather than rejected, so
+ * admins can release mistakes.
+ */
+class SpamService {
+  constructor() {
+    this.minFillTime = 3 * 1000; // 3 seconds
+    this.maxTokenAge = 24 * 60 * 60 * 1000; // 1 day
+    this.maxLinks = 2;
+    this.maxKeywords = 1;
+    this.duplicateWindow = 24 * 60 * 60 * 1000; // 1 day
+    this.maxWeakSignals = 1;
+  }
+
+  // Without a configured secret tokens are signed with a random one, which only this process knows
+  // (with several processes, tokens would then only be accepted by the one that handed them out)
+  getSecret() {
+    const secret = process.env.FORM_TOKEN_SECRET || process.env.SESSION_SECRET;
+    if (secret) {
+      return secret;
+    }
+
+    if (!this.processSecret) {
+      console.warn('FORM_TOKEN_SECRET and SESSION_SECRET are not set; contact form tokens use a random secret');
+      this.processSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.processSecret;
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.getSecret()).update(`contact-form:${value}`).digest('hex');
+  }
+
+  /**
+   * Signed token holding the time the form was shown
+   * @param {number} [now] - Time in milliseconds
+   * @returns {string} "<time>.<signature>"
+   */
+  createFormToken(now = Date.now()) {
+    return `${now}.${this.sign(now)}`;
+  }
+
+  /**
+   * Check a form token
+   * @param {string} token - Token from createFormToken
+   * @returns {Object|null} { reason, strong } when the token is not acceptable, or null when it is
+   */
+  checkFormToken(token) {
+    if (!token) {
+      return { reason: 'missing form token', strong: false };
+    }
+
+    const match = /^(\d{13})\.([0-9a-f]{64})$/.exec(String(token));
+    if (!match || !crypto.timingSafeEqual(Buffer.from(this.sign(match[1]), 'hex'), Buffer.from(match[2], 'hex'))) {
+      return { reason: 'invalid form token', strong: true };
+    }
+
+    const age = Date.now() - Number(match[1]);
+    if (age < this.minFillTime) {
+      return { reason: 'sent too quickly', strong: true };
+    }
+
+    if (age > this.maxTokenAge) {
+      return { reason: 'form token expired', strong: false };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a form token as used
+   * @param {string} token - Token accepted by checkFormToken
+   * @returns {Promise<Object|null>} { reason, strong } when the token was used before, or null
+   */
+  async useFormToken(token) {
+    const [time, signature] = String(token).split('.');
+    const now = new Date().toISOString();
+
+    await database.run('DELETE FROM form_tokens WHERE expires_at < ?', [now]);
+    const { changes } = await database.run(
+      'INSERT OR IGNORE INTO form_tokens (signature, expires_at) VALUES (?, ?)',
+      [signature, new Date(Number(time) + this.maxTokenAge).toISOString()]
+    );
+
+    return changes === 0 ? { reason: 'form token already used', strong: true } : null;
+  }
+
+  // Spam words found in the text (whole words, case-insensitive)
+  findKeywords(text) {
+    const lower = String(text || '').toLowerCase();
+    return SPAM_KEYWORDS.filter(keyword => new RegExp(`(^|[^\\p{L}])${keyword}($|[^\\p{L}])`, 'u').test(lower));
+  }
+
+  /**
+   * Decide whether a contact form submission is spam
+   * @param {Object} submission - Validated request body
+   * @param {string} submission.name - Name, as stored
+   * @param {string} submission.message - Message, as stored (HTML-escaped)
+   * @param {string} [submission.website] - Honeypot field
+   * @param {string} [submission.formToken] - Token from createFormToken
+   * @returns {Promise<Object>} { spam, reasons } - reasons lists every signal found, even when it is not spam
+   */
+  async check({ name, message, website, formToken }) {
+    const signals = [];
+
+    if (website) {
+      signals.push({ reason: 'honeypot field filled in', strong: true });
+    }
+
+    const tokenProblem = this.checkFormToken(formToken) || await this.useFormToken(formToken);
+    if (tokenProblem) {
+      signals.push(tokenProblem);
+    }
+
+    const text = ContactMessage.decodeText(message);
+
+    const links = text.match(LINK_PATTERN) || [];
+    if (links.length > this.maxLinks) {
+      signals.push({ reason: `${links.length} links`, strong: false });
+    }
+
+    if (LINK_MARKUP_PATTERN.test(text)) {
+      signals.push({ reason: 'link markup', strong: true });
+    }
+
+    const keywords = this.findKeywords(`${ContactMessage.decodeText(name)} ${text}`);
+    if (keywords.length > this.maxKeywords) {
+      signals.push({ reason: `spam words: ${keywords.join(', ')}`, strong: false });
+    }
+
+    if (await ContactMessage.existsSince(message, new Date(Date.now() - this.duplicateWindow).toISOString())) {
+      signals.push({ reason: 'duplicate message', strong: false });
+    }
+
+    const weakSignals = signals.filter(signal => !signal.strong).length;
+
+    return {
+      spam: signals.some(signal => signal.strong) || weakSignals > this.maxWeakSignals,
+      reasons: signals.map(signal => signal.reason)
+    };
+  }
+}
+
+// Create singleton instance
+const spamService = new SpamService();
+
+module.exports = spamService;
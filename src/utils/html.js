@@ -0,0 +1,19 @@
+/**
+ * HTML helpers shared by the services that build HTML on the server
+ */
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} text - Text (other values are converted to strings)
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
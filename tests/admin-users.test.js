@@ -0,0 +1,179 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Admin User Management', () => {
+  const timestamp = Date.now();
+  const editorName = `editor${timestamp}`;
+  const viewerName = `viewer${timestamp}`;
+
+  let app;
+  let owner;
+  let ownerAgent;
+  let viewerAgent;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    owner = new AdminUser({
+      username: `owneradmin${timestamp}`,
+      email: `owneradmin${timestamp}@example.com`
+    });
+    await owner.setPassword('testpassword123');
+    await owner.save();
+
+    ownerAgent = request.agent(app);
+    const login = await ownerAgent
+      .post('/admin/login')
+      .send({ username: owner.username, password: 'testpassword123' })
+      .expect(200);
+    expect(login.body.user.role).toBe('owner');
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM admin_users WHERE username IN (?, ?, ?)', [owner.username, editorName, viewerName]);
+    await database.close();
+  });
+
+  test('should invite a user who then sets their own password', async () => {
+    const invited = await ownerAgent
+      .post('/admin/api/users')
+      .set('Host', 'attacker.example')
+      .send({ username: editorName, email: `${editorName}@example.com`, role: 'editor' })
+      .expect(201);
+
+    expect(invited.body.user).toMatchObject({ username: editorName, role: 'editor', invite_pending: true });
+    // The link points at the site whatever Host header the request came with
+    expect(invited.body.inviteUrl).toMatch(/^http:\/\/localhost:3000\/admin\/invite\//);
+    const token = invited.body.inviteUrl.split('/admin/invite/')[1];
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+
+    await request(app)
+      .post(`/admin/invite/${'0'.repeat(64)}`)
+      .send({ password: 'editorpassword1' })
+      .expect(404);
+
+    await request(app)
+      .post(`/admin/invite/${token}`)
+      .send({ password: 'editorpassword1' })
+      .expect(200);
+
+    // The link only works once
+    expect(await AdminUser.findByInviteToken(token)).toBeNull();
+
+    const editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editorName, password: 'editorpassword1' })
+      .expect(200);
+
+    const forbidden = await editorAgent.get('/admin/api/users').expect(403);
+    expect(forbidden.body.error).toBe('Insufficient permissions');
+  });
+
+  test('should let viewers look around but not change anything', async () => {
+    await ownerAgent
+      .post('/admin/api/users')
+      .send({ username: viewerName, email: `${viewerName}@example.com`, role: 'viewer', password: 'viewerpassword1' })
+      .expect(201);
+
+    viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewerName, password: 'viewerpassword1' })
+      .expect(200);
+
+    await viewerAgent.get('/admin/api/books').expect(200);
+    await viewerAgent.get('/admin/api/people').expect(200);
+
+    await viewerAgent
+      .put('/admin/api/people/edgars-tocs')
+      .send({ content: 'A viewer should not be able to save this profile text.' })
+      .expect(403);
+    await viewerAgent.delete('/admin/image/book_preview.jpg').expect(403);
+    await viewerAgent.post('/admin/api/books').send({ title: 'Viewer book' }).expect(403);
+  });
+
+  test('should log out a disabled user straight away', async () => {
+    const viewer = await AdminUser.findByUsername(viewerName);
+
+    const disabled = await ownerAgent
+      .put(`/admin/api/users/${viewer.id}`)
+      .send({ disabled: true })
+      .expect(200);
+    expect(disabled.body.user.disabled).toBe(true);
+
+    const rejected = await viewerAgent.get('/admin/api/books').expect(401);
+    expect(rejected.body.error).toBe('Account disabled');
+  });
+
+  test('should not let owners lock themselves out', async () => {
+    await ownerAgent
+      .put(`/admin/api/users/${owner.id}`)
+      .send({ role: 'viewer' })
+      .expect(400);
+
+    await ownerAgent
+      .put(`/admin/api/users/${owner.id}`)
+      .send({ disabled: true })
+      .expect(400);
+
+    await ownerAgent.delete(`/admin/api/users/${owner.id}`).expect(400);
+
+    const editor = await AdminUser.findByUsername(editorName);
+    await ownerAgent.delete(`/admin/api/users/${editor.id}`).expect(200);
+    expect(await AdminUser.findById(editor.id)).toBeNull();
+  });
+
+  test('should change passwords', async () => {
+    await ownerAgent
+      .put('/admin/api/account/password')
+      .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123' })
+      .expect(400);
+
+    await ownerAgent
+      .put('/admin/api/account/password')
+      .send({ currentPassword: 'testpassword123', newPassword: 'short' })
+      .expect(400);
+
+    await ownerAgent
+      .put('/admin/api/account/password')
+      .send({ currentPassword: 'testpassword123', newPassword: 'newpassword123' })
+      .expect(200);
+
+    const viewer = await AdminUser.findByUsername(viewerName);
+    await ownerAgent
+      .put(`/admin/api/users/${viewer.id}/password`)
+      .send({ password: 'anotherpassword1' })
+      .expect(200);
+
+    expect(await (await AdminUser.findById(owner.id)).verifyPassword('newpassword123')).toBe(true);
+    expect(await (await AdminUser.findById(viewer.id)).verifyPassword('anotherpassword1')).toBe(true);
+  });
+});
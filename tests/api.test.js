@@ -3,7 +3,7 @@ const express = require('express');
 const session = require('express-session');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { initializeDatabase, database, ContactMessage } = require('../src/models');
+const { initializeDatabase, database, ContactMessage, OutboxEmail } = require('../src/models');
 
 // Create test app without starting server
 const createTestApp = () => {
@@ -97,15 +97,17 @@ describe('API Endpoints', () => {
         .post('/api/contact')
         .send(contactData);
 
-      // Should return 500 due to email connection failure in test environment
-      expect(response.status).toBe(500);
-      expect(response.body).toHaveProperty('error');
+      // Responds once the message is stored; the email notification is sent later from the outbox
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
 
-      // Verify message was saved to database even though email failed
       const messages = await ContactMessage.findByEmail('test@example.com');
       expect(messages.length).toBeGreaterThan(0);
       expect(messages[0].name).toBe('Test User');
-      expect(messages[0].status).toBe('failed'); // Should be marked as failed due to email error
+
+      const emails = await OutboxEmail.findByContactMessageId(messages[0].id);
+      expect(emails).toHaveLength(1);
+      expect(emails[0].status).toBe('pending');
     });
 
     test('should reject contact form with missing fields', async () => {
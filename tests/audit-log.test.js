@@ -0,0 +1,155 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, AuditLog, Book } = require('../src/models');
+
+// Create test app for admin routes, with request IDs like server.js
+const createTestApp = () => {
+  const app = express();
+
+  app.use((req, res, next) => {
+    req.id = Math.random().toString(36).substr(2, 9);
+    next();
+  });
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Admin Audit Log', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let owner;
+  let editor;
+  let ownerAgent;
+  let editorAgent;
+  let bookId;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    owner = new AdminUser({ username: `auditowner${timestamp}`, email: `auditowner${timestamp}@example.com` });
+    await owner.setPassword('testpassword123');
+    await owner.save();
+
+    editor = new AdminUser({ username: `auditeditor${timestamp}`, email: `auditeditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    ownerAgent = request.agent(app);
+    await ownerAgent
+      .post('/admin/login')
+      .send({ username: owner.username, password: 'testpassword123' })
+      .expect(200);
+
+    editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    if (bookId) {
+      await Book.deleteById(bookId);
+    }
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [owner.id, editor.id]);
+    await database.close();
+  });
+
+  test('should record logins and failed logins', async () => {
+    await request(app)
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'wrongpassword1' })
+      .expect(401);
+
+    const { items } = await AuditLog.search({ username: editor.username });
+    const actions = items.map(entry => entry.action);
+    expect(actions).toEqual(['login.failed', 'login']);
+
+    const failed = items[0];
+    expect(failed.user_id).toBe(editor.id);
+    expect(failed.ip).toBeTruthy();
+    expect(failed.request_id).toMatch(/^[0-9a-z]+$/);
+    expect(JSON.parse(failed.after_summary)).toEqual({ reason: 'wrong password' });
+  });
+
+  test('should record changes with before and after summaries', async () => {
+    const created = await editorAgent
+      .post('/admin/api/books')
+      .send({ title: `Audit Book ${timestamp}`, description: 'First description' })
+      .expect(201);
+    bookId = created.body.book.id;
+
+    await editorAgent
+      .put(`/admin/api/books/${bookId}`)
+      .send({ title: `Audit Book ${timestamp}`, description: 'Second description' })
+      .expect(200);
+
+    const { items } = await AuditLog.search({ action: 'book.update', search: `Audit Book ${timestamp}` });
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ username: editor.username, entity_type: 'book', entity_id: String(bookId) });
+    expect(JSON.parse(items[0].before_summary).description).toBe('First description');
+    expect(JSON.parse(items[0].after_summary).description).toBe('Second description');
+  });
+
+  test('should not allow entries to be changed or deleted', async () => {
+    const { items } = await AuditLog.search({ username: editor.username, limit: 1 });
+
+    await expect(database.run('UPDATE audit_log SET action = ? WHERE id = ?', ['login', items[0].id]))
+      .rejects.toThrow(/cannot be changed/);
+    await expect(database.run('DELETE FROM audit_log WHERE id = ?', [items[0].id]))
+      .rejects.toThrow(/cannot be deleted/);
+  });
+
+  test('should let owners filter the log and export it as CSV', async () => {
+    await editorAgent.get('/admin/api/audit').expect(403);
+
+    const filtered = await ownerAgent
+      .get('/admin/api/audit')
+      .query({ username: editor.username, action: 'book.create' })
+      .expect(200);
+    expect(filtered.body.entries).toHaveLength(1);
+    expect(filtered.body.entries[0].entity_id).toBe(String(bookId));
+    expect(filtered.body.filters.actions).toEqual(expect.arrayContaining(['login', 'login.failed', 'book.create']));
+    expect(filtered.body.pagination.total).toBe(1);
+
+    const future = await ownerAgent
+      .get('/admin/api/audit')
+      .query({ username: editor.username, from: new Date(Date.now() + 60000).toISOString() })
+      .expect(200);
+    expect(future.body.entries).toHaveLength(0);
+
+    const csv = await ownerAgent
+      .get('/admin/api/audit/export')
+      .query({ username: editor.username })
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+    expect(csv.headers['content-disposition']).toMatch(/attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = csv.text.replace(/^﻿/, '').trim().split('\r\n');
+    expect(lines[0]).toBe('created_at,action,username,ip,request_id,entity_type,entity_id,before_summary,after_summary');
+    expect(lines).toHaveLength(5); // header, login, failed login, book create and update
+    expect(lines[1]).toContain('book.update');
+    // JSON summaries contain quotes and commas, so they are quoted
+    expect(lines[1]).toContain('"{""title"":');
+  });
+});
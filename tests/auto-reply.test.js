@@ -0,0 +1,152 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, ContactMessage, OutboxEmail } = require('../src/models');
+const autoReplyService = require('../src/services/AutoReplyService');
+const outboxService = require('../src/services/OutboxService');
+const spamService = require('../src/services/SpamService');
+
+// Create test app with the public API and the admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  app.use('/api', require('../src/routes/api'));
+  app.use('/admin', require('../src/routes/admin'));
+
+  return app;
+};
+
+describe('Contact Form Auto-reply', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let editor;
+  let viewer;
+  let editorAgent;
+
+  // Submit the contact form and return the stored message with its queued emails
+  const submit = async (email, message = 'Vai grāmata ir pieejama bibliotēkā?') => {
+    await request(app)
+      .post('/api/contact')
+      .send({ name: 'Anna Bērziņa', email, message, formToken: spamService.createFormToken(Date.now() - 5000) })
+      .expect(200);
+
+    // Addresses are stored normalized, i.e. in lower case
+    const [contactMessage] = await ContactMessage.findByEmail(email.toLowerCase());
+    const emails = await OutboxEmail.findByContactMessageId(contactMessage.id);
+    return { contactMessage, emails };
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    editor = new AdminUser({ username: `replyeditor${timestamp}`, email: `replyeditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    viewer = new AdminUser({ username: `replyviewer${timestamp}`, email: `replyviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+
+    editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await database.run("DELETE FROM settings WHERE key = 'contact_auto_reply'");
+    await database.run("DELETE FROM email_outbox WHERE to_address LIKE ? OR subject LIKE '%Anna%'", [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM contact_messages WHERE email LIKE ?', [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [editor.id, viewer.id]);
+    await database.close();
+  });
+
+  test('should not reply while the auto-reply is off', async () => {
+    const { emails } = await submit(`off${timestamp}@example.com`);
+
+    expect(emails.map(email => email.kind)).toEqual(['contact_notification']);
+  });
+
+  test('should let editors edit the template', async () => {
+    const current = await editorAgent.get('/admin/api/messages/auto-reply').expect(200);
+    expect(current.body.template.enabled).toBe(false);
+    expect(current.body.template.body).toContain('{message}');
+
+    const viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+    await viewerAgent
+      .put('/admin/api/messages/auto-reply')
+      .send({ ...current.body.template, enabled: true })
+      .expect(403);
+
+    await editorAgent
+      .put('/admin/api/messages/auto-reply')
+      .send({ enabled: true, subject: '', body: 'Paldies' })
+      .expect(400);
+
+    const saved = await editorAgent
+      .put('/admin/api/messages/auto-reply')
+      .send({
+        enabled: true,
+        subject: 'Paldies, {name}!',
+        responseTime: '3 darba dienu laikā',
+        body: 'Labdien, {name}!\nAtbildēšu {responseTime} & ar prieku.\n\nJūsu ziņa:\n{message}'
+      })
+      .expect(200);
+    expect(saved.body.template.body).toContain('& ar prieku');
+  });
+
+  test('should send a confirmation with a copy of the message, without links', async () => {
+    const address = `parent${timestamp}@example.com`;
+    const { emails } = await submit(address, 'Sveiki! Vai varat atbraukt uz skolu? Skatiet https://spam.example/offer');
+
+    const autoReply = emails.find(email => email.kind === 'auto_reply');
+    expect(autoReply).toMatchObject({ to_address: address, subject: 'Paldies, Anna Bērziņa!', status: 'pending' });
+    expect(autoReply.reply_to).toBe(process.env.EMAIL_USER);
+
+    const stored = await OutboxEmail.findById(autoReply.id);
+    expect(stored.text_body).toContain('Atbildēšu 3 darba dienu laikā & ar prieku.');
+    expect(stored.text_body).toContain('Vai varat atbraukt uz skolu?');
+    expect(stored.text_body).not.toContain('spam.example');
+
+    // A failed auto-reply does not make the author's notification look failed
+    autoReply.status = 'dead';
+    await outboxService.updateContactStatus(autoReply, 'failed');
+    expect((await ContactMessage.findById(autoReply.contact_message_id)).status).toBe('pending');
+  });
+
+  test('should limit replies per address and per hour', async () => {
+    // The same address does not get a second reply the same day
+    const repeated = await submit(`PARENT${timestamp}@example.com`);
+    expect(repeated.emails.map(email => email.kind)).toEqual(['contact_notification']);
+
+    const maxPerHour = autoReplyService.maxPerHour;
+    autoReplyService.maxPerHour = 1;
+    try {
+      const capped = await submit(`teacher${timestamp}@example.com`);
+      expect(capped.emails.map(email => email.kind)).toEqual(['contact_notification']);
+    } finally {
+      autoReplyService.maxPerHour = maxPerHour;
+    }
+  });
+});
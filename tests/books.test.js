@@ -0,0 +1,186 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Book } = require('../src/models');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Books Management', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let originalOrder;
+  let createdBook;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `bookadmin${timestamp}`,
+      email: `bookadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    // Keep the existing order so it can be put back
+    originalOrder = (await Book.findAll()).map(book => book.id);
+  });
+
+  afterAll(async () => {
+    const placeholders = originalOrder.map(() => '?').join(', ') || 'NULL';
+    await database.run(`DELETE FROM books WHERE id NOT IN (${placeholders})`, originalOrder);
+    if (originalOrder.length) {
+      await Book.updateOrder(originalOrder);
+    }
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  describe('Public API', () => {
+    test('GET /api/books should return the books previously hard-coded in the page', async () => {
+      const response = await request(app)
+        .get('/api/books')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.books)).toBe(true);
+
+      const titles = response.body.books.map(book => book.title);
+      expect(titles).toEqual(expect.arrayContaining(['Lieliskā dzīve bez Zoom', 'Draugu saraksts']));
+    });
+  });
+
+  describe('Admin API', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/admin/api/books')
+        .expect(401);
+
+      await request(app)
+        .post('/admin/api/books')
+        .send({ title: 'Unauthorized' })
+        .expect(401);
+    });
+
+    test('POST /admin/api/books should create a book at the end of the showcase', async () => {
+      const response = await authenticatedAgent
+        .post('/admin/api/books')
+        .send({
+          title: 'Mika jaunā grāmata',
+          description: 'Stāsts par "draugiem" & piedzīvojumiem.',
+          cover_image: '/media/book_1.jpg',
+          decoration_image: '/media/character.jpg',
+          publication_year: 2024,
+          isbn: '978-9934-0-1234-1',
+          publisher: 'Zvaigzne ABC'
+        })
+        .expect(201);
+
+      createdBook = response.body.book;
+      expect(createdBook.id).toBeDefined();
+      expect(createdBook.description).toBe('Stāsts par "draugiem" & piedzīvojumiem.');
+      expect(createdBook.cover_image).toBe('/media/book_1.jpg');
+      expect(createdBook.publication_year).toBe(2024);
+
+      const books = await Book.findAll();
+      expect(books[books.length - 1].id).toBe(createdBook.id);
+    });
+
+    test('should reject invalid book data', async () => {
+      const response = await authenticatedAgent
+        .post('/admin/api/books')
+        .send({
+          title: '',
+          cover_image: '../../etc/passwd',
+          publication_year: 'soon',
+          isbn: '123'
+        })
+        .expect(400);
+
+      const fields = response.body.details.map(detail => detail.field);
+      expect(fields).toEqual(expect.arrayContaining(['title', 'cover_image', 'publication_year', 'isbn']));
+    });
+
+    test('PUT /admin/api/books/:id should update a book', async () => {
+      const response = await authenticatedAgent
+        .put(`/admin/api/books/${createdBook.id}`)
+        .send({ title: 'Mika jaunākā grāmata', description: 'Jauns apraksts.' })
+        .expect(200);
+
+      expect(response.body.book.title).toBe('Mika jaunākā grāmata');
+      expect(response.body.book.isbn).toBeNull();
+
+      const publicResponse = await request(app)
+        .get('/api/books')
+        .expect(200);
+      expect(publicResponse.body.books.map(book => book.title)).toContain('Mika jaunākā grāmata');
+    });
+
+    test('PUT /admin/api/books/order should reorder the showcase', async () => {
+      const ids = (await Book.findAll()).map(book => book.id);
+      const reversed = [...ids].reverse();
+
+      const response = await authenticatedAgent
+        .put('/admin/api/books/order')
+        .send({ bookIds: reversed })
+        .expect(200);
+
+      expect(response.body.books.map(book => book.id)).toEqual(reversed);
+    });
+
+    test('should reject an order that does not list every book', async () => {
+      await authenticatedAgent
+        .put('/admin/api/books/order')
+        .send({ bookIds: [createdBook.id] })
+        .expect(400);
+    });
+
+    test('DELETE /admin/api/books/:id should delete a book', async () => {
+      await authenticatedAgent
+        .delete(`/admin/api/books/${createdBook.id}`)
+        .expect(200);
+
+      expect(await Book.findById(createdBook.id)).toBeNull();
+
+      await authenticatedAgent
+        .delete(`/admin/api/books/${createdBook.id}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, ContactMessage } = require('../src/models');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Contact Message Inbox', () => {
+  const timestamp = Date.now();
+  const marker = `inbox${timestamp}`;
+
+  let app;
+  let editor;
+  let viewer;
+  let editorAgent;
+  let viewerAgent;
+  let sent;
+  let failed;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    editor = new AdminUser({ username: `inboxeditor${timestamp}`, email: `inboxeditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    viewer = new AdminUser({ username: `inboxviewer${timestamp}`, email: `inboxviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+
+    // Stored the way the contact form stores it: HTML-escaped
+    sent = new ContactMessage({
+      name: ContactMessage.encodeText("J'ānis"),
+      email: `sent${marker}@example.com`,
+      message: ContactMessage.encodeText(`Hello & welcome ${marker}`)
+    });
+    await sent.save();
+
+    failed = new ContactMessage({ name: 'Anna', email: `failed${marker}@example.com`, message: `=SUM(A1) ${marker}`, status: 'failed' });
+    await failed.save();
+
+    editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+
+    viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM contact_messages WHERE id IN (?, ?)', [sent.id, failed.id]);
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [editor.id, viewer.id]);
+    await database.close();
+  });
+
+  test('should require login', async () => {
+    await request(app).get('/admin/api/messages').expect(401);
+  });
+
+  test('should list and search messages with their text as typed', async () => {
+    const response = await viewerAgent
+      .get('/admin/api/messages')
+      .query({ search: marker })
+      .expect(200);
+
+    expect(response.body.messages).toHaveLength(2);
+    expect(response.body.pagination.total).toBe(2);
+    expect(response.body.counts.failed).toBeGreaterThanOrEqual(1);
+
+    const message = response.body.messages.find(m => m.id === sent.id);
+    expect(message).toMatchObject({ name: "J'ānis", message: `Hello & welcome ${marker}`, read: false, starred: false, archived: false });
+
+    // Searching for the typed text finds the escaped message
+    const typed = await viewerAgent
+      .get('/admin/api/messages')
+      .query({ search: `& welcome ${marker}` })
+      .expect(200);
+    expect(typed.body.messages.map(m => m.id)).toEqual([sent.id]);
+
+    const failedOnly = await viewerAgent
+      .get('/admin/api/messages')
+      .query({ folder: 'failed', search: marker })
+      .expect(200);
+    expect(failedOnly.body.messages.map(m => m.id)).toEqual([failed.id]);
+
+    const detail = await viewerAgent.get(`/admin/api/messages/${failed.id}`).expect(200);
+    expect(detail.body.message.status).toBe('failed');
+
+    await viewerAgent.get('/admin/api/messages/999999999').expect(404);
+    await viewerAgent.get('/admin/api/messages').query({ folder: 'junk' }).expect(400);
+  });
+
+  test('should let editors mark messages read, starred and archived', async () => {
+    await viewerAgent.put(`/admin/api/messages/${sent.id}`).send({ read: true }).expect(403);
+    await editorAgent.put(`/admin/api/messages/${sent.id}`).send({ read: 'yes' }).expect(400);
+
+    const updated = await editorAgent
+      .put(`/admin/api/messages/${sent.id}`)
+      .send({ read: true, starred: true })
+      .expect(200);
+    expect(updated.body.message).toMatchObject({ read: true, starred: true, archived: false });
+    expect(updated.body.message.read_at).toBeTruthy();
+
+    const unread = await editorAgent.get('/admin/api/messages').query({ folder: 'unread', search: marker }).expect(200);
+    expect(unread.body.messages.map(m => m.id)).toEqual([failed.id]);
+
+    const starred = await editorAgent.get('/admin/api/messages').query({ folder: 'starred', search: marker }).expect(200);
+    expect(starred.body.messages.map(m => m.id)).toEqual([sent.id]);
+
+    await editorAgent.put(`/admin/api/messages/${sent.id}`).send({ archived: true }).expect(200);
+
+    const inbox = await editorAgent.get('/admin/api/messages').query({ search: marker }).expect(200);
+    expect(inbox.body.messages.map(m => m.id)).toEqual([failed.id]);
+
+    const archived = await editorAgent.get('/admin/api/messages').query({ folder: 'archived', search: marker }).expect(200);
+    expect(archived.body.messages.map(m => m.id)).toEqual([sent.id]);
+    // Archiving keeps the other states
+    expect(archived.body.messages[0]).toMatchObject({ read: true, starred: true, archived: true });
+  });
+
+  test('should export messages as CSV', async () => {
+    const csv = await viewerAgent
+      .get('/admin/api/messages/export')
+      .query({ search: marker })
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+    expect(csv.headers['content-disposition']).toMatch(/attachment; filename="contact-messages-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = csv.text.replace(/^﻿/, '').trim().split('\r\n');
+    expect(lines[0]).toBe('submitted_at,name,email,message,status,read_at,starred,archived_at');
+    expect(lines).toHaveLength(3);
+    // Formulas are neutralised and the text is unescaped
+    expect(lines[1]).toContain(`'=SUM(A1) ${marker}`);
+    expect(lines[2]).toContain(`Hello & welcome ${marker}`);
+  });
+});
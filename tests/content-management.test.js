@@ -300,7 +300,13 @@ describe('Content Management System', () => {
         .send(contentData)
         .expect(200);
 
-      // Then fetch it via public API
+      // Publish the draft, then fetch it via public API
+      await authenticatedAgent
+        .post('/admin/content/interesanti/publish')
+        .set('X-CSRF-Token', csrfToken || '')
+        .send({})
+        .expect(200);
+
       const publicResponse = await request(app)
         .get('/api/content/interesanti')
         .expect(200);
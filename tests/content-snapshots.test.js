@@ -0,0 +1,214 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Content, ContentSnapshot } = require('../src/models');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Section Content Snapshots', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let originalBlocks;
+  let lastSnapshotId;
+  const section = 'gramatas';
+
+  const saveSection = (blocks) => authenticatedAgent
+    .put(`/admin/content/${section}`)
+    .send({ content: blocks })
+    .expect(200);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `snapadmin${timestamp}`,
+      email: `snapadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    // Keep whatever the section held before the tests so it can be put back
+    originalBlocks = (await Content.findBySection(section)).map(item => item.toJSON());
+    const last = await database.get('SELECT MAX(id) as id FROM content_snapshots');
+    lastSnapshotId = last.id || 0;
+  });
+
+  afterAll(async () => {
+    await Content.replaceSection(section, originalBlocks);
+    await database.run('DELETE FROM content_snapshots WHERE id > ?', [lastSnapshotId]);
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  describe('Saving', () => {
+    test('should store a snapshot of the section on every save', async () => {
+      const before = await ContentSnapshot.getCountBySection(section);
+
+      const first = await saveSection([
+        { content_type: 'text', content: '<p>First block</p>' },
+        { content_type: 'text', content: '<p>Second block</p>' }
+      ]);
+      expect(first.body.snapshotId).toBeDefined();
+
+      const blocks = first.body.content;
+      const second = await saveSection([
+        { id: blocks[0].id, content_type: 'text', content: '<p>First block edited</p>' }
+      ]);
+
+      const after = await ContentSnapshot.getCountBySection(section);
+      expect(after).toBeGreaterThanOrEqual(before + 2);
+
+      const snapshot = await ContentSnapshot.findById(second.body.snapshotId);
+      expect(snapshot.created_by).toBe(testUser.username);
+      expect(snapshot.blocks).toHaveLength(1);
+      expect(snapshot.blocks[0].content).toBe('<p>First block edited</p>');
+    });
+
+    test('should snapshot a cleared section', async () => {
+      const response = await saveSection([]);
+
+      const snapshot = await ContentSnapshot.findById(response.body.snapshotId);
+      expect(snapshot.blocks).toHaveLength(0);
+      expect(snapshot.change_note).toBe('Cleared section');
+    });
+  });
+
+  describe('Admin API', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get(`/admin/content/${section}/snapshots`)
+        .expect(401);
+    });
+
+    test('GET /admin/content/:section/snapshots should list snapshots newest first', async () => {
+      const response = await authenticatedAgent
+        .get(`/admin/content/${section}/snapshots?limit=2`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.snapshots).toHaveLength(2);
+      expect(response.body.snapshots[0].id).toBeGreaterThan(response.body.snapshots[1].id);
+      expect(response.body.snapshots[0]).toHaveProperty('block_count');
+      expect(response.body.snapshots[0]).not.toHaveProperty('blocks');
+      expect(response.body.pagination.limit).toBe(2);
+    });
+
+    test('should reject an invalid section', async () => {
+      await authenticatedAgent
+        .get('/admin/content/unknown/snapshots')
+        .expect(400);
+    });
+
+    test('GET /admin/content/:section/snapshots/:id should return the snapshot blocks', async () => {
+      const [latest] = await ContentSnapshot.findBySection(section, 1);
+
+      const response = await authenticatedAgent
+        .get(`/admin/content/${section}/snapshots/${latest.id}`)
+        .expect(200);
+
+      expect(response.body.snapshot.id).toBe(latest.id);
+      expect(Array.isArray(response.body.snapshot.blocks)).toBe(true);
+    });
+
+    test('should return 404 for a snapshot of another section', async () => {
+      const [latest] = await ContentSnapshot.findBySection(section, 1);
+
+      await authenticatedAgent
+        .get(`/admin/content/fragmenti/snapshots/${latest.id}`)
+        .expect(404);
+    });
+
+    test('POST .../restore should roll back the whole section', async () => {
+      const saved = await saveSection([
+        { content_type: 'text', content: '<p>Keep me</p>' },
+        { content_type: 'text', content: '<p>And me</p>' }
+      ]);
+      await saveSection([]);
+
+      const response = await authenticatedAgent
+        .post(`/admin/content/${section}/snapshots/${saved.body.snapshotId}/restore`)
+        .expect(200);
+
+      expect(response.body.restoredFrom).toBe(saved.body.snapshotId);
+
+      const current = await Content.findBySection(section);
+      expect(current.map(item => item.content)).toEqual(['<p>Keep me</p>', '<p>And me</p>']);
+
+      const snapshot = await ContentSnapshot.findById(response.body.snapshotId);
+      expect(snapshot.restored_from).toBe(saved.body.snapshotId);
+    });
+
+    test('POST .../blocks/:index/restore should restore a single block', async () => {
+      const saved = await saveSection([
+        { content_type: 'text', content: '<p>Block one</p>' },
+        { content_type: 'text', content: '<p>Block two</p>' }
+      ]);
+      const [blockOne, blockTwo] = saved.body.content;
+
+      // Edit the first block and delete the second
+      await saveSection([
+        { id: blockOne.id, content_type: 'text', content: '<p>Block one changed</p>' }
+      ]);
+
+      await authenticatedAgent
+        .post(`/admin/content/${section}/snapshots/${saved.body.snapshotId}/blocks/1/restore`)
+        .expect(200);
+
+      let current = await Content.findBySection(section);
+      expect(current.map(item => item.content)).toEqual(['<p>Block one changed</p>', '<p>Block two</p>']);
+      expect(current[0].id).toBe(blockOne.id);
+      expect(current[1].id).not.toBe(blockTwo.id);
+
+      await authenticatedAgent
+        .post(`/admin/content/${section}/snapshots/${saved.body.snapshotId}/blocks/0/restore`)
+        .expect(200);
+
+      current = await Content.findBySection(section);
+      expect(current.map(item => item.content)).toEqual(['<p>Block one</p>', '<p>Block two</p>']);
+      expect(current[0].id).toBe(blockOne.id);
+    });
+
+    test('should return 404 for a block index outside the snapshot', async () => {
+      const [latest] = await ContentSnapshot.findBySection(section, 1);
+
+      await authenticatedAgent
+        .post(`/admin/content/${section}/snapshots/${latest.id}/blocks/99/restore`)
+        .expect(404);
+    });
+  });
+});
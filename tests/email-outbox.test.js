@@ -0,0 +1,219 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, ContactMessage, OutboxEmail } = require('../src/models');
+const emailService = require('../src/services/EmailService');
+const outboxService = require('../src/services/OutboxService');
+
+// Create test app for the contact form and admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Email Outbox', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let editor;
+  let viewer;
+  let sendMail;
+  let contactMessage;
+  const emailIds = [];
+
+  // Queue an email for the test contact message
+  const queueEmail = async (subject) => {
+    const email = await outboxService.enqueue(
+      { to: 'author@example.com', replyTo: `visitor${timestamp}@example.com`, subject, text: 'Hello' },
+      { contactMessageId: contactMessage.id }
+    );
+    emailIds.push(email.id);
+    return email;
+  };
+
+  // Make an email due now, as if its retry delay had passed
+  const makeDue = (email) => database.run(
+    'UPDATE email_outbox SET next_attempt_at = ? WHERE id = ?',
+    [new Date(Date.now() - 1000).toISOString(), email.id]
+  );
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    editor = new AdminUser({ username: `outboxeditor${timestamp}`, email: `outboxeditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    viewer = new AdminUser({ username: `outboxviewer${timestamp}`, email: `outboxviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+
+    contactMessage = new ContactMessage({ name: 'Visitor', email: `visitor${timestamp}@example.com`, message: 'Hello', status: 'pending' });
+    await contactMessage.save();
+  });
+
+  beforeEach(() => {
+    sendMail = jest.spyOn(emailService, 'sendMail').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  afterAll(async () => {
+    outboxService.stop();
+    for (const id of emailIds) {
+      await database.run('DELETE FROM email_outbox WHERE id = ?', [id]);
+    }
+    await ContactMessage.deleteById(contactMessage.id);
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [editor.id, viewer.id]);
+    await database.close();
+  });
+
+  test('should send queued email in the background', async () => {
+    const email = await queueEmail(`Sent ${timestamp}`);
+    expect(email.status).toBe('pending');
+    expect(sendMail).not.toHaveBeenCalled();
+
+    await outboxService.processDue();
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'author@example.com',
+      replyTo: `visitor${timestamp}@example.com`,
+      subject: `Sent ${timestamp}`
+    }));
+
+    const stored = await OutboxEmail.findById(email.id);
+    expect(stored).toMatchObject({ status: 'sent', attempts: 1, last_error: null });
+    expect(stored.sent_at).toBeTruthy();
+
+    // The message counts as sent only once its notification is delivered
+    expect((await ContactMessage.findById(contactMessage.id)).status).toBe('sent');
+  });
+
+  test('should not keep a contact message whose notification cannot be queued', async () => {
+    const visitor = `unqueued${timestamp}@example.com`;
+    const save = jest.spyOn(OutboxEmail.prototype, 'save').mockRejectedValue(new Error('disk I/O error'));
+
+    try {
+      await request(app)
+        .post('/api/contact')
+        .send({ name: 'Anna Bērziņa', email: visitor, message: `Vai grāmata ir pieejama bibliotēkā? (${timestamp})` })
+        .expect(500);
+    } finally {
+      save.mockRestore();
+    }
+
+    // Nothing is left pending without an email, so sending the form again does not make a duplicate
+    expect(await ContactMessage.findByEmail(visitor)).toHaveLength(0);
+  });
+
+  test('should retry with exponential backoff and give up after the last attempt', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP connection failed'));
+    const maxAttempts = outboxService.maxAttempts;
+    outboxService.maxAttempts = 3;
+
+    try {
+      const email = await queueEmail(`Failing ${timestamp}`);
+
+      let before = Date.now();
+      await outboxService.processDue();
+      let stored = await OutboxEmail.findById(email.id);
+      expect(stored).toMatchObject({ status: 'pending', attempts: 1, last_error: 'SMTP connection failed' });
+      expect(new Date(stored.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+
+      // Not due yet, so nothing is sent
+      await outboxService.processDue();
+      expect((await OutboxEmail.findById(email.id)).attempts).toBe(1);
+
+      await makeDue(email);
+      before = Date.now();
+      await outboxService.processDue();
+      stored = await OutboxEmail.findById(email.id);
+      expect(stored.attempts).toBe(2);
+      expect(new Date(stored.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + 2 * 60 * 1000);
+
+      await makeDue(email);
+      await outboxService.processDue();
+      stored = await OutboxEmail.findById(email.id);
+      expect(stored).toMatchObject({ status: 'dead', attempts: 3 });
+
+      // The inbox shows that the notification failed
+      expect((await ContactMessage.findById(contactMessage.id)).status).toBe('failed');
+    } finally {
+      outboxService.maxAttempts = maxAttempts;
+    }
+  });
+
+  test('should let only one worker claim an email', async () => {
+    const email = await queueEmail(`Claimed ${timestamp}`);
+    const copy = await OutboxEmail.findById(email.id);
+
+    expect(await email.claim()).toBe(true);
+    expect(await copy.claim()).toBe(false);
+
+    // A worker that stopped mid-send does not keep the email forever
+    await OutboxEmail.releaseStale(new Date(Date.now() + 1000).toISOString());
+    expect((await OutboxEmail.findById(email.id)).status).toBe('pending');
+
+    await outboxService.processDue();
+    expect((await OutboxEmail.findById(email.id)).status).toBe('sent');
+  });
+
+  test('should let editors resend dead email from the admin panel', async () => {
+    const [dead] = (await OutboxEmail.findByContactMessageId(contactMessage.id)).filter(email => email.status === 'dead');
+
+    const editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+
+    const viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+
+    const detail = await viewerAgent.get(`/admin/api/messages/${contactMessage.id}`).expect(200);
+    expect(detail.body.emails.map(email => email.id)).toContain(dead.id);
+    // Bodies are not part of the listing
+    expect(detail.body.emails[0]).not.toHaveProperty('text_body');
+
+    const list = await viewerAgent.get('/admin/api/outbox').query({ status: 'dead' }).expect(200);
+    expect(list.body.emails.map(email => email.id)).toContain(dead.id);
+    expect(list.body.counts.dead).toBeGreaterThanOrEqual(1);
+
+    await viewerAgent.post(`/admin/api/outbox/${dead.id}/resend`).expect(403);
+    await editorAgent.post('/admin/api/outbox/999999999/resend').expect(404);
+
+    const resent = await editorAgent.post(`/admin/api/outbox/${dead.id}/resend`).expect(200);
+    expect(resent.body.email).toMatchObject({ status: 'pending', attempts: 0 });
+    expect((await ContactMessage.findById(contactMessage.id)).status).toBe('pending');
+
+    await outboxService.processDue();
+    expect((await OutboxEmail.findById(dead.id)).status).toBe('sent');
+    expect((await ContactMessage.findById(contactMessage.id)).status).toBe('sent');
+  });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const emailTemplateService = require('../src/services/EmailTemplateService');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Email Templates', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let viewer;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    viewer = new AdminUser({ username: `templateviewer${timestamp}`, email: `templateviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM admin_users WHERE id = ?', [viewer.id]);
+    await database.close();
+  });
+
+  test('should escape values in the HTML variant only', () => {
+    const email = emailTemplateService.render('contact-notification', {
+      name: 'Anna <b>"B"</b> & Co',
+      email: 'anna@example.com',
+      message: 'Pirmā rinda\n{{name}} otrā rinda',
+      requestId: null
+    });
+
+    expect(email.subject).toBe('New Contact Form Message from Anna <b>"B"</b> & Co');
+    expect(email.html).toContain('Anna &lt;b&gt;&quot;B&quot;&lt;/b&gt; &amp; Co');
+    expect(email.html).not.toContain('<b>');
+    expect(email.text).toContain('Name: Anna <b>"B"</b> & Co');
+
+    // Line breaks are kept, and placeholders inside values are not filled in
+    expect(email.html).toContain('Pirmā rinda<br>{{name}} otrā rinda');
+    expect(email.text).toContain('Pirmā rinda\n{{name}} otrā rinda');
+
+    // Sections for empty values are left out
+    expect(email.text).not.toContain('Request ID');
+  });
+
+  test('should wrap every email in the shared layout', () => {
+    const email = emailTemplateService.render('password-reset', {
+      username: 'editor',
+      resetUrl: 'http://localhost:3000/admin/reset-password/abc'
+    }, { locale: 'en' });
+
+    expect(email.html).toMatch(/^<!DOCTYPE html>\n<html lang="en">/);
+    expect(email.html).toContain('<title>Password reset - Ilze Skrastiņa website admin panel</title>');
+    expect(email.html).toContain('<a href="http://localhost:3000/admin/reset-password/abc">');
+    expect(email.text).toMatch(/^Hello editor,/);
+    expect(email.text).toMatch(/--\nIlze Skrastiņa\nhttp:\/\/localhost:3000$/);
+  });
+
+  test('should pick the template for the language, falling back to Latvian', () => {
+    const values = { subject: 'Jaunumi', body: 'Sveiki!\n\nVairāk: https://example.com/a.', unsubscribeUrl: 'https://example.com/u' };
+
+    const latvian = emailTemplateService.render('newsletter-campaign', values, { locale: 'lv' });
+    const english = emailTemplateService.render('newsletter-campaign', values, { locale: 'en' });
+    const unknown = emailTemplateService.render('newsletter-campaign', values, { locale: 'de' });
+
+    expect(latvian.text).toContain('Atteikties no jaunumiem: https://example.com/u');
+    expect(english.text).toContain('Unsubscribe: https://example.com/u');
+    expect(unknown.text).toBe(latvian.text);
+
+    // Longer text becomes paragraphs with links
+    expect(latvian.html).toContain('<p>Sveiki!</p>\n<p>Vairāk: <a href="https://example.com/a">https://example.com/a</a>.</p>');
+  });
+
+  test('should refuse unknown templates and missing values', () => {
+    expect(() => emailTemplateService.render('welcome', {})).toThrow('Unknown email template');
+    expect(() => emailTemplateService.render('password-reset', { username: 'editor' })).toThrow('{{resetUrl}}');
+
+    // Every template renders with its sample data in each of its languages
+    emailTemplateService.getTemplates().forEach(({ name, locales }) => {
+      locales.forEach(locale => {
+        const email = emailTemplateService.preview(name, locale);
+        expect(email.subject).not.toBe('');
+        expect(email.html).toContain(`<html lang="${locale}">`);
+      });
+    });
+  });
+
+  test('should preview templates with sample data in the admin panel', async () => {
+    await request(app).get('/admin/api/email-templates').expect(401);
+
+    const agent = request.agent(app);
+    await agent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+
+    const list = await agent.get('/admin/api/email-templates').expect(200);
+    expect(list.body.templates.map(t => t.name)).toEqual(expect.arrayContaining([
+      'contact-notification', 'auto-reply', 'password-reset', 'newsletter-confirm', 'newsletter-campaign'
+    ]));
+
+    const preview = await agent.get('/admin/api/email-templates/newsletter-confirm/preview?locale=en').expect(200);
+    expect(preview.body.preview.subject).toBe('Confirm your newsletter subscription');
+    expect(preview.body.preview.text).toContain('https://example.com/newsletter/confirm/');
+
+    await agent.get('/admin/api/email-templates/welcome/preview').expect(404);
+    await agent.get('/admin/api/email-templates/layout/preview').expect(404);
+    await agent.get('/admin/api/email-templates/auto-reply/preview?locale=ru').expect(400);
+  });
+});
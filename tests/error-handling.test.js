@@ -325,10 +325,10 @@ describe('Error Handling and Edge Cases', () => {
       const response = await request(app)
         .post('/api/contact')
         .send(xssData)
-        .expect(500); // Expected to fail due to email config
+        .expect(200);
 
       // Should not return 400 (validation error) because content was sanitized
-      expect(response.body).toHaveProperty('error');
+      expect(response.body).toHaveProperty('success', true);
     });
   });
 
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Book, GalleryImage } = require('../src/models');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Fragmenti Gallery Management', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let originalOrder;
+  let testBook;
+  let createdImage;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `galleryadmin${timestamp}`,
+      email: `galleryadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    testBook = new Book({ title: `Galerijas testa grāmata ${timestamp}` });
+    await testBook.save();
+
+    // Keep the existing order so it can be put back
+    originalOrder = (await GalleryImage.findAll()).map(image => image.id);
+  });
+
+  afterAll(async () => {
+    const placeholders = originalOrder.map(() => '?').join(', ') || 'NULL';
+    await database.run(`DELETE FROM gallery_images WHERE id NOT IN (${placeholders})`, originalOrder);
+    if (originalOrder.length) {
+      await GalleryImage.updateOrder(originalOrder);
+    }
+
+    if (testBook && testBook.id) {
+      await Book.deleteById(testBook.id);
+    }
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  describe('Public API', () => {
+    test('GET /api/gallery should return the preview images previously hard-coded in the page', async () => {
+      const response = await request(app)
+        .get('/api/gallery')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.images)).toBe(true);
+      expect(Array.isArray(response.body.groups)).toBe(true);
+
+      const paths = response.body.images.map(image => image.image_path);
+      expect(paths).toEqual(expect.arrayContaining(['/media/book_preview.jpg', '/media/book_preview_3.jpg']));
+    });
+  });
+
+  describe('Admin API', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/admin/api/gallery')
+        .expect(401);
+
+      await request(app)
+        .post('/admin/api/gallery')
+        .send({ image_path: '/media/book_preview.jpg', alt_text: 'Unauthorized' })
+        .expect(401);
+    });
+
+    test('POST /admin/api/gallery should add a captioned image linked to a book', async () => {
+      const response = await authenticatedAgent
+        .post('/admin/api/gallery')
+        .send({
+          image_path: '/media/book_preview_2.jpg',
+          alt_text: 'Mika & Elza skolā',
+          caption: 'Fragments no "jaunās" grāmatas',
+          book_id: testBook.id
+        })
+        .expect(201);
+
+      createdImage = response.body.image;
+      expect(createdImage.id).toBeDefined();
+      expect(createdImage.alt_text).toBe('Mika & Elza skolā');
+      expect(createdImage.caption).toBe('Fragments no "jaunās" grāmatas');
+      expect(createdImage.book_id).toBe(testBook.id);
+      expect(createdImage.book_title).toBe(testBook.title);
+
+      const images = await GalleryImage.findAll();
+      expect(images[images.length - 1].id).toBe(createdImage.id);
+    });
+
+    test('GET /api/gallery should group images by linked book', async () => {
+      const response = await request(app)
+        .get('/api/gallery')
+        .expect(200);
+
+      const group = response.body.groups.find(g => g.book && g.book.id === testBook.id);
+      expect(group).toBeDefined();
+      expect(group.book.title).toBe(testBook.title);
+      expect(group.images.map(image => image.id)).toEqual([createdImage.id]);
+    });
+
+    test('should reject invalid gallery image data', async () => {
+      const response = await authenticatedAgent
+        .post('/admin/api/gallery')
+        .send({ image_path: '../../etc/passwd', alt_text: '' })
+        .expect(400);
+
+      const fields = response.body.details.map(detail => detail.field);
+      expect(fields).toEqual(expect.arrayContaining(['image_path', 'alt_text']));
+    });
+
+    test('should reject a link to a book that does not exist', async () => {
+      await authenticatedAgent
+        .post('/admin/api/gallery')
+        .send({ image_path: '/media/book_preview.jpg', alt_text: 'Nezināma grāmata', book_id: 999999 })
+        .expect(400);
+    });
+
+    test('PUT /admin/api/gallery/:id should update an image', async () => {
+      const response = await authenticatedAgent
+        .put(`/admin/api/gallery/${createdImage.id}`)
+        .send({ image_path: '/media/book_preview_2.jpg', alt_text: 'Jauns apraksts', book_id: testBook.id })
+        .expect(200);
+
+      expect(response.body.image.alt_text).toBe('Jauns apraksts');
+      expect(response.body.image.caption).toBeNull();
+    });
+
+    test('PUT /admin/api/gallery/order should reorder the gallery', async () => {
+      const ids = (await GalleryImage.findAll()).map(image => image.id);
+      const reversed = [...ids].reverse();
+
+      const response = await authenticatedAgent
+        .put('/admin/api/gallery/order')
+        .send({ imageIds: reversed })
+        .expect(200);
+
+      expect(response.body.images.map(image => image.id)).toEqual(reversed);
+    });
+
+    test('should reject an order that does not list every image', async () => {
+      await authenticatedAgent
+        .put('/admin/api/gallery/order')
+        .send({ imageIds: [createdImage.id] })
+        .expect(400);
+    });
+
+    test('deleting a book should keep its images in the gallery', async () => {
+      const book = new Book({ title: 'Dzēšamā grāmata' });
+      await book.save();
+
+      const image = new GalleryImage({
+        image_path: '/media/book_preview.jpg',
+        alt_text: 'Attēls dzēšamai grāmatai',
+        book_id: book.id,
+        order_index: await GalleryImage.getNextOrderIndex()
+      });
+      await image.save();
+
+      await authenticatedAgent
+        .delete(`/admin/api/books/${book.id}`)
+        .expect(200);
+
+      const unlinked = await GalleryImage.findById(image.id);
+      expect(unlinked).not.toBeNull();
+      expect(unlinked.book_id).toBeNull();
+    });
+
+    test('DELETE /admin/api/gallery/:id should remove an image', async () => {
+      await authenticatedAgent
+        .delete(`/admin/api/gallery/${createdImage.id}`)
+        .expect(200);
+
+      expect(await GalleryImage.findById(createdImage.id)).toBeNull();
+
+      await authenticatedAgent
+        .delete(`/admin/api/gallery/${createdImage.id}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const { detectLocale, redirectToPreferredLocale } = require('../src/middleware/locale');
+const localeService = require('../src/services/LocaleService');
+
+// Create test app with the public language routes of server.js
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  const peopleRoutes = require('../src/routes/people');
+  app.use(detectLocale);
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+  app.use('/interesanti', peopleRoutes);
+  app.use('/en/interesanti', peopleRoutes);
+
+  const serveIndex = (req, res) => res.send(localeService.renderIndex(req.locale));
+  app.get('/', redirectToPreferredLocale, serveIndex);
+  app.get('/en', serveIndex);
+
+  return app;
+};
+
+describe('Site Languages', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let blockIds;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `i18nadmin${timestamp}`,
+      email: `i18nadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    const saved = await authenticatedAgent
+      .put('/admin/content/fragmenti')
+      .send({
+        content: [
+          { content_type: 'text', content: '<p>Pirmais fragments</p>' },
+          { content_type: 'image', content: '/media/book_preview.jpg' },
+          { content_type: 'text', content: '<p>Otrais fragments</p>' }
+        ]
+      })
+      .expect(200);
+    blockIds = saved.body.content.map(block => block.id);
+
+    await authenticatedAgent
+      .post('/admin/content/fragmenti/publish')
+      .send({})
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM people_content_translations WHERE person_slug = ?', ['edgars-tocs']);
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('section translations should go live on save and fall back to Latvian per block', async () => {
+    const listed = await authenticatedAgent
+      .get('/admin/content/fragmenti/translations/en')
+      .expect(200);
+    expect(listed.body.blocks.map(block => block.id)).toEqual([blockIds[0], blockIds[2]]);
+    expect(listed.body.blocks[0]).toMatchObject({ source: '<p>Pirmais fragments</p>', translation: '' });
+
+    await authenticatedAgent
+      .put('/admin/content/fragmenti/translations/en')
+      .send({ translations: [{ id: blockIds[0], content: '<p>First <b>excerpt</b><script>alert(1)</script></p>' }] })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/content/fragmenti')
+      .query({ locale: 'en' })
+      .expect(200);
+
+    expect(response.body.meta.locale).toBe('en');
+    expect(response.body.content.map(block => [block.content, block.locale])).toEqual([
+      ['<p>First <b>excerpt</b></p>', 'en'],
+      ['/media/book_preview.jpg', 'lv'],
+      ['<p>Otrais fragments</p>', 'lv']
+    ]);
+
+    // Latvian stays the default, and clearing a translation falls back to it again
+    const latvian = await request(app).get('/api/content/fragmenti').expect(200);
+    expect(latvian.body.content[0]).toMatchObject({ content: '<p>Pirmais fragments</p>', locale: 'lv' });
+
+    const cleared = await authenticatedAgent
+      .put('/admin/content/fragmenti/translations/en')
+      .send({ translations: [{ id: blockIds[0], content: '<p><br></p>' }] })
+      .expect(200);
+    expect(cleared.body).toMatchObject({ saved: 0, removed: 1 });
+  });
+
+  test('should reject unknown locales and blocks that cannot be translated', async () => {
+    await request(app)
+      .get('/api/content/fragmenti')
+      .query({ locale: 'de' })
+      .expect(400);
+
+    await authenticatedAgent
+      .get('/admin/content/fragmenti/translations/lv')
+      .expect(400);
+
+    const imageBlock = await authenticatedAgent
+      .put('/admin/content/fragmenti/translations/en')
+      .send({ translations: [{ id: blockIds[1], content: '<p>Image</p>' }] })
+      .expect(400);
+    expect(imageBlock.body.error).toBe('Invalid block');
+  });
+
+  test('people translations should replace name and text on /en pages', async () => {
+    const saved = await authenticatedAgent
+      .put('/admin/api/people/edgars-tocs/translations/en')
+      .send({ name: 'Edgars Točs (EN)', content: 'Edgars is a journalist & storyteller.\n\nSecond paragraph.' })
+      .expect(200);
+    expect(saved.body.data).toMatchObject({ person_slug: 'edgars-tocs', locale: 'en', person_name: 'Edgars Točs (EN)' });
+
+    const people = await request(app)
+      .get('/api/people')
+      .query({ locale: 'en' })
+      .expect(200);
+    const person = people.body.people.find(item => item.slug === 'edgars-tocs');
+    expect(person).toMatchObject({ name: 'Edgars Točs (EN)', locale: 'en', profileUrl: '/en/interesanti/edgars-tocs' });
+    expect(people.body.people.find(item => item.slug !== 'edgars-tocs').locale).toBe('lv');
+
+    const page = await request(app)
+      .get('/en/interesanti/edgars-tocs')
+      .set('Accept', 'text/html')
+      .expect(200);
+    expect(page.text).toContain('<html lang="en">');
+    expect(page.text).toContain('hreflang="lv" href="http://localhost:3000/interesanti/edgars-tocs"');
+    expect(page.text).toContain('hreflang="en" href="http://localhost:3000/en/interesanti/edgars-tocs"');
+    expect(page.text).toContain('Edgars is a journalist &amp; storyteller.');
+    expect(page.text).toContain('Back to Interesting People');
+    expect(page.text).not.toContain('translation-notice');
+
+    await authenticatedAgent
+      .delete('/admin/api/people/edgars-tocs/translations/en')
+      .expect(200);
+
+    const fallback = await request(app)
+      .get('/en/interesanti/edgars-tocs')
+      .set('Accept', 'text/html')
+      .expect(200);
+    expect(fallback.text).toContain('class="translation-notice"');
+    expect(fallback.text).toContain('lang="lv"');
+  });
+
+  test('should render the main page strings in English', async () => {
+    const response = await request(app).get('/en').expect(200);
+
+    expect(response.text).toContain('<html lang="en"');
+    expect(response.text).toContain('Interesting People');
+    expect(response.text).toContain('window.SITE_STRINGS');
+    expect(response.text).toContain('<link rel="alternate" hreflang="x-default" href="http://localhost:3000/">');
+    expect(response.text).toMatch(/href="\/en\/\?lang=en"[^>]*aria-current="true"/);
+  });
+
+  test('should send visitors of / to their preferred language', async () => {
+    const redirected = await request(app)
+      .get('/')
+      .set('Accept-Language', 'en-GB,en;q=0.9')
+      .expect(302);
+    expect(redirected.headers.location).toBe('/en/');
+    expect(redirected.headers.vary).toContain('Accept-Language');
+
+    await request(app)
+      .get('/')
+      .set('Accept-Language', 'lv,en;q=0.5')
+      .expect(200);
+
+    // A language picked in the switcher wins over Accept-Language
+    const picked = await request(app)
+      .get('/?lang=lv')
+      .set('Accept-Language', 'en')
+      .expect(200);
+    expect(picked.headers['set-cookie'][0]).toContain('site_locale=lv');
+
+    await request(app)
+      .get('/')
+      .set('Accept-Language', 'en')
+      .set('Cookie', 'site_locale=lv')
+      .expect(200);
+  });
+});
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const validator = require('validator');
+const { initializeDatabase, database, AdminUser, Book, Content, ContentSnapshot, GalleryImage, Media } = require('../src/models');
+const imageUsageService = require('../src/services/ImageUsageService');
+const searchService = require('../src/services/SearchService');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Image Usage Tracking', () => {
+  const imageBuffer = fs.readFileSync(path.join(__dirname, '../public/media/book_preview.jpg'));
+  const movedName = `usage-test-${Date.now()}.jpg`;
+  const movedPath = `/media/${movedName}`;
+
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let uploaded;
+  let imageBlock;
+  let textBlock;
+  let book;
+  let galleryImage;
+  let snapshot;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `usageadmin${timestamp}`,
+      email: `usageadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    const response = await authenticatedAgent
+      .post('/admin/upload')
+      .attach('images', imageBuffer, 'usage-test.jpg')
+      .expect(200);
+    uploaded = response.body.files[0];
+
+    // Reference the upload from an image block, an older escaped text block, a book and the gallery
+    imageBlock = new Content({
+      section: 'fragmenti',
+      content_type: 'image',
+      content: JSON.stringify({ src: uploaded.path, alt: 'Testa attēls' })
+    });
+    await imageBlock.save();
+
+    textBlock = new Content({
+      section: 'fragmenti',
+      content_type: 'text',
+      content: validator.escape(`<p><img src="${uploaded.path}"></p>`)
+    });
+    await textBlock.save();
+
+    book = new Book({ title: 'Lietojuma testa grāmata', cover_image: uploaded.path });
+    await book.save();
+
+    galleryImage = new GalleryImage({ image_path: uploaded.path, alt_text: 'Lietojuma tests' });
+    await galleryImage.save();
+
+    snapshot = await ContentSnapshot.capture('fragmenti', testUser.username);
+  });
+
+  afterAll(async () => {
+    for (const item of [imageBlock, textBlock]) {
+      if (item && item.id) await Content.deleteById(item.id);
+    }
+    if (book && book.id) await Book.deleteById(book.id);
+    if (galleryImage && galleryImage.id) await GalleryImage.deleteById(galleryImage.id);
+    if (snapshot && snapshot.id) await database.run('DELETE FROM content_snapshots WHERE id = ?', [snapshot.id]);
+
+    // Clean up the image wherever the tests left it
+    fs.rmSync(path.join(__dirname, '../public/media', movedName), { force: true });
+    await Media.deleteByPath(movedPath);
+    if (uploaded) {
+      fs.rmSync(path.join(__dirname, '../uploads', uploaded.filename), { force: true });
+      await Media.deleteByPath(uploaded.path);
+    }
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should find usages in content blocks, books and the gallery', async () => {
+    const usages = await imageUsageService.findUsages(uploaded.path);
+
+    expect(usages).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'section', id: imageBlock.id, key: 'fragmenti' }),
+      expect.objectContaining({ type: 'section', id: textBlock.id }),
+      expect.objectContaining({ type: 'book', id: book.id, label: 'Book: Lietojuma testa grāmata' }),
+      expect.objectContaining({ type: 'gallery', id: galleryImage.id })
+    ]));
+
+    // Only whole paths match
+    const extension = path.extname(uploaded.path);
+    expect(await imageUsageService.findUsages(uploaded.path.slice(0, -extension.length))).toHaveLength(0);
+    expect(await imageUsageService.findUsages(`/uploads/x${uploaded.filename}`)).toHaveLength(0);
+  });
+
+  test('GET /admin/api/media/:id/usage should list where the image is used', async () => {
+    const response = await authenticatedAgent
+      .get(`/admin/api/media/${uploaded.id}/usage`)
+      .expect(200);
+
+    expect(response.body.usages).toHaveLength(4);
+
+    const list = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ type: 'uploaded', search: 'usage-test' })
+      .expect(200);
+    expect(list.body.media.find(item => item.id === uploaded.id).usage_count).toBe(4);
+
+    await request(app)
+      .get(`/admin/api/media/${uploaded.id}/usage`)
+      .expect(401);
+  });
+
+  test('DELETE /admin/image/:filename should refuse to delete an image in use', async () => {
+    const response = await authenticatedAgent
+      .delete(`/admin/image/${uploaded.filename}`)
+      .expect(409);
+
+    expect(response.body.usages).toHaveLength(4);
+    expect(fs.existsSync(path.join(__dirname, '../uploads', uploaded.filename))).toBe(true);
+  });
+
+  test('POST /admin/image/move-to-media/:filename should keep the image in place if references cannot be updated', async () => {
+    const updateReferences = jest.spyOn(imageUsageService, 'updateReferences').mockRejectedValueOnce(new Error('database is locked'));
+
+    try {
+      await authenticatedAgent
+        .post(`/admin/image/move-to-media/${uploaded.filename}`)
+        .send({ newName: movedName })
+        .expect(500);
+    } finally {
+      updateReferences.mockRestore();
+    }
+
+    expect(fs.existsSync(path.join(__dirname, '../uploads', uploaded.filename))).toBe(true);
+    expect(fs.existsSync(path.join(__dirname, '../public/media', movedName))).toBe(false);
+    expect(await imageUsageService.findUsages(uploaded.path)).toHaveLength(4);
+  });
+
+  test('POST /admin/image/move-to-media/:filename should update every reference', async () => {
+    const reindex = jest.spyOn(searchService, 'reindex');
+
+    const response = await authenticatedAgent
+      .post(`/admin/image/move-to-media/${uploaded.filename}`)
+      .send({ newName: movedName })
+      .expect(200);
+
+    expect(response.body.newPath).toBe(movedPath);
+    expect(response.body.updatedReferences).toBeGreaterThanOrEqual(5);
+
+    expect(JSON.parse((await Content.findById(imageBlock.id)).content).src).toBe(movedPath);
+    expect((await Content.findById(textBlock.id)).content).toContain(validator.escape(movedPath));
+    expect((await Book.findById(book.id)).cover_image).toBe(movedPath);
+    expect((await GalleryImage.findById(galleryImage.id)).image_path).toBe(movedPath);
+
+    // History is rewritten too, so restoring it does not bring back the old path
+    const storedSnapshot = await ContentSnapshot.findById(snapshot.id);
+    expect(JSON.stringify(storedSnapshot.blocks)).not.toContain(uploaded.path);
+
+    expect(await imageUsageService.findUsages(uploaded.path)).toHaveLength(0);
+    expect(await imageUsageService.findUsages(movedPath)).toHaveLength(4);
+
+    // The search index is updated for the content that changed
+    expect(reindex).toHaveBeenCalledWith('section', 'fragmenti');
+    expect(reindex).toHaveBeenCalledWith('book', book.id);
+    reindex.mockRestore();
+  });
+
+  test('DELETE /admin/image/:filename should delete an image once it is unused', async () => {
+    const response = await authenticatedAgent
+      .post('/admin/upload')
+      .attach('images', imageBuffer, 'usage-test-unused.jpg')
+      .expect(200);
+    const unused = response.body.files[0];
+
+    await authenticatedAgent
+      .delete(`/admin/image/${unused.filename}`)
+      .expect(200);
+
+    expect(fs.existsSync(path.join(__dirname, '../uploads', unused.filename))).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const express = require('express');
+const { initializeDatabase, database } = require('../src/models');
+const imageVariantService = require('../src/services/ImageVariantService');
+
+// Create test app serving variants and the public API
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+
+  const imageRoutes = require('../src/routes/images');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/uploads/variants', imageRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Responsive Image Variants', () => {
+  const originalVariantDirectory = imageVariantService.variantDirectory;
+  const imagePath = '/media/book_preview.jpg';
+  let app;
+  let variantDirectory;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    // Keep generated test variants out of the real cache
+    variantDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-variants-'));
+    imageVariantService.variantDirectory = variantDirectory;
+  });
+
+  afterAll(async () => {
+    imageVariantService.variantDirectory = originalVariantDirectory;
+    fs.rmSync(variantDirectory, { recursive: true, force: true });
+
+    await database.close();
+  });
+
+  describe('ImageVariantService', () => {
+    test('should describe smaller widths and WebP copies of an image', async () => {
+      const { width: originalWidth } = await sharp(path.join(__dirname, '../public', imagePath)).metadata();
+      const description = await imageVariantService.describeImage(imagePath);
+
+      expect(description.width).toBe(originalWidth);
+      expect(description.srcset).toContain('/uploads/variants/320/media/book_preview.jpg 320w');
+      expect(description.srcset).toContain(`/media/book_preview.jpg ${originalWidth}w`);
+      expect(description.webpSrcset).toContain('/uploads/variants/320/media/book_preview.jpg.webp 320w');
+      expect(description.webpSrcset).toContain(`/uploads/variants/full/media/book_preview.jpg.webp ${originalWidth}w`);
+
+      // Variants are never wider than the original
+      const widths = description.srcset.split(', ').map(candidate => parseInt(candidate.split(' ')[1], 10));
+      expect(Math.max(...widths)).toBe(originalWidth);
+    });
+
+    test('should encode people image paths for srcset', async () => {
+      const personDirectory = fs.readdirSync(path.join(__dirname, '../public/media/people'))
+        .find(name => name.includes(' '));
+      const imagesDirectory = path.join(__dirname, '../public/media/people', personDirectory, 'images');
+      const imageFile = fs.readdirSync(imagesDirectory).find(file => /\.(jpe?g|png)$/i.test(file));
+
+      const description = await imageVariantService.describeImage(`/media/people/${personDirectory}/images/${imageFile}`);
+
+      expect(description.srcset).toContain(encodeURI(`/media/people/${personDirectory}/images/`));
+      expect(description.srcset).not.toContain(personDirectory);
+    });
+
+    test('should not describe paths outside the image directories', async () => {
+      expect(await imageVariantService.describeImage('/media/../../package.json')).toBeNull();
+      expect(await imageVariantService.describeImage('/uploads/variants/320/media/book_preview.jpg')).toBeNull();
+      expect(await imageVariantService.describeImage('/media/missing-image.jpg')).toBeNull();
+    });
+
+    test('should generate a variant once and cache it on disk', async () => {
+      const variantPath = await imageVariantService.getVariant(imagePath, 320, true);
+
+      expect(variantPath.startsWith(variantDirectory)).toBe(true);
+      const metadata = await sharp(variantPath).metadata();
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(320);
+
+      const { mtimeMs } = fs.statSync(variantPath);
+      expect(await imageVariantService.getVariant(imagePath, 320, true)).toBe(variantPath);
+      expect(fs.statSync(variantPath).mtimeMs).toBe(mtimeMs);
+    });
+
+    test('should only generate the configured widths', async () => {
+      expect(await imageVariantService.getVariant(imagePath, 321)).toBeNull();
+      expect(await imageVariantService.getVariant(imagePath, 'full')).toBeNull();
+    });
+  });
+
+  describe('Variant routes', () => {
+    test('GET /uploads/variants/:width/... should serve a resized image', async () => {
+      const response = await request(app)
+        .get('/uploads/variants/640/media/book_preview.jpg')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      expect((await sharp(response.body).metadata()).width).toBe(640);
+    });
+
+    test('GET /uploads/variants/full/....webp should serve a full-size WebP copy', async () => {
+      const response = await request(app)
+        .get('/uploads/variants/full/media/book_preview.jpg.webp')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+    });
+
+    test('should return 404 for unknown widths and images', async () => {
+      await request(app)
+        .get('/uploads/variants/100/media/book_preview.jpg')
+        .expect(404);
+
+      await request(app)
+        .get('/uploads/variants/320/media/missing-image.jpg')
+        .expect(404);
+    });
+
+    test('should serve images whose names contain a percent sign', async () => {
+      const filename = `sale-50%25-${Date.now()}.jpg`;
+      const uploadPath = path.join(__dirname, '../uploads', filename);
+      fs.copyFileSync(path.join(__dirname, '../public', imagePath), uploadPath);
+
+      try {
+        const response = await request(app)
+          .get(`/uploads/variants/320/uploads/${encodeURIComponent(filename)}`)
+          .expect(200);
+        expect((await sharp(response.body).metadata()).width).toBe(320);
+
+        // Decoded once only: "%25" in the URL is a "%" in the name, not the start of another escape
+        await request(app)
+          .get(`/uploads/variants/320/uploads/${encodeURIComponent(filename.replace('%25', '%'))}`)
+          .expect(404);
+      } finally {
+        fs.rmSync(uploadPath, { force: true });
+      }
+    });
+  });
+
+  describe('Public API', () => {
+    test('GET /api/gallery should include srcsets of the gallery images', async () => {
+      const response = await request(app)
+        .get('/api/gallery')
+        .expect(200);
+
+      const image = response.body.images.find(i => i.image_path === imagePath);
+      expect(image.responsive.webpSrcset).toContain('.webp');
+      expect(response.body.groups[0].images[0].responsive).toBeDefined();
+    });
+
+    test('GET /api/books should include srcsets of the book covers', async () => {
+      const response = await request(app)
+        .get('/api/books')
+        .expect(200);
+
+      const book = response.body.books.find(b => b.cover_image);
+      expect(book.cover_image_responsive.srcset).toContain(book.cover_image);
+      expect(book.cover_image_responsive.webpSrcset).toContain(`/uploads/variants/full${book.cover_image}.webp`);
+    });
+  });
+});
@@ -5,7 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs').promises;
-const { initializeDatabase, database, AdminUser, Content, ContactMessage } = require('../src/models');
+const { initializeDatabase, database, AdminUser, Content, ContactMessage, OutboxEmail } = require('../src/models');
 
 // Create full test app
 const createTestApp = () => {
@@ -166,7 +166,12 @@ describe('Full Application Integration Tests', () => {
       expect(updateContentResponse.body.content).toHaveLength(3);
       expect(updateContentResponse.body.content[0].content).toBe('Updated integration test content.');
 
-      // Step 5: Verify content via public API
+      // Step 5: Publish the draft and verify content via public API
+      await agent
+        .post('/admin/content/interesanti/publish')
+        .send({})
+        .expect(200);
+
       const publicContentResponse = await request(app)
         .get('/api/content/interesanti')
         .expect(200);
@@ -271,15 +276,18 @@ describe('Full Application Integration Tests', () => {
       const submitResponse = await request(app)
         .post('/api/contact')
         .send(contactData)
-        .expect(500); // Expected to fail due to email config in test
+        .expect(200); // The email notification is sent later from the outbox
 
-      expect(submitResponse.body).toHaveProperty('error');
+      expect(submitResponse.body).toHaveProperty('success', true);
 
       // Verify message was saved to database
       const messages = await ContactMessage.findByEmail('integration@example.com');
       expect(messages.length).toBeGreaterThan(0);
       expect(messages[0].name).toBe('Integration Test User');
-      expect(messages[0].status).toBe('failed'); // Failed due to email error
+      // Sent once the outbox delivers the notification, failed if it gives up
+      expect(messages[0].status).toBe('pending');
+      const [notification] = await OutboxEmail.findByContactMessageId(messages[0].id);
+      expect(notification).toMatchObject({ kind: 'contact_notification', status: 'pending' });
 
       // Verify message content
       expect(messages[0].message).toBe(contactData.message);
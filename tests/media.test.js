@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Media } = require('../src/models');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Media Library', () => {
+  const imageBuffer = fs.readFileSync(path.join(__dirname, '../public/media/book_preview.jpg'));
+
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let uploaded;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `mediaadmin${timestamp}`,
+      email: `mediaadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    const response = await authenticatedAgent
+      .post('/admin/upload')
+      .attach('images', imageBuffer, 'media-library-test.jpg')
+      .expect(200);
+    uploaded = response.body.files[0];
+  });
+
+  afterAll(async () => {
+    // Clean up if a test failed before the upload was deleted
+    if (uploaded) {
+      fs.rmSync(path.join(__dirname, '../uploads', uploaded.filename), { force: true });
+      await Media.deleteByPath(uploaded.path);
+    }
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .get('/admin/api/media')
+      .expect(401);
+
+    await request(app)
+      .put(`/admin/api/media/${uploaded.id}`)
+      .send({ alt_text: 'Nav atļauts' })
+      .expect(401);
+  });
+
+  test('should backfill existing media files into the library', async () => {
+    await Media.syncWithFiles();
+
+    const media = await Media.findByPath('/media/book_preview.jpg');
+    expect(media).not.toBeNull();
+    expect(media.type).toBe('media');
+    expect(media.mime_type).toBe('image/jpeg');
+    expect(media.width).toBeGreaterThan(0);
+
+    // Syncing again does not add duplicates
+    expect((await Media.syncWithFiles()).added).toBe(0);
+  });
+
+  test('POST /admin/upload should add uploads to the library', async () => {
+    const response = await authenticatedAgent
+      .get(`/admin/api/media/${uploaded.id}`)
+      .expect(200);
+
+    expect(response.body.media.path).toBe(uploaded.path);
+    expect(response.body.media.type).toBe('uploaded');
+    expect(response.body.media.uploaded_by).toBe(testUser.username);
+
+    const images = await authenticatedAgent
+      .get('/admin/images')
+      .expect(200);
+    expect(images.body.images.some(image => image.id === uploaded.id)).toBe(true);
+  });
+
+  test('PUT /admin/api/media/:id should update alt text, caption, credit and tags', async () => {
+    const response = await authenticatedAgent
+      .put(`/admin/api/media/${uploaded.id}`)
+      .send({
+        alt_text: 'Grāmatas "Sapņu" vāks',
+        caption: 'Jaunā grāmata',
+        credit: 'Foto: Jānis Bērziņš',
+        tags: ['Grāmatas', 'vāki', 'grāmatas']
+      })
+      .expect(200);
+
+    expect(response.body.media.alt_text).toBe('Grāmatas "Sapņu" vāks');
+    expect(response.body.media.credit).toBe('Foto: Jānis Bērziņš');
+    expect(response.body.media.tags).toEqual(['grāmatas', 'vāki']);
+
+    await authenticatedAgent
+      .put(`/admin/api/media/${uploaded.id}`)
+      .send({ tags: ['<script>'] })
+      .expect(400);
+
+    await authenticatedAgent
+      .put(`/admin/api/media/${uploaded.id}`)
+      .send({ alt_text: 'x'.repeat(301) })
+      .expect(400);
+
+    await authenticatedAgent
+      .put('/admin/api/media/999999')
+      .send({ alt_text: 'Nav' })
+      .expect(404);
+  });
+
+  test('GET /admin/api/media should search and filter by tag and type with pagination', async () => {
+    const bySearch = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ search: 'sapņu' })
+      .expect(200);
+    expect(bySearch.body.media.map(item => item.id)).toEqual([uploaded.id]);
+
+    const byTag = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ tag: 'Grāmatas', type: 'uploaded' })
+      .expect(200);
+    expect(byTag.body.media.map(item => item.id)).toEqual([uploaded.id]);
+
+    const otherType = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ tag: 'grāmatas', type: 'media' })
+      .expect(200);
+    expect(otherType.body.media).toHaveLength(0);
+
+    // LIKE wildcards are matched literally
+    const wildcard = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ search: '%' })
+      .expect(200);
+    expect(wildcard.body.pagination.total).toBe(0);
+
+    const firstPage = await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ limit: 1, page: 1 })
+      .expect(200);
+    expect(firstPage.body.media).toHaveLength(1);
+    expect(firstPage.body.pagination.totalPages).toBe(firstPage.body.pagination.total);
+
+    await authenticatedAgent
+      .get('/admin/api/media')
+      .query({ limit: 500 })
+      .expect(400);
+
+    const tags = await authenticatedAgent
+      .get('/admin/api/media/tags')
+      .expect(200);
+    expect(tags.body.tags).toEqual(expect.arrayContaining([{ tag: 'grāmatas', count: 1 }]));
+  });
+
+  test('DELETE /admin/image/:filename should remove the library entry', async () => {
+    await authenticatedAgent
+      .delete(`/admin/image/${uploaded.filename}`)
+      .expect(200);
+
+    expect(await Media.findByPath(uploaded.path)).toBeNull();
+
+    await authenticatedAgent
+      .get(`/admin/api/media/${uploaded.id}`)
+      .expect(404);
+
+    uploaded = null;
+  });
+});
@@ -113,4 +113,53 @@ describe('Database Models', () => {
       expect(errors.length).toBeGreaterThan(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('Database transactions', () => {
+    const keyPrefix = `transaction-test-${Date.now()}`;
+    const setValue = (key, value) =>
+      database.run('INSERT INTO settings (key, value) VALUES (?, ?)', [`${keyPrefix}-${key}`, JSON.stringify(value)]);
+    const getValue = async (key) => {
+      const row = await database.get('SELECT value FROM settings WHERE key = ?', [`${keyPrefix}-${key}`]);
+      return row ? JSON.parse(row.value) : null;
+    };
+
+    afterAll(async () => {
+      await database.run('DELETE FROM settings WHERE key LIKE ?', [`${keyPrefix}-%`]);
+    });
+
+    test('should keep writes made outside a transaction that is rolled back', async () => {
+      let started;
+      const transactionStarted = new Promise(resolve => { started = resolve; });
+
+      const failing = database.transaction(async () => {
+        await setValue('rolled-back', 1);
+        started();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        throw new Error('Failed on purpose');
+      });
+
+      // Another request writing while the transaction is open
+      await transactionStarted;
+      const outside = setValue('outside', 2);
+
+      await expect(failing).rejects.toThrow('Failed on purpose');
+      await outside;
+
+      expect(await getValue('rolled-back')).toBeNull();
+      expect(await getValue('outside')).toBe(2);
+    });
+
+    test('should run transactions started at the same time one after the other', async () => {
+      const results = await Promise.all([1, 2, 3].map(number => database.transaction(async () => {
+        await setValue(`concurrent-${number}`, number);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return number;
+      })));
+
+      expect(results).toEqual([1, 2, 3]);
+      for (const number of results) {
+        expect(await getValue(`concurrent-${number}`)).toBe(number);
+      }
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, AuditLog, OutboxEmail, Subscriber } = require('../src/models');
+const emailService = require('../src/services/EmailService');
+const outboxService = require('../src/services/OutboxService');
+
+// Create test app with the public API and the admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  app.use('/api', require('../src/routes/api'));
+  app.use('/admin', require('../src/routes/admin'));
+
+  return app;
+};
+
+describe('Newsletter', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let editor;
+  let viewer;
+  let editorAgent;
+  let sendMail;
+
+  // Subscribe an address and return the token from the confirmation email, if one was sent
+  const subscribe = async (email, locale = 'lv') => {
+    sendMail.mockClear();
+    await request(app)
+      .post('/api/newsletter/subscribe')
+      .send({ email, locale })
+      .expect(200);
+
+    if (!sendMail.mock.calls.length) {
+      return null;
+    }
+    return sendMail.mock.calls[0][0].text.match(/\/newsletter\/confirm\/([0-9a-f]{64})/)[1];
+  };
+
+  const confirm = async (email, locale) => {
+    const token = await subscribe(email, locale);
+    await request(app).post('/api/newsletter/confirm').send({ token }).expect(200);
+    return Subscriber.findByEmail(email);
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    editor = new AdminUser({ username: `newseditor${timestamp}`, email: `newseditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    viewer = new AdminUser({ username: `newsviewer${timestamp}`, email: `newsviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+
+    editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  beforeEach(() => {
+    sendMail = jest.spyOn(emailService, 'sendMail').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM email_outbox WHERE to_address LIKE ?', [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM newsletter_campaigns WHERE created_by = ?', [editor.id]);
+    await database.run('DELETE FROM subscribers WHERE email LIKE ?', [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [editor.id, viewer.id]);
+    await database.close();
+  });
+
+  test('should subscribe only after the address is confirmed', async () => {
+    const address = `reader${timestamp}@example.com`;
+    const token = await subscribe(address, 'en');
+
+    expect(sendMail.mock.calls[0][0].to).toBe(address);
+    expect(sendMail.mock.calls[0][0].text).toContain(`/newsletter/confirm/${token}?lang=en`);
+    expect((await Subscriber.findByEmail(address)).status).toBe('pending');
+
+    // Only the hash of the token is stored
+    const row = await database.get('SELECT * FROM subscribers WHERE email = ?', [address]);
+    expect(row.confirm_token_hash).not.toBe(token);
+
+    await request(app).post('/api/newsletter/confirm').send({ token }).expect(200);
+    expect((await Subscriber.findByEmail(address)).status).toBe('confirmed');
+
+    // The link works once
+    await request(app).post('/api/newsletter/confirm').send({ token }).expect(404);
+    await request(app).post('/api/newsletter/confirm').send({ token: 'abc' }).expect(400);
+  });
+
+  test('should answer the same whatever the address and not repeat confirmation emails', async () => {
+    // Already confirmed: no new email
+    expect(await subscribe(`reader${timestamp}@example.com`)).toBeNull();
+
+    const address = `pending${timestamp}@example.com`;
+    expect(await subscribe(address)).not.toBeNull();
+    expect(await subscribe(address.toUpperCase())).toBeNull();
+
+    await request(app)
+      .post('/api/newsletter/subscribe')
+      .send({ email: 'not-an-email' })
+      .expect(400);
+
+    // A filled honeypot is answered like a real sign-up but stores nothing
+    sendMail.mockClear();
+    const bot = await request(app)
+      .post('/api/newsletter/subscribe')
+      .send({ email: `bot${timestamp}@example.com`, website: 'http://spam.example' })
+      .expect(200);
+    expect(bot.body.success).toBe(true);
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(await Subscriber.findByEmail(`bot${timestamp}@example.com`)).toBeNull();
+  });
+
+  test('should unsubscribe with the link from campaign emails', async () => {
+    const subscriber = await confirm(`leaving${timestamp}@example.com`);
+
+    await request(app).post('/api/newsletter/unsubscribe').send({ token: subscriber.unsubscribe_token }).expect(200);
+    expect((await Subscriber.findByEmail(subscriber.email)).status).toBe('unsubscribed');
+
+    // Opening the link again does no harm
+    await request(app).post('/api/newsletter/unsubscribe').send({ token: subscriber.unsubscribe_token }).expect(200);
+    await request(app).post('/api/newsletter/unsubscribe').send({ token: 'f'.repeat(64) }).expect(404);
+
+    const list = await editorAgent.get('/admin/api/newsletter/subscribers?status=unsubscribed').expect(200);
+    expect(list.body.subscribers.map(s => s.email)).toContain(subscriber.email);
+    expect(list.body.subscribers[0].unsubscribe_token).toBeUndefined();
+  });
+
+  test('should let editors write, preview and test a campaign', async () => {
+    const created = await editorAgent
+      .post('/admin/api/newsletter/campaigns')
+      .send({ subject: 'Jauna grāmata', body: 'Sveiki!\n\nIznākusi grāmata "Zaķis & draugi": https://example.com/gramata.' })
+      .expect(201);
+    const campaign = created.body.campaign;
+    expect(campaign).toMatchObject({ status: 'draft', delivery: null });
+
+    const preview = await editorAgent.get(`/admin/api/newsletter/campaigns/${campaign.id}/preview`).expect(200);
+    expect(preview.body.preview.html).toContain('&quot;Zaķis &amp; draugi&quot;');
+    // The full stop after the address is not part of the link
+    expect(preview.body.preview.html).toMatch(/<a href="[^"]+gramata">[^<]+gramata<\/a>\.<\/p>/);
+    expect(preview.body.preview.html).toContain('/newsletter/unsubscribe/preview');
+
+    await editorAgent.post(`/admin/api/newsletter/campaigns/${campaign.id}/test`).send({}).expect(200);
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: editor.email, subject: '[Test] Jauna grāmata' }));
+
+    sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+    await editorAgent.post(`/admin/api/newsletter/campaigns/${campaign.id}/test`).send({}).expect(502);
+
+    const viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+    await viewerAgent.get(`/admin/api/newsletter/campaigns/${campaign.id}`).expect(200);
+    await viewerAgent.put(`/admin/api/newsletter/campaigns/${campaign.id}`).send({ subject: 'X', body: 'Y' }).expect(403);
+    await viewerAgent.post(`/admin/api/newsletter/campaigns/${campaign.id}/send`).expect(403);
+  });
+
+  test('should queue a campaign once for each confirmed subscriber', async () => {
+    const english = await confirm(`english${timestamp}@example.com`, 'en');
+
+    const created = await editorAgent
+      .post('/admin/api/newsletter/campaigns')
+      .send({ subject: 'Pavasara jaunumi', body: 'Tiekamies bibliotēkā!' })
+      .expect(201);
+    const id = created.body.campaign.id;
+
+    const sent = await editorAgent.post(`/admin/api/newsletter/campaigns/${id}/send`).expect(200);
+    expect(sent.body.campaign).toMatchObject({ status: 'sent', sent_by: editor.id });
+
+    const { items } = await OutboxEmail.search({ campaignId: id, limit: 100 });
+    const recipients = items.map(email => email.to_address);
+    expect(recipients).toEqual(expect.arrayContaining([`reader${timestamp}@example.com`, english.email]));
+    expect(recipients).not.toContain(`pending${timestamp}@example.com`);
+    expect(recipients).not.toContain(`leaving${timestamp}@example.com`);
+    expect(items.every(email => email.kind === 'newsletter' && email.status === 'pending')).toBe(true);
+
+    // Each email carries its recipient's own unsubscribe link, in their language
+    const englishEmail = await OutboxEmail.findById(items.find(email => email.to_address === english.email).id);
+    expect(englishEmail.text_body).toContain(`/newsletter/unsubscribe/${english.unsubscribe_token}?lang=en`);
+
+    // Sent campaigns can be neither sent again nor edited
+    await editorAgent.post(`/admin/api/newsletter/campaigns/${id}/send`).expect(409);
+    await editorAgent.put(`/admin/api/newsletter/campaigns/${id}`).send({ subject: 'X', body: 'Y' }).expect(409);
+    await editorAgent.delete(`/admin/api/newsletter/campaigns/${id}`).expect(409);
+
+    const deliveries = await editorAgent.get(`/admin/api/newsletter/campaigns/${id}/deliveries`).expect(200);
+    expect(deliveries.body.counts.pending).toBe(items.length);
+    expect(deliveries.body.pagination.total).toBe(items.length);
+
+    const { items: entries } = await AuditLog.search({ username: editor.username, action: 'newsletter.campaign_send' });
+    expect(JSON.parse(entries[0].after_summary)).toMatchObject({ subject: 'Pavasara jaunumi', recipients: items.length });
+  });
+
+  test('should not send campaign emails to people who unsubscribed after it was queued', async () => {
+    const staying = await confirm(`staying${timestamp}@example.com`);
+    const leaving = await confirm(`late${timestamp}@example.com`);
+
+    const created = await editorAgent
+      .post('/admin/api/newsletter/campaigns')
+      .send({ subject: 'Vasaras jaunumi', body: 'Lasām kopā!' })
+      .expect(201);
+    const id = created.body.campaign.id;
+    await editorAgent.post(`/admin/api/newsletter/campaigns/${id}/send`).expect(200);
+
+    const { items } = await OutboxEmail.search({ campaignId: id, limit: 100 });
+    const [stayingEmail, leavingEmail] = [staying, leaving].map(subscriber => items.find(email => email.to_address === subscriber.email));
+
+    await request(app).post('/api/newsletter/unsubscribe').send({ token: leaving.unsubscribe_token }).expect(200);
+
+    sendMail.mockClear();
+    for (const email of [stayingEmail, leavingEmail]) {
+      expect(await email.claim()).toBe(true);
+      await outboxService.deliver(email);
+    }
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0].to).toBe(staying.email);
+    expect((await OutboxEmail.findById(stayingEmail.id)).status).toBe('sent');
+    expect(await OutboxEmail.findById(leavingEmail.id)).toBeNull();
+  });
+
+  test('should queue nothing and keep the draft when queueing fails part way', async () => {
+    const created = await editorAgent
+      .post('/admin/api/newsletter/campaigns')
+      .send({ subject: 'Rudens jaunumi', body: 'Drīz jauna grāmata.' })
+      .expect(201);
+    const id = created.body.campaign.id;
+
+    // The first email is stored, the second one fails
+    const save = OutboxEmail.prototype.save;
+    let calls = 0;
+    const failingSave = jest.spyOn(OutboxEmail.prototype, 'save').mockImplementation(function () {
+      calls++;
+      return calls === 2 ? Promise.reject(new Error('disk I/O error')) : save.call(this);
+    });
+
+    try {
+      await editorAgent.post(`/admin/api/newsletter/campaigns/${id}/send`).expect(500);
+    } finally {
+      failingSave.mockRestore();
+    }
+
+    expect((await OutboxEmail.search({ campaignId: id, limit: 100 })).items).toHaveLength(0);
+    const draft = await editorAgent.get(`/admin/api/newsletter/campaigns/${id}`).expect(200);
+    expect(draft.body.campaign.status).toBe('draft');
+
+    // Once the problem is gone the campaign can be sent
+    const sent = await editorAgent.post(`/admin/api/newsletter/campaigns/${id}/send`).expect(200);
+    expect(sent.body.campaign.status).toBe('sent');
+    expect((await OutboxEmail.search({ campaignId: id, limit: 100 })).items).toHaveLength(sent.body.campaign.recipient_count);
+  });
+});
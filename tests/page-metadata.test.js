@@ -0,0 +1,137 @@
+const request = require('supertest');
+const express = require('express');
+const { initializeDatabase, database, Book } = require('../src/models');
+const { detectLocale } = require('../src/middleware/locale');
+const PeopleRepository = require('../src/models/PeopleRepository');
+const peopleDataService = require('../src/services/PeopleDataService');
+const pageMetadataService = require('../src/services/PageMetadataService');
+
+// Create test app with the public pages of server.js
+const createTestApp = () => {
+  const app = express();
+
+  const peopleRoutes = require('../src/routes/people');
+  app.use(detectLocale);
+  app.use('/interesanti', peopleRoutes);
+  app.use('/en/interesanti', peopleRoutes);
+
+  const serveIndex = async (req, res) => res.send(await pageMetadataService.renderHomePage(req.locale));
+  app.get('/', serveIndex);
+  app.get('/en', serveIndex);
+
+  return app;
+};
+
+// Values of the JSON-LD scripts in a page
+const jsonLd = (html) => [...html.matchAll(/<script type="application\/ld\+json">\n([\s\S]*?)\n<\/script>/g)]
+  .map(match => JSON.parse(match[1]));
+
+const meta = (html, name) => {
+  const match = html.match(new RegExp(`<meta (?:property|name)="${name}" content="([^"]*)">`));
+  return match ? match[1] : null;
+};
+
+describe('Page Metadata', () => {
+  let app;
+  let person;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const repository = new PeopleRepository(peopleDataService);
+    await repository.initialize();
+    person = repository.getAll().find(p => p.hasContent() && p.hasImages());
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should describe a profile for shared links', async () => {
+    expect(person).toBeDefined();
+
+    const response = await request(app)
+      .get(`/interesanti/${person.slug}`)
+      .set('Accept', 'text/html')
+      .expect(200);
+    const html = response.text;
+
+    expect(meta(html, 'og:type')).toBe('article');
+    expect(meta(html, 'og:url')).toBe(`http://localhost:3000/interesanti/${person.slug}`);
+    expect(meta(html, 'og:locale')).toBe('lv_LV');
+    expect(meta(html, 'og:image')).toBe(`http://localhost:3000${encodeURI(person.getMainImage().path)}`);
+    expect(meta(html, 'twitter:card')).toBe('summary_large_image');
+    expect(meta(html, 'twitter:image')).toBe(meta(html, 'og:image'));
+
+    // The summary is the beginning of the profile text
+    const description = meta(html, 'og:description');
+    expect(description.length).toBeGreaterThan(0);
+    expect(description.length).toBeLessThanOrEqual(170);
+    expect(meta(html, 'twitter:description')).toBe(description);
+
+    const [article] = jsonLd(html);
+    expect(article).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Article',
+      url: `http://localhost:3000/interesanti/${person.slug}`,
+      image: meta(html, 'og:image'),
+      about: { '@type': 'Person' },
+      author: { '@type': 'Person', name: 'Ilze Skrastiņa' }
+    });
+  });
+
+  test('should give the English profile its own address and language', async () => {
+    const response = await request(app)
+      .get(`/en/interesanti/${person.slug}`)
+      .set('Accept', 'text/html')
+      .expect(200);
+
+    expect(meta(response.text, 'og:url')).toBe(`http://localhost:3000/en/interesanti/${person.slug}`);
+    expect(meta(response.text, 'og:locale')).toBe('en_GB');
+    expect(meta(response.text, 'og:locale:alternate')).toBe('lv_LV');
+    expect(meta(response.text, 'og:title')).toMatch(/ - Ilze Skrastiņa$/);
+  });
+
+  test('should describe the author and each book on the home page', async () => {
+    const books = await Book.findAll();
+    expect(books.length).toBeGreaterThan(0);
+
+    const response = await request(app).get('/en').expect(200);
+    const html = response.text;
+
+    expect(meta(html, 'og:title')).toBe('Ilze Skrastiņa - Children\'s Book Author');
+    expect(meta(html, 'og:url')).toBe('http://localhost:3000/en/');
+    expect(meta(html, 'og:image')).toBe('http://localhost:3000/media/author.jpg');
+
+    const [{ '@graph': graph }] = jsonLd(html);
+    const [author, ...bookItems] = graph;
+    expect(author).toMatchObject({ '@type': 'Person', '@id': 'http://localhost:3000/#author', name: 'Ilze Skrastiņa', jobTitle: 'Writer and journalist' });
+    expect(bookItems.map(book => book.name)).toEqual(books.map(book => book.title));
+    expect(bookItems[0]).toMatchObject({
+      '@type': 'Book',
+      author: { '@id': author['@id'] },
+      image: `http://localhost:3000${books[0].cover_image}`
+    });
+
+    // The Latvian page keeps its own title
+    const latvian = await request(app).get('/').expect(200);
+    expect(meta(latvian.text, 'og:title')).toBe('Ilze Skrastiņa - Bērnu grāmatu autore');
+  });
+
+  test('should escape text from the content', () => {
+    const tags = pageMetadataService.renderSocialTags({
+      title: 'Anna "A" <b>',
+      description: 'Zaķis & draugi',
+      url: 'http://localhost:3000/',
+      locale: 'lv'
+    });
+    expect(tags).toContain('<meta property="og:title" content="Anna &quot;A&quot; &lt;b&gt;">');
+    expect(tags).toContain('<meta property="og:description" content="Zaķis &amp; draugi">');
+    expect(tags).toContain('<meta name="twitter:card" content="summary">');
+
+    const script = pageMetadataService.renderJsonLd({ '@type': 'Book', name: '</script><script>alert(1)</script>' });
+    expect(script.match(/<\/script>/g)).toHaveLength(1);
+    expect(jsonLd(script)[0].name).toBe('</script><script>alert(1)</script>');
+  });
+});
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const peopleDataService = require('../src/services/PeopleDataService');
+const peopleImportService = require('../src/services/PeopleImportService');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+// Build a minimal Word document with a heading, two paragraphs and one embedded photo
+const createDocx = async () => {
+  const zip = new JSZip();
+  const paragraph = (text, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Default Extension="jpg" ContentType="image/jpeg"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/_rels/document.xml.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image1.jpg"/>' +
+    '</Relationships>');
+  zip.file('word/media/image1.jpg', fs.readFileSync(path.join(__dirname, '../public/media/book_preview.jpg')));
+  zip.file('word/document.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"' +
+    ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"' +
+    ' xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"' +
+    ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"' +
+    ' xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><w:body>' +
+    paragraph('Importa Persona', 'Heading1') +
+    paragraph('Importa Persona ir testa persona, kuras stāsts tika augšupielādēts kā Word dokuments.') +
+    '<w:p><w:r><w:drawing><wp:inline><wp:extent cx="990000" cy="792000"/><wp:docPr id="1" name="Attēls 1"/>' +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+    '<pic:nvPicPr><pic:cNvPr id="0" name="image1.jpg"/><pic:cNvPicPr/></pic:nvPicPr>' +
+    '<pic:blipFill><a:blip r:embed="rId1"/></pic:blipFill><pic:spPr/></pic:pic></a:graphicData></a:graphic>' +
+    '</wp:inline></w:drawing></w:r></w:p>' +
+    paragraph('Otrā rindkopa par sapņiem &amp; panākumiem.') +
+    '</w:body></w:document>');
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Interesanti Word Document Import', () => {
+  const personName = 'Importa Persona';
+  const slug = 'importa-persona';
+  const personDirectory = path.join(peopleDataService.peopleDirectory, personName);
+
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let docx;
+
+  const uploadDocument = (buffer = docx, filename = 'Importa_Persona.docx') =>
+    authenticatedAgent
+      .post('/admin/api/people/import')
+      .attach('document', buffer, filename);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+    docx = await createDocx();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `importadmin${timestamp}`,
+      email: `importadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    // Clean up if a test failed before the person was deleted
+    await peopleDataService.deletePerson(slug);
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .post('/admin/api/people/import')
+      .attach('document', docx, 'Importa_Persona.docx')
+      .expect(401);
+  });
+
+  test('should reject files that are not Word documents', async () => {
+    await uploadDocument(Buffer.from('not a document'), 'notes.txt')
+      .expect(400);
+
+    await uploadDocument(Buffer.from('not a document'), 'broken.docx')
+      .expect(400);
+  });
+
+  test('POST /admin/api/people/import should convert the document into a preview', async () => {
+    const response = await uploadDocument().expect(201);
+    const preview = response.body.data;
+
+    expect(preview.importId).toMatch(/^[a-f0-9]{16}$/);
+    expect(preview.suggestedName).toBe(personName);
+    expect(preview.suggestedSlug).toBe(slug);
+    expect(preview.images).toEqual([
+      { filename: 'image1.jpg', url: `/admin/api/people/import/${preview.importId}/images/image1.jpg` }
+    ]);
+    expect(preview.html).toContain(`src="/admin/api/people/import/${preview.importId}/images/image1.jpg"`);
+    expect(preview.html).not.toContain('style=');
+    expect(preview.text).toContain('Otrā rindkopa par sapņiem & panākumiem.');
+
+    // Discarding removes the staged files
+    await authenticatedAgent
+      .delete(`/admin/api/people/import/${preview.importId}`)
+      .expect(200);
+
+    expect(fs.existsSync(path.join(peopleImportService.importDirectory, preview.importId))).toBe(false);
+
+    await authenticatedAgent
+      .delete(`/admin/api/people/import/${preview.importId}`)
+      .expect(404);
+  });
+
+  test('should show staged images to editors only, outside the public uploads', async () => {
+    const preview = (await uploadDocument().expect(201)).body.data;
+    const uploadsDirectory = path.join(__dirname, '../uploads');
+
+    expect(path.relative(uploadsDirectory, peopleImportService.importDirectory).startsWith('..')).toBe(true);
+
+    const image = await authenticatedAgent
+      .get(preview.images[0].url)
+      .expect(200);
+    expect(image.headers['content-type']).toBe('image/jpeg');
+    expect(image.headers['cache-control']).toBe('private, no-store');
+
+    await request(app)
+      .get(preview.images[0].url)
+      .expect(401);
+
+    await authenticatedAgent
+      .get(`/admin/api/people/import/${preview.importId}/images/import.json`)
+      .expect(404);
+
+    await authenticatedAgent
+      .get(`/admin/api/people/import/${preview.importId}/images/image2.jpg`)
+      .expect(404);
+
+    await peopleImportService.discardImport(preview.importId);
+
+    await authenticatedAgent
+      .get(preview.images[0].url)
+      .expect(404);
+  });
+
+  test('POST /admin/api/people/import/:importId should save the person with extracted images', async () => {
+    const preview = (await uploadDocument().expect(201)).body.data;
+
+    await authenticatedAgent
+      .post(`/admin/api/people/import/${preview.importId}`)
+      .send({ name: '../etc' })
+      .expect(400);
+
+    const response = await authenticatedAgent
+      .post(`/admin/api/people/import/${preview.importId}`)
+      .send({ name: personName })
+      .expect(201);
+
+    expect(response.body.data.slug).toBe(slug);
+    expect(response.body.data.imageCount).toBe(1);
+    expect(fs.existsSync(path.join(personDirectory, 'Importa_Persona.docx.html'))).toBe(true);
+    expect(fs.existsSync(path.join(personDirectory, 'images', 'image1.jpg'))).toBe(true);
+    expect(fs.existsSync(path.join(peopleImportService.importDirectory, preview.importId))).toBe(false);
+
+    const profile = await request(app)
+      .get(`/api/people/${slug}`)
+      .expect(200);
+    expect(profile.body.person.images).toHaveLength(1);
+    expect(profile.body.person.content.text).toContain('Otrā rindkopa par sapņiem');
+  });
+
+  test('should not import a person whose slug is already taken', async () => {
+    const preview = (await uploadDocument().expect(201)).body.data;
+
+    await authenticatedAgent
+      .post(`/admin/api/people/import/${preview.importId}`)
+      .send({ name: personName })
+      .expect(409);
+
+    await peopleImportService.discardImport(preview.importId);
+  });
+
+  test('should return 404 for an unknown import', async () => {
+    await authenticatedAgent
+      .post('/admin/api/people/import/0123456789abcdef')
+      .send({ name: personName })
+      .expect(404);
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const peopleDataService = require('../src/services/PeopleDataService');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Interesanti People Management', () => {
+  const personName = 'Testa Persona Jānis';
+  const slug = 'testa-persona-janis';
+  const personDirectory = path.join(peopleDataService.peopleDirectory, personName);
+  const content = 'Jānis ir testa persona, kuras stāsts tiek izveidots no administrācijas paneļa.\n\nOtrā rindkopa par sapņiem un panākumiem.';
+
+  let app;
+  let testUser;
+  let authenticatedAgent;
+
+  const getPublicSlugs = async () => {
+    const response = await request(app)
+      .get('/api/people')
+      .expect(200);
+    return response.body.people.map(person => person.slug);
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `peopleadmin${timestamp}`,
+      email: `peopleadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    // Clean up if a test failed before the person was deleted
+    await peopleDataService.deletePerson(slug);
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .post('/admin/api/people')
+      .send({ name: personName, content })
+      .expect(401);
+
+    await request(app)
+      .delete(`/admin/api/people/${slug}`)
+      .expect(401);
+  });
+
+  test('should reject invalid person data', async () => {
+    const response = await authenticatedAgent
+      .post('/admin/api/people')
+      .send({ name: '../etc', content: 'Par īsu', images: ['/etc/passwd'] })
+      .expect(400);
+
+    const fields = response.body.details.map(detail => detail.field);
+    expect(fields).toEqual(expect.arrayContaining(['name', 'content', 'images[0]']));
+  });
+
+  test('POST /admin/api/people should create a person shown without a restart', async () => {
+    // Load the public list first so the cached repository has to pick up the change
+    expect(await getPublicSlugs()).not.toContain(slug);
+
+    const response = await authenticatedAgent
+      .post('/admin/api/people')
+      .send({ name: personName, content, images: ['/media/book_preview.jpg'] })
+      .expect(201);
+
+    expect(response.body.data.slug).toBe(slug);
+    expect(response.body.data.imageCount).toBe(1);
+    expect(fs.existsSync(path.join(personDirectory, `${slug}.html`))).toBe(true);
+
+    expect(await getPublicSlugs()).toContain(slug);
+
+    const profile = await request(app)
+      .get(`/api/people/${slug}`)
+      .expect(200);
+    expect(profile.body.person.content.text).toBe(content);
+    expect(profile.body.person.images).toHaveLength(1);
+  });
+
+  test('should reject a person whose slug is already taken', async () => {
+    await authenticatedAgent
+      .post('/admin/api/people')
+      .send({ name: 'testa persona janis', content })
+      .expect(409);
+  });
+
+  test('hiding a person should take them off the public list until shown again', async () => {
+    await authenticatedAgent
+      .post(`/admin/api/people/${slug}/unpublish`)
+      .expect(200);
+
+    expect(await getPublicSlugs()).not.toContain(slug);
+
+    const adminList = await authenticatedAgent
+      .get('/admin/api/people')
+      .expect(200);
+    expect(adminList.body.data.find(person => person.slug === slug).hidden).toBe(true);
+
+    await authenticatedAgent
+      .post(`/admin/api/people/${slug}/publish`)
+      .send({})
+      .expect(200);
+
+    expect(await getPublicSlugs()).toContain(slug);
+  });
+
+  test('DELETE /admin/api/people/:slug should delete the person', async () => {
+    await authenticatedAgent
+      .delete(`/admin/api/people/${slug}`)
+      .expect(200);
+
+    expect(fs.existsSync(personDirectory)).toBe(false);
+    expect(await getPublicSlugs()).not.toContain(slug);
+
+    await request(app)
+      .get(`/api/people/${slug}`)
+      .expect(404);
+
+    await authenticatedAgent
+      .delete(`/admin/api/people/${slug}`)
+      .expect(404);
+  });
+});
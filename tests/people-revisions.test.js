@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const PeopleContentRepository = require('../src/models/PeopleContentRepository');
+const contentDiffService = require('../src/services/ContentDiffService');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('People Content Revision History', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let repository;
+  const slug = 'test-revision-person';
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+    repository = new PeopleContentRepository();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `revadmin${timestamp}`,
+      email: `revadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    await repository.create({
+      personSlug: slug,
+      personName: 'Test Revision Person',
+      content: 'First version of the interview.\nSecond line stays the same.',
+      updatedBy: testUser.username
+    });
+  });
+
+  afterAll(async () => {
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await repository.deleteBySlug(slug);
+    await database.close();
+  });
+
+  describe('Repository', () => {
+    test('should record a revision on create and on every update', async () => {
+      await repository.update(slug, 'Edited version of the interview.\nSecond line stays the same.', testUser.username);
+
+      const result = await repository.getRevisions(slug);
+      expect(result.pagination.total).toBe(2);
+      expect(result.data[0].content).toContain('Edited version');
+      expect(result.data[0].createdBy).toBe(testUser.username);
+      expect(result.data[1].changeNote).toBe('Created');
+    });
+
+    test('should create a baseline revision for content saved before tracking', async () => {
+      const legacySlug = 'test-revision-legacy';
+      await database.run(
+        `INSERT INTO people_content (person_slug, person_name, content, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [legacySlug, 'Legacy Person', 'Legacy content from the file import.', 'system', '2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z']
+      );
+
+      try {
+        await repository.update(legacySlug, 'Legacy content after the first edit.', testUser.username);
+
+        const result = await repository.getRevisions(legacySlug);
+        expect(result.pagination.total).toBe(2);
+        expect(result.data[1].content).toBe('Legacy content from the file import.');
+        expect(result.data[1].changeNote).toBe('Original version');
+      } finally {
+        await repository.deleteBySlug(legacySlug);
+      }
+    });
+  });
+
+  describe('Diff service', () => {
+    test('should report added and removed lines', () => {
+      const diff = contentDiffService.diffLines('a\nb\nc', 'a\nx\nc\nd');
+
+      expect(diff.identical).toBe(false);
+      expect(diff.stats).toEqual({ added: 2, removed: 1, unchanged: 2 });
+      expect(diff.changes.map(change => change.type)).toEqual(['unchanged', 'removed', 'added', 'unchanged', 'added']);
+    });
+  });
+
+  describe('Admin API', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get(`/admin/api/people/${slug}/revisions`)
+        .expect(401);
+    });
+
+    test('GET /admin/api/people/:slug/revisions should list revisions newest first', async () => {
+      const response = await authenticatedAgent
+        .get(`/admin/api/people/${slug}/revisions`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.length).toBeGreaterThanOrEqual(2);
+      expect(response.body.data[0]).toHaveProperty('createdBy');
+      expect(response.body.data[0]).toHaveProperty('createdAt');
+      expect(response.body.data[0]).not.toHaveProperty('content');
+      expect(response.body.pagination).toHaveProperty('total');
+    });
+
+    test('GET /admin/api/people/:slug/revisions/compare should diff two revisions', async () => {
+      const { data } = await repository.getRevisions(slug);
+      const [newest, oldest] = [data[0], data[data.length - 1]];
+
+      const response = await authenticatedAgent
+        .get(`/admin/api/people/${slug}/revisions/compare?from=${oldest.id}&to=${newest.id}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.from.id).toBe(oldest.id);
+      expect(response.body.data.to.id).toBe(newest.id);
+      expect(response.body.data.stats.added).toBe(1);
+      expect(response.body.data.stats.removed).toBe(1);
+    });
+
+    test('should reject an invalid compare request', async () => {
+      await authenticatedAgent
+        .get(`/admin/api/people/${slug}/revisions/compare?from=abc`)
+        .expect(400);
+    });
+
+    test('POST /admin/api/people/:slug/revisions/:id/restore should restore and record a new revision', async () => {
+      const { data } = await repository.getRevisions(slug);
+      const oldest = data[data.length - 1];
+
+      const response = await authenticatedAgent
+        .post(`/admin/api/people/${slug}/revisions/${oldest.id}/restore`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.restoredFrom).toBe(oldest.id);
+
+      const current = await repository.findBySlug(slug);
+      expect(current.content).toBe(oldest.content);
+
+      const after = await repository.getRevisions(slug);
+      expect(after.pagination.total).toBe(data.length + 1);
+      expect(after.data[0].restoredFrom).toBe(oldest.id);
+    });
+
+    test('should return 404 for a revision of another person', async () => {
+      await authenticatedAgent
+        .post(`/admin/api/people/${slug}/revisions/999999/restore`)
+        .expect(404);
+    });
+  });
+});
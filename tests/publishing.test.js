@@ -0,0 +1,239 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Content, Publication } = require('../src/models');
+const PeopleContentRepository = require('../src/models/PeopleContentRepository');
+const publishingService = require('../src/services/PublishingService');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Draft / Publish Workflow', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let repository;
+  let originalBlocks;
+  let originalPublication;
+  let lastSnapshotId;
+  const section = 'fragmenti';
+  const slug = 'test-publish-person';
+
+  const publicContent = async () => {
+    const response = await request(app)
+      .get(`/api/content/${section}`)
+      .expect(200);
+    return response.body.content.map(item => item.content);
+  };
+
+  const saveSection = (texts) => authenticatedAgent
+    .put(`/admin/content/${section}`)
+    .send({ content: texts.map(content => ({ content_type: 'text', content })) })
+    .expect(200);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+    repository = new PeopleContentRepository();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `pubadmin${timestamp}`,
+      email: `pubadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+
+    // Keep whatever the section held before the tests so it can be put back
+    originalBlocks = (await Content.findBySection(section)).map(item => item.toJSON());
+    originalPublication = await Publication.find('section', section);
+    const last = await database.get('SELECT MAX(id) as id FROM content_snapshots');
+    lastSnapshotId = last.id || 0;
+
+    // Start from an untracked section holding live content
+    await Publication.delete('section', section);
+    await Content.replaceSection(section, [{ content_type: 'text', content: '<p>Live text</p>' }]);
+
+    await repository.create({
+      personSlug: slug,
+      personName: 'Test Publish Person',
+      content: 'Published biography of the person.',
+      updatedBy: testUser.username
+    });
+  });
+
+  afterAll(async () => {
+    await Content.replaceSection(section, originalBlocks);
+    await database.run('DELETE FROM content_snapshots WHERE id > ?', [lastSnapshotId]);
+    await Publication.delete('section', section);
+    if (originalPublication) {
+      originalPublication.id = null;
+      await originalPublication.save();
+    }
+
+    await repository.deleteBySlug(slug);
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  describe('Section content', () => {
+    test('should serve untracked content as it is', async () => {
+      expect(await publicContent()).toEqual(['<p>Live text</p>']);
+    });
+
+    test('should keep the live version published when a draft is saved', async () => {
+      await saveSection(['<p>Draft text</p>']);
+
+      expect(await publicContent()).toEqual(['<p>Live text</p>']);
+
+      const response = await authenticatedAgent
+        .get(`/admin/content/${section}`)
+        .expect(200);
+
+      expect(response.body.content[0].content).toBe('<p>Draft text</p>');
+      expect(response.body.publication.state).toBe('published');
+      expect(response.body.publication.hasUnpublishedChanges).toBe(true);
+    });
+
+    test('POST /admin/content/:section/publish should make the draft live', async () => {
+      const response = await authenticatedAgent
+        .post(`/admin/content/${section}/publish`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.publication.hasUnpublishedChanges).toBe(false);
+      expect(response.body.publication.publishedBy).toBe(testUser.username);
+      expect(await publicContent()).toEqual(['<p>Draft text</p>']);
+
+      const typed = await request(app)
+        .get(`/api/content/${section}/text`)
+        .expect(200);
+      expect(typed.body.content).toHaveLength(1);
+    });
+
+    test('POST /admin/content/:section/unpublish should hide the section', async () => {
+      const response = await authenticatedAgent
+        .post(`/admin/content/${section}/unpublish`)
+        .expect(200);
+
+      expect(response.body.publication.state).toBe('unpublished');
+      expect(await publicContent()).toEqual([]);
+    });
+
+    test('should publish a scheduled draft once its time has passed', async () => {
+      await saveSection(['<p>Scheduled text</p>']);
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+
+      const response = await authenticatedAgent
+        .post(`/admin/content/${section}/publish`)
+        .send({ publishAt: publishAt.toISOString() })
+        .expect(200);
+
+      expect(response.body.publication.scheduledAt).toBe(publishAt.toISOString());
+      expect(await publicContent()).toEqual([]);
+
+      const published = await publishingService.publishDue(new Date(publishAt.getTime() + 1000));
+      expect(published).toBe(1);
+      expect(await publicContent()).toEqual(['<p>Scheduled text</p>']);
+    });
+
+    test('DELETE /admin/content/:section/schedule should cancel a scheduled publish', async () => {
+      await authenticatedAgent
+        .post(`/admin/content/${section}/publish`)
+        .send({ publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+        .expect(200);
+
+      const response = await authenticatedAgent
+        .delete(`/admin/content/${section}/schedule`)
+        .expect(200);
+      expect(response.body.publication.scheduledAt).toBeNull();
+
+      await authenticatedAgent
+        .delete(`/admin/content/${section}/schedule`)
+        .expect(404);
+    });
+
+    test('should reject an invalid publish time', async () => {
+      await authenticatedAgent
+        .post(`/admin/content/${section}/publish`)
+        .send({ publishAt: 'next tuesday' })
+        .expect(400);
+    });
+  });
+
+  describe('People content', () => {
+    test('should keep serving the published biography while a draft is edited', async () => {
+      await repository.update(slug, 'Draft biography of the person.', testUser.username);
+
+      const published = await publishingService.getPublishedPersonContent(slug);
+      expect(published.content).toBe('Published biography of the person.');
+
+      const response = await authenticatedAgent
+        .get(`/admin/api/people/${slug}`)
+        .expect(200);
+
+      expect(response.body.data.content.text).toBe('Draft biography of the person.');
+      expect(response.body.data.publication.hasUnpublishedChanges).toBe(true);
+    });
+
+    test('POST /admin/api/people/:slug/publish should publish the draft', async () => {
+      const response = await authenticatedAgent
+        .post(`/admin/api/people/${slug}/publish`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.publication.state).toBe('published');
+
+      const published = await publishingService.getPublishedPersonContent(slug);
+      expect(published.content).toBe('Draft biography of the person.');
+    });
+
+    test('POST /admin/api/people/:slug/unpublish should hide the person', async () => {
+      await authenticatedAgent
+        .post(`/admin/api/people/${slug}/unpublish`)
+        .expect(200);
+
+      expect(await publishingService.getPublishedPersonContent(slug)).toBeNull();
+      expect((await publishingService.getHiddenKeys('person')).has(slug)).toBe(true);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post(`/admin/api/people/${slug}/publish`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, Book } = require('../src/models');
+const publishingService = require('../src/services/PublishingService');
+
+// Create test app for admin and public routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  const apiRoutes = require('../src/routes/api');
+  app.use('/admin', adminRoutes);
+  app.use('/api', apiRoutes);
+
+  return app;
+};
+
+describe('Site Search', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let bookId;
+
+  const search = (q) => request(app)
+    .get('/api/search')
+    .query({ q })
+    .expect(200);
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `searchadmin${timestamp}`,
+      email: `searchadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    if (bookId) {
+      await Book.deleteById(bookId);
+    }
+
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('GET /api/search should ignore Latvian diacritics and highlight matches', async () => {
+    const response = await search('Tocs');
+
+    const person = response.body.results.find(result => result.key === 'edgars-tocs');
+    expect(person).toMatchObject({ type: 'person', url: '/interesanti/edgars-tocs' });
+    expect(person.title).toBe('Edgars <mark>Točs</mark>');
+    expect(person.snippet).toContain('<mark>');
+    expect(response.body.meta.total).toBeGreaterThanOrEqual(1);
+  });
+
+  test('should validate the query and ignore search syntax in it', async () => {
+    await request(app)
+      .get('/api/search')
+      .expect(400);
+
+    await request(app)
+      .get('/api/search')
+      .query({ q: 'x'.repeat(101) })
+      .expect(400);
+
+    const response = await search('"skola* OR NEAR(');
+    expect(Array.isArray(response.body.results)).toBe(true);
+
+    expect((await search('***')).body.results).toHaveLength(0);
+  });
+
+  test('should index books when they are saved and drop them when deleted', async () => {
+    const created = await authenticatedAgent
+      .post('/admin/api/books')
+      .send({
+        title: 'Zvaigžņupļavas noslēpums',
+        description: 'Stāsts par "mēnessgaismas" pļavu & draudzību.'
+      })
+      .expect(201);
+    bookId = created.body.book.id;
+
+    const response = await search('zvaigznuplavas');
+    const book = response.body.results.find(result => result.type === 'book');
+    expect(book).toMatchObject({ key: String(bookId), url: '/#gramatas' });
+    expect(book.title).toBe('<mark>Zvaigžņupļavas</mark> noslēpums');
+
+    // Snippets are escaped, only the highlight markup is HTML
+    const snippet = (await search('menessgaismas')).body.results[0].snippet;
+    expect(snippet).toContain('&quot;<mark>mēnessgaismas</mark>&quot; pļavu &amp; draudzību');
+
+    await authenticatedAgent
+      .delete(`/admin/api/books/${bookId}`)
+      .expect(200);
+    bookId = null;
+
+    expect((await search('zvaigznuplavas')).body.results).toHaveLength(0);
+  });
+
+  test('should only find section content once it is published', async () => {
+    await authenticatedAgent
+      .put('/admin/content/fragmenti')
+      .send({ content: [{ content_type: 'text', content: '<p>Jaunākais fragments par pūķēnu Ķipariņu.</p>' }] })
+      .expect(200);
+
+    expect((await search('kiparinu')).body.results).toHaveLength(0);
+
+    await authenticatedAgent
+      .post('/admin/content/fragmenti/publish')
+      .send({})
+      .expect(200);
+
+    const response = await search('pukenu kiparinu');
+    expect(response.body.results).toHaveLength(1);
+    expect(response.body.results[0]).toMatchObject({ type: 'section', key: 'fragmenti', url: '/#fragmenti' });
+    expect(response.body.results[0].snippet).toContain('<mark>pūķēnu</mark> <mark>Ķipariņu</mark>');
+  });
+
+  test('should leave out people taken off the public site', async () => {
+    await publishingService.unpublish('person', 'edgars-tocs', testUser.username);
+    expect((await search('Tocs')).body.results.find(result => result.key === 'edgars-tocs')).toBeUndefined();
+
+    await publishingService.publish('person', 'edgars-tocs', testUser.username);
+    expect((await search('Tocs')).body.results.find(result => result.key === 'edgars-tocs')).toBeDefined();
+  });
+});
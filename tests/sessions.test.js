@@ -0,0 +1,189 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, SessionStore } = require('../src/models');
+const { requireAuth } = require('../src/middleware/auth');
+
+// Admin requests held open until the test finishes them
+const heldRequests = [];
+
+// Create test app for admin routes, with sessions kept in the database
+const createTestApp = (store) => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      store,
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  // A slow admin request: it answers (and its session is saved) once the test lets it finish
+  app.get('/admin/held', requireAuth, (req, res) => {
+    heldRequests.push(() => res.json({ success: true }));
+  });
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+describe('Persistent Admin Sessions', () => {
+  let app;
+  let testUser;
+  let desktopAgent;
+
+  const login = async (agent, userAgent) => {
+    await agent
+      .post('/admin/login')
+      .set('User-Agent', userAgent)
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp(new SessionStore());
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `sessionadmin${timestamp}`,
+      email: `sessionadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    desktopAgent = request.agent(app);
+    await login(desktopAgent, 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36');
+  });
+
+  afterAll(async () => {
+    if (testUser && testUser.id) {
+      await database.run('DELETE FROM sessions WHERE user_id = ?', [testUser.id]);
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should keep sessions after a restart', async () => {
+    // A new app and store, as after a deploy, reads the same session from the database
+    const restartedApp = createTestApp(new SessionStore());
+    const cookie = (await desktopAgent.get('/admin/status')).request.cookies;
+
+    const status = await request(restartedApp)
+      .get('/admin/status')
+      .set('Cookie', cookie)
+      .expect(200);
+    expect(status.body.isAuthenticated).toBe(true);
+
+    await request(restartedApp)
+      .get('/admin/api/books')
+      .set('Cookie', cookie)
+      .expect(200);
+
+    const stored = await database.get('SELECT user_id, expires FROM sessions WHERE user_id = ?', [testUser.id]);
+    expect(stored.expires).toBeGreaterThan(Date.now());
+  });
+
+  test('should list active sessions with device and IP', async () => {
+    const phoneAgent = request.agent(app);
+    await login(phoneAgent, 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1');
+
+    const result = await desktopAgent.get('/admin/api/account/sessions').expect(200);
+    const sessions = result.body.sessions;
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions.map(s => s.device).sort()).toEqual(['Chrome on Windows', 'Safari on iPhone']);
+
+    const current = sessions.find(s => s.current);
+    expect(current.device).toBe('Chrome on Windows');
+    expect(current.id).toMatch(/^[0-9a-f]{16}$/);
+    expect(current.ip).toBeTruthy();
+    expect(current.lastActivity).toBeTruthy();
+
+    // The session ID itself is never shown
+    expect(JSON.stringify(result.body)).not.toContain(result.request.cookies.match(/connect\.sid=s%3A([^.]+)/)[1]);
+  });
+
+  test('should log out another session', async () => {
+    const laptopAgent = request.agent(app);
+    await login(laptopAgent, 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0; rv:121.0) Gecko/20100101 Firefox/121.0');
+    await laptopAgent.get('/admin/api/books').expect(200);
+
+    const list = await desktopAgent.get('/admin/api/account/sessions').expect(200);
+    const laptop = list.body.sessions.find(s => s.device === 'Firefox on macOS');
+    const current = list.body.sessions.find(s => s.current);
+
+    await desktopAgent
+      .delete(`/admin/api/account/sessions/${current.id}`)
+      .expect(400);
+
+    await desktopAgent
+      .delete(`/admin/api/account/sessions/${laptop.id}`)
+      .expect(200);
+
+    await laptopAgent.get('/admin/api/books').expect(401);
+
+    await desktopAgent
+      .delete(`/admin/api/account/sessions/${laptop.id}`)
+      .expect(404);
+  });
+
+  test('should log out all other sessions', async () => {
+    const revoked = await desktopAgent.delete('/admin/api/account/sessions').expect(200);
+    expect(revoked.body.count).toBe(1);
+
+    const list = await desktopAgent.get('/admin/api/account/sessions').expect(200);
+    expect(list.body.sessions).toHaveLength(1);
+    expect(list.body.sessions[0].current).toBe(true);
+  });
+
+  test('should not bring back a session logged out while one of its requests was running', async () => {
+    const laptopAgent = request.agent(app);
+    await login(laptopAgent, 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0; rv:121.0) Gecko/20100101 Firefox/121.0');
+
+    const held = laptopAgent.get('/admin/held').then(response => response);
+    while (heldRequests.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const revoked = await desktopAgent.delete('/admin/api/account/sessions').expect(200);
+    expect(revoked.body.count).toBe(1);
+
+    // The request ends after the logout and saves its session (requireAuth changed lastActivity)
+    heldRequests.shift()();
+    expect((await held).status).toBe(200);
+
+    await laptopAgent.get('/admin/api/books').expect(401);
+    const list = await desktopAgent.get('/admin/api/account/sessions').expect(200);
+    expect(list.body.sessions).toHaveLength(1);
+  });
+
+  test('should ignore and clean up expired sessions', async () => {
+    const store = new SessionStore();
+    const expiredSession = {
+      cookie: { expires: new Date(Date.now() - 1000).toISOString() },
+      isAdmin: true,
+      userId: testUser.id
+    };
+
+    await new Promise((resolve, reject) => store.set('expired-test-session', expiredSession, err => (err ? reject(err) : resolve())));
+
+    const loaded = await new Promise((resolve, reject) => store.get('expired-test-session', (err, sess) => (err ? reject(err) : resolve(sess))));
+    expect(loaded).toBeNull();
+
+    await new Promise((resolve, reject) => store.set('expired-test-session', expiredSession, err => (err ? reject(err) : resolve())));
+    expect(await store.clearExpired()).toBeGreaterThanOrEqual(1);
+    expect(await database.get('SELECT sid FROM sessions WHERE sid = ?', ['expired-test-session'])).toBeUndefined();
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+const { initializeDatabase, database } = require('../src/models');
+const PeopleContent = require('../src/models/PeopleContent');
+const publishingService = require('../src/services/PublishingService');
+const sitemapService = require('../src/services/SitemapService');
+const config = require('../config');
+
+// Create test app with the search engine routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(require('../src/routes/seo'));
+
+  return app;
+};
+
+describe('Sitemap and robots.txt', () => {
+  let app;
+  let slugs;
+  const siteUrl = config.site.url;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    await sitemapService.getPeoplePages();
+    slugs = sitemapService.peopleRepository.getAllSlugs();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.site.url = siteUrl;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should keep crawlers out of the admin panel and point them at the sitemap', async () => {
+    const response = await request(app)
+      .get('/robots.txt')
+      .expect('Content-Type', /text\/plain/)
+      .expect(200);
+
+    expect(response.text).toContain('User-agent: *\nDisallow: /admin\nDisallow: /health\n');
+    expect(response.text).toContain('Sitemap: http://localhost:3000/sitemap.xml');
+  });
+
+  test('should list the home page and every profile in both languages', async () => {
+    expect(slugs.length).toBeGreaterThan(0);
+    const [slug] = slugs;
+
+    jest.spyOn(PeopleContent, 'getAll').mockResolvedValue([
+      new PeopleContent({ person_slug: slug, updated_at: '2026-03-04 23:30:00' })
+    ]);
+
+    const response = await request(app)
+      .get('/sitemap.xml')
+      .expect('Content-Type', /application\/xml/)
+      .expect(200);
+
+    expect(response.text).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset /);
+    expect(response.text).toContain('<loc>http://localhost:3000/</loc>');
+    expect(response.text).toContain('<loc>http://localhost:3000/en/</loc>');
+
+    slugs.forEach(s => {
+      expect(response.text).toContain(`<loc>http://localhost:3000/interesanti/${s}</loc>`);
+      expect(response.text).toContain(`<loc>http://localhost:3000/en/interesanti/${s}</loc>`);
+    });
+
+    // lastmod comes from the edited profile content (stored in UTC)
+    const entry = response.text.split('<url>').find(part => part.includes(`<loc>http://localhost:3000/interesanti/${slug}</loc>`));
+    expect(entry).toContain('<lastmod>2026-03-04</lastmod>');
+    expect(entry).toContain(`<xhtml:link rel="alternate" hreflang="en" href="http://localhost:3000/en/interesanti/${slug}"/>`);
+    expect(entry).toContain(`<xhtml:link rel="alternate" hreflang="x-default" href="http://localhost:3000/interesanti/${slug}"/>`);
+  });
+
+  test('should leave out unpublished profiles', async () => {
+    const [hidden, shown] = slugs;
+    jest.spyOn(publishingService, 'getHiddenKeys').mockResolvedValue(new Set([hidden]));
+
+    const response = await request(app).get('/sitemap.xml').expect(200);
+
+    expect(response.text).not.toContain(`/interesanti/${hidden}<`);
+    expect(response.text).toContain(`/interesanti/${shown}<`);
+  });
+
+  test('should use the configured site address', async () => {
+    config.site.url = 'https://www.example.lv';
+
+    const sitemap = await request(app).get('/sitemap.xml').expect(200);
+    expect(sitemap.text).toContain('<loc>https://www.example.lv/</loc>');
+    expect(sitemap.text).not.toContain('localhost');
+
+    const robots = await request(app).get('/robots.txt').expect(200);
+    expect(robots.text).toContain('Sitemap: https://www.example.lv/sitemap.xml');
+  });
+
+  test('should include pages from added sources', async () => {
+    const source = jest.fn().mockResolvedValue([{ path: '/gramatas/zakis', lastmod: '2026-01-15T10:00:00.000Z' }]);
+    sitemapService.addSource(source);
+
+    try {
+      const response = await request(app).get('/sitemap.xml').expect(200);
+      expect(response.text).toContain('<loc>http://localhost:3000/en/gramatas/zakis</loc>');
+      expect(response.text).toContain('<lastmod>2026-01-15</lastmod>');
+    } finally {
+      sitemapService.sources.pop();
+    }
+  });
+});
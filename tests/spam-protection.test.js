@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser, ContactMessage, OutboxEmail, AuditLog } = require('../src/models');
+const spamService = require('../src/services/SpamService');
+
+// Create test app with the public API and the admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  app.use('/api', require('../src/routes/api'));
+  app.use('/admin', require('../src/routes/admin'));
+
+  return app;
+};
+
+describe('Contact Form Spam Protection', () => {
+  const timestamp = Date.now();
+
+  let app;
+  let editor;
+  let viewer;
+  let editorAgent;
+  let viewerAgent;
+  let ordinaryToken;
+
+  // Token for a form shown a few seconds ago, as a person would send it
+  const formToken = () => spamService.createFormToken(Date.now() - 5000);
+
+  // Submit the contact form and return the stored message with its queued emails
+  const submit = async (fields) => {
+    const email = `${fields.sender}${timestamp}@example.com`;
+    const response = await request(app)
+      .post('/api/contact')
+      .send({ name: 'Anna Bērziņa', email, message: `Vai grāmata ir pieejama bibliotēkā? (${fields.sender})`, ...fields, sender: undefined })
+      .expect(200);
+
+    // Spam gets the same answer as everything else
+    expect(response.body).toMatchObject({ success: true, message: 'Your message has been sent successfully!' });
+
+    const [contactMessage] = await ContactMessage.findByEmail(email);
+    const emails = await OutboxEmail.findByContactMessageId(contactMessage.id);
+    return { contactMessage, emails };
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    editor = new AdminUser({ username: `spameditor${timestamp}`, email: `spameditor${timestamp}@example.com`, role: 'editor' });
+    await editor.setPassword('testpassword123');
+    await editor.save();
+
+    viewer = new AdminUser({ username: `spamviewer${timestamp}`, email: `spamviewer${timestamp}@example.com`, role: 'viewer' });
+    await viewer.setPassword('testpassword123');
+    await viewer.save();
+
+    editorAgent = request.agent(app);
+    await editorAgent
+      .post('/admin/login')
+      .send({ username: editor.username, password: 'testpassword123' })
+      .expect(200);
+
+    viewerAgent = request.agent(app);
+    await viewerAgent
+      .post('/admin/login')
+      .send({ username: viewer.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM email_outbox WHERE contact_message_id IN (SELECT id FROM contact_messages WHERE email LIKE ?)', [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM contact_messages WHERE email LIKE ?', [`%${timestamp}@example.com`]);
+    await database.run('DELETE FROM admin_users WHERE id IN (?, ?)', [editor.id, viewer.id]);
+    await database.close();
+  });
+
+  test('should hand out form tokens that only work after a few seconds', async () => {
+    const response = await request(app).get('/api/contact/token').expect(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+
+    const token = response.body.token;
+    expect(spamService.checkFormToken(token)).toMatchObject({ reason: 'sent too quickly', strong: true });
+    expect(spamService.checkFormToken(formToken())).toBeNull();
+
+    const [time] = token.split('.');
+    expect(spamService.checkFormToken(`${time}.${'0'.repeat(64)}`)).toMatchObject({ reason: 'invalid form token', strong: true });
+    expect(spamService.checkFormToken(spamService.createFormToken(Date.now() - 2 * 24 * 60 * 60 * 1000)))
+      .toMatchObject({ reason: 'form token expired', strong: false });
+    expect(spamService.checkFormToken(undefined)).toMatchObject({ reason: 'missing form token', strong: false });
+  });
+
+  test('should sign tokens with a random secret when none is configured', async () => {
+    const { FORM_TOKEN_SECRET, SESSION_SECRET } = process.env;
+    delete process.env.FORM_TOKEN_SECRET;
+    delete process.env.SESSION_SECRET;
+
+    try {
+      const now = Date.now() - 5000;
+      const [, signature] = spamService.createFormToken(now).split('.');
+      const guessable = crypto.createHmac('sha256', 'your-secret-key-change-in-production')
+        .update(`contact-form:${now}`)
+        .digest('hex');
+
+      expect(signature).not.toBe(guessable);
+      expect(spamService.checkFormToken(`${now}.${signature}`)).toBeNull();
+    } finally {
+      process.env.SESSION_SECRET = SESSION_SECRET;
+      if (FORM_TOKEN_SECRET) {
+        process.env.FORM_TOKEN_SECRET = FORM_TOKEN_SECRET;
+      }
+    }
+  });
+
+  test('should deliver ordinary messages', async () => {
+    ordinaryToken = formToken();
+    const { contactMessage, emails } = await submit({ sender: 'ordinary', formToken: ordinaryToken });
+
+    expect(contactMessage.status).toBe('pending');
+    expect(emails.map(email => email.kind)).toEqual(['contact_notification']);
+  });
+
+  test('should hold messages that fill in the honeypot or come in too fast, without email', async () => {
+    const honeypot = await submit({ sender: 'honeypot', formToken: formToken(), website: 'http://spam.example' });
+    expect(honeypot.contactMessage.status).toBe('spam');
+    expect(honeypot.contactMessage.spam_reasons).toEqual(['honeypot field filled in']);
+    expect(honeypot.emails).toHaveLength(0);
+
+    const instant = await submit({ sender: 'instant', formToken: spamService.createFormToken() });
+    expect(instant.contactMessage.status).toBe('spam');
+    expect(instant.contactMessage.spam_reasons).toEqual(['sent too quickly']);
+    expect(instant.emails).toHaveLength(0);
+  });
+
+  test('should hold messages that reuse a form token', async () => {
+    // The token of the ordinary message, delivered above
+    const replayed = await submit({ sender: 'replayedtoken', formToken: ordinaryToken });
+    expect(replayed.contactMessage.status).toBe('spam');
+    expect(replayed.contactMessage.spam_reasons).toEqual(['form token already used']);
+    expect(replayed.emails).toHaveLength(0);
+  });
+
+  test('should hold messages with several weak signals', async () => {
+    const { contactMessage, emails } = await submit({
+      sender: 'links',
+      message: 'Best SEO backlinks: http://a.example http://b.example http://c.example'
+    });
+
+    expect(contactMessage.status).toBe('spam');
+    expect(contactMessage.spam_reasons).toEqual(['missing form token', '3 links', 'spam words: seo, backlinks']);
+    expect(emails).toHaveLength(0);
+  });
+
+  test('should let editors review, release and mark spam', async () => {
+    const [held] = await ContactMessage.findByEmail(`links${timestamp}@example.com`);
+    const [ordinary] = await ContactMessage.findByEmail(`ordinary${timestamp}@example.com`);
+
+    const spamFolder = await viewerAgent
+      .get('/admin/api/messages')
+      .query({ folder: 'spam', search: 'backlinks' })
+      .expect(200);
+    expect(spamFolder.body.messages.map(m => m.id)).toEqual([held.id]);
+    expect(spamFolder.body.messages[0].spam_reasons).toContain('3 links');
+    expect(spamFolder.body.counts.spam).toBeGreaterThanOrEqual(3);
+
+    // Spam stays out of the inbox
+    const inbox = await viewerAgent.get('/admin/api/messages').query({ search: 'backlinks' }).expect(200);
+    expect(inbox.body.messages).toHaveLength(0);
+
+    await viewerAgent.post(`/admin/api/messages/${held.id}/release`).expect(403);
+    await editorAgent.post(`/admin/api/messages/${ordinary.id}/release`).expect(400);
+    await editorAgent.post('/admin/api/messages/999999999/release').expect(404);
+
+    const released = await editorAgent.post(`/admin/api/messages/${held.id}/release`).expect(200);
+    expect(released.body.message).toMatchObject({ status: 'pending', spam_reasons: [] });
+
+    const emails = await OutboxEmail.findByContactMessageId(held.id);
+    expect(emails.map(email => email.kind)).toEqual(['contact_notification']);
+
+    const marked = await editorAgent.post(`/admin/api/messages/${ordinary.id}/spam`).expect(200);
+    expect(marked.body.message).toMatchObject({ status: 'spam', spam_reasons: ['marked as spam by an admin'] });
+
+    // The notification had not gone out yet, so it never will
+    expect(await OutboxEmail.findByContactMessageId(ordinary.id)).toHaveLength(0);
+
+    const { items } = await AuditLog.search({ username: editor.username, entityType: 'contact_message' });
+    expect(items.map(item => item.action)).toEqual(['message.spam', 'message.release']);
+  });
+
+  test('should not notify again when a message marked as spam is released', async () => {
+    const delivered = new ContactMessage({ name: 'Anna', email: `delivered${timestamp}@example.com`, message: 'Labdien!', status: 'sent' });
+    await delivered.save();
+
+    const notification = new OutboxEmail({
+      to_address: 'admin@example.com',
+      subject: 'New contact form message',
+      text_body: 'Labdien!',
+      status: 'sent',
+      contact_message_id: delivered.id,
+      kind: 'contact_notification'
+    });
+    await notification.save();
+
+    // An email that already went out stays in the outbox
+    await editorAgent.post(`/admin/api/messages/${delivered.id}/spam`).expect(200);
+    expect((await OutboxEmail.findByContactMessageId(delivered.id)).map(email => email.id)).toEqual([notification.id]);
+
+    const released = await editorAgent.post(`/admin/api/messages/${delivered.id}/release`).expect(200);
+    expect(released.body.message).toMatchObject({ status: 'sent', spam_reasons: [] });
+
+    const emails = await OutboxEmail.findByContactMessageId(delivered.id);
+    expect(emails.map(email => email.id)).toEqual([notification.id]);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const express = require('express');
+const session = require('express-session');
+const { initializeDatabase, database, AdminUser } = require('../src/models');
+const twoFactorService = require('../src/services/TwoFactorService');
+
+// Create test app for admin routes
+const createTestApp = () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use(session({
+      secret: 'test-secret-key',
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+          secure: false,
+          httpOnly: true,
+          maxAge: 24 * 60 * 60 * 1000
+      }
+  }));
+
+  const adminRoutes = require('../src/routes/admin');
+  app.use('/admin', adminRoutes);
+
+  return app;
+};
+
+// A well-formed code that is not valid right now
+const wrongCode = (secret) => {
+  const current = twoFactorService.getCounter();
+  const validCodes = [-1, 0, 1].map(offset => twoFactorService.generateCode(secret, current + offset));
+  let counter = current - 100;
+  while (validCodes.includes(twoFactorService.generateCode(secret, counter))) {
+    counter--;
+  }
+  return twoFactorService.generateCode(secret, counter);
+};
+
+describe('Two-Factor Authentication', () => {
+  let app;
+  let testUser;
+  let authenticatedAgent;
+  let secret;
+  let enrollmentCode;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    app = createTestApp();
+
+    const timestamp = Date.now();
+    testUser = new AdminUser({
+      username: `totpadmin${timestamp}`,
+      email: `totpadmin${timestamp}@example.com`
+    });
+    await testUser.setPassword('testpassword123');
+    await testUser.save();
+
+    authenticatedAgent = request.agent(app);
+    await authenticatedAgent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    if (testUser && testUser.id) {
+      await AdminUser.deleteById(testUser.id);
+    }
+
+    await database.close();
+  });
+
+  test('should generate the RFC 6238 reference codes', () => {
+    const referenceSecret = twoFactorService.encodeBase32(Buffer.from('12345678901234567890'));
+
+    expect(twoFactorService.generateCode(referenceSecret, Math.floor(59 / 30))).toBe('287082');
+    expect(twoFactorService.generateCode(referenceSecret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(twoFactorService.generateCode(referenceSecret, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  test('should enroll with a QR code and hand out recovery codes', async () => {
+    const setup = await authenticatedAgent
+      .post('/admin/api/account/2fa/setup')
+      .expect(200);
+
+    secret = setup.body.secret;
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(setup.body.otpauthUrl).toContain(`otpauth://totp/`);
+    expect(setup.body.otpauthUrl).toContain(`secret=${secret}`);
+    expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    // Not switched on until a code from the app is confirmed
+    const pending = await authenticatedAgent.get('/admin/api/account/2fa').expect(200);
+    expect(pending.body.enabled).toBe(false);
+
+    await authenticatedAgent
+      .post('/admin/api/account/2fa/enable')
+      .send({ code: wrongCode(secret) })
+      .expect(400);
+
+    enrollmentCode = twoFactorService.generateCode(secret);
+    const enabled = await authenticatedAgent
+      .post('/admin/api/account/2fa/enable')
+      .send({ code: enrollmentCode })
+      .expect(200);
+
+    recoveryCodes = enabled.body.recoveryCodes;
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+    const user = await AdminUser.findById(testUser.id);
+    expect(user.totp_recovery_codes).not.toContain(recoveryCodes[0]);
+
+    const status = await authenticatedAgent.get('/admin/api/account/2fa').expect(200);
+    expect(status.body).toMatchObject({ enabled: true, recoveryCodesLeft: 10 });
+  });
+
+  test('should ask for a code after the password', async () => {
+    const agent = request.agent(app);
+
+    const login = await agent
+      .post('/admin/login')
+      .send({ username: testUser.username, password: 'testpassword123' })
+      .expect(200);
+    expect(login.body.twoFactorRequired).toBe(true);
+
+    // The password alone does not log in
+    await agent.get('/admin/api/books').expect(401);
+
+    await agent
+      .post('/admin/login/2fa')
+      .send({ code: wrongCode(secret) })
+      .expect(401);
+
+    // A code that was already used cannot be used again
+    await agent
+      .post('/admin/login/2fa')
+      .send({ code: enrollmentCode })
+      .expect(401);
+
+    const nextCode = twoFactorService.generateCode(secret, twoFactorService.getCounter() + 1);
+    const verified = await agent
+      .post('/admin/login/2fa')
+      .send({ code: nextCode })
+      .expect(200);
+    expect(verified.body.user.username).toBe(testUser.username);
+
+    await agent.get('/admin/api/books').expect(200);
+  });
+
+  test('should use each recovery code only once', async () => {
+    const user = await AdminUser.findById(testUser.id);
+
+    expect(user.useRecoveryCode(recoveryCodes[1].toUpperCase().replace('-', ' '))).toBe(true);
+    expect(user.useRecoveryCode(recoveryCodes[1])).toBe(false);
+    expect(user.useRecoveryCode('00000-00000')).toBe(false);
+  });
+
+  test('should turn two-factor authentication off with a recovery code', async () => {
+    await authenticatedAgent
+      .delete('/admin/api/account/2fa')
+      .send({ recoveryCode: '00000-00000' })
+      .expect(400);
+
+    await authenticatedAgent
+      .delete('/admin/api/account/2fa')
+      .send({ recoveryCode: recoveryCodes[0] })
+      .expect(200);
+
+    const status = await authenticatedAgent.get('/admin/api/account/2fa').expect(200);
+    expect(status.body).toMatchObject({ enabled: false, recoveryCodesLeft: 0 });
+
+    const user = await AdminUser.findById(testUser.id);
+    expect(user.totp_secret).toBeNull();
+  });
+});